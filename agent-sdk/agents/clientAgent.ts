@@ -1,11 +1,29 @@
 import 'dotenv/config';
 import express, { Request, Response, NextFunction } from 'express';
 import { ethers } from 'ethers';
-import { signJSON } from '../lib/signer';
+import { getAgentSigner } from '../lib/keystore';
 import { uploadJSON, downloadJSON } from '../lib/ipfs';
-import { sendA2A, subscribe, init as initA2A } from '../lib/a2a';
+import { sendA2A, subscribe, init as initA2A, getConnectionStatus } from '../lib/a2a';
+import { createA2AAdminRouter, requireAdmin } from '../lib/a2a-admin';
 import { createEscrow, fundEscrow, getContract } from '../lib/hedera';
-import { getConnectionStatus } from '../lib/hcs10';
+import { getJobRepository, Job, Offer } from '../lib/job-repository';
+import { reconcileJobRepository } from '../lib/job-reconciliation';
+import { createJob, transitionJob, canTransition, isTerminal, JobState, JobTransitionError, TransitionDetails } from '../lib/job-lifecycle';
+import { loadSelectionPolicy, mergeSelectionPolicy, validateSelectionPolicy, rankOffers, shouldAutoAccept, deadlineMs, SelectionPolicy } from '../lib/offer-selection';
+import {
+  Negotiator, NegotiationRecord, NEGOTIATION_SUBJECT, strategyFromEnv, validateStrategy, recordMessage, expireIfDue,
+  verifyTranscript, openingPrice, comparePrices,
+} from '../lib/negotiation';
+import {
+  InvitePolicy, InviteResolution, validateInvitePolicy, buildTeaser, resolveInvitees, createJobInvite,
+} from '../lib/private-jobs';
+import {
+  JobTemplate, JobSchedule, PreferredWorker, validateTemplate, validateSchedule, materializeJobRequest, nextCronRun,
+  budgetCapExceeded, committedBudget, recordRun,
+} from '../lib/job-schedules';
+import { verifyMessageFromDid } from '../lib/did-resolver';
+import { resolveAgent } from '../lib/directory';
+import { Server } from 'http';
 
 /**
  * ClientAgent - Posts jobs, accepts offers, manages escrow
@@ -17,7 +35,7 @@ app.use(express.json());
 // CORS middleware
 app.use((req: Request, res: Response, next: NextFunction) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -25,39 +43,10 @@ app.use((req: Request, res: Response, next: NextFunction) => {
   next();
 });
 
-// Type definitions
-interface Job {
-  title: string;
-  description: string;
-  budgetHBAR: string;
-  requiredSkills?: string[];
-  deadline?: number | null;
-  createdAt: number;
-  clientDID?: string;
-  jobId?: string;
-  jobCID?: string;
-  status?: string;
-  assignedWorker?: string;
-  escrowId?: string;
-  deliveryCID?: string;
-  verificationScore?: number;
-  verificationPassed?: boolean;
-  deliveryReceivedAt?: number;
-  verificationType?: string;
-}
-
-interface Offer {
-  type: string;
-  jobId: string;
-  offerId?: string;
-  workerAddress?: string;
-  price?: string;
-  eta?: string;
-  sla?: any;
-  reputationScore?: number;
-  [key: string]: any;
-}
+// A2A outbox / dead-letter admin endpoints
+app.use(createA2AAdminRouter());
 
+// Type definitions
 interface AgentData {
   owner: string;
   did: string;
@@ -66,16 +55,279 @@ interface AgentData {
   status: number;
 }
 
-// Store active jobs and offers
-const activeJobs = new Map<string, Job>();
-const receivedOffers = new Map<string, Offer[]>();
+// Jobs, offers, escrow mappings and delivery receipts survive restarts (see lib/job-repository.ts)
+const store = () => getJobRepository();
+
+// Offer ranking / auto-accept policy (see lib/offer-selection.ts); jobs may override it
+let selectionPolicy: SelectionPolicy = loadSelectionPolicy();
+const autoAcceptInFlight = new Set<string>();
+let autoAcceptTimer: NodeJS.Timeout | null = null;
+
+// Jobs past their deadline are expired (no accepted offer) or refunded (funded, nothing delivered)
+let expiryTimer: NodeJS.Timeout | null = null;
+let expirySweepRunning = false;
+
+// Recurring schedules post their template when due (see lib/job-schedules.ts)
+let scheduleTimer: NodeJS.Timeout | null = null;
+let scheduleSweepRunning = false;
+
+// Fields PATCH /jobs/:id may change; all but selectionPolicy are terms workers bid on
+const EDITABLE_JOB_FIELDS = ['title', 'description', 'budgetHBAR', 'requiredSkills', 'deadline', 'selectionPolicy'] as const;
+
+function policyFor(job: Job): SelectionPolicy {
+  return mergeSelectionPolicy(selectionPolicy, job.selectionPolicy);
+}
+
+const adminOnly = requireAdmin();
+
+/**
+ * A per-job or template selectionPolicy that sets autoAccept needs the same admin rights as
+ * PUT /selection-policy - auto-accept spends the budget without the client looking
+ */
+function requireAdminForAutoAccept(req: Request, res: Response, next: NextFunction): void {
+  if (req.body?.selectionPolicy?.autoAccept === undefined) return next();
+  adminOnly(req, res, next);
+}
+
+// Price negotiations with WorkerAgents (see lib/negotiation.ts)
+const negotiator = new Negotiator({
+  role: 'client',
+  getRecord: (negotiationId) => store().getNegotiation(negotiationId),
+  saveRecord: (record) => store().saveNegotiation(record),
+  send: sendA2A,
+  signer: getAgentSigner,
+  did: () => process.env.AGENT_DID,
+  onClosed: async (record) => {
+    if (record.status !== 'agreed') return;
+    // The agreed terms become an offer of their own, for /accept-offer or auto-accept to pick
+    const offer = store().getOffers(record.jobId).find((candidate) => candidate.offerId === record.offerId);
+    store().addOffer({
+      ...offer,
+      type: 'OfferMessage',
+      jobId: record.jobId,
+      offerId: record.agreedOfferId,
+      price: record.agreedPrice,
+      priceHBAR: record.agreedPrice,
+      eta: record.eta,
+      negotiationId: record.negotiationId,
+      negotiatedFrom: record.offerId,
+      negotiable: false,
+      timestamp: Date.now(),
+    });
+    await autoAcceptIfReady(record.jobId);
+  },
+});
+
+/**
+ * Start negotiating the price of an offer (the first move may already accept it)
+ */
+async function startNegotiation(job: Job, offer: Offer, strategyOverrides: any = {}): Promise<NegotiationRecord> {
+  const now = Date.now();
+  const maxRounds = parseInt(process.env.NEGOTIATION_MAX_ROUNDS || '6', 10);
+  const record: NegotiationRecord = {
+    negotiationId: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(job.jobId! + offer.offerId + now)),
+    jobId: job.jobId!,
+    offerId: offer.offerId!,
+    role: 'client',
+    counterparty: { did: offer.fromDid, accountId: offer.fromAccountId || process.env.WORKER_AGENT_ACCOUNT_ID, address: offer.workerAddress },
+    budget: String(job.budgetHBAR),
+    eta: offer.eta,
+    strategy: { ...strategyFromEnv('client'), ...strategyOverrides },
+    status: 'open',
+    round: 0,
+    maxRounds,
+    startedAt: now,
+    expiresAt: now + parseInt(process.env.NEGOTIATION_TTL_MS || String(15 * 60 * 1000), 10),
+    lastPrice: { client: null, worker: String(offer.price ?? offer.priceHBAR) },
+    transcript: [],
+  };
+  console.log(`[ClientAgent] 💬 Negotiating offer ${offer.offerId} for job ${job.jobId} (${maxRounds} rounds max)`);
+  return negotiator.open(recordMessage(record, 'received', offer), record.lastPrice.worker!);
+}
+
+/**
+ * Open negotiations of a job that have not expired yet (expired ones are closed on the way)
+ */
+async function openNegotiations(jobId: string): Promise<NegotiationRecord[]> {
+  const open: NegotiationRecord[] = [];
+  for (const record of store().listNegotiations({ jobId, status: 'open' })) {
+    const current = await expireIfDue(record, getAgentSigner(), process.env.AGENT_DID);
+    if (current !== record) {
+      store().saveNegotiation(current);
+    } else {
+      open.push(record);
+    }
+  }
+  return open;
+}
+
+/**
+ * Move a job along its lifecycle, logging (instead of throwing) when the move is not allowed
+ */
+function advanceJob(job: Job, to: JobState, details: TransitionDetails): Job {
+  try {
+    return transitionJob(store(), job, to, details);
+  } catch (error: any) {
+    if (!(error instanceof JobTransitionError)) throw error;
+    console.warn(`[ClientAgent] ⚠️  ${error.message}`);
+    return job;
+  }
+}
+
+/**
+ * Why a message is not from the VerificationAgent or DisputeAgent (null when it is). Its signature
+ * must have passed the message guard, and it must come from the agent's account (<envKey>_ACCOUNT_ID)
+ * or be signed with the key of its DID (<envKey>_DID, else the DID listed for that account)
+ */
+async function platformSenderProblem(msg: any, metadata: any, name: string, envKey: string): Promise<string | null> {
+  if (!metadata?.signatureVerified) return 'signature not verified';
+  const accountId = process.env[`${envKey}_ACCOUNT_ID`];
+  if (accountId && metadata.fromAccountId === accountId) return null;
+  const did = process.env[`${envKey}_DID`] || (accountId ? resolveAgent(accountId)?.did : null);
+  if (did && msg.fromDid === did) {
+    const verification = await verifyMessageFromDid(msg);
+    return verification.verified ? null : `not signed by ${did}: ${verification.reason}`;
+  }
+  if (!accountId && !did) return `no ${name} configured (${envKey}_ACCOUNT_ID or ${envKey}_DID)`;
+  return `sender ${metadata.fromAccountId || msg.fromDid || 'unknown'} is not the ${name}`;
+}
+
+/**
+ * Store a job document on IPFS, falling back to a content-derived CID when IPFS is unreachable
+ */
+async function uploadJobDocument(document: any): Promise<string> {
+  try {
+    return await uploadJSON(document);
+  } catch (ipfsError: any) {
+    console.warn('[ClientAgent] IPFS upload failed, using fallback CID:', ipfsError.message);
+    return 'ipfs://fallback-' + ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(document)));
+  }
+}
+
+/**
+ * What goes on IPFS for a job: its terms, or only the teaser of a private job
+ */
+function jobDocument(job: Job): any {
+  if (job.visibility === 'private') {
+    return { ...job.teaser, visibility: 'private', createdAt: job.createdAt, clientDID: job.clientDID, revision: job.revision };
+  }
+  return {
+    title: job.title,
+    description: job.description,
+    budgetHBAR: job.budgetHBAR,
+    requiredSkills: job.requiredSkills,
+    deadline: job.deadline,
+    createdAt: job.createdAt,
+    clientDID: job.clientDID,
+    revision: job.revision,
+  };
+}
+
+/**
+ * Seal a private job's terms for everyone an invite policy reaches and send each a JobInvite
+ */
+async function sendInvites(job: Job, policy: InvitePolicy): Promise<InviteResolution> {
+  const resolution = await resolveInvitees(policy);
+  const revision = job.revision || 1;
+  const terms = {
+    jobId: job.jobId!,
+    revision,
+    jobCID: job.jobCID,
+    title: job.title,
+    description: job.description,
+    budgetHBAR: job.budgetHBAR,
+    requiredSkills: job.requiredSkills,
+    deadline: job.deadline,
+    verificationType: job.verificationType || 'auto',
+    clientAddress: process.env.CLIENT_ADDRESS || ethers.Wallet.createRandom().address,
+  };
+  
+  // Record the invitees first: their offers may arrive before the last invite is out
+  const current = store().getJob(job.jobId!) || job;
+  const invited = (current.invited || []).filter((entry) => !resolution.invitees.some((invitee) => invitee.did === entry.did));
+  for (const invitee of resolution.invitees) {
+    invited.push({ did: invitee.did, accountId: invitee.accountId, matchedBy: invitee.matchedBy, revision, invitedAt: Date.now() });
+  }
+  store().saveJob({ ...current, invited });
+  
+  for (const invitee of resolution.invitees) {
+    const invite: any = createJobInvite(terms, invitee);
+    invite.fromDid = process.env.AGENT_DID || 'did:hedera:testnet:client';
+    invite.timestamp = Date.now();
+    try {
+      const signer = getAgentSigner();
+      if (signer) {
+        invite.signature = await signer.sign(invite);
+      }
+    } catch (signError: any) {
+      console.warn('[ClientAgent] Could not sign invite:', signError.message);
+    }
+    try {
+      await sendA2A('aexowork.jobs', invite);
+    } catch (a2aError: any) {
+      console.error(`[ClientAgent] A2A send error (JobInvite to ${invitee.did}):`, a2aError.message);
+    }
+  }
+  for (const skipped of resolution.skipped) {
+    console.warn(`[ClientAgent] ⚠️  Not inviting ${skipped.did} to job ${job.jobId}: ${skipped.reason}`);
+  }
+  console.log(`[ClientAgent] 💌 Job ${job.jobId} (revision ${revision}) sent sealed to ${resolution.invitees.length} invitee(s)`);
+  return resolution;
+}
+
+/**
+ * Sign and broadcast a JobUpdated / JobCancelled message to WorkerAgents on aexowork.jobs
+ */
+async function broadcastJobChange(message: any): Promise<void> {
+  message.fromDid = process.env.AGENT_DID || 'did:hedera:testnet:client';
+  message.timestamp = Date.now();
+  try {
+    const signer = getAgentSigner();
+    if (signer) {
+      message.signature = await signer.sign(message);
+    }
+  } catch (signError: any) {
+    console.warn('[ClientAgent] Could not sign message:', signError.message);
+  }
+  try {
+    await sendA2A('aexowork.jobs', message);
+    console.log(`[ClientAgent] 📤 ${message.type} broadcasted to WorkerAgents: ${message.jobId}`);
+  } catch (a2aError: any) {
+    console.error(`[ClientAgent] A2A send error (${message.type}):`, a2aError.message);
+  }
+}
+
+/**
+ * Mark a job closed on the Marketplace contract (best effort, like posting it)
+ */
+async function closeOnMarketplace(jobId: string): Promise<void> {
+  if (!process.env.MARKETPLACE_ADDRESS) return;
+  try {
+    const marketplace = getContract(process.env.MARKETPLACE_ADDRESS, ['function updateJobStatus(bytes32 jobId, uint8 status) external']);
+    const tx = await marketplace.updateJobStatus(jobId, 2); // 0 open, 1 assigned, 2 closed
+    await tx.wait();
+  } catch (contractError: any) {
+    console.warn('[ClientAgent] Marketplace status update failed:', contractError.message);
+  }
+}
+
+/**
+ * Walk away from every open negotiation of a job
+ */
+async function rejectNegotiations(jobId: string, reason: string): Promise<void> {
+  for (const record of await openNegotiations(jobId)) {
+    await negotiator.reject(record, reason).catch((error: any) => {
+      console.warn(`[ClientAgent] Could not reject negotiation ${record.negotiationId}:`, error.message);
+    });
+  }
+}
 
 /**
  * GET /
  * Health check and status
  */
 app.get('/', (req: Request, res: Response) => {
-  const hcs10Status = getConnectionStatus();
+  const a2aStatus = getConnectionStatus();
   
   res.json({
     status: 'running',
@@ -84,19 +336,38 @@ app.get('/', (req: Request, res: Response) => {
     endpoints: {
       'POST /post-job': 'Create a new job posting',
       'GET /jobs': 'List all active jobs',
-      'GET /offers/:jobId': 'Get offers for a job',
+      'GET /jobs/:id': 'Get a job with its offers, escrow and receipts',
+      'GET /jobs/:id/history': 'State transitions of a job',
+      'PATCH /jobs/:id': 'Edit a job that has no accepted offer yet',
+      'POST /jobs/:id/cancel': 'Cancel a job',
+      'POST /jobs/:id/invite': 'Invite more workers to a private job',
+      'POST /templates': 'Save a job template',
+      'GET /templates': 'List job templates',
+      'POST /templates/:id/post': 'Post a job from a template',
+      'POST /schedules': 'Post a template on a cron schedule',
+      'GET /schedules/:id': 'Schedule with its jobs and committed budget',
+      'POST /schedules/:id/pause': 'Pause a schedule',
+      'POST /schedules/:id/resume': 'Resume a schedule',
+      'GET /offers/:jobId': 'Get offers for a job (?ranked=true for scored, explained ranking)',
+      'POST /negotiations': 'Negotiate the price of an offer',
+      'GET /negotiations/:id': 'Negotiation with its signed transcript',
+      'POST /negotiations/:id/reject': 'Walk away from a negotiation',
+      'GET /jobs/:id/negotiations': 'Negotiations for a job',
+      'GET /selection-policy': 'Offer ranking and auto-accept policy',
+      'PUT /selection-policy': 'Update the offer ranking and auto-accept policy',
       'POST /accept-offer': 'Accept a worker offer',
       'POST /approve-work': 'Approve delivered work'
     },
     stats: {
-      activeJobs: activeJobs.size,
-      totalOffers: Array.from(receivedOffers.values()).reduce((sum, arr) => sum + arr.length, 0)
+      activeJobs: store().listJobs().length,
+      totalOffers: store().countOffers(),
+      storeBackend: store().backend
     },
     contracts: {
       marketplace: process.env.MARKETPLACE_ADDRESS,
       escrowManager: process.env.ESCROW_MANAGER_ADDRESS
     },
-    hcs10: hcs10Status
+    a2a: a2aStatus
   });
 });
 
@@ -218,138 +489,1131 @@ app.get('/api/agents/:agentId', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * Why a POST /post-job body cannot be posted (null when it can)
+ */
+function jobRequestError(body: any): { error: string; problems?: string[] } | null {
+  const { title, description, budgetHBAR, selectionPolicy: policyOverrides, visibility = 'public', invite } = body || {};
+  if (!title || !description || !budgetHBAR) {
+    return { error: 'Missing required fields' };
+  }
+  if (visibility !== 'public' && visibility !== 'private') {
+    return { error: 'visibility must be public or private' };
+  }
+  if (visibility === 'private') {
+    const problems = validateInvitePolicy(invite);
+    if (problems.length) {
+      return { error: 'Invalid invite', problems };
+    }
+  }
+  if (policyOverrides) {
+    const problems = validateSelectionPolicy(mergeSelectionPolicy(selectionPolicy, policyOverrides));
+    if (problems.length) {
+      return { error: 'Invalid selectionPolicy', problems };
+    }
+  }
+  return null;
+}
+
+/**
+ * Post a job (a checked POST /post-job body): store it, put it on IPFS and the Marketplace
+ * contract, broadcast the JobOfferRequest and send invites for a private job. `origin` is
+ * stored with the job (template, schedule, preferred worker).
+ */
+async function postJob(body: any, origin: Partial<Job> = {}): Promise<{ jobId: string; jobCID: string; invites: InviteResolution | null }> {
+  const { title, description, budgetHBAR, requiredSkills, deadline, verificationType, selectionPolicy: policyOverrides, visibility = 'public', invite, teaser } = body;
+  
+  // Create job object
+  const job: Job = {
+    title,
+    description,
+    budgetHBAR,
+    requiredSkills: requiredSkills || [],
+    deadline: deadline || null,
+    createdAt: Date.now(),
+    clientDID: process.env.AGENT_DID,
+    ...(verificationType ? { verificationType } : {}),
+    // Private jobs: only the teaser is published, the terms go to invitees (see lib/private-jobs.ts)
+    ...(visibility === 'private' ? { visibility, invite, teaser: buildTeaser({ deadline: deadline || null }, teaser) } : {}),
+  };
+  
+  // Upload to IPFS (handle errors gracefully)
+  const jobCID = await uploadJobDocument(jobDocument(job));
+  
+  // Generate job ID
+  const jobId = ethers.utils.keccak256(
+    ethers.utils.toUtf8Bytes(jobCID + Date.now())
+  );
+  
+  // Store locally
+  createJob(store(), {
+    ...job,
+    ...origin,
+    jobId,
+    jobCID,
+    status: 'open',
+    ...(policyOverrides ? { selectionPolicy: policyOverrides } : {}),
+  }, { actor: origin.scheduleId ? 'scheduler' : 'client', reason: origin.scheduleId ? `posted by schedule ${origin.scheduleId}` : 'job posted' });
+  
+  // Optional: Post to marketplace contract (handle errors gracefully)
+  if (process.env.MARKETPLACE_ADDRESS) {
+    try {
+      const marketplaceAbi = [
+        'function postJob(bytes32 jobId, string calldata jobCID, uint256 budget) external',
+      ];
+      const marketplace = getContract(process.env.MARKETPLACE_ADDRESS, marketplaceAbi);
+      const tx = await marketplace.postJob(jobId, jobCID, budgetHBAR);
+      await tx.wait();
+    } catch (contractError: any) {
+      console.warn('[ClientAgent] Marketplace contract post failed:', contractError.message);
+      // Continue without on-chain posting
+    }
+  }
+  
+  // Broadcast via A2A (JobOfferRequest per user flow spec) - just the teaser for a private job
+  const message: any = visibility === 'private' ? {
+    type: 'JobOfferRequest',
+    jobId,
+    jobCID,
+    private: true,
+    teaser: job.teaser,
+    fromDid: process.env.AGENT_DID || 'did:hedera:testnet:client',
+    clientAddress: process.env.CLIENT_ADDRESS || ethers.Wallet.createRandom().address,
+    timestamp: Date.now(),
+  } : {
+    type: 'JobOfferRequest', // Updated to match user flow specification
+    jobId,
+    jobCID,
+    title: job.title,
+    description: job.description,
+    budgetHBAR,
+    requiredSkills: job.requiredSkills,
+    deadline: job.deadline,
+    verificationType: job.verificationType || 'auto', // AI verify, human verify, double-check agent
+    fromDid: process.env.AGENT_DID || 'did:hedera:testnet:client',
+    clientAddress: process.env.CLIENT_ADDRESS || ethers.Wallet.createRandom().address,
+    timestamp: Date.now(),
+  };
+  
+  // Sign message if private key is available (optional for testing)
+  try {
+    const signer = getAgentSigner();
+    if (signer) {
+      message.signature = await signer.sign(message);
+    }
+  } catch (signError: any) {
+    console.warn('[ClientAgent] Could not sign message:', signError.message);
+  }
+  
+  // Ensure A2A is initialized before sending
+  // sendA2A will handle initialization if needed, but we can check here too
+  try {
+    // JobOfferRequest is broadcast to all WorkerAgents (they subscribe to aexowork.jobs)
+    // No 'to' field needed - WorkerAgents will filter by subscription
+    console.log(`[ClientAgent] Broadcasting JobOfferRequest via A2A to WorkerAgents (aexowork.jobs)...`);
+    console.log(`[ClientAgent] Message:`, { type: message.type, jobId, requiredSkills: message.requiredSkills });
+    await sendA2A('aexowork.jobs', message);
+    console.log(`[ClientAgent] ✅ JobOfferRequest broadcasted to WorkerAgents: ${jobId}`);
+  } catch (a2aError: any) {
+    console.error('[ClientAgent] A2A send error:', a2aError.message);
+    // Continue anyway - job is still posted locally
+    console.log(`[ClientAgent] Job posted locally (A2A failed): ${jobId}`);
+  }
+  
+  const invites = visibility === 'private' ? await sendInvites(store().getJob(jobId)!, invite) : null;
+  return { jobId, jobCID, invites };
+}
+
+/**
+ * The invited / skipped part of a post response for a private job
+ */
+function inviteSummary(invites: InviteResolution | null): any {
+  if (!invites) return {};
+  return {
+    invited: invites.invitees.map(({ did, accountId, matchedBy }) => ({ did, accountId, matchedBy })),
+    skipped: invites.skipped,
+  };
+}
+
 /**
  * POST /post-job (also handle /api/client/post-job for frontend proxy)
  * Create a new job posting
  */
-app.post(['/post-job', '/api/client/post-job'], async (req: Request, res: Response) => {
+app.post(['/post-job', '/api/client/post-job'], requireAdminForAutoAccept, async (req: Request, res: Response) => {
   try {
-    const { title, description, budgetHBAR, requiredSkills, deadline } = req.body;
+    const invalid = jobRequestError(req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
     
-    if (!title || !description || !budgetHBAR) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    const { jobId, jobCID, invites } = await postJob(req.body);
+    res.json({
+      ok: true,
+      jobId,
+      jobCID,
+      message: 'Job posted successfully',
+      ...inviteSummary(invites),
+    });
+  } catch (error: any) {
+    console.error('[ClientAgent] Error posting job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /jobs
+ * List all active jobs
+ */
+app.get('/jobs', (req: Request, res: Response) => {
+  const jobs = store().listJobs();
+  res.json({ count: jobs.length, jobs });
+});
+
+/**
+ * GET /jobs/:id
+ * Get a job with its offers, escrow and delivery receipts
+ */
+app.get('/jobs/:id', (req: Request, res: Response) => {
+  const job = store().getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({
+    job,
+    offers: store().getOffers(req.params.id),
+    escrow: job.escrowId ? store().getEscrow(job.escrowId) : null,
+    receipts: store().getReceipts(req.params.id),
+  });
+});
+
+/**
+ * GET /jobs/:id/history
+ * Timestamped state transitions of a job
+ */
+app.get('/jobs/:id/history', (req: Request, res: Response) => {
+  const job = store().getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const history = store().getJobHistory(req.params.id);
+  res.json({ jobId: req.params.id, status: job.status, count: history.length, history });
+});
+
+/**
+ * PATCH /jobs/:id
+ * Edit a job's terms before an offer is accepted. Offers and negotiations for the old terms are
+ * dropped and WorkerAgents are told with a JobUpdated message (so they can bid again).
+ */
+app.patch('/jobs/:id', requireAdminForAutoAccept, async (req: Request, res: Response) => {
+  try {
+    const job = store().getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'open' && job.status !== 'offered') {
+      return res.status(409).json({ error: `Cannot edit a job that is ${job.status}`, status: job.status });
+    }
+    if (autoAcceptInFlight.has(job.jobId!)) {
+      return res.status(409).json({ error: 'An offer for this job is being accepted', status: job.status });
+    }
+
+    const unknown = Object.keys(req.body || {}).filter((field) => !(EDITABLE_JOB_FIELDS as readonly string[]).includes(field));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Fields cannot be edited: ${unknown.join(', ')}` });
+    }
+    const { title, description, budgetHBAR, requiredSkills, deadline, selectionPolicy: policyOverrides } = req.body;
+    const problems: string[] = [];
+    if ('title' in req.body && !title) problems.push('title must not be empty');
+    if ('description' in req.body && !description) problems.push('description must not be empty');
+    if ('budgetHBAR' in req.body && !budgetHBAR) problems.push('budgetHBAR must not be empty');
+    if ('requiredSkills' in req.body && !Array.isArray(requiredSkills)) problems.push('requiredSkills must be a list');
+    if (deadline !== undefined && deadline !== null) {
+      const deadlineAt = deadlineMs(deadline);
+      if (deadlineAt === null) problems.push('deadline must be a timestamp or a date');
+      else if (deadlineAt <= Date.now()) problems.push('deadline must be in the future');
+    }
+    if (policyOverrides) {
+      problems.push(...validateSelectionPolicy(mergeSelectionPolicy(selectionPolicy, policyOverrides)));
+    }
+    if (problems.length) {
+      return res.status(400).json({ error: 'Invalid job update', problems });
     }
     
-    // Create job object
-    const job: Job = {
-      title,
-      description,
-      budgetHBAR,
-      requiredSkills: requiredSkills || [],
-      deadline: deadline || null,
-      createdAt: Date.now(),
-      clientDID: process.env.AGENT_DID,
-    };
+    const changed = EDITABLE_JOB_FIELDS.filter((field) =>
+      field in req.body && JSON.stringify(req.body[field]) !== JSON.stringify((job as any)[field])
+    );
+    const termsChanged = changed.filter((field) => field !== 'selectionPolicy');
+    if (!changed.length) {
+      return res.json({ ok: true, job, changed });
+    }
     
-    // Upload to IPFS (handle errors gracefully)
-    let jobCID: string;
-    try {
-      jobCID = await uploadJSON(job);
-    } catch (ipfsError: any) {
-      console.warn('[ClientAgent] IPFS upload failed, using fallback CID:', ipfsError.message);
-      // Use a fallback CID if IPFS fails
-      jobCID = 'ipfs://fallback-' + ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(job)));
+    let updated: Job = { ...job };
+    for (const field of changed) {
+      (updated as any)[field] = req.body[field];
+    }
+    if (!termsChanged.length) {
+      store().saveJob(updated);
+      return res.json({ ok: true, job: updated, changed });
     }
     
-    // Generate job ID
-    const jobId = ethers.utils.keccak256(
-      ethers.utils.toUtf8Bytes(jobCID + Date.now())
-    );
+    updated.revision = (job.revision || 1) + 1;
+    if (updated.visibility === 'private') {
+      updated.teaser = buildTeaser(updated, job.teaser?.summary);
+    }
+    updated.jobCID = await uploadJobDocument({ ...jobDocument(updated), previousCID: job.jobCID });
+    store().saveJob(updated);
     
-    // Store locally
-    activeJobs.set(jobId, {
-      ...job,
-      jobId,
-      jobCID,
-      status: 'open',
+    // Bids were made on the old terms
+    await rejectNegotiations(job.jobId!, 'job updated');
+    const offersDropped = store().removeOffers(job.jobId!);
+    if (updated.status === 'offered') {
+      updated = transitionJob(store(), updated, 'open', { actor: 'client', reason: 'job updated, offers dropped', data: { changed: termsChanged, offersDropped } });
+    }
+    
+    if (updated.visibility === 'private') {
+      // Invitees get the new terms sealed, everyone else only learns that bids were dropped
+      await broadcastJobChange({ type: 'JobUpdated', jobId: job.jobId, revision: updated.revision, private: true, teaser: updated.teaser });
+      await sendInvites(updated, updated.invite!);
+      return res.json({ ok: true, job: store().getJob(job.jobId!), changed, offersDropped });
+    }
+    await broadcastJobChange({
+      type: 'JobUpdated',
+      jobId: job.jobId,
+      revision: updated.revision,
+      changed: termsChanged,
+      jobCID: updated.jobCID,
+      title: updated.title,
+      description: updated.description,
+      budgetHBAR: updated.budgetHBAR,
+      requiredSkills: updated.requiredSkills,
+      deadline: updated.deadline,
+      clientAddress: process.env.CLIENT_ADDRESS,
     });
+    console.log(`[ClientAgent] ✏️  Job ${job.jobId} updated to revision ${updated.revision} (${termsChanged.join(', ')}), ${offersDropped} offer(s) dropped`);
     
-    // Optional: Post to marketplace contract (handle errors gracefully)
-    if (process.env.MARKETPLACE_ADDRESS) {
-      try {
-        const marketplaceAbi = [
-          'function postJob(bytes32 jobId, string calldata jobCID, uint256 budget) external',
-        ];
-        const marketplace = getContract(process.env.MARKETPLACE_ADDRESS, marketplaceAbi);
-        const tx = await marketplace.postJob(jobId, jobCID, budgetHBAR);
-        await tx.wait();
-      } catch (contractError: any) {
-        console.warn('[ClientAgent] Marketplace contract post failed:', contractError.message);
-        // Continue without on-chain posting
-      }
+    res.json({ ok: true, job: updated, changed, offersDropped });
+  } catch (error: any) {
+    console.error('[ClientAgent] Error updating job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /jobs/:id/cancel
+ * Withdraw a job that is not funded yet and tell WorkerAgents to drop their bids (JobCancelled)
+ */
+app.post('/jobs/:id/cancel', async (req: Request, res: Response) => {
+  try {
+    let job = store().getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!canTransition(job.status, 'cancelled')) {
+      return res.status(409).json({ error: `Cannot cancel a job that is ${job.status}`, status: job.status });
     }
     
-    // Broadcast via A2A (JobOfferRequest per user flow spec)
-    const message: any = {
-      type: 'JobOfferRequest', // Updated to match user flow specification
-      jobId,
-      jobCID,
-      title: job.title,
-      description: job.description,
-      budgetHBAR,
-      requiredSkills: job.requiredSkills,
-      deadline: job.deadline,
-      verificationType: job.verificationType || 'auto', // AI verify, human verify, double-check agent
-      fromDid: process.env.AGENT_DID || 'did:hedera:testnet:client',
-      clientAddress: process.env.CLIENT_ADDRESS || ethers.Wallet.createRandom().address,
-      timestamp: Date.now(),
-    };
+    const reason = req.body?.reason || 'cancelled by client';
+    job = transitionJob(store(), job, 'cancelled', { actor: 'client', reason });
+    await rejectNegotiations(job.jobId!, 'job cancelled');
+    await closeOnMarketplace(job.jobId!);
+    await broadcastJobChange({ type: 'JobCancelled', jobId: job.jobId, reason, escrowId: job.escrowId });
+    console.log(`[ClientAgent] 🛑 Job ${job.jobId} cancelled: ${reason}`);
     
-    // Sign message if private key is available (optional for testing)
-    try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        message.signature = signJSON(message, process.env.AGENT_PRIVATE_KEY_BASE64);
-      }
-    } catch (signError: any) {
-      console.warn('[ClientAgent] Could not sign message:', signError.message);
+    res.json({ ok: true, job });
+  } catch (error: any) {
+    console.error('[ClientAgent] Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /jobs/:id/invite
+ * Invite more workers (dids and/or a filter) to a private job that has no accepted offer yet
+ */
+app.post('/jobs/:id/invite', async (req: Request, res: Response) => {
+  try {
+    const job = store().getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
-    
-    // Ensure A2A is initialized before sending
-    // sendA2A will handle initialization if needed, but we can check here too
-    try {
-      // JobOfferRequest is broadcast to all WorkerAgents (they subscribe to aexowork.jobs)
-      // No 'to' field needed - WorkerAgents will filter by subscription
-      console.log(`[ClientAgent] Broadcasting JobOfferRequest via A2A to WorkerAgents (aexowork.jobs)...`);
-      console.log(`[ClientAgent] Message:`, { type: message.type, jobId, requiredSkills: message.requiredSkills });
-      await sendA2A('aexowork.jobs', message);
-      console.log(`[ClientAgent] ✅ JobOfferRequest broadcasted to WorkerAgents: ${jobId}`);
-    } catch (a2aError: any) {
-      console.error('[ClientAgent] A2A send error:', a2aError.message);
-      // Continue anyway - job is still posted locally
-      console.log(`[ClientAgent] Job posted locally (A2A failed): ${jobId}`);
+    if (job.visibility !== 'private') {
+      return res.status(400).json({ error: 'Public jobs are already broadcast to every worker' });
+    }
+    if (job.status !== 'open' && job.status !== 'offered') {
+      return res.status(409).json({ error: `Cannot invite workers to a job that is ${job.status}`, status: job.status });
+    }
+    const problems = validateInvitePolicy(req.body);
+    if (problems.length) {
+      return res.status(400).json({ error: 'Invalid invite', problems });
     }
     
+    const { dids, filter } = req.body;
+    store().saveJob({
+      ...job,
+      invite: {
+        dids: Array.from(new Set([...(job.invite?.dids || []), ...(dids || [])])),
+        filter: filter || job.invite?.filter,
+      },
+    });
+    const resolution = await sendInvites(store().getJob(job.jobId!)!, { dids, filter });
     res.json({
       ok: true,
+      invited: resolution.invitees.map(({ did, accountId, matchedBy }) => ({ did, accountId, matchedBy })),
+      skipped: resolution.skipped,
+    });
+  } catch (error: any) {
+    console.error('[ClientAgent] Error inviting workers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /offers/:jobId
+ * Get offers for a specific job (?ranked=true scores and explains them, best first)
+ */
+app.get('/offers/:jobId', async (req: Request, res: Response) => {
+  const { jobId } = req.params;
+  const offers = store().getOffers(jobId);
+  if (req.query.ranked !== 'true') {
+    return res.json({ jobId, count: offers.length, offers });
+  }
+
+  const job = store().getJob(jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  try {
+    const policy = policyFor(job);
+    const ranked = await rankOffers(job, offers, policy);
+    res.json({
       jobId,
-      jobCID,
-      message: 'Job posted successfully',
+      count: ranked.length,
+      policy,
+      autoAccept: shouldAutoAccept(job, ranked, policy),
+      offers: ranked,
     });
   } catch (error: any) {
-    console.error('[ClientAgent] Error posting job:', error);
+    console.error('[ClientAgent] Error ranking offers:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /jobs
- * List all active jobs
+ * POST /negotiations
+ * Negotiate the price of an offer ({ jobId, offerId, strategy? })
  */
-app.get('/jobs', (req: Request, res: Response) => {
-  const jobs = Array.from(activeJobs.values());
-  res.json({ count: jobs.length, jobs });
+app.post('/negotiations', async (req: Request, res: Response) => {
+  try {
+    const { jobId, offerId, strategy } = req.body;
+    if (!jobId || !offerId) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    const job = store().getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const offer = store().getOffers(jobId).find((candidate) => candidate.offerId === offerId);
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+    if (!canTransition(job.status, 'assigned')) {
+      return res.status(409).json({ error: `Cannot negotiate for a job that is ${job.status}`, status: job.status });
+    }
+    if ((await openNegotiations(jobId)).some((record) => record.offerId === offerId)) {
+      return res.status(409).json({ error: 'This offer is already being negotiated' });
+    }
+    const problems = validateStrategy('client', { ...strategyFromEnv('client'), ...(strategy || {}) });
+    if (problems.length) {
+      return res.status(400).json({ error: 'Invalid strategy', problems });
+    }
+    
+    const record = await startNegotiation(job, offer, strategy);
+    res.json({ ok: true, negotiation: record });
+  } catch (error: any) {
+    console.error('[ClientAgent] Error starting negotiation:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * GET /offers/:jobId
- * Get offers for a specific job
+ * GET /negotiations/:id
+ * A negotiation with its signed transcript and the result of checking it
  */
-app.get('/offers/:jobId', (req: Request, res: Response) => {
-  const { jobId } = req.params;
-  const offers = receivedOffers.get(jobId) || [];
-  res.json({ jobId, count: offers.length, offers });
+app.get('/negotiations/:id', async (req: Request, res: Response) => {
+  const record = store().getNegotiation(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Negotiation not found' });
+  }
+  const current = await expireIfDue(record, getAgentSigner(), process.env.AGENT_DID);
+  if (current !== record) store().saveNegotiation(current);
+  res.json({ negotiation: current, verification: verifyTranscript(current) });
+});
+
+/**
+ * POST /negotiations/:id/reject
+ * Walk away from an open negotiation
+ */
+app.post('/negotiations/:id/reject', async (req: Request, res: Response) => {
+  const record = store().getNegotiation(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Negotiation not found' });
+  }
+  if (record.status !== 'open') {
+    return res.status(409).json({ error: `Negotiation is already ${record.status}`, status: record.status });
+  }
+  const rejected = await negotiator.reject(record, req.body?.reason || 'rejected by client');
+  res.json({ ok: true, negotiation: rejected });
+});
+
+/**
+ * GET /jobs/:id/negotiations
+ * Negotiations for a job's offers
+ */
+app.get('/jobs/:id/negotiations', (req: Request, res: Response) => {
+  const negotiations = store().listNegotiations({ jobId: req.params.id });
+  res.json({ jobId: req.params.id, count: negotiations.length, negotiations });
+});
+
+/**
+ * GET /selection-policy
+ * Offer ranking and auto-accept policy for jobs without their own
+ */
+app.get('/selection-policy', (req: Request, res: Response) => {
+  res.json({ policy: selectionPolicy });
+});
+
+/**
+ * PUT /selection-policy
+ * Change the offer ranking / auto-accept policy (admin only)
+ */
+app.put('/selection-policy', requireAdmin(), (req: Request, res: Response) => {
+  const policy = mergeSelectionPolicy(selectionPolicy, req.body || {});
+  const problems = validateSelectionPolicy(policy);
+  if (problems.length) {
+    return res.status(400).json({ error: 'Invalid selection policy', problems });
+  }
+  selectionPolicy = policy;
+  console.log(`[ClientAgent] ⚖️  Selection policy updated (auto-accept ${policy.autoAccept.enabled ? 'on' : 'off'})`);
+  res.json({ ok: true, policy });
+});
+
+/**
+ * The worker whose job from a schedule was approved last, with the DID and account of their offer
+ */
+function previousWorker(schedule: JobSchedule): PreferredWorker | null {
+  const approved = store().listJobs({ status: 'approved' })
+    .filter((job) => job.scheduleId === schedule.scheduleId && job.assignedWorker)
+    .sort((a, b) => (a.updatedAt || a.createdAt) - (b.updatedAt || b.createdAt))
+    .pop();
+  if (!approved) return null;
+  const offer = store().getOffers(approved.jobId!).find((candidate) => candidate.workerAddress === approved.assignedWorker);
+  return {
+    address: approved.assignedWorker!,
+    ...(offer?.fromDid ? { did: offer.fromDid } : {}),
+    ...(offer?.fromAccountId ? { accountId: offer.fromAccountId } : {}),
+    fromJobId: approved.jobId!,
+  };
+}
+
+/**
+ * Post one run of a schedule, unless it would go over the schedule's budget cap
+ */
+async function runSchedule(schedule: JobSchedule, now = Date.now()): Promise<JobSchedule> {
+  const template = store().getTemplate(schedule.templateId);
+  if (!template) {
+    const failed = recordRun(schedule, { at: now, status: 'failed', reason: `template ${schedule.templateId} not found` });
+    store().saveSchedule(failed);
+    return failed;
+  }
+  
+  const preferred = schedule.preferPreviousWorker ? previousWorker(schedule) : null;
+  const overCap = budgetCapExceeded(schedule, store().listJobs().filter((job) => job.scheduleId === schedule.scheduleId), template.budgetHBAR);
+  if (overCap) {
+    console.warn(`[ClientAgent] ⏭️  Schedule ${schedule.scheduleId} skipped a run: ${overCap}`);
+    const skipped = recordRun(schedule, { at: now, status: 'skipped', reason: overCap });
+    store().saveSchedule(skipped);
+    return skipped;
+  }
+  
+  const request = materializeJobRequest(template, now, preferred);
+  const invalid = jobRequestError(request);
+  if (invalid) {
+    const failed = recordRun(schedule, { at: now, status: 'failed', reason: [invalid.error, ...(invalid.problems || [])].join(': ') });
+    store().saveSchedule(failed);
+    return failed;
+  }
+  try {
+    const { jobId } = await postJob(request, {
+      templateId: template.templateId,
+      scheduleId: schedule.scheduleId,
+      ...(preferred ? { preferredWorker: preferred } : {}),
+    });
+    console.log(`[ClientAgent] 🔁 Schedule ${schedule.scheduleId} posted job ${jobId}${preferred ? ` (preferring ${preferred.did || preferred.address})` : ''}`);
+    // Re-read: the schedule may have been paused while the job was posted
+    const posted = recordRun(store().getSchedule(schedule.scheduleId) || schedule, {
+      at: now,
+      status: 'posted',
+      jobId,
+      ...(preferred ? { preferredWorker: preferred.did || preferred.address } : {}),
+    });
+    store().saveSchedule(posted);
+    return posted;
+  } catch (error: any) {
+    console.error(`[ClientAgent] Schedule ${schedule.scheduleId} could not post its job:`, error.message);
+    const failed = recordRun(store().getSchedule(schedule.scheduleId) || schedule, { at: now, status: 'failed', reason: error.message });
+    store().saveSchedule(failed);
+    return failed;
+  }
+}
+
+/**
+ * Post the jobs of every active schedule that is due. Missed runs are not caught up: a due
+ * schedule posts once and moves on to its next time after now.
+ */
+async function runDueSchedules(now = Date.now()): Promise<void> {
+  if (scheduleSweepRunning) return;
+  scheduleSweepRunning = true;
+  try {
+    for (const schedule of store().listSchedules({ status: 'active' })) {
+      if (schedule.nextRunAt === null || schedule.nextRunAt > now) continue;
+      // Move nextRunAt on first, so a failing post is not retried every sweep
+      const due = { ...schedule, nextRunAt: nextCronRun(schedule.cron, now) };
+      store().saveSchedule(due);
+      await runSchedule(due, now);
+    }
+  } finally {
+    scheduleSweepRunning = false;
+  }
+}
+
+function startScheduleSweep(): void {
+  if (scheduleTimer) return;
+  const intervalMs = parseInt(process.env.CLIENT_SCHEDULE_INTERVAL_MS || '30000', 10);
+  scheduleTimer = setInterval(() => {
+    runDueSchedules().catch((error: any) => {
+      console.error('[ClientAgent] Schedule sweep failed:', error.message);
+    });
+  }, intervalMs);
+  scheduleTimer.unref();
+}
+
+/**
+ * A schedule with its template, jobs and the budget they hold
+ */
+function describeSchedule(schedule: JobSchedule): any {
+  const jobs = store().listJobs().filter((job) => job.scheduleId === schedule.scheduleId);
+  return {
+    schedule,
+    template: store().getTemplate(schedule.templateId),
+    committedHBAR: committedBudget(jobs).toString(),
+    previousWorker: previousWorker(schedule),
+    jobs: jobs.map(({ jobId, status, createdAt, assignedWorker, preferredWorker }) => ({ jobId, status, createdAt, assignedWorker, preferredWorker })),
+  };
+}
+
+/**
+ * POST /templates
+ * Save a job template: the fields of a POST /post-job body plus a name, with deadlineHours
+ * instead of a deadline
+ */
+app.post('/templates', requireAdminForAutoAccept, (req: Request, res: Response) => {
+  const body = req.body || {};
+  const problems = validateTemplate(body);
+  if (problems.length) {
+    return res.status(400).json({ error: 'Invalid template', problems });
+  }
+  const now = Date.now();
+  const template: JobTemplate = {
+    templateId: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(String(body.name || body.title) + now + Math.random())),
+    name: body.name || body.title,
+    title: body.title,
+    description: body.description,
+    budgetHBAR: body.budgetHBAR === undefined ? undefined : String(body.budgetHBAR),
+    requiredSkills: body.requiredSkills || [],
+    deadlineHours: body.deadlineHours ? Number(body.deadlineHours) : null,
+    ...(body.verificationType ? { verificationType: body.verificationType } : {}),
+    ...(body.selectionPolicy ? { selectionPolicy: body.selectionPolicy } : {}),
+    ...(body.visibility === 'private' ? { visibility: 'private' as const, invite: body.invite, teaser: body.teaser } : {}),
+    createdAt: now,
+  };
+  const invalid = jobRequestError({ ...materializeJobRequest(template, now), visibility: body.visibility });
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+  store().saveTemplate(template);
+  console.log(`[ClientAgent] 📋 Template "${template.name}" saved: ${template.templateId}`);
+  res.json({ ok: true, template: store().getTemplate(template.templateId) });
+});
+
+/**
+ * GET /templates
+ * List job templates
+ */
+app.get('/templates', (req: Request, res: Response) => {
+  const templates = store().listTemplates();
+  res.json({ count: templates.length, templates });
+});
+
+/**
+ * GET /templates/:id
+ * Get a job template with the schedules that use it
+ */
+app.get('/templates/:id', (req: Request, res: Response) => {
+  const template = store().getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({ template, schedules: store().listSchedules({ templateId: template.templateId }) });
+});
+
+/**
+ * DELETE /templates/:id
+ * Delete a job template no schedule uses
+ */
+app.delete('/templates/:id', (req: Request, res: Response) => {
+  const template = store().getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  const schedules = store().listSchedules({ templateId: template.templateId });
+  if (schedules.length) {
+    return res.status(409).json({ error: 'Template is used by schedules', schedules: schedules.map((schedule) => schedule.scheduleId) });
+  }
+  store().deleteTemplate(template.templateId);
+  res.json({ ok: true, templateId: template.templateId });
+});
+
+/**
+ * POST /templates/:id/post
+ * Post a job from a template now
+ */
+app.post('/templates/:id/post', async (req: Request, res: Response) => {
+  try {
+    const template = store().getTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const request = materializeJobRequest(template);
+    const invalid = jobRequestError(request);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    const { jobId, jobCID, invites } = await postJob(request, { templateId: template.templateId });
+    res.json({ ok: true, jobId, jobCID, templateId: template.templateId, message: 'Job posted from template', ...inviteSummary(invites) });
+  } catch (error: any) {
+    console.error('[ClientAgent] Error posting job from template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /schedules
+ * Post a template on a cron schedule ({ templateId, cron, preferPreviousWorker?, budgetCapHBAR? })
+ */
+app.post('/schedules', (req: Request, res: Response) => {
+  const body = req.body || {};
+  const problems = validateSchedule(body);
+  if (problems.length) {
+    return res.status(400).json({ error: 'Invalid schedule', problems });
+  }
+  if (!store().getTemplate(body.templateId)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  const now = Date.now();
+  const schedule: JobSchedule = {
+    scheduleId: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(body.templateId + body.cron + now + Math.random())),
+    templateId: body.templateId,
+    cron: body.cron,
+    status: 'active',
+    preferPreviousWorker: body.preferPreviousWorker === true,
+    ...(body.budgetCapHBAR !== undefined && body.budgetCapHBAR !== null ? { budgetCapHBAR: String(body.budgetCapHBAR) } : {}),
+    nextRunAt: nextCronRun(body.cron, now),
+    createdAt: now,
+    runs: [],
+  };
+  store().saveSchedule(schedule);
+  console.log(`[ClientAgent] 🗓️  Schedule ${schedule.scheduleId} (${schedule.cron}) created, next run ${new Date(schedule.nextRunAt!).toISOString()}`);
+  res.json({ ok: true, schedule: store().getSchedule(schedule.scheduleId) });
+});
+
+/**
+ * GET /schedules
+ * List schedules (?status=active|paused)
+ */
+app.get('/schedules', (req: Request, res: Response) => {
+  const schedules = store().listSchedules({ status: req.query.status ? String(req.query.status) : undefined });
+  res.json({ count: schedules.length, schedules });
+});
+
+/**
+ * GET /schedules/:id
+ * Get a schedule with its template, jobs, committed budget and preferred worker
+ */
+app.get('/schedules/:id', (req: Request, res: Response) => {
+  const schedule = store().getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(describeSchedule(schedule));
+});
+
+/**
+ * POST /schedules/:id/pause
+ * Stop posting jobs until resumed (optional `reason`)
+ */
+app.post('/schedules/:id/pause', (req: Request, res: Response) => {
+  const schedule = store().getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (schedule.status === 'paused') {
+    return res.status(409).json({ error: 'Schedule is already paused', status: schedule.status });
+  }
+  const paused: JobSchedule = { ...schedule, status: 'paused', nextRunAt: null, pausedAt: Date.now(), pausedReason: req.body?.reason };
+  store().saveSchedule(paused);
+  console.log(`[ClientAgent] ⏸️  Schedule ${schedule.scheduleId} paused${paused.pausedReason ? `: ${paused.pausedReason}` : ''}`);
+  res.json({ ok: true, schedule: store().getSchedule(schedule.scheduleId) });
+});
+
+/**
+ * POST /schedules/:id/resume
+ * Post jobs again, from the next time after now (runs missed while paused are not made up)
+ */
+app.post('/schedules/:id/resume', (req: Request, res: Response) => {
+  const schedule = store().getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (schedule.status === 'active') {
+    return res.status(409).json({ error: 'Schedule is not paused', status: schedule.status });
+  }
+  const { pausedAt, pausedReason, ...rest } = schedule;
+  const resumed: JobSchedule = { ...rest, status: 'active', nextRunAt: nextCronRun(schedule.cron, Date.now()) };
+  store().saveSchedule(resumed);
+  console.log(`[ClientAgent] ▶️  Schedule ${schedule.scheduleId} resumed, next run ${new Date(resumed.nextRunAt!).toISOString()}`);
+  res.json({ ok: true, schedule: store().getSchedule(schedule.scheduleId) });
+});
+
+/**
+ * POST /schedules/:id/run
+ * Post the next job of a schedule now (the budget cap still applies, the cron times do not move)
+ */
+app.post('/schedules/:id/run', async (req: Request, res: Response) => {
+  try {
+    const schedule = store().getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const updated = await runSchedule(schedule);
+    const run = updated.runs[updated.runs.length - 1];
+    res.status(run.status === 'posted' ? 200 : 409).json({ ok: run.status === 'posted', run, schedule: updated });
+  } catch (error: any) {
+    console.error('[ClientAgent] Error running schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
+/**
+ * DELETE /schedules/:id
+ * Delete a schedule (jobs it already posted are kept)
+ */
+app.delete('/schedules/:id', (req: Request, res: Response) => {
+  if (!store().deleteSchedule(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json({ ok: true, scheduleId: req.params.id });
+});
+
+/**
+ * Amount (wei) to fund for an accepted offer: its price, capped at the job's budget
+ */
+function escrowAmount(job: Job, offer?: Offer | null): string {
+  const budget = String(job.budgetHBAR);
+  const price = String(offer?.price ?? offer?.priceHBAR ?? '');
+  if (!/^\d+$/.test(price)) return budget;
+  return comparePrices(price, budget) > 0 ? budget : price;
+}
+
+/**
+ * Accept an offer for a job: create and fund its escrow with the offer's price, move the job
+ * to assigned (funded when the escrow is on-chain) and tell the worker. Callers check the job
+ * and offer first.
+ */
+async function acceptOffer(job: Job, offerId: string, workerAddress: string, details: TransitionDetails) {
+  const jobId = job.jobId!;
+  const amount = escrowAmount(job, store().getOffers(jobId).find((offer) => offer.offerId === offerId));
+  
+  // STEP 4: Auto-Setup Escrow - ClientAgent creates and funds escrow directly
+  // Generate escrow ID
+  const escrowId = ethers.utils.keccak256(
+    ethers.utils.toUtf8Bytes(jobId + offerId + Date.now())
+  );
+  
+  // Create and fund escrow on-chain using ClientAgent's wallet
+  let escrowCreated = false;
+  let actualEscrowId = escrowId; // Use generated ID as default
+  let createTx: ethers.ContractTransaction | undefined;
+  let fundTx: ethers.ContractTransaction | undefined;
+  const account = process.env.CLIENT_ADDRESS || process.env.HEDERA_ACCOUNT_ID || 'unknown';
+  
+  try {
+    if (process.env.ESCROW_MANAGER_ADDRESS) {
+      const amountWei = ethers.BigNumber.from(amount);
+      const escrowAbi = [
+        'function createEscrow(bytes32 escrowId, address payable freelancer)',
+        'function fundEscrow(bytes32 escrowId) payable',
+        'event EscrowCreated(bytes32 indexed escrowId, address indexed client, address indexed freelancer, uint256 amount)',
+        'event EscrowFunded(bytes32 indexed escrowId, uint256 amount)',
+      ];
+      const escrowManager = getContract(process.env.ESCROW_MANAGER_ADDRESS, escrowAbi);
+      
+      console.log(`[ClientAgent] Creating escrow ${escrowId}...`);
+      
+      // Step 1: Create escrow
+      createTx = await escrowManager.createEscrow(escrowId, workerAddress, {
+        gasLimit: 200000
+      }) as ethers.ContractTransaction;
+      const createReceipt = await createTx.wait();
+      console.log(`[ClientAgent] Escrow created, funding with ${ethers.utils.formatEther(amountWei)} HBAR...`);
+      
+      // Step 2: Fund escrow
+      fundTx = await escrowManager.fundEscrow(escrowId, {
+        value: amountWei,
+        gasLimit: 200000
+      }) as ethers.ContractTransaction;
+      const fundReceipt = await fundTx.wait();
+      
+      // Check for funding event
+      const fundedEvent = fundReceipt.events?.find((e: any) => e.event === 'EscrowFunded');
+      if (fundedEvent) {
+        console.log(`[ClientAgent] ✅ Escrow created and funded: ${escrowId}`);
+        console.log(`[ClientAgent] 📝 Create Transaction: ${createTx.hash}`);
+        console.log(`[ClientAgent] 💰 Fund Transaction: ${fundTx.hash}`);
+        console.log(`[ClientAgent] 🔗 View on HashScan: https://hashscan.io/testnet/transaction/${fundTx.hash}`);
+        escrowCreated = true;
+        actualEscrowId = escrowId; // Use the ID we generated
+      } else {
+        console.warn('[ClientAgent] Escrow funded but no event found');
+        console.log(`[ClientAgent] 📝 Create Transaction: ${createTx.hash}`);
+        console.log(`[ClientAgent] 💰 Fund Transaction: ${fundTx.hash}`);
+        console.log(`[ClientAgent] 🔗 View on HashScan: https://hashscan.io/testnet/transaction/${fundTx.hash}`);
+        escrowCreated = true;
+      }
+      
+      // Notify EscrowAgent via A2A for tracking (target EscrowAgent only)
+      const amountHBAR = parseFloat(amount) / 1e18;
+      const escrowNotification: any = {
+        type: 'escrow.created',
+        escrowId: actualEscrowId.toString(),
+        jobId,
+        client: account,
+        worker: workerAddress,
+        amount: amountHBAR.toFixed(18), // Use fixed decimal format, not scientific notation
+        autoRelease: true,
+        onChainTx: fundTx.hash,
+        createTxHash: createTx.hash,
+        fundTxHash: fundTx.hash,
+        fromDid: process.env.AGENT_DID,
+        timestamp: Date.now(),
+        to: process.env.ESCROW_AGENT_ACCOUNT_ID, // Target EscrowAgent only
+      };
+      try {
+        const signer = getAgentSigner();
+        if (signer) {
+          escrowNotification.signature = await signer.sign(escrowNotification);
+        }
+      } catch (signError: any) {
+        console.warn('[ClientAgent] Could not sign escrow notification:', signError.message);
+      }
+      await sendA2A('aexowork.escrow.created', escrowNotification);
+      console.log(`[ClientAgent] 📤 Escrow notification sent to EscrowAgent (${process.env.ESCROW_AGENT_ACCOUNT_ID || 'broadcast'})`);
+    } else {
+      console.warn('[ClientAgent] ESCROW_MANAGER_ADDRESS not set, skipping on-chain escrow');
+    }
+  } catch (escrowError: any) {
+    console.error('[ClientAgent] Error creating/funding escrow:', escrowError.message);
+    // Continue with off-chain escrow ID for A2A messaging
+  }
+  
+  // Update job status
+  job.assignedWorker = workerAddress;
+  job.acceptedPriceHBAR = amount;
+  job.escrowId = actualEscrowId.toString(); // Use actual escrow ID
+  job = transitionJob(store(), job, 'assigned', { ...details, data: { ...details.data, offerId, workerAddress, amount } });
+  if (escrowCreated) {
+    job = transitionJob(store(), job, 'funded', { actor: 'client', reason: 'escrow funded', data: { escrowId: job.escrowId, fundTxHash: fundTx?.hash } });
+  }
+  store().saveEscrow({
+    escrowId: job.escrowId,
+    jobId,
+    worker: workerAddress,
+    client: account,
+    amount,
+    status: escrowCreated ? 'funded' : 'created',
+    createTxHash: createTx?.hash,
+    fundTxHash: fundTx?.hash,
+  });
+  
+  // Notify worker via A2A (target WorkerAgent only)
+  const message: any = {
+    type: 'OfferAccepted',
+    jobId,
+    offerId,
+    escrowId: actualEscrowId.toString(), // Use actual escrow ID
+    fromDid: process.env.AGENT_DID,
+    timestamp: Date.now(),
+    to: process.env.WORKER_AGENT_ACCOUNT_ID, // Target WorkerAgent only
+  };
+  try {
+    const signer = getAgentSigner();
+    if (signer) {
+      message.signature = await signer.sign(message);
+    }
+  } catch (signError: any) {
+    console.warn('[ClientAgent] Could not sign message:', signError.message);
+  }
+  await sendA2A('aexowork.offers.accepted', message);
+  console.log(`[ClientAgent] 📤 OfferAccepted sent to WorkerAgent (${process.env.WORKER_AGENT_ACCOUNT_ID || 'broadcast'})`);
+  
+  console.log(`[ClientAgent] Offer accepted for job ${jobId}, escrow ${escrowId}`);
+  
+  return {
+    ok: true,
+    escrowId: actualEscrowId.toString(),
+    amount,
+    message: escrowCreated ? 'Offer accepted, escrow created and funded' : 'Offer accepted, escrow created (funding pending)',
+    escrowCreated,
+    createTxHash: escrowCreated && process.env.ESCROW_MANAGER_ADDRESS && createTx ? createTx.hash : null,
+    fundTxHash: escrowCreated && process.env.ESCROW_MANAGER_ADDRESS && fundTx ? fundTx.hash : null,
+    hashScanUrl: escrowCreated && process.env.ESCROW_MANAGER_ADDRESS && fundTx ? `https://hashscan.io/testnet/transaction/${fundTx.hash}` : null,
+  };
+}
+
+/**
+ * Accept the best offer for a job when its auto-accept policy says so
+ */
+async function autoAcceptIfReady(jobId: string): Promise<void> {
+  if (autoAcceptInFlight.has(jobId)) return;
+  const job = store().getJob(jobId);
+  if (!job || job.status !== 'offered' || (!policyFor(job).autoAccept.enabled && !job.preferredWorker)) return;
+
+  autoAcceptInFlight.add(jobId);
+  try {
+    if ((await openNegotiations(jobId)).length > 0) return; // Decide once the prices are settled
+    const policy = policyFor(job);
+    const ranked = await rankOffers(job, store().getOffers(jobId), policy);
+    const decision = shouldAutoAccept(job, ranked, policy);
+    // Re-read: the job may have been accepted by hand while reputations were fetched
+    const current = store().getJob(jobId);
+    if (!decision.accept || !decision.offer || current?.status !== 'offered') return;
+
+    const { offer, score, explanation } = decision.offer;
+    console.log(`[ClientAgent] 🤖 Auto-accepting offer ${offer.offerId} for job ${jobId} (${decision.reason}): ${explanation}`);
+    await acceptOffer(current, offer.offerId!, offer.workerAddress!, {
+      actor: 'auto-accept',
+      reason: `auto-accepted: ${decision.reason}`,
+      data: { score, explanation },
+    });
+  } catch (error: any) {
+    console.error(`[ClientAgent] Auto-accept failed for job ${jobId}:`, error.message);
+  } finally {
+    autoAcceptInFlight.delete(jobId);
+  }
+}
+
+/**
+ * Check jobs waiting on offers periodically, for the time-based auto-accept trigger
+ */
+function startAutoAcceptSweep(): void {
+  if (autoAcceptTimer) return;
+  const intervalMs = parseInt(process.env.CLIENT_AUTO_ACCEPT_INTERVAL_MS || '30000', 10);
+  autoAcceptTimer = setInterval(() => {
+    for (const job of store().listJobs({ status: 'offered' })) {
+      autoAcceptIfReady(job.jobId!).catch(() => { /* logged in autoAcceptIfReady */ });
+    }
+  }, intervalMs);
+  autoAcceptTimer.unref();
+}
+
+/**
+ * When a job without an accepted offer expires: its deadline, or CLIENT_JOB_TTL_HOURS after
+ * posting when it has none (no expiry when neither is set)
+ */
+function openJobExpiry(job: Job): number | null {
+  const deadline = deadlineMs(job.deadline);
+  if (deadline !== null) return deadline;
+  const ttlHours = parseFloat(process.env.CLIENT_JOB_TTL_HOURS || '0');
+  return ttlHours > 0 ? job.createdAt + ttlHours * 3600e3 : null;
+}
+
+/**
+ * Expire a job that got no accepted offer in time
+ */
+async function expireJob(job: Job): Promise<void> {
+  const expired = advanceJob(job, 'expired', { actor: 'scheduler', reason: 'no offer accepted before the deadline' });
+  if (expired.status !== 'expired') return;
+  await rejectNegotiations(job.jobId!, 'job expired');
+  await closeOnMarketplace(job.jobId!);
+  await broadcastJobChange({ type: 'JobCancelled', jobId: job.jobId, reason: 'expired', status: 'expired' });
+  console.log(`[ClientAgent] ⌛ Job ${job.jobId} expired without an accepted offer`);
+}
+
+/**
+ * Refund the escrow of a funded job whose deadline passed without a delivery. The contract
+ * only refunds escrows that are still Funded, so a delivery submitted on-chain wins.
+ */
+async function refundOverdueEscrow(job: Job): Promise<void> {
+  if (!process.env.ESCROW_MANAGER_ADDRESS) {
+    console.warn(`[ClientAgent] ⚠️  Job ${job.jobId} is overdue but ESCROW_MANAGER_ADDRESS is not set, cannot refund`);
+    return;
+  }
+  const escrowManager = getContract(process.env.ESCROW_MANAGER_ADDRESS, ['function refundClient(bytes32 escrowId)']);
+  const tx = await escrowManager.refundClient(job.escrowId, { gasLimit: 200000 });
+  await tx.wait();
+  console.log(`[ClientAgent] 💸 Escrow ${job.escrowId} refunded, job ${job.jobId} was not delivered by its deadline (tx ${tx.hash})`);
+  
+  store().saveEscrow({ escrowId: job.escrowId!, jobId: job.jobId, status: 'refunded', refundTxHash: tx.hash });
+  advanceJob(job, 'refunded', { actor: 'scheduler', reason: 'deadline passed without delivery', data: { escrowId: job.escrowId, txHash: tx.hash } });
+  await broadcastJobChange({ type: 'JobCancelled', jobId: job.jobId, reason: 'deadline passed without delivery', status: 'refunded', escrowId: job.escrowId });
+}
+
+/**
+ * Expire open jobs and refund overdue funded ones
+ */
+async function sweepExpiredJobs(now = Date.now()): Promise<void> {
+  if (expirySweepRunning) return;
+  expirySweepRunning = true;
+  try {
+    for (const job of [...store().listJobs({ status: 'open' }), ...store().listJobs({ status: 'offered' })]) {
+      const expiresAt = openJobExpiry(job);
+      if (expiresAt !== null && now > expiresAt && !autoAcceptInFlight.has(job.jobId!)) {
+        await expireJob(job);
+      }
+    }
+    for (const job of store().listJobs({ status: 'funded' })) {
+      const deadline = deadlineMs(job.deadline);
+      if (deadline === null || now <= deadline || !job.escrowId || job.deliveryCID || store().getReceipts(job.jobId).length) continue;
+      await refundOverdueEscrow(job).catch((error: any) => {
+        console.error(`[ClientAgent] Refund failed for escrow ${job.escrowId} (retrying next sweep):`, error.message);
+      });
+    }
+  } finally {
+    expirySweepRunning = false;
+  }
+}
+
+function startExpirySweep(): void {
+  if (expiryTimer) return;
+  const intervalMs = parseInt(process.env.CLIENT_EXPIRY_INTERVAL_MS || '60000', 10);
+  expiryTimer = setInterval(() => {
+    sweepExpiredJobs().catch((error: any) => {
+      console.error('[ClientAgent] Expiry sweep failed:', error.message);
+    });
+  }, intervalMs);
+  expiryTimer.unref();
+}
+
 /**
  * POST /accept-offer
  * Accept a worker's offer and create escrow
@@ -362,138 +1626,19 @@ app.post('/accept-offer', async (req: Request, res: Response) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    const job = activeJobs.get(jobId);
+    const job = store().getJob(jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
-    
-    // STEP 4: Auto-Setup Escrow - ClientAgent creates and funds escrow directly
-    // Generate escrow ID
-    const escrowId = ethers.utils.keccak256(
-      ethers.utils.toUtf8Bytes(jobId + offerId + Date.now())
-    );
-    
-    // Create and fund escrow on-chain using ClientAgent's wallet
-    let escrowCreated = false;
-    let actualEscrowId = escrowId; // Use generated ID as default
-    let createTx: ethers.ContractTransaction | undefined;
-    let fundTx: ethers.ContractTransaction | undefined;
-    const account = process.env.CLIENT_ADDRESS || process.env.HEDERA_ACCOUNT_ID || 'unknown';
-    
-    try {
-      if (process.env.ESCROW_MANAGER_ADDRESS) {
-        const amountWei = ethers.BigNumber.from(job.budgetHBAR); // Already in wei format
-        const escrowAbi = [
-          'function createEscrow(bytes32 escrowId, address payable freelancer)',
-          'function fundEscrow(bytes32 escrowId) payable',
-          'event EscrowCreated(bytes32 indexed escrowId, address indexed client, address indexed freelancer, uint256 amount)',
-          'event EscrowFunded(bytes32 indexed escrowId, uint256 amount)',
-        ];
-        const escrowManager = getContract(process.env.ESCROW_MANAGER_ADDRESS, escrowAbi);
-        
-        console.log(`[ClientAgent] Creating escrow ${escrowId}...`);
-        
-        // Step 1: Create escrow
-        createTx = await escrowManager.createEscrow(escrowId, workerAddress, {
-          gasLimit: 200000
-        }) as ethers.ContractTransaction;
-        const createReceipt = await createTx.wait();
-        console.log(`[ClientAgent] Escrow created, funding with ${ethers.utils.formatEther(amountWei)} HBAR...`);
-        
-        // Step 2: Fund escrow
-        fundTx = await escrowManager.fundEscrow(escrowId, {
-          value: amountWei,
-          gasLimit: 200000
-        }) as ethers.ContractTransaction;
-        const fundReceipt = await fundTx.wait();
-        
-        // Check for funding event
-        const fundedEvent = fundReceipt.events?.find((e: any) => e.event === 'EscrowFunded');
-        if (fundedEvent) {
-          console.log(`[ClientAgent] ✅ Escrow created and funded: ${escrowId}`);
-          console.log(`[ClientAgent] 📝 Create Transaction: ${createTx.hash}`);
-          console.log(`[ClientAgent] 💰 Fund Transaction: ${fundTx.hash}`);
-          console.log(`[ClientAgent] 🔗 View on HashScan: https://hashscan.io/testnet/transaction/${fundTx.hash}`);
-          escrowCreated = true;
-          actualEscrowId = escrowId; // Use the ID we generated
-        } else {
-          console.warn('[ClientAgent] Escrow funded but no event found');
-          console.log(`[ClientAgent] 📝 Create Transaction: ${createTx.hash}`);
-          console.log(`[ClientAgent] 💰 Fund Transaction: ${fundTx.hash}`);
-          console.log(`[ClientAgent] 🔗 View on HashScan: https://hashscan.io/testnet/transaction/${fundTx.hash}`);
-          escrowCreated = true;
-        }
-        
-        // Notify EscrowAgent via A2A for tracking (target EscrowAgent only)
-        const amountHBAR = parseFloat(job.budgetHBAR) / 1e18;
-        const escrowNotification: any = {
-          type: 'escrow.created',
-          escrowId: actualEscrowId.toString(),
-          jobId,
-          client: account,
-          worker: workerAddress,
-          amount: amountHBAR.toFixed(18), // Use fixed decimal format, not scientific notation
-          autoRelease: true,
-          onChainTx: fundTx.hash,
-          createTxHash: createTx.hash,
-          fundTxHash: fundTx.hash,
-          timestamp: Date.now(),
-          to: process.env.ESCROW_AGENT_ACCOUNT_ID, // Target EscrowAgent only
-        };
-        try {
-          if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-            escrowNotification.signature = signJSON(escrowNotification, process.env.AGENT_PRIVATE_KEY_BASE64);
-          }
-        } catch (signError: any) {
-          console.warn('[ClientAgent] Could not sign escrow notification:', signError.message);
-        }
-        await sendA2A('aexowork.escrow.created', escrowNotification);
-        console.log(`[ClientAgent] 📤 Escrow notification sent to EscrowAgent (${process.env.ESCROW_AGENT_ACCOUNT_ID || 'broadcast'})`);
-      } else {
-        console.warn('[ClientAgent] ESCROW_MANAGER_ADDRESS not set, skipping on-chain escrow');
-      }
-    } catch (escrowError: any) {
-      console.error('[ClientAgent] Error creating/funding escrow:', escrowError.message);
-      // Continue with off-chain escrow ID for A2A messaging
+    if (!canTransition(job.status, 'assigned')) {
+      return res.status(409).json({ error: `Cannot accept an offer for a job that is ${job.status}`, status: job.status });
     }
-    
-    // Update job status
-    job.status = 'assigned';
-    job.assignedWorker = workerAddress;
-    job.escrowId = actualEscrowId.toString(); // Use actual escrow ID
-    activeJobs.set(jobId, job);
-    
-    // Notify worker via A2A (target WorkerAgent only)
-    const message: any = {
-      type: 'OfferAccepted',
-      jobId,
-      offerId,
-      escrowId: actualEscrowId.toString(), // Use actual escrow ID
-      fromDid: process.env.AGENT_DID,
-      timestamp: Date.now(),
-      to: process.env.WORKER_AGENT_ACCOUNT_ID, // Target WorkerAgent only
-    };
-    try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        message.signature = signJSON(message, process.env.AGENT_PRIVATE_KEY_BASE64);
-      }
-    } catch (signError: any) {
-      console.warn('[ClientAgent] Could not sign message:', signError.message);
+    if (!store().getOffers(jobId).some((offer) => offer.offerId === offerId)) {
+      return res.status(404).json({ error: 'Offer not found' });
     }
-    await sendA2A('aexowork.offers.accepted', message);
-    console.log(`[ClientAgent] 📤 OfferAccepted sent to WorkerAgent (${process.env.WORKER_AGENT_ACCOUNT_ID || 'broadcast'})`);
-    
-    console.log(`[ClientAgent] Offer accepted for job ${jobId}, escrow ${escrowId}`);
     
-    res.json({
-      ok: true,
-      escrowId: actualEscrowId.toString(),
-      message: escrowCreated ? 'Offer accepted, escrow created and funded' : 'Offer accepted, escrow created (funding pending)',
-      escrowCreated,
-      createTxHash: escrowCreated && process.env.ESCROW_MANAGER_ADDRESS && createTx ? createTx.hash : null,
-      fundTxHash: escrowCreated && process.env.ESCROW_MANAGER_ADDRESS && fundTx ? fundTx.hash : null,
-      hashScanUrl: escrowCreated && process.env.ESCROW_MANAGER_ADDRESS && fundTx ? `https://hashscan.io/testnet/transaction/${fundTx.hash}` : null,
-    });
+    const result = await acceptOffer(job, offerId, workerAddress, { actor: 'client', reason: 'offer accepted' });
+    res.json(result);
   } catch (error: any) {
     console.error('[ClientAgent] Error accepting offer:', error);
     res.status(500).json({ error: error.message });
@@ -513,7 +1658,13 @@ app.post('/approve-work', async (req: Request, res: Response) => {
     }
     
     // Find job by escrowId to get worker address
-    const job = Array.from(activeJobs.values()).find(j => j.escrowId === escrowId || j.escrowId === escrowId.toString());
+    const job = store().findJobByEscrowId(escrowId.toString());
+    if (!job) {
+      return res.status(404).json({ error: 'No job found for this escrow' });
+    }
+    if (!canTransition(job.status, 'approved')) {
+      return res.status(409).json({ error: `Cannot approve work for a job that is ${job.status}`, status: job.status });
+    }
     const workerAddress = providedWorkerAddress || job?.assignedWorker || 'unknown';
     
     if (workerAddress === 'unknown') {
@@ -527,6 +1678,8 @@ app.post('/approve-work', async (req: Request, res: Response) => {
     const receipt = await tx.wait();
     
     console.log(`[ClientAgent] ✅ Work approved on-chain, transaction: ${tx.hash}`);
+    store().saveEscrow({ escrowId: escrowId.toString(), jobId: job.jobId, status: 'released', releaseTxHash: tx.hash });
+    transitionJob(store(), job, 'approved', { actor: 'client', reason: 'work approved', data: { txHash: tx.hash } });
     
     const account = process.env.CLIENT_ADDRESS || process.env.HEDERA_ACCOUNT_ID || 'unknown';
     
@@ -537,12 +1690,14 @@ app.post('/approve-work', async (req: Request, res: Response) => {
       worker: workerAddress,
       client: process.env.CLIENT_ADDRESS || account, // Use Ethereum address
       txHash: tx.hash,
+      fromDid: process.env.AGENT_DID,
       timestamp: Date.now(),
       to: process.env.ESCROW_AGENT_ACCOUNT_ID, // Target EscrowAgent only
     };
     try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        escrowReleaseNotification.signature = signJSON(escrowReleaseNotification, process.env.AGENT_PRIVATE_KEY_BASE64);
+      const signer = getAgentSigner();
+      if (signer) {
+        escrowReleaseNotification.signature = await signer.sign(escrowReleaseNotification);
       }
     } catch (signError: any) {
       console.warn('[ClientAgent] Could not sign escrow release notification:', signError.message);
@@ -563,18 +1718,20 @@ app.post('/approve-work', async (req: Request, res: Response) => {
         client: 3, // +3 for fair dealing
         verification: job?.verificationPassed ? 1 : 0 // +1 for correct validation (if verification passed)
       },
+      fromDid: process.env.AGENT_DID,
       timestamp: Date.now(),
+      to: process.env.REPUTE_AGENT_ACCOUNT_ID, // Target ReputeAgent only (set before signing)
     };
     try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        reputationUpdate.signature = signJSON(reputationUpdate, process.env.AGENT_PRIVATE_KEY_BASE64);
+      const signer = getAgentSigner();
+      if (signer) {
+        reputationUpdate.signature = await signer.sign(reputationUpdate);
       }
     } catch (signError: any) {
       console.warn('[ClientAgent] Could not sign reputation update:', signError.message);
     }
     
     // Send reputation update to ReputeAgent via A2A (target ReputeAgent only)
-    reputationUpdate.to = process.env.REPUTE_AGENT_ACCOUNT_ID; // Target ReputeAgent only
     
     console.log(`[ClientAgent] 📤 Sending reputation update to ReputeAgent...`);
     console.log(`[ClientAgent]    Target: ${process.env.REPUTE_AGENT_ACCOUNT_ID || 'broadcast'}`);
@@ -606,12 +1763,12 @@ app.post('/approve-work', async (req: Request, res: Response) => {
 /**
  * Initialize ClientAgent
  */
-export async function init(): Promise<void> {
+export async function init(): Promise<Server> {
   try {
-    // Connect to A2A message bus FIRST (now uses HCS-10)
-    console.log('[ClientAgent] Initializing HCS-10 connection...');
+    // Connect to A2A message bus FIRST (HCS-10 unless A2A_TRANSPORT says otherwise)
+    console.log('[ClientAgent] Initializing A2A connection...');
     await initA2A(undefined, { agentName: 'ClientAgent' });
-    console.log('[ClientAgent] HCS-10 connection established');
+    console.log('[ClientAgent] A2A connection established');
     
     // Subscribe to offers (OfferMessage messages)
     subscribe('aexowork.offers', async (msg: any) => {
@@ -620,38 +1777,142 @@ export async function init(): Promise<void> {
       if (msg.type === 'Offer' || msg.type === 'OfferMessage') {
         console.log(`[ClientAgent] 📨 Received offer for job ${msg.jobId}`);
         
-        if (!receivedOffers.has(msg.jobId)) {
-          receivedOffers.set(msg.jobId, []);
+        const current = msg.jobId ? store().getJob(msg.jobId) : null;
+        if (!current) {
+          console.log(`[ClientAgent] ⏭️  Offer ${msg.offerId} ignored, job ${msg.jobId || '(none)'} is not one we posted`);
+          return;
+        }
+        if (isTerminal(current.status)) {
+          console.log(`[ClientAgent] ⏭️  Offer ${msg.offerId} ignored, job ${msg.jobId} is ${current.status}`);
+          return;
+        }
+        if (current.visibility === 'private') {
+          if (!(current.invited || []).some((invitee) => invitee.did === msg.fromDid)) {
+            console.log(`[ClientAgent] ⏭️  Offer ${msg.offerId} ignored, ${msg.fromDid || 'sender'} was not invited to private job ${msg.jobId}`);
+            return;
+          }
+          // fromDid is only a claim: the offer must be signed with a key of the invited DID
+          const verification = await verifyMessageFromDid(msg);
+          if (!verification.verified) {
+            console.log(`[ClientAgent] ⏭️  Offer ${msg.offerId} for private job ${msg.jobId} ignored: ${verification.reason}`);
+            return;
+          }
+        }
+        if (msg.jobRevision && msg.jobRevision < (current.revision || 1)) {
+          console.log(`[ClientAgent] ⏭️  Offer ${msg.offerId} ignored, it is for revision ${msg.jobRevision} of job ${msg.jobId}`);
+          return;
+        }
+        if (!store().addOffer(msg)) {
+          console.log(`[ClientAgent] ⏭️  Duplicate offer ${msg.offerId} for job ${msg.jobId} ignored`);
+          return;
+        }
+        console.log(`[ClientAgent] ✅ Offer stored for job ${msg.jobId} (total: ${store().getOffers(msg.jobId).length})`);
+        const job = store().getJob(msg.jobId);
+        if (job?.status === 'open') {
+          advanceJob(job, 'offered', { actor: msg.fromDid || msg.agentName || 'worker', data: { offerId: msg.offerId } });
+        }
+        if (job && msg.negotiable && process.env.CLIENT_AUTO_NEGOTIATE === 'true'
+          && comparePrices(String(msg.price ?? msg.priceHBAR), openingPrice(strategyFromEnv('client'), String(job.budgetHBAR))) > 0) {
+          await startNegotiation(job, msg).catch((error: any) => {
+            console.error(`[ClientAgent] Could not start negotiation for offer ${msg.offerId}:`, error.message);
+          });
         }
-        receivedOffers.get(msg.jobId)!.push(msg);
-        console.log(`[ClientAgent] ✅ Offer stored for job ${msg.jobId} (total: ${receivedOffers.get(msg.jobId)!.length})`);
+        await autoAcceptIfReady(msg.jobId);
       }
     });
     
+    // Counter-offers and answers from WorkerAgents we negotiate with
+    subscribe(NEGOTIATION_SUBJECT, async (msg: any) => {
+      await negotiator.handle(msg);
+    });
+    
     // Subscribe to verified deliveries from VerificationAgent (per user flow spec)
-    subscribe('aexowork.deliveries', async (msg: any) => {
+    subscribe('aexowork.deliveries', async (msg: any, metadata?: any) => {
       if (msg.type === 'DeliveryReceipt') {
+        const problem = await platformSenderProblem(msg, metadata, 'VerificationAgent', 'VERIFICATION_AGENT');
+        if (problem) {
+          console.warn(`[ClientAgent] 🚫 Ignoring DeliveryReceipt for escrow ${msg.escrowId}: ${problem}`);
+          return;
+        }
         console.log(`[ClientAgent] 📨 Received verified delivery from VerificationAgent for escrow ${msg.escrowId}`);
         console.log(`[ClientAgent]    Verification Score: ${msg.verificationScore || 'N/A'}`);
         console.log(`[ClientAgent]    Verification Passed: ${msg.verificationPassed || 'N/A'}`);
         console.log(`[ClientAgent]    Delivery CID: ${msg.deliveryCID}`);
         
         // Store delivery for client review
-        const job = Array.from(activeJobs.values()).find(j => j.jobId === msg.jobId);
+        const job = (msg.jobId && store().getJob(msg.jobId)) || (msg.escrowId && store().findJobByEscrowId(String(msg.escrowId)));
+        if (msg.escrowId && msg.deliveryCID) {
+          store().addReceipt({
+            escrowId: String(msg.escrowId),
+            jobId: job?.jobId || msg.jobId || null,
+            deliveryCID: msg.deliveryCID,
+            verificationScore: msg.verificationScore,
+            verificationPassed: msg.verificationPassed,
+            verificationCredential: msg.verificationCredential,
+            receivedAt: Date.now(),
+            message: msg,
+          });
+        }
         if (job) {
           job.deliveryCID = msg.deliveryCID;
           job.verificationScore = msg.verificationScore;
           job.verificationPassed = msg.verificationPassed;
           job.deliveryReceivedAt = Date.now();
-          activeJobs.set(msg.jobId, job);
-          console.log(`[ClientAgent] ✅ Delivery stored for job ${msg.jobId}, ready for client approval`);
+          store().saveJob(job);
+          const actor = msg.fromDid || msg.verifiedBy || 'VerificationAgent';
+          const delivered = advanceJob(job, 'delivered', { actor, data: { escrowId: msg.escrowId, deliveryCID: msg.deliveryCID } });
+          if (delivered.status === 'delivered' && msg.verificationPassed) {
+            advanceJob(delivered, 'verified', { actor, data: { verificationScore: msg.verificationScore } });
+          }
+          console.log(`[ClientAgent] ✅ Delivery stored for job ${job.jobId}, ready for client approval`);
         }
       }
     });
     
+    // Disputes move the job to disputed, their resolution to approved (worker) or refunded (client)
+    subscribe('aexowork.disputes', async (msg: any, metadata?: any) => {
+      if (msg.type !== 'dispute.created' || !msg.escrowId) return;
+      const problem = await platformSenderProblem(msg, metadata, 'DisputeAgent', 'DISPUTE_AGENT');
+      if (problem) {
+        console.warn(`[ClientAgent] 🚫 Ignoring dispute ${msg.disputeId} for escrow ${msg.escrowId}: ${problem}`);
+        return;
+      }
+      const job = store().findJobByEscrowId(String(msg.escrowId));
+      if (!job) return;
+      const disputed = advanceJob(job, 'disputed', { actor: msg.initiator || 'DisputeAgent', reason: msg.reason, data: { disputeId: msg.disputeId } });
+      if (disputed.status === 'disputed') {
+        store().saveJob({ ...disputed, disputeId: msg.disputeId });
+        store().saveEscrow({ escrowId: String(msg.escrowId), status: 'disputed' });
+      }
+    });
+    
+    subscribe('aexowork.resolution', async (msg: any, metadata?: any) => {
+      if (msg.type !== 'dispute.resolved') return;
+      const problem = await platformSenderProblem(msg, metadata, 'DisputeAgent', 'DISPUTE_AGENT');
+      if (problem) {
+        console.warn(`[ClientAgent] 🚫 Ignoring resolution of dispute ${msg.disputeId}: ${problem}`);
+        return;
+      }
+      const job = store().listJobs({ status: 'disputed' }).find(j => j.disputeId === msg.disputeId);
+      const outcome: JobState | null = msg.resolution === 'favor_worker' ? 'approved' : msg.resolution === 'favor_client' ? 'refunded' : null;
+      if (!job || !outcome) return;
+      advanceJob(job, outcome, { actor: 'DisputeAgent', reason: `dispute resolved: ${msg.resolution}`, data: { disputeId: msg.disputeId } });
+    });
+    
+    startAutoAcceptSweep();
+    startExpirySweep();
+    startScheduleSweep();
+    
+    // Catch up with jobs and escrows recorded on-chain while we were down (runs in the background)
+    const repository = store();
+    console.log(`[ClientAgent] 🗄️  ${repository.listJobs().length} job(s) loaded from the ${repository.backend} store`);
+    reconcileJobRepository(repository).catch((error: any) => {
+      console.warn('[ClientAgent] Startup reconciliation failed:', error.message);
+    });
+    
     // Start HTTP server
     const port = process.env.CLIENT_AGENT_PORT || 3001;
-    app.listen(port, () => {
+    return app.listen(port, () => {
       console.log(`[ClientAgent] Running on port ${port}`);
       console.log(`[ClientAgent] Ready to post jobs and send A2A messages`);
     });
@@ -7,9 +7,12 @@
 import 'dotenv/config';
 import express, { Request, Response, NextFunction } from 'express';
 import { ethers } from 'ethers';
-import { sendA2A, subscribe, init as initA2A } from '../lib/a2a';
+import { sendA2A, subscribe, handleRequests, init as initA2A } from '../lib/a2a';
+import { createA2AAdminRouter } from '../lib/a2a-admin';
+import { createJsonRpcRouter, jsonRpcErrorHandler } from '../lib/json-rpc';
 import OpenAI from 'openai';
 import { uploadJSON } from '../lib/ipfs';
+import { readSecret } from '../lib/keystore';
 
 const app = express();
 app.use(express.json());
@@ -25,6 +28,9 @@ app.use((req: Request, res: Response, next: NextFunction) => {
   next();
 });
 
+// A2A outbox / dead-letter admin endpoints
+app.use(createA2AAdminRouter());
+
 const PORT = parseInt(process.env.DATA_AGENT_PORT || '3006', 10);
 let hcs10Initialized = false;
 
@@ -125,8 +131,9 @@ const AGENT_CARD: AgentCard = {
 // Hedera connection
 const provider = new ethers.providers.JsonRpcProvider(process.env.HEDERA_JSON_RPC_RELAY || process.env.HEDERA_RPC_URL || 'https://testnet.hashio.io/api');
 let wallet: ethers.Wallet | null = null;
-if (process.env.HEDERA_PRIVATE_KEY || process.env.PRIVATE_KEY) {
-  wallet = new ethers.Wallet(process.env.HEDERA_PRIVATE_KEY || process.env.PRIVATE_KEY!, provider);
+const walletKey = readSecret('HEDERA_PRIVATE_KEY') || readSecret('PRIVATE_KEY');
+if (walletKey) {
+  wallet = new ethers.Wallet(walletKey, provider);
 } else {
   console.warn('[DataAgent] No private key found. Wallet operations will be limited.');
 }
@@ -184,13 +191,10 @@ async function initHCS10Connection(): Promise<void> {
     console.log('✅ Connected to HCS-10 network');
 
     // Subscribe to A2A channels using HCS-10
-    subscribe('aexowork.data.requests', async (data: any) => {
-      try {
-        console.log('[A2A] Data request received:', data.requester);
-        await handleDataRequest(data);
-      } catch (error: any) {
-        console.error('[A2A] Data request handling error:', error);
-      }
+    // Requests sent with requestA2A get the returned matches as their reply
+    handleRequests('aexowork.data.requests', async (data: any) => {
+      console.log('[A2A] Data request received:', data.requester || data.replyTo);
+      return await handleDataRequest(data);
     });
 
     subscribe('aexowork.data.purchases', async (data: any) => {
@@ -242,6 +246,15 @@ app.get('/agent-card', (req: Request, res: Response) => {
   res.json(AGENT_CARD);
 });
 
+// A2A Protocol: JSON-RPC 2.0 endpoint for the methods in AGENT_CARD
+app.use(createJsonRpcRouter(AGENT_CARD, {
+  'data.list': { http: 'GET', path: '/datasets' },
+  'data.purchase': { http: 'POST', path: '/purchase' },
+  'data.register': { http: 'POST', path: '/register-data' },
+  'data.access': { http: 'GET', path: '/access/:purchaseId' },
+}));
+app.use(jsonRpcErrorHandler);
+
 // Register dataset (A2A method: data.register)
 app.post(['/register-data', '/api/data/register'], async (req: Request, res: Response) => {
   try {
@@ -476,8 +489,9 @@ app.get(['/access/:purchaseId', '/api/data/access/:purchaseId'], (req: Request,
 });
 
 // A2A: Handle data request from another agent
-async function handleDataRequest(data: any): Promise<void> {
-  const { requester, requirements, maxPrice, from } = data;
+async function handleDataRequest(data: any): Promise<any> {
+  const { requester, requirements, from } = data;
+  const maxPrice = data.maxPrice ?? data.budget;
 
   // Find matching datasets
   const matches = Array.from(listings.values()).filter(l => {
@@ -490,6 +504,7 @@ async function handleDataRequest(data: any): Promise<void> {
     type: 'data.response',
     to: from || requester,
     agent: 'DataAgent',
+    jobId: data.jobId,
     matches: matches.map(m => ({
       listingId: m.id,
       name: m.name,
@@ -500,12 +515,19 @@ async function handleDataRequest(data: any): Promise<void> {
     timestamp: Date.now()
   };
 
-  // Reply to requester
+  console.log(`✅ Found ${matches.length} dataset matches for ${requester || from || data.replyTo}`);
+
+  // requestA2A callers get the response as their reply (see handleRequests)
+  if (data.correlationId) {
+    const { to, ...reply } = response;
+    return reply;
+  }
+
+  // Legacy requesters listen on aexowork.data.response
   if ((from || requester) && hcs10Initialized) {
     await sendA2A('aexowork.data.response', response);
   }
-
-  console.log(`✅ Sent ${matches.length} dataset matches to ${requester || from}`);
+  return undefined;
 }
 
 // Handle purchase confirmation
@@ -8,6 +8,9 @@ import 'dotenv/config';
 import express, { Request, Response, NextFunction } from 'express';
 import { ethers } from 'ethers';
 import { sendA2A, subscribe, init as initA2A } from '../lib/a2a';
+import { createA2AAdminRouter } from '../lib/a2a-admin';
+import { createJsonRpcRouter, jsonRpcErrorHandler, JsonRpcError, RPC_ERRORS } from '../lib/json-rpc';
+import { getAgentSigner, readSecret } from '../lib/keystore';
 
 const app = express();
 app.use(express.json());
@@ -23,6 +26,9 @@ app.use((req: Request, res: Response, next: NextFunction) => {
   next();
 });
 
+// A2A outbox / dead-letter admin endpoints
+app.use(createA2AAdminRouter());
+
 const PORT = parseInt(process.env.DISPUTE_AGENT_PORT || '3005', 10);
 let hcs10Initialized = false;
 
@@ -122,8 +128,9 @@ const AGENT_CARD: AgentCard = {
 // Hedera connection
 const provider = new ethers.providers.JsonRpcProvider(process.env.HEDERA_JSON_RPC_RELAY || process.env.HEDERA_RPC_URL || 'https://testnet.hashio.io/api');
 let wallet: ethers.Wallet | null = null;
-if (process.env.HEDERA_PRIVATE_KEY || process.env.PRIVATE_KEY) {
-  wallet = new ethers.Wallet(process.env.HEDERA_PRIVATE_KEY || process.env.PRIVATE_KEY!, provider);
+const walletKey = readSecret('HEDERA_PRIVATE_KEY') || readSecret('PRIVATE_KEY');
+if (walletKey) {
+  wallet = new ethers.Wallet(walletKey, provider);
 } else {
   console.warn('[DisputeAgent] No private key found. Wallet operations will be limited.');
 }
@@ -213,6 +220,19 @@ async function initContracts(): Promise<void> {
   }
 }
 
+/**
+ * Sign an outgoing A2A message with the agent signer, if one is configured
+ */
+async function signed(message: any): Promise<any> {
+  try {
+    const signer = getAgentSigner();
+    if (signer) message.signature = await signer.sign(message);
+  } catch (signError: any) {
+    console.warn('[DisputeAgent] Could not sign message:', signError.message);
+  }
+  return message;
+}
+
 async function initHCS10Connection(): Promise<void> {
   try {
     await initA2A(undefined, { agentName: 'DisputeAgent' });
@@ -281,6 +301,19 @@ app.get('/agent-card', (req: Request, res: Response) => {
   res.json(AGENT_CARD);
 });
 
+// A2A Protocol: JSON-RPC 2.0 endpoint for the methods in AGENT_CARD
+app.use(createJsonRpcRouter(AGENT_CARD, {
+  'dispute.create': { http: 'POST', path: '/create-dispute' },
+  'dispute.submit_evidence': { http: 'POST', path: '/submit-evidence' },
+  'dispute.vote': { http: 'POST', path: '/vote' },
+  'dispute.resolve': async ({ disputeId }) => {
+    if (!disputes.has(disputeId)) throw new JsonRpcError(RPC_ERRORS.SERVER_ERROR, 'Dispute not found');
+    const resolution = await autoResolveDispute(disputeId);
+    return { disputeId, resolution: resolution || null, dispute: disputes.get(disputeId) };
+  },
+}));
+app.use(jsonRpcErrorHandler);
+
 // Create dispute (A2A method: dispute.create)
 app.post(['/create-dispute', '/api/dispute/create'], async (req: Request, res: Response) => {
   try {
@@ -335,15 +368,17 @@ app.post(['/create-dispute', '/api/dispute/create'], async (req: Request, res: R
 
     // A2A: Broadcast dispute creation
     if (hcs10Initialized) {
-      await sendA2A('aexowork.disputes', {
+      await sendA2A('aexowork.disputes', await signed({
         type: 'dispute.created',
         disputeId,
         escrowId,
         initiator,
         defendant,
         reason,
-        evidenceDeadline: dispute.evidenceDeadline
-      });
+        evidenceDeadline: dispute.evidenceDeadline,
+        fromDid: process.env.AGENT_DID,
+        timestamp: Date.now()
+      }));
     }
 
     console.log(`✅ Dispute created: ${disputeId}`);
@@ -394,12 +429,13 @@ app.post(['/submit-evidence', '/api/dispute/evidence'], async (req: Request, res
 
     // A2A: Broadcast evidence submission
     if (hcs10Initialized) {
-      await sendA2A('aexowork.evidence', {
+      await sendA2A('aexowork.evidence', await signed({
         type: 'evidence.submitted',
         disputeId,
         submitter,
+        fromDid: process.env.AGENT_DID,
         timestamp: Date.now()
-      });
+      }));
     }
 
     console.log(`✅ Evidence submitted for dispute: ${disputeId}`);
@@ -571,12 +607,13 @@ async function autoResolveDispute(disputeId: string): Promise<string | undefined
 
     // A2A: Broadcast resolution
     if (hcs10Initialized) {
-      await sendA2A('aexowork.resolution', {
+      await sendA2A('aexowork.resolution', await signed({
         type: 'dispute.resolved',
         disputeId,
         resolution,
+        fromDid: process.env.AGENT_DID,
         timestamp: Date.now()
-      });
+      }));
     }
 
     return resolution;
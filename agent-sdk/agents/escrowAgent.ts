@@ -6,7 +6,15 @@
 
 import express, { Request, Response, NextFunction } from 'express';
 import { ethers } from 'ethers';
-import { sendA2A, subscribe, init as initA2A } from '../lib/a2a';
+import { sendA2A, subscribe, handleRequests, init as initA2A } from '../lib/a2a';
+import { createA2AAdminRouter } from '../lib/a2a-admin';
+import { createJsonRpcRouter, jsonRpcErrorHandler, callRoute, JsonRpcError, RPC_ERRORS } from '../lib/json-rpc';
+import { downloadJSON } from '../lib/ipfs';
+import { getAgentSigner, readSecret } from '../lib/keystore';
+import { verifyJSON } from '../lib/signer';
+import { resolvePublicKey } from '../lib/directory';
+import { verifyDidSignature } from '../lib/did-resolver';
+import { Server } from 'http';
 import 'dotenv/config';
 
 const app = express();
@@ -23,6 +31,9 @@ app.use((req: Request, res: Response, next: NextFunction) => {
   next();
 });
 
+// A2A outbox / dead-letter admin endpoints
+app.use(createA2AAdminRouter());
+
 const PORT = parseInt(process.env.ESCROW_AGENT_PORT || '3007', 10);
 let hcs10Initialized = false;
 
@@ -108,7 +119,7 @@ const AGENT_CARD: AgentCard = {
       description: 'Automatically release funds based on verification',
       params: {
         escrowId: 'string',
-        verificationProof: 'string'
+        verificationProof: 'string (VerificationAttestation signed by the VerificationAgent, JSON or IPFS CID)'
       }
     },
     'escrow.milestone.complete': {
@@ -127,8 +138,9 @@ const AGENT_CARD: AgentCard = {
 // Hedera connection
 const provider = new ethers.providers.JsonRpcProvider(process.env.HEDERA_JSON_RPC_RELAY || process.env.HEDERA_RPC_URL || 'https://testnet.hashio.io/api');
 let wallet: ethers.Wallet | null = null;
-if (process.env.HEDERA_PRIVATE_KEY || process.env.PRIVATE_KEY) {
-  wallet = new ethers.Wallet(process.env.HEDERA_PRIVATE_KEY || process.env.PRIVATE_KEY!, provider);
+const walletKey = readSecret('HEDERA_PRIVATE_KEY') || readSecret('PRIVATE_KEY');
+if (walletKey) {
+  wallet = new ethers.Wallet(walletKey, provider);
 } else {
   console.warn('[EscrowAgent] No private key found. Wallet operations will be limited.');
 }
@@ -206,6 +218,19 @@ async function initContracts(): Promise<void> {
   }
 }
 
+/**
+ * Sign an outgoing A2A message with the agent signer, if one is configured
+ */
+async function signed(message: any): Promise<any> {
+  try {
+    const signer = getAgentSigner();
+    if (signer) message.signature = await signer.sign(message);
+  } catch (signError: any) {
+    console.warn('[EscrowAgent] Could not sign message:', signError.message);
+  }
+  return message;
+}
+
 async function initHCS10Connection(): Promise<void> {
   try {
     await initA2A(undefined, { agentName: 'EscrowAgent' });
@@ -213,13 +238,10 @@ async function initHCS10Connection(): Promise<void> {
     console.log('✅ Connected to HCS-10 network');
 
     // Subscribe to A2A channels using HCS-10
-    subscribe('aexowork.escrow.requests', async (data: any) => {
-      try {
-        console.log('[A2A] Escrow request received:', data.jobId);
-        await handleEscrowRequest(data);
-      } catch (error: any) {
-        console.error('[A2A] Escrow request handling error:', error);
-      }
+    // Requests sent with requestA2A get the created escrow (or the error) as their reply
+    handleRequests('aexowork.escrow.requests', async (data: any) => {
+      console.log('[A2A] Escrow request received:', data.jobId);
+      return await handleEscrowRequest(data);
     });
 
     subscribe('aexowork.escrow.created', async (data: any) => {
@@ -345,6 +367,69 @@ app.get('/agent-card', (req: Request, res: Response) => {
   res.json(AGENT_CARD);
 });
 
+/**
+ * Why an attestation was not signed by the VerificationAgent (null when it was). The key is the
+ * directory key of VERIFICATION_AGENT_ACCOUNT_ID, else the VERIFICATION_AGENT_DID document's.
+ */
+async function attestationProblem(attestation: any): Promise<string | null> {
+  if (!attestation?.signature) return 'attestation is not signed';
+  const { signature, ...payload } = attestation;
+
+  const accountId = process.env.VERIFICATION_AGENT_ACCOUNT_ID;
+  const publicKey = accountId ? resolvePublicKey(accountId) : null;
+  if (publicKey) {
+    try {
+      return verifyJSON(payload, signature, publicKey) ? null : 'attestation signature does not match the VerificationAgent key';
+    } catch (error) {
+      return 'attestation signature does not match the VerificationAgent key';
+    }
+  }
+  if (process.env.VERIFICATION_AGENT_DID) {
+    const result = await verifyDidSignature(payload, signature, process.env.VERIFICATION_AGENT_DID);
+    return result.verified ? null : `attestation not signed by ${process.env.VERIFICATION_AGENT_DID}: ${result.reason}`;
+  }
+  return 'no VerificationAgent key configured (VERIFICATION_AGENT_ACCOUNT_ID in the directory or VERIFICATION_AGENT_DID)';
+}
+
+// A2A Protocol: JSON-RPC 2.0 endpoint for the methods in AGENT_CARD
+app.use(createJsonRpcRouter(AGENT_CARD, {
+  'escrow.create': async (params, req) => {
+    // Milestone escrows have their own route (worker is called freelancer there)
+    if (params.milestones && params.milestones.length > 0) {
+      const { worker, ...rest } = params;
+      return callRoute({ http: 'POST', path: '/create-milestone-escrow' }, { ...rest, freelancer: worker }, req);
+    }
+    return callRoute({ http: 'POST', path: '/create-escrow' }, params, req);
+  },
+  'escrow.release': { http: 'POST', path: '/release' },
+  'escrow.milestone.complete': { http: 'POST', path: '/milestone/complete' },
+  'escrow.auto_release': async ({ escrowId, verificationProof }) => {
+    // Proof is a VerificationAttestation, inline JSON or an IPFS CID
+    let attestation: any;
+    try {
+      attestation = JSON.parse(verificationProof);
+    } catch (error) {
+      attestation = await downloadJSON(verificationProof.replace(/^ipfs:\/\//, ''));
+    }
+    if (typeof attestation?.passed !== 'boolean' || typeof attestation?.score !== 'number') {
+      throw new JsonRpcError(RPC_ERRORS.INVALID_PARAMS, 'verificationProof must contain passed and score');
+    }
+    if (String(attestation.escrowId) !== String(escrowId)) {
+      throw new JsonRpcError(RPC_ERRORS.INVALID_PARAMS, `verificationProof is for escrow ${attestation.escrowId}, not ${escrowId}`);
+    }
+    const problem = await attestationProblem(attestation);
+    if (problem) {
+      throw new JsonRpcError(RPC_ERRORS.INVALID_PARAMS, `verificationProof rejected: ${problem}`);
+    }
+    if (!autoReleaseQueue.has(escrowId)) {
+      throw new JsonRpcError(RPC_ERRORS.SERVER_ERROR, `Escrow ${escrowId} not in auto-release queue`);
+    }
+    await handleAutoRelease({ escrowId, passed: attestation.passed, score: attestation.score });
+    return { escrowId, released: !autoReleaseQueue.has(escrowId) };
+  },
+}));
+app.use(jsonRpcErrorHandler);
+
 // Create standard escrow (A2A method: escrow.create)
 app.post(['/create-escrow', '/api/escrow/create'], async (req: Request, res: Response) => {
   try {
@@ -396,7 +481,7 @@ app.post(['/create-escrow', '/api/escrow/create'], async (req: Request, res: Res
 
     // A2A: Broadcast escrow creation
     if (hcs10Initialized) {
-      await sendA2A('aexowork.escrow.created', {
+      await sendA2A('aexowork.escrow.created', await signed({
         type: 'escrow.created',
         escrowId,
         jobId,
@@ -404,8 +489,9 @@ app.post(['/create-escrow', '/api/escrow/create'], async (req: Request, res: Res
         worker,
         amount,
         autoRelease,
+        fromDid: process.env.AGENT_DID,
         timestamp: Date.now()
-      });
+      }));
     }
 
     console.log(`✅ Escrow created: ${escrowId} - ${amount} HBAR`);
@@ -490,7 +576,7 @@ app.post(['/create-milestone-escrow', '/api/escrow/milestone/create'], async (re
 
     // A2A: Broadcast milestone escrow creation
     if (hcs10Initialized) {
-      await sendA2A('aexowork.escrow.created', {
+      await sendA2A('aexowork.escrow.created', await signed({
         type: 'escrow.milestone.created',
         escrowId,
         jobId,
@@ -498,8 +584,9 @@ app.post(['/create-milestone-escrow', '/api/escrow/milestone/create'], async (re
         freelancer,
         totalAmount: escrow.totalAmount,
         milestonesCount: milestonesData.length,
+        fromDid: process.env.AGENT_DID,
         timestamp: Date.now()
-      });
+      }));
     }
 
     console.log(`✅ Milestone escrow created: ${escrowId} - ${escrow.totalAmount} HBAR`);
@@ -547,13 +634,14 @@ app.post(['/release', '/api/escrow/release'], async (req: Request, res: Response
 
     // A2A: Broadcast release
     if (hcs10Initialized) {
-      await sendA2A('aexowork.escrow.released', {
+      await sendA2A('aexowork.escrow.released', await signed({
         type: 'escrow.released',
         escrowId,
         worker: escrow.worker,
         amount: escrow.amount,
+        fromDid: process.env.AGENT_DID,
         timestamp: Date.now()
-      });
+      }));
     }
 
     console.log(`✅ Escrow released: ${escrowId} to ${escrow.worker}`);
@@ -633,12 +721,13 @@ app.post(['/milestone/approve', '/api/escrow/milestone/approve'], async (req: Re
 
     // A2A: Broadcast milestone release
     if (hcs10Initialized) {
-      await sendA2A('aexowork.milestone.released', {
+      await sendA2A('aexowork.milestone.released', await signed({
         type: 'milestone.released',
         escrowId,
         milestoneIndex,
+        fromDid: process.env.AGENT_DID,
         timestamp: Date.now()
-      });
+      }));
     }
 
     console.log(`✅ Milestone approved & released: ${escrowId} - Milestone ${milestoneIndex}`);
@@ -697,12 +786,13 @@ app.get(['/escrows', '/api/escrows'], (req: Request, res: Response) => {
 });
 
 // A2A: Handle escrow request from another agent
-async function handleEscrowRequest(data: any): Promise<void> {
+async function handleEscrowRequest(data: any): Promise<any> {
   const { jobId, client, worker, amount, autoRelease, from } = data;
 
   if (!escrowManagerContract) {
     console.error('❌ EscrowManager contract not initialized');
-    return;
+    if (data.correlationId) throw new Error('EscrowManager contract not initialized');
+    return undefined;
   }
 
   try {
@@ -734,22 +824,31 @@ async function handleEscrowRequest(data: any): Promise<void> {
       escrowId = escrowCreatedEvent.args.escrowId.toNumber();
     }
 
-    // Reply with A2A message
-    if (from && hcs10Initialized) {
-      const response = {
-        type: 'escrow.created',
-        to: from,
-        escrowId,
-        success: true,
-        amount,
-        timestamp: Date.now()
-      };
-      await sendA2A('aexowork.escrow.response', response);
+    const response = {
+      type: 'escrow.created',
+      escrowId,
+      jobId,
+      success: true,
+      amount,
+      txHash: receipt.transactionHash,
+      timestamp: Date.now()
+    };
+    console.log(`✅ A2A escrow created: ${escrowId}`);
+
+    // requestA2A callers get the response as their reply (see handleRequests)
+    if (data.correlationId) {
+      return response;
     }
 
-    console.log(`✅ A2A escrow created: ${escrowId}`);
+    // Legacy requesters listen on aexowork.escrow.response
+    if (from && hcs10Initialized) {
+      await sendA2A('aexowork.escrow.response', await signed({ ...response, to: from }));
+    }
+    return undefined;
   } catch (error: any) {
     console.error('❌ A2A escrow creation failed:', error);
+    if (data.correlationId) throw error;
+    return undefined;
   }
 }
 
@@ -791,12 +890,13 @@ async function handleAutoRelease(data: any): Promise<void> {
 
     // A2A: Broadcast auto-release
     if (hcs10Initialized) {
-      await sendA2A('aexowork.escrow.auto_released', {
+      await sendA2A('aexowork.escrow.auto_released', await signed({
         type: 'escrow.auto_released',
         escrowId,
         score,
+        fromDid: process.env.AGENT_DID,
         timestamp: Date.now()
-      });
+      }));
     }
   } catch (error: any) {
     console.error(`❌ Auto-release failed for ${escrowId}:`, error);
@@ -825,11 +925,11 @@ async function handleMilestoneComplete(data: any): Promise<void> {
 }
 
 // Start server
-async function start(): Promise<void> {
+export async function start(): Promise<Server> {
   await initContracts();
   await initHCS10Connection();
 
-  app.listen(PORT, () => {
+  return app.listen(PORT, () => {
     console.log(`\n╔════════════════════════════════════════╗`);
     console.log(`║   EscrowAgent (A2A Protocol v2.0)      ║`);
     console.log(`╚════════════════════════════════════════╝`);
@@ -840,7 +940,10 @@ async function start(): Promise<void> {
   });
 }
 
-start().catch(console.error);
+// Start if run directly
+if (require.main === module) {
+  start().catch(console.error);
+}
 
 export { app, AGENT_CARD };
 
@@ -9,7 +9,12 @@ import express, { Request, Response, NextFunction } from 'express';
 import fs from 'fs';
 import path from 'path';
 import { spawn, ChildProcess } from 'child_process';
-import { init as initHCS10, sendA2A, subscribe as subscribeHCS10, getClient, getAgentAccountId } from '../lib/hcs10';
+import { init as initA2A, sendA2A, requestA2A, handleRequests } from '../lib/a2a';
+import { getClient, getAgentAccountId } from '../lib/hcs10';
+import { createJsonRpcRouter, jsonRpcErrorHandler } from '../lib/json-rpc';
+import { upsertAgent, retireAgent, resolveAgent, listAgents } from '../lib/directory';
+import { encryptKeystore, readSecret, getAgentSigner } from '../lib/keystore';
+import { resolveDid } from '../lib/did-resolver';
 import { AIAgentCapability } from '@hashgraphonline/standards-sdk';
 
 const app = express();
@@ -97,7 +102,8 @@ const AGENT_CARD: AgentCard = {
     'agent.deploy',
     'agent.discover',
     'agent.list',
-    'agent.stop'
+    'agent.stop',
+    'agent.retire'
   ],
   methods: {
     'template.list': {
@@ -169,10 +175,24 @@ function getPortForAgentType(agentType: string): number {
 // HCS-10 connection
 let hcs10Initialized = false;
 
+/**
+ * Sign and broadcast a directory announcement (directories trust it when DIRECTORY_OPERATOR_PUBLIC_KEY is our key)
+ */
+async function announce(subject: string, message: any): Promise<void> {
+  try {
+    const signer = getAgentSigner();
+    if (signer) {
+      message.signature = await signer.sign(message);
+    }
+  } catch (signError: any) {
+    console.warn('[MarketplaceAgent] Could not sign announcement:', signError.message);
+  }
+  await sendA2A(subject, message);
+}
+
 async function initHCS10Connection(): Promise<void> {
   try {
-    await initHCS10({
-      network: (process.env.HEDERA_NETWORK || 'testnet') as 'testnet' | 'mainnet',
+    await initA2A(undefined, {
       agentName: 'MarketplaceAgent',
       agentDescription: 'A2A-compliant agent marketplace for template management, deployment, and discovery',
       capabilities: [AIAgentCapability.TEXT_GENERATION, AIAgentCapability.KNOWLEDGE_RETRIEVAL],
@@ -180,14 +200,10 @@ async function initHCS10Connection(): Promise<void> {
     hcs10Initialized = true;
     console.log('✅ Connected to HCS-10 network');
 
-    // Subscribe to agent discovery channel
-    subscribeHCS10('aexowork.agent.discovery', async (data: any) => {
-      try {
-        console.log('[A2A] Discovery request:', data.from);
-        await handleDiscoveryRequest(data);
-      } catch (error: any) {
-        console.error('[A2A] Discovery error:', error);
-      }
+    // Subscribe to agent discovery channel - discovery requests get our running agents as reply
+    handleRequests('aexowork.agent.discovery', async (data: any) => {
+      console.log('[A2A] Discovery request:', data.from || data.replyTo);
+      return await handleDiscoveryRequest(data);
     });
 
     console.log('[A2A] Subscribed to agent discovery channel');
@@ -218,6 +234,15 @@ app.get('/agent-card', (req: Request, res: Response) => {
   res.json(AGENT_CARD);
 });
 
+// A2A Protocol: JSON-RPC 2.0 endpoint for the methods in AGENT_CARD
+app.use(createJsonRpcRouter(AGENT_CARD, {
+  'template.list': { http: 'GET', path: '/templates' },
+  'template.get': { http: 'GET', path: '/templates/:templateId' },
+  'agent.deploy': { http: 'POST', path: '/deploy' },
+  'agent.discover': { http: 'GET', path: '/discover' },
+}));
+app.use(jsonRpcErrorHandler);
+
 // List all templates (A2A method: template.list)
 app.get(['/templates', '/api/marketplace/templates'], (req: Request, res: Response) => {
   try {
@@ -288,7 +313,12 @@ app.get(['/templates/search/:query', '/api/marketplace/search/:query'], (req: Re
 // Register agent with HCS-10 (NEW: HCS-10 registration endpoint)
 app.post(['/register-hcs10', '/api/marketplace/register-hcs10'], async (req: Request, res: Response) => {
   try {
-    const { name, description, agentType, capabilities, metadata, walletAddress, hederaAccountId, hederaPrivateKey } = req.body;
+    const { name, description, agentType, capabilities, metadata, walletAddress, keystorePassword } = req.body;
+
+    // Private keys never travel in request bodies - registrations are paid by the operator account
+    if (req.body.hederaPrivateKey) {
+      return res.status(400).json({ error: 'hederaPrivateKey is no longer accepted. Registrations are paid by the MarketplaceAgent operator account.' });
+    }
 
     if (!name || !description || !agentType) {
       return res.status(400).json({ error: 'Missing required fields: name, description, agentType' });
@@ -307,22 +337,13 @@ app.post(['/register-hcs10', '/api/marketplace/register-hcs10'], async (req: Req
     const { HCS10Client, AgentBuilder } = require('@hashgraphonline/standards-sdk');
     const network = process.env.HEDERA_NETWORK || 'testnet';
     
-    // Use user's Hedera credentials if provided, otherwise use operator wallet
-    let operatorId: string, operatorKey: string;
-    if (hederaAccountId && hederaPrivateKey) {
-      // User provided their own Hedera account credentials
-      operatorId = hederaAccountId;
-      operatorKey = hederaPrivateKey;
-      console.log(`[MarketplaceAgent] Using user's Hedera account for registration: ${operatorId}`);
-    } else {
-      // Use operator wallet (default)
-      operatorId = process.env.HEDERA_ACCOUNT_ID!;
-      operatorKey = process.env.HEDERA_PRIVATE_KEY!;
-      if (!operatorId || !operatorKey) {
-        return res.status(500).json({ error: 'Missing HEDERA_ACCOUNT_ID or HEDERA_PRIVATE_KEY in environment' });
-      }
-      console.log(`[MarketplaceAgent] Using operator wallet for registration (user wallet: ${walletAddress})`);
+    // The operator wallet pays for the registration
+    const operatorId = process.env.HEDERA_ACCOUNT_ID!;
+    const operatorKey = readSecret('HEDERA_PRIVATE_KEY');
+    if (!operatorId || !operatorKey) {
+      return res.status(500).json({ error: 'Missing HEDERA_ACCOUNT_ID or HEDERA_PRIVATE_KEY in environment' });
     }
+    console.log(`[MarketplaceAgent] Using operator wallet for registration (user wallet: ${walletAddress})`);
 
     // Create operator client for registration
     const operatorClient = new HCS10Client({
@@ -430,14 +451,18 @@ app.post(['/register-hcs10', '/api/marketplace/register-hcs10'], async (req: Req
       throw new Error(result?.error || 'Failed to create agent - no metadata returned.');
     }
 
-    // Agent was created successfully
+    // Agent was created successfully. With a keystorePassword the new account key is only
+    // returned encrypted (load it with <PREFIX>_PRIVATE_KEY_KEYSTORE)
+    const keyMaterial = keystorePassword
+      ? { keystore: encryptKeystore(result.metadata.privateKey, String(keystorePassword)) }
+      : { privateKey: result.metadata.privateKey };
     const agentData = {
       name,
       description,
       agentType,
       owner: walletAddress, // User's wallet address
       accountId: result.metadata.accountId,
-      privateKey: result.metadata.privateKey,
+      ...keyMaterial,
       inboundTopicId: result.metadata.inboundTopicId,
       outboundTopicId: result.metadata.outboundTopicId,
       profileTopicId: result.metadata.profileTopicId,
@@ -470,6 +495,17 @@ app.post(['/register-hcs10', '/api/marketplace/register-hcs10'], async (req: Req
     deployedAgents.set(agentId, deployedAgent);
     console.log(`[MarketplaceAgent] ✅ Added agent to deployedAgents map: ${name} (${agentId})`);
 
+    // Make the agent addressable over A2A (announcement below updates other agents' directories)
+    upsertAgent({
+      accountId: result.metadata.accountId,
+      name,
+      did: metadata?.did || null,
+      inboundTopicId: result.metadata.inboundTopicId,
+      publicKey: metadata?.publicKey || null,
+      capabilities: (capabilities || []).map(String),
+      status: 'active',
+    });
+
     // Log success (even if registry confirmation failed)
     if (result.success) {
       console.log(`✅ Agent registered with HCS-10: ${name} (${result.metadata.accountId})`);
@@ -481,12 +517,15 @@ app.post(['/register-hcs10', '/api/marketplace/register-hcs10'], async (req: Req
     // Broadcast agent registration via A2A
     if (hcs10Initialized) {
       try {
-        await sendA2A('aexowork.agent.registered', {
+        await announce('aexowork.agent.registered', {
           type: 'agent.registered',
           name,
           agentType,
           accountId: result.metadata.accountId,
           inboundTopicId: result.metadata.inboundTopicId,
+          did: metadata?.did || null,
+          publicKey: metadata?.publicKey || null,
+          capabilities: (capabilities || []).map(String),
           timestamp: Date.now()
         });
       } catch (broadcastError: any) {
@@ -690,6 +729,64 @@ app.post(['/stop/:agentId', '/api/marketplace/stop/:agentId'], async (req: Reque
   }
 });
 
+// Retire agent - removes it from every agent's directory so it is no longer addressed
+app.post(['/retire/:agentId', '/api/marketplace/retire/:agentId'], async (req: Request, res: Response) => {
+  try {
+    const { agentId } = req.params;
+    const entry = resolveAgent(agentId);
+    const agent = deployedAgents.get(agentId);
+
+    if (!entry && !agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    if (agent?.process && agent.status === 'running') {
+      try {
+        process.kill(agent.process);
+      } catch (error: any) {
+        console.log(`⚠️  Process may have already stopped: ${error.message}`);
+      }
+    }
+    deployedAgents.delete(agentId);
+    retireAgent(agentId);
+
+    // A2A: Broadcast agent retired
+    if (hcs10Initialized) {
+      await announce('aexowork.agent.retired', {
+        type: 'agent.retired',
+        accountId: entry?.accountId || agentId,
+        did: entry?.did || null,
+        timestamp: Date.now()
+      });
+    }
+
+    res.json({ success: true, agentId, status: 'retired' });
+  } catch (error: any) {
+    console.error('❌ Retire error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Agent directory (A2A addressing: account ID / DID -> inbound topic, keys, capabilities)
+app.get(['/directory', '/api/marketplace/directory'], (req: Request, res: Response) => {
+  const agents = listAgents({
+    includeRetired: req.query.includeRetired === 'true',
+    capability: req.query.capability as string | undefined,
+  });
+  res.json({ total: agents.length, agents });
+});
+
+// DID resolution (did:hedera -> DID document, W3C resolution result shape)
+app.get(['/identifiers/:did', '/api/marketplace/identifiers/:did'], async (req: Request, res: Response) => {
+  try {
+    const resolution = await resolveDid(req.params.did, { noCache: req.query.noCache === 'true' });
+    const error = resolution.didResolutionMetadata.error;
+    res.status(error === 'invalidDid' ? 400 : error === 'notFound' ? 404 : resolution.didDocumentMetadata.deactivated ? 410 : 200).json(resolution);
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get single agent by ID
 app.get(['/agents/:id', '/api/marketplace/agents/:id'], (req: Request, res: Response) => {
   try {
@@ -800,23 +897,38 @@ app.get(['/discover', '/api/marketplace/discover'], async (req: Request, res: Re
   try {
     const { type } = req.query;
 
-    // Broadcast discovery request via A2A
+    // Return currently known agents, merged with whatever other marketplaces answer within the timeout
+    const runningAgents: any[] = Array.from(deployedAgents.values())
+      .filter(a => a.status === 'running' && (!type || a.type === type));
+    let responders = 0;
+
     if (hcs10Initialized) {
-      await sendA2A('aexowork.agent.discovery', {
+      const replies = await requestA2A('aexowork.agent.discovery', {
         type: 'discovery.request',
         from: 'MarketplaceAgent',
         filter: { type },
-        timestamp: Date.now()
+      }, {
+        collect: true,
+        timeout: parseInt((req.query.timeout as string) || process.env.DISCOVERY_TIMEOUT_MS || '3000', 10),
       });
-    }
 
-    // Return currently known agents
-    const runningAgents = Array.from(deployedAgents.values()).filter(a => a.status === 'running');
+      const knownIds = new Set(runningAgents.map(a => a.id));
+      for (const reply of replies) {
+        if (reply.fromAccountId && reply.fromAccountId === getAgentAccountId()) continue; // Our own answer
+        responders++;
+        for (const agent of reply.agents || []) {
+          if (knownIds.has(agent.id)) continue;
+          knownIds.add(agent.id);
+          runningAgents.push({ ...agent, discoveredVia: reply.fromAccountId || reply.from });
+        }
+      }
+    }
 
     res.json({
       total: runningAgents.length,
       agents: runningAgents,
-      message: 'Discovery request broadcast on A2A network'
+      responders,
+      message: `Discovery answered by ${responders} agent(s) on the A2A network`
     });
   } catch (error: any) {
     res.status(500).json({ error: error.message });
@@ -853,7 +965,7 @@ app.get(['/stats', '/api/marketplace/stats'], (req: Request, res: Response) => {
 });
 
 // A2A: Handle discovery request
-async function handleDiscoveryRequest(data: any): Promise<void> {
+async function handleDiscoveryRequest(data: any): Promise<any> {
   const { from, filter } = data;
 
   let agents = Array.from(deployedAgents.values()).filter(a => a.status === 'running');
@@ -862,25 +974,30 @@ async function handleDiscoveryRequest(data: any): Promise<void> {
     agents = agents.filter(a => a.type === filter.type);
   }
 
-  // Reply with discovered agents
-  if (from && hcs10Initialized) {
-    const response = {
-      type: 'discovery.response',
-      from: 'MarketplaceAgent',
-      to: from,
-      agents: agents.map(a => ({
-        id: a.id,
-        name: a.name,
-        type: a.type,
-        endpoint: a.endpoint,
-        capabilities: a.config.capabilities || []
-      })),
-      timestamp: Date.now()
-    };
-    await sendA2A('aexowork.agent.discovery.response', response);
+  const response = {
+    type: 'discovery.response',
+    from: 'MarketplaceAgent',
+    agents: agents.map(a => ({
+      id: a.id,
+      name: a.name,
+      type: a.type,
+      endpoint: a.endpoint,
+      capabilities: a.config.capabilities || []
+    })),
+    timestamp: Date.now()
+  };
+  console.log(`✅ Discovery response for ${from || data.replyTo}: ${agents.length} agents`);
+
+  // requestA2A callers get the response as their reply (see handleRequests)
+  if (data.correlationId) {
+    return response;
   }
 
-  console.log(`✅ Discovery response sent to ${from}: ${agents.length} agents`);
+  // Legacy requesters listen on aexowork.agent.discovery.response
+  if (from && hcs10Initialized) {
+    await sendA2A('aexowork.agent.discovery.response', { ...response, to: from });
+  }
+  return undefined;
 }
 
 // Start server
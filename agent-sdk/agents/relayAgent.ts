@@ -1,12 +1,42 @@
 /**
  * Relay Agent - Message Broker for HCS-10
  * Acts as a central hub for routing messages between agents
+ *
+ * Routing is gated by subject ACLs per agent role (lib/relay-acl.ts). Roles come from
+ * signed aexowork.agent.register payloads, or from the directory for agents that only
+ * opened an HCS-10 connection. Every rejected registration, publish or delivery is
+ * appended to the audit log (AGENT_DATA_DIR/relay-audit.log, GET /audit).
+ *
+ * Subscriptions, connections and roles persist in AGENT_DATA_DIR/relay-routes.json.
+ * Operators manage them over REST and can ask why a subject went nowhere:
+ *   POST   /subscriptions                         - subscribe { agentAccountId, subject }
+ *   DELETE /subscriptions/:subject/:agentAccountId - unsubscribe
+ *   GET    /connections                           - connected agents with their subjects and delivery stats
+ *   DELETE /connections/:agentAccountId           - evict an agent (connection, role and subscriptions)
+ *   GET    /routes/stats                          - per-subject fan-out, rates and last delivery
+ *   GET    /routes/explain?subject=&from=         - dry-run routing decision for a subject
+ *   GET    /routes/undelivered                    - recent messages that reached nobody, with reasons
+ * These, GET /routes and GET /audit require "Authorization: Bearer <RELAY_ADMIN_TOKEN>" (or
+ * A2A_ADMIN_TOKEN); with neither set they are refused.
+ *
+ * Relays federate through lib/relay-mesh.ts: RELAY_PEERS lists peer relay URLs, subscription
+ * tables are gossiped and messages are forwarded to peers that can deliver them (TTL, hop
+ * list and seen-ID dedup prevent loops). The mesh is off until RELAY_MESH_TOKEN is set.
+ * Forwarded messages must be signed by their sender and are authorized under the role this
+ * relay knows for the sender.
  */
 
 import 'dotenv/config';
+import * as fs from 'fs';
 import express, { Request, Response } from 'express';
 import { init as initHCS10, sendA2A, subscribe as subscribeHCS10, getClient, getAgentAccountId } from '../lib/hcs10';
 import { AIAgentCapability } from '@hashgraphonline/standards-sdk';
+import { MessageGuard } from '../lib/message-guard';
+import { resolveAgent, resolvePublicKey } from '../lib/directory';
+import { dataPath, getDataDir, readJSON, writeJSON } from '../lib/json-store';
+import { loadAclPolicy, checkAcl, canClaimRole, AclAction, UNKNOWN_ROLE } from '../lib/relay-acl';
+import { RelayMesh, MeshEnvelope } from '../lib/relay-mesh';
+import { requireAdminToken } from '../lib/a2a-admin';
 
 const app = express();
 app.use(express.json());
@@ -24,13 +54,191 @@ interface MessageData {
   type?: string;
   subject?: string;
   agentAccountId?: string;
+  role?: string;
   subjects?: string[];
   [key: string]: any;
 }
 
+interface AgentRegistration {
+  role: string;
+  verifiedBy: 'signature' | 'directory' | 'none';
+  registeredAt: number;
+}
+
+interface AuditEntry {
+  time: string;
+  action: AclAction | 'register';
+  accountId: string | null;
+  role: string;
+  subject: string | null;
+  reason: string;
+}
+
+interface SubjectStats {
+  received: number;
+  delivered: number; // Individual deliveries (fan-out)
+  failed: number;
+  undelivered: number; // Messages that reached no agent
+  lastReceivedAt: number | null;
+  lastDeliveredAt: number | null;
+  recent: number[]; // Receive times inside the rate window
+}
+
+interface AgentStats {
+  delivered: number;
+  failed: number;
+  lastDeliveredAt: number | null;
+  lastError: string | null;
+}
+
+type TargetStatus = 'deliver' | 'sender' | 'acl-denied' | 'no-connection' | 'failed';
+
+interface RoutePlan {
+  subject: string;
+  from: string | null;
+  viaRelay?: string; // Origin relay for messages forwarded over the mesh
+  senderRole: string;
+  publishAllowed: boolean;
+  targets: Array<{ accountId: string; role: string; status: TargetStatus; detail?: string }>;
+  reason?: string; // Why nothing is (or was) delivered
+}
+
+interface UndeliveredEntry extends RoutePlan {
+  time: string;
+}
+
+interface PersistedRoutes {
+  subscribers: Record<string, string[]>;
+  connections: Record<string, string>;
+  roles: Record<string, AgentRegistration>;
+  updatedAt: number;
+}
+
 // Message routing table: subject -> array of agent account IDs
 const subscribers = new Map<string, Set<string>>(); // subject -> Set of accountIds
 const agentConnections = new Map<string, string>(); // accountId -> connectionTopicId
+const agentRoles = new Map<string, AgentRegistration>(); // accountId -> role
+
+const COMMON_SUBJECTS = ['aexowork.jobs', 'aexowork.offers', 'aexowork.verifications'];
+const AUDIT_FILE = 'relay-audit.log';
+const MAX_AUDIT_ENTRIES = 500;
+const REQUIRE_SIGNED_REGISTRATION = process.env.RELAY_REQUIRE_SIGNED_REGISTRATION !== 'false';
+
+const aclPolicy = loadAclPolicy();
+const recentAudit: AuditEntry[] = [];
+
+// Signature, freshness and replay checks for registrations (keys and DID bindings come from the agent directory)
+const registrationGuard = new MessageGuard({
+  name: 'RelayAgent-registrations',
+  requireSignature: REQUIRE_SIGNED_REGISTRATION,
+  resolveKey: (senderId: string) => resolvePublicKey(senderId),
+  resolveAccounts: (did: string) => [resolveAgent(did)?.accountId].filter(Boolean) as string[],
+});
+
+const ROUTES_FILE = 'relay-routes.json';
+const RATE_WINDOW_MS = 5 * 60 * 1000;
+const MAX_UNDELIVERED_ENTRIES = 200;
+
+// Admin token: RELAY_ADMIN_TOKEN, falling back to A2A_ADMIN_TOKEN (admin routes are refused without either)
+const requireRelayAdmin = requireAdminToken('RELAY_ADMIN_TOKEN', 'A2A_ADMIN_TOKEN');
+
+const RELAY_ID = process.env.RELAY_ID || `relay-${PORT}`;
+
+// Messages forwarded by peer relays must carry the sender's own signature
+const meshGuard = new MessageGuard({
+  name: 'RelayAgent-mesh',
+  requireSignature: true,
+  resolveKey: (senderId: string) => resolvePublicKey(senderId),
+  resolveAccounts: (did: string) => [resolveAgent(did)?.accountId].filter(Boolean) as string[],
+});
+
+// Federation with other relays
+const mesh = new RelayMesh({
+  relayId: RELAY_ID,
+  url: process.env.RELAY_PUBLIC_URL || null,
+  peers: (process.env.RELAY_PEERS || '').split(',').map(url => url.trim()).filter(Boolean),
+  token: process.env.RELAY_MESH_TOKEN,
+  ttl: parseInt(process.env.RELAY_MESH_TTL || '', 10) || 4,
+  gossipIntervalMs: parseInt(process.env.RELAY_GOSSIP_INTERVAL_MS || '', 10) || 15000,
+  acceptPeers: process.env.RELAY_MESH_ACCEPT_PEERS === 'true',
+  getLocalSubjects: () => Array.from(subscribers.entries()).filter(([, agents]) => agents.size > 0).map(([subject]) => subject),
+  deliverLocal: (envelope: MeshEnvelope) => handleMeshMessage(envelope),
+});
+app.use(mesh.router(requireRelayAdmin));
+
+const subjectStats = new Map<string, SubjectStats>();
+const agentStats = new Map<string, AgentStats>();
+const recentUndelivered: UndeliveredEntry[] = [];
+let saveTimer: NodeJS.Timeout | null = null;
+
+loadRoutingTable();
+
+/**
+ * Restore subscriptions, connections and roles saved by a previous run
+ */
+function loadRoutingTable(): void {
+  const saved = readJSON<PersistedRoutes | null>(ROUTES_FILE, null);
+  if (!saved) return;
+  for (const [subject, accountIds] of Object.entries(saved.subscribers || {})) {
+    subscribers.set(subject, new Set(accountIds));
+  }
+  for (const [accountId, topicId] of Object.entries(saved.connections || {})) {
+    agentConnections.set(accountId, topicId);
+  }
+  for (const [accountId, registration] of Object.entries(saved.roles || {})) {
+    agentRoles.set(accountId, registration);
+  }
+  console.log(`[RelayAgent] 📂 Restored ${subscribers.size} subject(s), ${agentConnections.size} connection(s) from ${ROUTES_FILE}`);
+}
+
+function saveRoutingTable(): void {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  const table: PersistedRoutes = {
+    subscribers: Object.fromEntries(Array.from(subscribers.entries()).map(([subject, agents]) => [subject, Array.from(agents)])),
+    connections: Object.fromEntries(agentConnections.entries()),
+    roles: Object.fromEntries(agentRoles.entries()),
+    updatedAt: Date.now()
+  };
+  writeJSON(ROUTES_FILE, table);
+}
+
+/**
+ * Persist the routing table shortly after a change (batches bursts of registrations)
+ */
+function scheduleSave(): void {
+  mesh.notifyChange();
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      saveRoutingTable();
+    } catch (error: any) {
+      console.error('[RelayAgent] Failed to persist routing table:', error.message);
+    }
+  }, 500);
+  saveTimer.unref();
+}
+
+function getSubjectStats(subject: string): SubjectStats {
+  let stats = subjectStats.get(subject);
+  if (!stats) {
+    stats = { received: 0, delivered: 0, failed: 0, undelivered: 0, lastReceivedAt: null, lastDeliveredAt: null, recent: [] };
+    subjectStats.set(subject, stats);
+  }
+  return stats;
+}
+
+function getAgentStats(accountId: string): AgentStats {
+  let stats = agentStats.get(accountId);
+  if (!stats) {
+    stats = { delivered: 0, failed: 0, lastDeliveredAt: null, lastError: null };
+    agentStats.set(accountId, stats);
+  }
+  return stats;
+}
 
 // Health check
 app.get('/', (req: Request, res: Response) => {
@@ -44,13 +252,23 @@ app.get('/', (req: Request, res: Response) => {
         subject,
         agentCount: agents.size
       })),
-      connectedAgents: agentConnections.size
+      connectedAgents: agentConnections.size,
+      rejected: recentAudit.length
+    },
+    acl: {
+      defaultAction: aclPolicy.defaultAction,
+      rules: aclPolicy.rules.length,
+      requireSignedRegistration: REQUIRE_SIGNED_REGISTRATION
+    },
+    mesh: {
+      relayId: RELAY_ID,
+      ...mesh.getStats()
     }
   });
 });
 
 // Get routing table
-app.get('/routes', (req: Request, res: Response) => {
+app.get('/routes', requireRelayAdmin, (req: Request, res: Response) => {
   res.json({
     subscribers: Object.fromEntries(
       Array.from(subscribers.entries()).map(([subject, agents]) => [
@@ -58,10 +276,256 @@ app.get('/routes', (req: Request, res: Response) => {
         Array.from(agents)
       ])
     ),
-    connections: Object.fromEntries(agentConnections.entries())
+    connections: Object.fromEntries(agentConnections.entries()),
+    roles: Object.fromEntries(agentRoles.entries())
+  });
+});
+
+// Subscribe an agent to a subject (ACL-checked)
+app.post('/subscriptions', requireRelayAdmin, (req: Request, res: Response) => {
+  const { agentAccountId, subject } = req.body || {};
+  if (!agentAccountId || !subject || typeof subject !== 'string') {
+    return res.status(400).json({ error: 'agentAccountId and subject are required' });
+  }
+  if (!addSubscriber(subject, agentAccountId)) {
+    return res.status(403).json({ error: checkAcl(aclPolicy, getRole(agentAccountId), 'subscribe', subject).reason });
+  }
+  console.log(`[RelayAgent] Agent ${agentAccountId} subscribed to ${subject} (admin)`);
+  res.status(201).json({
+    ok: true,
+    subject,
+    agentAccountId,
+    connected: agentConnections.has(agentAccountId)
+  });
+});
+
+// Unsubscribe an agent from a subject
+app.delete('/subscriptions/:subject/:agentAccountId', requireRelayAdmin, (req: Request, res: Response) => {
+  const { subject, agentAccountId } = req.params;
+  if (!removeSubscriber(subject, agentAccountId)) {
+    return res.status(404).json({ error: `${agentAccountId} is not subscribed to ${subject}` });
+  }
+  console.log(`[RelayAgent] Agent ${agentAccountId} unsubscribed from ${subject} (admin)`);
+  res.json({ ok: true, subject, agentAccountId });
+});
+
+// Connected agents with their subjects and delivery stats
+app.get('/connections', requireRelayAdmin, (req: Request, res: Response) => {
+  const accountIds = new Set([...agentConnections.keys(), ...agentRoles.keys()]);
+  const connections = Array.from(accountIds).map(accountId => ({
+    agentAccountId: accountId,
+    connectionTopicId: agentConnections.get(accountId) || null,
+    role: getRole(accountId),
+    verifiedBy: agentRoles.get(accountId)?.verifiedBy || null,
+    subjects: subjectsOf(accountId),
+    ...getAgentStats(accountId)
+  }));
+  res.json({ count: connections.length, connections });
+});
+
+// Evict an agent: drop its connection, role and subscriptions
+app.delete('/connections/:agentAccountId', requireRelayAdmin, (req: Request, res: Response) => {
+  const { agentAccountId } = req.params;
+  const subjects = subjectsOf(agentAccountId);
+  const known = agentConnections.has(agentAccountId) || agentRoles.has(agentAccountId) || subjects.length > 0;
+  if (!known) {
+    return res.status(404).json({ error: `Unknown agent ${agentAccountId}` });
+  }
+  for (const subject of subjects) {
+    removeSubscriber(subject, agentAccountId);
+  }
+  agentConnections.delete(agentAccountId);
+  agentRoles.delete(agentAccountId);
+  agentStats.delete(agentAccountId);
+  scheduleSave();
+  console.log(`[RelayAgent] 🚪 Evicted ${agentAccountId} (${subjects.length} subscription(s))`);
+  res.json({ ok: true, agentAccountId, unsubscribed: subjects });
+});
+
+// Per-subject fan-out, rates and last delivery
+app.get('/routes/stats', requireRelayAdmin, (req: Request, res: Response) => {
+  const now = Date.now();
+  const subjects = new Set([...subscribers.keys(), ...subjectStats.keys()]);
+  const stats = Array.from(subjects).sort().map(subject => {
+    const s = getSubjectStats(subject);
+    s.recent = s.recent.filter(t => now - t < RATE_WINDOW_MS);
+    return {
+      subject,
+      subscribers: subscribers.get(subject)?.size || 0,
+      received: s.received,
+      delivered: s.delivered,
+      failed: s.failed,
+      undelivered: s.undelivered,
+      avgFanOut: s.received > 0 ? Math.round((s.delivered / s.received) * 100) / 100 : 0,
+      ratePerMinute: s.recent.filter(t => now - t < 60 * 1000).length,
+      ratePer5Minutes: s.recent.length,
+      lastReceivedAt: s.lastReceivedAt ? new Date(s.lastReceivedAt).toISOString() : null,
+      lastDeliveredAt: s.lastDeliveredAt ? new Date(s.lastDeliveredAt).toISOString() : null
+    };
   });
+  res.json({ subjects: stats });
+});
+
+// Dry-run: who would receive a subject from a sender, and why not
+app.get('/routes/explain', requireRelayAdmin, (req: Request, res: Response) => {
+  const subject = req.query.subject as string;
+  if (!subject) {
+    return res.status(400).json({ error: 'subject query parameter is required' });
+  }
+  const plan = planRoute(subject, (req.query.from as string) || null);
+  const meshPeers = plan.publishAllowed ? mesh.peersFor(subject) : [];
+  res.json({ ...plan, wouldDeliver: plan.targets.filter(t => t.status === 'deliver').length, meshPeers });
 });
 
+// Recent messages that reached nobody (newest first)
+app.get('/routes/undelivered', requireRelayAdmin, (req: Request, res: Response) => {
+  const limit = Math.min(parseInt(req.query.limit as string, 10) || 50, MAX_UNDELIVERED_ENTRIES);
+  const subject = req.query.subject as string | undefined;
+  const entries = recentUndelivered
+    .filter(entry => !subject || entry.subject === subject)
+    .slice(-limit)
+    .reverse();
+  res.json({ count: entries.length, entries });
+});
+
+// Active ACL policy
+app.get('/acl', (req: Request, res: Response) => {
+  res.json(aclPolicy);
+});
+
+// Recent rejections (newest first)
+app.get('/audit', requireRelayAdmin, (req: Request, res: Response) => {
+  const limit = Math.min(parseInt(req.query.limit as string, 10) || 100, MAX_AUDIT_ENTRIES);
+  const accountId = req.query.accountId as string | undefined;
+  const entries = recentAudit
+    .filter(entry => !accountId || entry.accountId === accountId)
+    .slice(-limit)
+    .reverse();
+  res.json({ count: entries.length, entries });
+});
+
+/**
+ * Record a rejected registration, publish or delivery
+ */
+function audit(action: AuditEntry['action'], accountId: string | null | undefined, subject: string | null, reason: string): void {
+  const entry: AuditEntry = {
+    time: new Date().toISOString(),
+    action,
+    accountId: accountId || null,
+    role: accountId ? getRole(accountId) : UNKNOWN_ROLE,
+    subject,
+    reason
+  };
+  recentAudit.push(entry);
+  if (recentAudit.length > MAX_AUDIT_ENTRIES) recentAudit.shift();
+  console.warn(`[RelayAgent] 🚫 ${action} rejected for ${entry.accountId || 'unknown'} (${entry.role})${subject ? ` on ${subject}` : ''}: ${reason}`);
+  try {
+    fs.mkdirSync(getDataDir(), { recursive: true });
+    fs.appendFileSync(dataPath(AUDIT_FILE), JSON.stringify(entry) + '\n');
+  } catch (error: any) {
+    console.error('[RelayAgent] Failed to write audit log:', error.message);
+  }
+}
+
+/**
+ * Role of an agent: from its registration, else the name of a built-in agent
+ */
+function getRole(accountId: string): string {
+  const registration = agentRoles.get(accountId);
+  if (registration) return registration.role;
+  // Built-in agents (configured through *_ACCOUNT_ID env vars) are known by name
+  const entry = resolveAgent(accountId);
+  return entry && entry.source === 'env' ? entry.name : UNKNOWN_ROLE;
+}
+
+/**
+ * Add a subscription if the agent's role may receive the subject
+ */
+function addSubscriber(subject: string, agentAccountId: string): boolean {
+  const decision = checkAcl(aclPolicy, getRole(agentAccountId), 'subscribe', subject);
+  if (!decision.allowed) {
+    audit('subscribe', agentAccountId, subject, decision.reason!);
+    return false;
+  }
+  if (!subscribers.has(subject)) {
+    subscribers.set(subject, new Set());
+  }
+  subscribers.get(subject)!.add(agentAccountId);
+  scheduleSave();
+  return true;
+}
+
+function removeSubscriber(subject: string, agentAccountId: string): boolean {
+  const agents = subscribers.get(subject);
+  if (!agents || !agents.delete(agentAccountId)) return false;
+  if (agents.size === 0) subscribers.delete(subject);
+  scheduleSave();
+  return true;
+}
+
+function subjectsOf(agentAccountId: string): string[] {
+  return Array.from(subscribers.entries())
+    .filter(([, agents]) => agents.has(agentAccountId))
+    .map(([subject]) => subject);
+}
+
+/**
+ * Work out who a subject from a sender goes to, and why each subscriber is or isn't included
+ */
+function planRoute(subject: string, fromAccountId: string | null): RoutePlan {
+  const senderRole = fromAccountId ? getRole(fromAccountId) : UNKNOWN_ROLE;
+  const publishDecision = checkAcl(aclPolicy, senderRole, 'publish', subject);
+  const plan: RoutePlan = { subject, from: fromAccountId, senderRole, publishAllowed: publishDecision.allowed, targets: [] };
+  if (!publishDecision.allowed) {
+    plan.reason = `sender rejected by ACL: ${publishDecision.reason}`;
+    return plan;
+  }
+
+  for (const accountId of Array.from(subscribers.get(subject) || [])) {
+    const role = getRole(accountId);
+    if (accountId === fromAccountId) {
+      plan.targets.push({ accountId, role, status: 'sender', detail: 'senders do not receive their own messages' });
+      continue;
+    }
+    const decision = checkAcl(aclPolicy, role, 'subscribe', subject);
+    if (!decision.allowed) {
+      plan.targets.push({ accountId, role, status: 'acl-denied', detail: decision.reason });
+    } else if (!agentConnections.has(accountId)) {
+      plan.targets.push({ accountId, role, status: 'no-connection', detail: 'no HCS-10 connection topic recorded for this agent' });
+    } else {
+      plan.targets.push({ accountId, role, status: 'deliver' });
+    }
+  }
+
+  if (!plan.targets.some(t => t.status === 'deliver')) {
+    plan.reason = explainNoDelivery(plan);
+  }
+  return plan;
+}
+
+/**
+ * Human-readable reason a plan delivers to nobody
+ */
+function explainNoDelivery(plan: RoutePlan): string {
+  if (plan.targets.length === 0) {
+    // Point at near misses: subscriptions sharing the subject's first two tokens
+    const prefix = plan.subject.split('.').slice(0, 2).join('.');
+    const similar = Array.from(subscribers.keys()).filter(s => s !== plan.subject && s.startsWith(prefix));
+    return `no agent is subscribed to ${plan.subject}` +
+      (similar.length > 0 ? ` (subscribed subjects nearby: ${similar.join(', ')})` : '') +
+      ' - agents subscribe by registering with subjects or via POST /subscriptions';
+  }
+  const counts: Record<string, number> = {};
+  for (const target of plan.targets) counts[target.status] = (counts[target.status] || 0) + 1;
+  return 'every subscriber was excluded: ' + Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ');
+}
+
+function recordUndelivered(plan: RoutePlan): void {
+  getSubjectStats(plan.subject).undelivered++;
+  recentUndelivered.push({ ...plan, time: new Date().toISOString() });
+  if (recentUndelivered.length > MAX_UNDELIVERED_ENTRIES) recentUndelivered.shift();
+}
+
 async function initHCS10Connection(): Promise<void> {
   try {
     await initHCS10({
@@ -103,20 +567,47 @@ async function initHCS10Connection(): Promise<void> {
 // Handle new connection established
 export async function handleNewConnection(agentAccountId: string, connectionTopicId: string): Promise<void> {
   agentConnections.set(agentAccountId, connectionTopicId);
+  scheduleSave();
   console.log(`[RelayAgent] ✅ New connection: ${agentAccountId} -> ${connectionTopicId}`);
+
+  // The HCS-10 handshake proves the account; its role comes from the directory until it registers
+  if (!agentRoles.has(agentAccountId) && getRole(agentAccountId) !== UNKNOWN_ROLE) {
+    agentRoles.set(agentAccountId, { role: getRole(agentAccountId), verifiedBy: 'directory', registeredAt: Date.now() });
+  }
   
-  // Auto-subscribe to common subjects
-  const commonSubjects = ['aexowork.jobs', 'aexowork.offers', 'aexowork.verifications'];
-  for (const subject of commonSubjects) {
-    if (!subscribers.has(subject)) {
-      subscribers.set(subject, new Set());
-    }
-    subscribers.get(subject)!.add(agentAccountId);
+  // Auto-subscribe to common subjects the role may receive
+  const subscribed = COMMON_SUBJECTS.filter(subject =>
+    checkAcl(aclPolicy, getRole(agentAccountId), 'subscribe', subject).allowed && addSubscriber(subject, agentAccountId)
+  );
+  console.log(`[RelayAgent] Auto-subscribed ${agentAccountId} (${getRole(agentAccountId)}) to ${subscribed.join(', ') || 'no common subjects'}`);
+}
+
+/**
+ * Verify a registration's signature and role claim; returns the role, or null if rejected
+ */
+async function verifyRegistration(data: MessageData, agentAccountId: string): Promise<string | null> {
+  const claimedRole = data.role || UNKNOWN_ROLE;
+
+  // The signature is checked against the key the directory binds to the registered account
+  // (its own key, or its DID's key when the directory lists the DID under that account)
+  const check = await registrationGuard.check('aexowork.agent.register', data, { fromAccountId: agentAccountId });
+  if (!check.accepted) {
+    audit('register', agentAccountId, null, check.reason || 'rejected by message guard');
+    return null;
+  }
+  if (!check.signatureVerified) {
+    // Only reachable with RELAY_REQUIRE_SIGNED_REGISTRATION=false
+    return claimedRole === UNKNOWN_ROLE || aclPolicy.openRoles.includes(claimedRole) ? claimedRole : UNKNOWN_ROLE;
+  }
+
+  if (claimedRole !== UNKNOWN_ROLE && !canClaimRole(aclPolicy, claimedRole, agentAccountId, resolveAgent(agentAccountId))) {
+    audit('register', agentAccountId, null, `role ${claimedRole} is not open or assigned to this account`);
+    return null;
   }
-  console.log(`[RelayAgent] Auto-subscribed ${agentAccountId} to common subjects`);
+  return claimedRole;
 }
 
-async function handleAgentRegistration(data: MessageData, fromAccountId?: string, connectionTopicId?: string): Promise<void> {
+export async function handleAgentRegistration(data: MessageData, fromAccountId?: string, connectionTopicId?: string): Promise<void> {
   const agentAccountId = data.agentAccountId || fromAccountId;
   const subjects = data.subjects || [];
   
@@ -124,10 +615,22 @@ async function handleAgentRegistration(data: MessageData, fromAccountId?: string
     console.log('[RelayAgent] Invalid registration data - no account ID');
     return;
   }
+
+  const role = await verifyRegistration(data, agentAccountId);
+  if (role === null) {
+    return;
+  }
+  agentRoles.set(agentAccountId, {
+    role,
+    verifiedBy: data.signature ? 'signature' : 'none',
+    registeredAt: Date.now()
+  });
+  scheduleSave();
   
   // Store connection if provided
   if (connectionTopicId) {
     agentConnections.set(agentAccountId, connectionTopicId);
+    scheduleSave();
     console.log(`[RelayAgent] ✅ Agent ${agentAccountId} registered (connection: ${connectionTopicId})`);
   } else {
     console.log(`[RelayAgent] ⚠️  Agent ${agentAccountId} registered but no connection topic provided`);
@@ -136,67 +639,108 @@ async function handleAgentRegistration(data: MessageData, fromAccountId?: string
   // Register subjects
   if (subjects && Array.isArray(subjects)) {
     for (const subject of subjects) {
-      if (!subscribers.has(subject)) {
-        subscribers.set(subject, new Set());
+      if (addSubscriber(subject, agentAccountId)) {
+        console.log(`[RelayAgent] Agent ${agentAccountId} (${role}) subscribed to ${subject}`);
       }
-      subscribers.get(subject)!.add(agentAccountId);
-      console.log(`[RelayAgent] Agent ${agentAccountId} subscribed to ${subject}`);
     }
   }
   
-  // Also subscribe to common subjects if not explicitly registered
-  const commonSubjects = ['aexowork.jobs', 'aexowork.offers', 'aexowork.verifications'];
-  for (const subject of commonSubjects) {
-    if (!subscribers.has(subject)) {
-      subscribers.set(subject, new Set());
-    }
-    if (!subscribers.get(subject)!.has(agentAccountId)) {
-      subscribers.get(subject)!.add(agentAccountId);
+  // Also subscribe to common subjects if not explicitly registered (and allowed for the role)
+  for (const subject of COMMON_SUBJECTS) {
+    if (subscribers.get(subject)?.has(agentAccountId)) continue;
+    if (checkAcl(aclPolicy, role, 'subscribe', subject).allowed && addSubscriber(subject, agentAccountId)) {
       console.log(`[RelayAgent] Agent ${agentAccountId} auto-subscribed to ${subject}`);
     }
   }
 }
 
-async function handleIncomingMessage(data: MessageData, fromAccountId?: string): Promise<void> {
+/**
+ * Deliver a message forwarded by a peer relay once its signature checks out against the sender's key
+ */
+async function handleMeshMessage(envelope: MeshEnvelope): Promise<number> {
+  const check = await meshGuard.check(envelope.subject, envelope.message, { fromAccountId: envelope.fromAccountId });
+  if (!check.accepted) {
+    audit('publish', envelope.fromAccountId, envelope.subject, `forwarded by ${envelope.origin}: ${check.reason}`);
+    return 0;
+  }
+  return handleIncomingMessage({ ...envelope.message, subject: envelope.subject }, envelope.fromAccountId || undefined, envelope);
+}
+
+/**
+ * Route a message to local subscribers (and, for messages from local agents, to mesh peers).
+ * Returns the number of local deliveries.
+ */
+export async function handleIncomingMessage(data: MessageData, fromAccountId?: string, envelope?: MeshEnvelope): Promise<number> {
   if (!data || !data.subject) {
-    return; // Not a routable message
+    return 0; // Not a routable message
+  }
+
+  // A copy we relayed that came back through another relay's HCS-10 connection
+  if (data.relayed && Array.isArray(data.relayHops) && data.relayHops.includes(RELAY_ID)) {
+    console.log(`[RelayAgent] 🔁 Dropped ${data.subject}: already relayed by ${RELAY_ID}`);
+    return 0;
   }
 
   const subject = data.subject;
-  
-  // Get subscribers for this subject
-  const targetAgents = subscribers.get(subject);
-  
-  if (!targetAgents || targetAgents.size === 0) {
-    console.log(`[RelayAgent] No subscribers for ${subject}`);
-    return;
+  const now = Date.now();
+  const stats = getSubjectStats(subject);
+  stats.received++;
+  stats.lastReceivedAt = now;
+  stats.recent.push(now);
+  while (stats.recent.length > 0 && now - stats.recent[0] >= RATE_WINDOW_MS) stats.recent.shift();
+
+  // Mesh messages are checked under the role this relay knows for the sender, not the one the origin relay claims
+  const plan = planRoute(subject, fromAccountId || null);
+  if (envelope) {
+    plan.viaRelay = envelope.origin;
+    if (envelope.senderRole !== plan.senderRole) {
+      console.log(`[RelayAgent] ${subject} from ${envelope.origin}: sender ${fromAccountId} claimed as ${envelope.senderRole}, known here as ${plan.senderRole}`);
+    }
   }
 
-  // Route to all subscribers (except sender)
-  const targets = Array.from(targetAgents).filter(id => id !== fromAccountId);
-  
+  // The sender's role must be allowed to publish the subject
+  if (!plan.publishAllowed) {
+    audit('publish', fromAccountId, subject, checkAcl(aclPolicy, plan.senderRole, 'publish', subject).reason!);
+    recordUndelivered(plan);
+    return 0;
+  }
+
+  // Messages from our own agents also go to peers that can deliver the subject
+  const forwarded = envelope ? 0 : await mesh.publish(subject, data, fromAccountId || null, plan.senderRole);
+
+  // Subscribers excluded by the ACL are audited (the policy or their role may have changed since they subscribed)
+  for (const target of plan.targets.filter(t => t.status === 'acl-denied')) {
+    audit('subscribe', target.accountId, subject, target.detail!);
+  }
+
+  const targets = plan.targets.filter(t => t.status === 'deliver');
   if (targets.length === 0) {
-    console.log(`[RelayAgent] No targets for ${subject} (only sender subscribed)`);
-    return;
+    if (forwarded > 0) {
+      console.log(`[RelayAgent] No local subscribers for ${subject} - forwarded to ${forwarded} peer relay(s)`);
+      return 0;
+    }
+    console.log(`[RelayAgent] No subscribers for ${subject}: ${plan.reason}`);
+    recordUndelivered(plan);
+    return 0;
   }
 
   console.log(`[RelayAgent] Routing ${subject} from ${fromAccountId} to ${targets.length} agent(s)`);
 
+  // Get HCS10Client to send directly
+  const hcs10Client = getClient();
+  if (!hcs10Client) {
+    console.error(`[RelayAgent] No HCS10Client available`);
+    recordUndelivered({ ...plan, reason: 'relay has no HCS-10 client (not initialized)' });
+    return 0;
+  }
+
   // Send to each subscriber via their connection
-  for (const targetAccountId of targets) {
+  let delivered = 0;
+  for (const target of targets) {
+    const targetAccountId = target.accountId;
+    const targetStats = getAgentStats(targetAccountId);
     try {
-      const connectionTopicId = agentConnections.get(targetAccountId);
-      if (!connectionTopicId) {
-        console.log(`[RelayAgent] ⚠️  No connection for ${targetAccountId}, skipping`);
-        continue;
-      }
-
-      // Get HCS10Client to send directly
-      const hcs10Client = getClient();
-      if (!hcs10Client) {
-        console.error(`[RelayAgent] No HCS10Client available`);
-        continue;
-      }
+      const connectionTopicId = agentConnections.get(targetAccountId)!;
 
       // Send message to target agent's connection topic
       const relayAccountId = getAgentAccountId();
@@ -204,7 +748,8 @@ async function handleIncomingMessage(data: MessageData, fromAccountId?: string):
         ...data,
         relayed: true,
         originalFrom: fromAccountId,
-        relayedBy: relayAccountId
+        relayedBy: relayAccountId,
+        relayHops: envelope ? envelope.hops : [RELAY_ID]
       };
       
       // sendMessage uses the client's operator credentials automatically
@@ -214,15 +759,31 @@ async function handleIncomingMessage(data: MessageData, fromAccountId?: string):
         `A2A: ${subject}`
       );
       
+      delivered++;
+      stats.delivered++;
+      stats.lastDeliveredAt = Date.now();
+      targetStats.delivered++;
+      targetStats.lastDeliveredAt = stats.lastDeliveredAt;
       console.log(`[RelayAgent] ✅ Routed ${subject} to ${targetAccountId}`);
     } catch (error: any) {
+      stats.failed++;
+      targetStats.failed++;
+      targetStats.lastError = error.message;
+      target.status = 'failed';
+      target.detail = error.message;
       console.error(`[RelayAgent] ❌ Failed to route to ${targetAccountId}:`, error.message);
     }
   }
+
+  if (delivered === 0 && forwarded === 0) {
+    recordUndelivered({ ...plan, reason: `every delivery failed (${targets.length} attempted)` });
+  }
+  return delivered;
 }
 
 export async function init(): Promise<void> {
   console.log(`[RelayAgent] 🚀 Starting Relay Agent...`);
+  console.log(`[RelayAgent] 🔐 ACL: ${aclPolicy.rules.length} rule(s), default ${aclPolicy.defaultAction}${process.env.RELAY_ACL_FILE ? ` (${process.env.RELAY_ACL_FILE})` : ''}, signed registrations ${REQUIRE_SIGNED_REGISTRATION ? 'required' : 'optional'}`);
   
   // Initialize HCS-10
   await initHCS10Connection();
@@ -233,6 +794,10 @@ export async function init(): Promise<void> {
     console.log(`[RelayAgent] ✅ RelayAgent initialized and ready`);
     console.log(`[RelayAgent] 📡 Agents should connect to this relay for message routing`);
   });
+
+  // Peer with other relays
+  mesh.start();
+  console.log(`[RelayAgent] 🕸️  Mesh relay ID ${RELAY_ID}, ${mesh.getPeers().length} configured peer(s), TTL ${mesh.ttl}`);
 }
 
 // Start if run directly
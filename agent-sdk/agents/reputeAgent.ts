@@ -3,6 +3,11 @@ import express, { Request, Response, NextFunction } from 'express';
 import { ethers } from 'ethers';
 import { signJSON } from '../lib/signer';
 import { sendA2A, subscribe, init as initA2A } from '../lib/a2a';
+import { createA2AAdminRouter, requireAdmin } from '../lib/a2a-admin';
+import { getAgentSigner, readSecret } from '../lib/keystore';
+import { uploadJSON } from '../lib/ipfs';
+import { readJSON, writeJSON } from '../lib/json-store';
+import { issueCredential, revokeCredential, getStatusListCredential, VerifiableCredential } from '../lib/credentials';
 import axios from 'axios';
 
 /**
@@ -30,6 +35,9 @@ app.use((req: Request, res: Response, next: NextFunction) => {
   next();
 });
 
+// A2A outbox / dead-letter admin endpoints
+app.use(createA2AAdminRouter());
+
 // Type definitions
 interface UserStats {
   totalJobs?: number;
@@ -77,9 +85,21 @@ interface BadgeIssuance {
   issuedAt: number;
 }
 
+interface BadgeCredentialRecord {
+  badgeType: number;
+  credential: VerifiableCredential;
+  credentialURI: string; // IPFS copy, used as the NFT's criteriaMetURI
+  transactionHash?: string;
+  revoked?: boolean;
+}
+
 // In-memory reputation cache
 const reputationCache = new Map<string, ReputationResult>();
 const badgeIssuanceHistory = new Map<string, BadgeIssuance[]>();
+const BADGE_CREDENTIALS_FILE = 'badge-credentials.json';
+const badgeCredentials = new Map<string, BadgeCredentialRecord[]>(
+  Object.entries(readJSON<Record<string, BadgeCredentialRecord[]>>(BADGE_CREDENTIALS_FILE, {}))
+);
 
 // Reputation scoring weights
 const REPUTATION_WEIGHTS = {
@@ -118,6 +138,9 @@ app.get('/', (req: Request, res: Response) => {
       'POST /issue-badge': 'Issue achievement badge',
       'GET /reputation/:address': 'Get reputation score',
       'GET /badges/:address': 'Get user badges',
+      'GET /credentials/:address': 'Badge credentials (W3C VCs) held by a user',
+      'GET /credentials/status/:listId': 'Revocation status list for issued credentials',
+      'POST /credentials/revoke': 'Revoke a badge credential',
       'POST /update-reputation': 'Update reputation after job'
     },
     stats: {
@@ -247,7 +270,8 @@ async function checkBadgeEligibility(userStats: UserStats, address: string): Pro
 async function mintReputationTokens(address: string, amount: number, reason: string): Promise<boolean> {
   try {
     const provider = new ethers.providers.JsonRpcProvider(process.env.HEDERA_RPC_URL || process.env.HEDERA_JSON_RPC_RELAY || 'https://testnet.hashio.io/api');
-    const wallet = process.env.HEDERA_PRIVATE_KEY ? new ethers.Wallet(process.env.HEDERA_PRIVATE_KEY, provider) : null;
+    const privateKey = readSecret('HEDERA_PRIVATE_KEY');
+    const wallet = privateKey ? new ethers.Wallet(privateKey, provider) : null;
 
     if (!wallet || !process.env.REPUTATION_TOKEN_ADDRESS) {
       console.warn('[ReputeAgent] Wallet or token address not configured');
@@ -280,49 +304,115 @@ async function mintReputationTokens(address: string, amount: number, reason: str
   }
 }
 
+/**
+ * Holder identifier for credentialSubject.id (EVM addresses become did:pkh identifiers)
+ */
+function holderId(address: string): string {
+  if (address.startsWith('did:')) return address;
+  return `did:pkh:eip155:${process.env.HEDERA_CHAIN_ID || '296'}:${address}`;
+}
+
+function saveBadgeCredentials(): void {
+  writeJSON(BADGE_CREDENTIALS_FILE, Object.fromEntries(badgeCredentials));
+}
+
+function activeBadgeCredential(address: string, badgeType: number): BadgeCredentialRecord | undefined {
+  return (badgeCredentials.get(address.toLowerCase()) || []).find(
+    (record) => record.badgeType === badgeType && !record.revoked
+  );
+}
+
+/**
+ * Issue the badge as a W3C Verifiable Credential and pin it to IPFS
+ */
+async function issueBadgeCredential(address: string, badge: Badge): Promise<{ credential: VerifiableCredential; credentialURI: string } | null> {
+  try {
+    const credential = await issueCredential({
+      type: 'AchievementBadgeCredential',
+      name: badge.name,
+      description: badge.description || `Earned ${badge.name} badge`,
+      subject: {
+        id: holderId(address),
+        type: 'AchievementSubject',
+        address,
+        achievement: {
+          type: 'Achievement',
+          badgeType: badge.type,
+          name: badge.name,
+          ...(badge.criteria ? { criteria: badge.criteria } : {}),
+        },
+      },
+      statusListId: 'badges',
+      statusBaseUrl: process.env.CREDENTIAL_STATUS_BASE_URL
+        || `http://localhost:${process.env.REPUTE_AGENT_PORT || '3004'}/credentials/status`,
+    });
+    const cid = await uploadJSON(credential);
+    return { credential, credentialURI: cid.startsWith('ipfs://') ? cid : `ipfs://${cid}` };
+  } catch (error: any) {
+    console.warn(`[ReputeAgent] ⚠️  Could not issue badge credential: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Issue NFT badge to user
+ * The badge is also issued as a Verifiable Credential (its IPFS URI is the NFT's
+ * criteriaMetURI), so it can be verified off-chain - even when no BadgeNFT is configured.
  */
 export async function issueBadge(address: string, badge: Badge): Promise<boolean> {
   try {
     const provider = new ethers.providers.JsonRpcProvider(process.env.HEDERA_RPC_URL || process.env.HEDERA_JSON_RPC_RELAY || 'https://testnet.hashio.io/api');
-    const wallet = process.env.HEDERA_PRIVATE_KEY ? new ethers.Wallet(process.env.HEDERA_PRIVATE_KEY, provider) : null;
-
-    if (!wallet || !process.env.BADGE_NFT_ADDRESS) {
-      console.warn('[ReputeAgent] Wallet or badge NFT address not configured');
-      return false;
-    }
+    const privateKey = readSecret('HEDERA_PRIVATE_KEY');
+    const wallet = privateKey ? new ethers.Wallet(privateKey, provider) : null;
 
     const badgeAbi = [
       'function issueBadge(address recipient, uint8 badgeType, string name, string description, string tokenURI, string criteriaMetURI, bool soulbound) external returns (uint256)',
       'function hasType(address user, uint8 badgeType) external view returns (bool)'
     ];
 
-    const badgeNFT = new ethers.Contract(
-      process.env.BADGE_NFT_ADDRESS,
-      badgeAbi,
-      wallet
-    );
+    const badgeNFT = wallet && process.env.BADGE_NFT_ADDRESS
+      ? new ethers.Contract(process.env.BADGE_NFT_ADDRESS, badgeAbi, wallet)
+      : null;
+    if (!badgeNFT) {
+      console.warn('[ReputeAgent] Wallet or badge NFT address not configured, issuing the badge credential only');
+    }
 
     // Check if already has this badge type
-    const hasType = await badgeNFT.hasType(address, badge.type);
-    if (hasType) {
+    if (activeBadgeCredential(address, badge.type) || (badgeNFT && await badgeNFT.hasType(address, badge.type))) {
       console.log(`[ReputeAgent] User already has ${badge.name} badge`);
       return false;
     }
 
-    const tx = await badgeNFT.issueBadge(
-      address,
-      badge.type,
-      badge.name,
-      badge.description || `Earned ${badge.name} badge`,
-      `ipfs://badge-${badge.type}`,
-      badge.proof || `ipfs://proof-${Date.now()}`,
-      true // soulbound
-    );
+    const issued = await issueBadgeCredential(address, badge);
+    let transactionHash: string | undefined;
+
+    if (badgeNFT) {
+      const tx = await badgeNFT.issueBadge(
+        address,
+        badge.type,
+        badge.name,
+        badge.description || `Earned ${badge.name} badge`,
+        `ipfs://badge-${badge.type}`,
+        issued?.credentialURI || badge.proof || `ipfs://proof-${Date.now()}`,
+        true // soulbound
+      );
+
+      await tx.wait();
+      transactionHash = tx.hash;
+      console.log(`[ReputeAgent] Issued ${badge.name} badge to ${address}`);
+    } else if (!issued) {
+      return false;
+    }
 
-    const receipt = await tx.wait();
-    console.log(`[ReputeAgent] Issued ${badge.name} badge to ${address}`);
+    if (issued) {
+      const key = address.toLowerCase();
+      if (!badgeCredentials.has(key)) {
+        badgeCredentials.set(key, []);
+      }
+      badgeCredentials.get(key)!.push({ badgeType: badge.type, ...issued, transactionHash });
+      saveBadgeCredentials();
+      console.log(`[ReputeAgent] 🎓 Badge credential ${issued.credential.id} issued to ${address} (${issued.credentialURI})`);
+    }
 
     // Track issuance
     if (!badgeIssuanceHistory.has(address)) {
@@ -387,8 +477,7 @@ app.post('/issue-badge', async (req: Request, res: Response) => {
     const badge: Badge = {
       type: badgeType,
       name: name || 'Achievement Badge',
-      description: description || 'Earned achievement badge',
-      proof: `ipfs://proof-${Date.now()}`
+      description: description || 'Earned achievement badge'
     };
 
     const issued = await issueBadge(address, badge);
@@ -447,6 +536,77 @@ app.get('/reputation/:address', (req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /badges/:address
+ * Badges issued to a user
+ */
+app.get('/badges/:address', (req: Request, res: Response) => {
+  const { address } = req.params;
+  const records = badgeCredentials.get(address.toLowerCase()) || [];
+  res.json({
+    ok: true,
+    address,
+    issued: badgeIssuanceHistory.get(address) || [],
+    badges: records.map((record) => ({
+      badgeType: record.badgeType,
+      name: record.credential.name,
+      issuedAt: record.credential.validFrom,
+      credentialId: record.credential.id,
+      credentialURI: record.credentialURI,
+      transactionHash: record.transactionHash,
+      revoked: !!record.revoked
+    }))
+  });
+});
+
+/**
+ * GET /credentials/status/:listId
+ * Signed BitstringStatusListCredential for the credentials this agent issued
+ */
+app.get('/credentials/status/:listId', async (req: Request, res: Response) => {
+  try {
+    const list = await getStatusListCredential(req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Status list not found' });
+    }
+    res.json(list);
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /credentials/:address
+ * Badge credentials held by a user, ready to verify offline
+ */
+app.get('/credentials/:address', (req: Request, res: Response) => {
+  const { address } = req.params;
+  const credentials = (badgeCredentials.get(address.toLowerCase()) || []).map((record) => record.credential);
+  res.json({ ok: true, address, count: credentials.length, credentials });
+});
+
+/**
+ * POST /credentials/revoke
+ * Revoke a badge credential (admin only)
+ */
+app.post('/credentials/revoke', requireAdmin(), (req: Request, res: Response) => {
+  const { credentialId } = req.body;
+  if (!credentialId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  for (const [address, records] of badgeCredentials) {
+    const record = records.find((candidate) => candidate.credential.id === credentialId);
+    if (record && revokeCredential(credentialId, 'badges')) {
+      record.revoked = true;
+      saveBadgeCredentials();
+      console.log(`[ReputeAgent] 🚫 Revoked badge credential ${credentialId} (${address})`);
+      return res.json({ ok: true, revoked: credentialId, address });
+    }
+  }
+  res.status(404).json({ error: 'Credential not found' });
+});
+
 /**
  * POST /update-reputation
  * Update reputation after job completion (called by other agents)
@@ -525,6 +685,19 @@ app.post('/update-reputation', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * Sign an outgoing A2A message with the agent signer, if one is configured
+ */
+async function signed(message: any): Promise<any> {
+  try {
+    const signer = getAgentSigner();
+    if (signer) message.signature = await signer.sign(message);
+  } catch (signError: any) {
+    console.warn('[ReputeAgent] Could not sign message:', signError.message);
+  }
+  return message;
+}
+
 /**
  * Initialize ReputeAgent
  */
@@ -702,15 +875,17 @@ export async function init(): Promise<void> {
         
         // Send confirmation back to ClientAgent (optional - for tracking)
         try {
-          await sendA2A('aexowork.reputation.updated', {
+          await sendA2A('aexowork.reputation.updated', await signed({
             type: 'reputation.updated',
             escrowId: msg.escrowId,
             worker: msg.worker,
             client: msg.client,
             processedAt: Date.now(),
             processingTime: totalTime,
+            fromDid: process.env.AGENT_DID,
+            timestamp: Date.now(),
             to: msg.fromAccountId || process.env.CLIENT_AGENT_ACCOUNT_ID
-          });
+          }));
           console.log(`[ReputeAgent] 📤 Sent confirmation to ClientAgent`);
         } catch (confirmError: any) {
           // Non-critical, just log
@@ -1,10 +1,13 @@
 import 'dotenv/config';
 import express, { Request, Response, NextFunction } from 'express';
-import { signJSON } from '../lib/signer';
+import { getAgentSigner } from '../lib/keystore';
 import { downloadJSON } from '../lib/ipfs';
 import { subscribe, sendA2A, init as initA2A } from '../lib/a2a';
+import { createA2AAdminRouter, requireAdmin } from '../lib/a2a-admin';
+import { issueCredential, revokeCredential, getStatusListCredential, VerifiableCredential } from '../lib/credentials';
 import { submitHCSMessage } from '../lib/hedera';
 import OpenAI from 'openai';
+import { Server } from 'http';
 
 /**
  * VerificationAgent - Validates work quality and authenticity
@@ -24,6 +27,9 @@ app.use((req: Request, res: Response, next: NextFunction) => {
   next();
 });
 
+// A2A outbox / dead-letter admin endpoints
+app.use(createA2AAdminRouter());
+
 // Type definitions
 interface VerificationResult {
   passed: boolean;
@@ -49,6 +55,7 @@ interface VerificationAttestation {
   verifiedAt: number;
   verifier?: string;
   timestamp: number;
+  credential?: VerifiableCredential | null;
   signature?: string;
 }
 
@@ -72,7 +79,9 @@ app.get('/', (req: Request, res: Response) => {
     endpoints: {
       'POST /verify': 'Manually verify work',
       'GET /verifications': 'List all verifications',
-      'GET /verification/:escrowId': 'Get specific verification'
+      'GET /verification/:escrowId': 'Get specific verification',
+      'GET /credentials/status/:listId': 'Revocation status list for issued credentials',
+      'POST /credentials/:escrowId/revoke': 'Revoke the credential for a verification'
     },
     stats: {
       totalVerifications: verificationResults.size,
@@ -195,6 +204,41 @@ Respond in JSON format:
   }
 }
 
+/**
+ * Base URL this agent serves its credential status lists under
+ */
+function credentialStatusBaseUrl(): string {
+  return process.env.CREDENTIAL_STATUS_BASE_URL
+    || `http://localhost:${process.env.VERIFICATION_AGENT_PORT || 3003}/credentials/status`;
+}
+
+/**
+ * Issue the attestation as a W3C Verifiable Credential (null when no DID or signer is configured)
+ */
+async function issueAttestationCredential(attestation: VerificationAttestation, workerDid?: string): Promise<VerifiableCredential | null> {
+  try {
+    return await issueCredential({
+      type: 'VerificationAttestationCredential',
+      name: 'Work delivery verification',
+      subject: {
+        id: workerDid && workerDid.startsWith('did:') ? workerDid : `urn:aexowork:escrow:${attestation.escrowId}`,
+        type: 'VerificationAttestation',
+        escrowId: attestation.escrowId,
+        ...(attestation.jobId ? { jobId: attestation.jobId } : {}),
+        deliveryCID: attestation.deliveryCID,
+        passed: attestation.passed,
+        score: attestation.score,
+        checks: attestation.checks,
+        verifiedAt: new Date(attestation.verifiedAt).toISOString(),
+      },
+      statusBaseUrl: credentialStatusBaseUrl(),
+    });
+  } catch (error: any) {
+    console.warn(`[VerificationAgent] ⚠️  Could not issue verification credential: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Handle work deliveries and verify them
  */
@@ -249,12 +293,14 @@ async function handleWorkDelivery(msg: any): Promise<void> {
       ...verification,
       timestamp: Date.now(),
     };
+    attestation.credential = await issueAttestationCredential(attestation, msg.fromDid);
     
     try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        attestation.signature = signJSON(attestation, process.env.AGENT_PRIVATE_KEY_BASE64);
+      const signer = getAgentSigner();
+      if (signer) {
+        attestation.signature = await signer.sign(attestation);
       } else {
-        console.warn(`[VerificationAgent] ⚠️  AGENT_PRIVATE_KEY_BASE64 not set, skipping signature`);
+        console.warn(`[VerificationAgent] ⚠️  No agent signer configured, skipping signature`);
       }
     } catch (signError: any) {
       console.warn(`[VerificationAgent] ⚠️  Could not sign attestation: ${signError.message}`);
@@ -293,6 +339,7 @@ async function handleWorkDelivery(msg: any): Promise<void> {
       verificationPassed: verification.passed,
       verificationChecks: verification.checks,
       verificationProofCID: null, // Could store proof on IPFS if needed
+      verificationCredential: attestation.credential,
       fromDid: process.env.AGENT_DID,
       verifiedBy: 'VerificationAgent',
       timestamp: Date.now(),
@@ -300,8 +347,9 @@ async function handleWorkDelivery(msg: any): Promise<void> {
     };
     
     try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        verifiedDelivery.signature = signJSON(verifiedDelivery, process.env.AGENT_PRIVATE_KEY_BASE64);
+      const signer = getAgentSigner();
+      if (signer) {
+        verifiedDelivery.signature = await signer.sign(verifiedDelivery);
       }
     } catch (signError: any) {
       console.warn(`[VerificationAgent] ⚠️  Could not sign verified delivery: ${signError.message}`);
@@ -340,7 +388,7 @@ async function handleWorkDelivery(msg: any): Promise<void> {
  */
 app.post(['/verify', '/api/verification/verify'], async (req: Request, res: Response) => {
   try {
-    const { escrowId, deliveryCID } = req.body;
+    const { escrowId, deliveryCID, workerDid } = req.body;
     
     if (!escrowId || !deliveryCID) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -357,7 +405,10 @@ app.post(['/verify', '/api/verification/verify'], async (req: Request, res: Resp
       timestamp: Date.now(),
     };
     
-    attestation.signature = signJSON(attestation, process.env.AGENT_PRIVATE_KEY_BASE64!);
+    const signer = getAgentSigner();
+    if (!signer) throw new Error('No agent signer configured (AGENT_SIGNER / AGENT_PRIVATE_KEY_BASE64)');
+    attestation.credential = await issueAttestationCredential(attestation, workerDid);
+    attestation.signature = await signer.sign(attestation);
     
     verificationResults.set(escrowId, attestation);
     
@@ -395,10 +446,39 @@ app.get('/verification/:escrowId', (req: Request, res: Response) => {
   res.json(result);
 });
 
+/**
+ * GET /credentials/status/:listId
+ * Signed BitstringStatusListCredential for the credentials this agent issued
+ */
+app.get('/credentials/status/:listId', async (req: Request, res: Response) => {
+  try {
+    const list = await getStatusListCredential(req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'Status list not found' });
+    }
+    res.json(list);
+  } catch (error: any) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /credentials/:escrowId/revoke
+ * Revoke the verification credential issued for an escrow (admin only)
+ */
+app.post('/credentials/:escrowId/revoke', requireAdmin(), (req: Request, res: Response) => {
+  const credential = verificationResults.get(req.params.escrowId)?.credential;
+  if (!credential || !revokeCredential(credential.id)) {
+    return res.status(404).json({ error: 'Credential not found' });
+  }
+  console.log(`[VerificationAgent] 🚫 Revoked verification credential ${credential.id} (escrow ${req.params.escrowId})`);
+  res.json({ ok: true, revoked: credential.id });
+});
+
 /**
  * Initialize VerificationAgent
  */
-export async function init(): Promise<void> {
+export async function init(): Promise<Server> {
   // Connect to A2A message bus
   console.log(`[VerificationAgent] 🔌 Connecting to A2A message bus...`);
   await initA2A(undefined, { agentName: 'VerificationAgent' });
@@ -416,7 +496,7 @@ export async function init(): Promise<void> {
   
   // Start HTTP server
   const port = process.env.VERIFICATION_AGENT_PORT || 3003;
-  app.listen(port, () => {
+  return app.listen(port, () => {
     console.log(`[VerificationAgent] 🌐 HTTP server running on port ${port}`);
     console.log(`[VerificationAgent] ✅ VerificationAgent initialized and ready`);
   });
@@ -1,11 +1,19 @@
 import 'dotenv/config';
 import express, { Request, Response, NextFunction } from 'express';
 import { ethers } from 'ethers';
-import { signJSON } from '../lib/signer';
+import { getAgentSigner } from '../lib/keystore';
 import { uploadJSON } from '../lib/ipfs';
-import { sendA2A, subscribe, init as initA2A } from '../lib/a2a';
+import { sendA2A, subscribe, requestA2A, init as initA2A, getTransportName } from '../lib/a2a';
+import { createA2AAdminRouter } from '../lib/a2a-admin';
 import { getContract, initEVM } from '../lib/hedera';
+import { readJSON, writeJSON } from '../lib/json-store';
+import {
+  Negotiator, NegotiationRecord, NEGOTIATION_SUBJECT, strategyFromEnv, openingPrice, recordMessage, expireIfDue, verifyTranscript,
+  closeNegotiation,
+} from '../lib/negotiation';
+import { JOB_INVITE_TYPE, openJobInvite } from '../lib/private-jobs';
 import axios from 'axios';
+import { Server } from 'http';
 
 /**
  * WorkerAgent - Discovers jobs, makes offers, delivers work
@@ -25,6 +33,9 @@ app.use((req: Request, res: Response, next: NextFunction) => {
   next();
 });
 
+// A2A outbox / dead-letter admin endpoints
+app.use(createA2AAdminRouter());
+
 // Type definitions
 interface Job {
   jobId: string;
@@ -50,6 +61,58 @@ interface Work {
 // Store available jobs and accepted work
 const availableJobs = new Map<string, Job>();
 const acceptedWork = new Map<string, Work>();
+const sentOffers = new Map<string, any>(); // offerId -> offer as sent (signed)
+
+// Price negotiations with ClientAgents (see lib/negotiation.ts), kept across restarts
+const NEGOTIATIONS_FILE = 'worker-negotiations.json';
+const negotiations = new Map<string, NegotiationRecord>(
+  Object.entries(readJSON<Record<string, NegotiationRecord>>(NEGOTIATIONS_FILE, {}))
+);
+
+function saveNegotiation(record: NegotiationRecord): void {
+  negotiations.set(record.negotiationId, { ...record, updatedAt: Date.now() });
+  writeJSON(NEGOTIATIONS_FILE, Object.fromEntries(negotiations));
+}
+
+const negotiator = new Negotiator({
+  role: 'worker',
+  getRecord: (negotiationId) => negotiations.get(negotiationId) || null,
+  saveRecord: saveNegotiation,
+  send: sendA2A,
+  signer: getAgentSigner,
+  did: () => process.env.AGENT_DID,
+  // A client opens a negotiation by countering one of our offers
+  createRecord: (msg) => {
+    const offer = sentOffers.get(msg.offerId);
+    if (!offer || offer.jobId !== msg.jobId) return null;
+    const now = Date.now();
+    const job = availableJobs.get(msg.jobId);
+    const record: NegotiationRecord = {
+      negotiationId: msg.negotiationId,
+      jobId: msg.jobId,
+      offerId: msg.offerId,
+      role: 'worker',
+      counterparty: { did: msg.fromDid, accountId: msg.fromAccountId || process.env.CLIENT_AGENT_ACCOUNT_ID },
+      budget: String(job?.budgetHBAR ?? offer.price),
+      eta: offer.eta,
+      strategy: strategyFromEnv('worker'),
+      status: 'open',
+      round: 0,
+      maxRounds: Math.min(msg.maxRounds || Infinity, parseInt(process.env.NEGOTIATION_MAX_ROUNDS || '6', 10)),
+      startedAt: now,
+      expiresAt: Math.min(msg.expiresAt || Infinity, now + parseInt(process.env.NEGOTIATION_TTL_MS || String(15 * 60 * 1000), 10)),
+      lastPrice: { client: null, worker: String(offer.price) },
+      transcript: [],
+    };
+    console.log(`[WorkerAgent] 💬 Client opened negotiation ${msg.negotiationId} on offer ${msg.offerId}`);
+    return recordMessage(record, 'sent', offer);
+  },
+  onClosed: (record) => {
+    if (record.status === 'agreed') {
+      sentOffers.set(record.agreedOfferId!, { ...sentOffers.get(record.offerId), offerId: record.agreedOfferId, price: record.agreedPrice });
+    }
+  },
+});
 
 /**
  * GET /
@@ -62,7 +125,9 @@ app.get('/', (req: Request, res: Response) => {
     version: '1.0.0',
     endpoints: {
       'GET /work': 'List accepted work',
-      'GET /available-jobs': 'List available jobs'
+      'GET /available-jobs': 'List available jobs',
+      'GET /negotiations': 'List price negotiations',
+      'GET /negotiations/:id': 'Negotiation with its signed transcript'
     },
     stats: {
       availableJobs: availableJobs.size,
@@ -100,6 +165,10 @@ function shouldBidOnJob(job: Job): boolean {
 async function handleJobPost(msg: any): Promise<void> {
   // Support both old 'JobPost' and new 'JobOfferRequest' types for backward compatibility
   if (msg.type !== 'JobPost' && msg.type !== 'JobOfferRequest') return;
+  if (msg.private) {
+    console.log(`[WorkerAgent] Invite-only job ${msg.jobId} ("${msg.teaser?.summary}") - terms only reach invited workers`);
+    return;
+  }
   
   console.log(`[WorkerAgent] New job discovered: ${msg.jobId}`);
   
@@ -114,49 +183,52 @@ async function handleJobPost(msg: any): Promise<void> {
   
   // STEP 10 (OPTIONAL): Check if data marketplace access is needed
   // WorkerAgent can automatically purchase datasets/models/APIs if needed
-  let dataAccess = null;
+  let dataAccess: any[] | null = null;
   if (msg.requiredSkills && msg.requiredSkills.some((skill: string) => ['data', 'dataset', 'api', 'model'].includes(skill.toLowerCase()))) {
-    // Request data from DataAgent via A2A
+    // Request data from DataAgent via A2A and wait for matching datasets
     const dataRequest: any = {
       type: 'data.request',
       jobId: msg.jobId,
       requiredData: msg.requiredSkills.filter((s: string) => ['data', 'dataset', 'api'].includes(s.toLowerCase())),
       budget: parseFloat(msg.budgetHBAR) / 1e18 * 0.1, // 10% of job budget for data
-      timestamp: Date.now(),
+      fromDid: process.env.AGENT_DID,
+      to: process.env.DATA_AGENT_ACCOUNT_ID, // Target DataAgent only
     };
-    try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        dataRequest.signature = signJSON(dataRequest, process.env.AGENT_PRIVATE_KEY_BASE64);
-      }
-    } catch (signError: any) {
-      console.warn('[WorkerAgent] Could not sign data request:', signError.message);
-    }
     
-    // Send data request to DataAgent only (async - will be handled separately)
-    dataRequest.to = process.env.DATA_AGENT_ACCOUNT_ID; // Target DataAgent only
-    sendA2A('aexowork.data.requests', dataRequest).catch((err: any) => {
+    // requestA2A signs the request and routes the DataAgent's reply back here
+    try {
+      const response = await requestA2A('aexowork.data.requests', dataRequest, {
+        timeout: parseInt(process.env.DATA_REQUEST_TIMEOUT_MS || '5000', 10),
+      });
+      dataAccess = response.matches || [];
+      console.log(`[WorkerAgent] 📊 DataAgent offered ${dataAccess!.length} dataset(s) for job ${msg.jobId}`);
+    } catch (err: any) {
       console.log(`[WorkerAgent] Data request failed (optional): ${err.message}`);
-    });
-    
-    dataAccess = 'requested';
+    }
   }
   
+  // Opening price from our negotiation strategy (WORKER_NEGOTIATION_OPENING x budget, the full budget by default)
+  const price = openingPrice(strategyFromEnv('worker'), String(msg.budgetHBAR));
+  const etaHours = parseInt(process.env.WORKER_ETA_HOURS || '48', 10);
+  
   // Create offer (OfferMessage per user flow spec)
   const offer: any = {
     type: 'OfferMessage', // Updated to match user flow specification
     offerId: 'offer-' + Date.now(),
     jobId: msg.jobId,
-    price: msg.budgetHBAR, // Price in HBAR
-    priceHBAR: msg.budgetHBAR, // Keep for backward compatibility
-    eta: '48h',
+    price, // Price in HBAR
+    priceHBAR: price, // Keep for backward compatibility
+    eta: `${etaHours}h`,
     sla: {
-      deliveryTime: 48 * 60 * 60 * 1000, // 48 hours in ms
+      deliveryTime: etaHours * 60 * 60 * 1000,
       qualityGuarantee: true,
       revisionPolicy: '2 free revisions'
     },
-    proposedDeadline: Date.now() + 48 * 60 * 60 * 1000,
+    proposedDeadline: Date.now() + etaHours * 60 * 60 * 1000,
+    negotiable: true, // Clients may counter (NegotiationCounter on aexowork.negotiation)
+    jobRevision: msg.revision || 1, // Offers for an edited job's old terms are ignored
     reputationScore: 85, // TODO: Get from ReputeAgent
-    bundledServices: [], // Optional: e.g., ['plagiarism_check', 'ai_verification']
+    bundledServices: (dataAccess || []).map((m: any) => `dataset:${m.listingId}`), // Optional: e.g., ['plagiarism_check', 'ai_verification']
     fromDid: process.env.AGENT_DID,
     workerAddress: process.env.WORKER_ADDRESS || ethers.Wallet.createRandom().address,
     agentName: 'WorkerAgent',
@@ -166,19 +238,96 @@ async function handleJobPost(msg: any): Promise<void> {
   };
   
   try {
-    if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-      offer.signature = signJSON(offer, process.env.AGENT_PRIVATE_KEY_BASE64);
+    const signer = getAgentSigner();
+    if (signer) {
+      offer.signature = await signer.sign(offer);
     }
   } catch (signError: any) {
     console.warn('[WorkerAgent] Could not sign offer:', signError.message);
   }
   
   // Send offer to ClientAgent only
+  sentOffers.set(offer.offerId, offer);
   await sendA2A('aexowork.offers', offer);
   
   console.log(`[WorkerAgent] 📤 Sent offer ${offer.offerId} for job ${msg.jobId} to ClientAgent (${offer.to || 'broadcast'})`);
 }
 
+/**
+ * Handle a JobInvite: the terms of a private job, sealed for our DID key
+ */
+async function handleJobInvite(msg: any): Promise<void> {
+  if (msg.type !== JOB_INVITE_TYPE || msg.toDid !== process.env.AGENT_DID) return;
+  
+  let terms: any;
+  try {
+    terms = openJobInvite(msg, getAgentSigner(), process.env.AGENT_DID);
+  } catch (error: any) {
+    console.warn(`[WorkerAgent] ⚠️  ${error.message}`);
+    return;
+  }
+  const known = availableJobs.get(msg.jobId);
+  if (known) {
+    if ((terms.revision || 1) <= (known.revision || 1)) return; // Already bid on these terms
+    await dropBids(msg.jobId, 'job updated');
+  }
+  
+  console.log(`[WorkerAgent] 💌 Invited to private job ${msg.jobId} (revision ${terms.revision || 1}) by ${msg.fromDid}`);
+  await handleJobPost({ ...terms, type: 'JobOfferRequest', invited: true, fromDid: msg.fromDid, fromAccountId: msg.fromAccountId });
+}
+
+/**
+ * Forget our offers and open negotiations for a job (it was edited or withdrawn)
+ */
+async function dropBids(jobId: string, reason: string): Promise<number> {
+  let dropped = 0;
+  for (const [offerId, offer] of sentOffers.entries()) {
+    if (offer.jobId !== jobId) continue;
+    sentOffers.delete(offerId);
+    dropped++;
+  }
+  for (const record of negotiations.values()) {
+    if (record.jobId !== jobId || record.status !== 'open') continue;
+    saveNegotiation(await closeNegotiation(record, 'rejected', { reason, signer: getAgentSigner(), signerDid: process.env.AGENT_DID }));
+  }
+  return dropped;
+}
+
+/**
+ * Handle JobUpdated / JobCancelled from the ClientAgent that posted a job
+ */
+async function handleJobChange(msg: any): Promise<void> {
+  if (msg.type !== 'JobUpdated' && msg.type !== 'JobCancelled') return;
+  
+  const job = availableJobs.get(msg.jobId);
+  if (!job) return; // Never seen (or already dropped)
+  if (job.fromDid && msg.fromDid !== job.fromDid) {
+    console.warn(`[WorkerAgent] ⚠️  Ignoring ${msg.type} for job ${msg.jobId} from ${msg.fromDid}, it was posted by ${job.fromDid}`);
+    return;
+  }
+  
+  if (msg.type === 'JobCancelled') {
+    const dropped = await dropBids(msg.jobId, `job ${msg.status || 'cancelled'}`);
+    availableJobs.delete(msg.jobId);
+    for (const work of acceptedWork.values()) {
+      if (work.jobId === msg.jobId && work.status === 'in_progress') {
+        work.status = 'cancelled';
+      }
+    }
+    console.log(`[WorkerAgent] 🛑 Job ${msg.jobId} withdrawn (${msg.reason}), ${dropped} offer(s) dropped`);
+    return;
+  }
+  
+  if ((msg.revision || 1) <= (job.revision || 1)) return; // Already have these terms
+  const dropped = await dropBids(msg.jobId, 'job updated');
+  console.log(`[WorkerAgent] ✏️  Job ${msg.jobId} updated to revision ${msg.revision} (${(msg.changed || []).join(', ') || 'private'}), ${dropped} offer(s) dropped`);
+  if (msg.private) return; // The new terms come in a fresh JobInvite
+  
+  // Bid again on the new terms, as for a new posting
+  const { signature, changed, ...terms } = msg;
+  await handleJobPost({ ...job, ...terms, type: 'JobOfferRequest' });
+}
+
 /**
  * Handle offer acceptance
  */
@@ -270,6 +419,11 @@ async function handleOfferAccepted(msg: any): Promise<void> {
           console.log(`[WorkerAgent] ⚠️  Escrow check error: ${e.message}`);
           console.log(`[WorkerAgent]    Error details: ${e.stack || 'No stack trace'}`);
         }
+      } else if (getTransportName() === 'loopback') {
+        // Local loopback mode has no chain to check - deliver off-chain only
+        console.warn(`[WorkerAgent] ⚠️  Loopback transport, delivering off-chain without escrow check`);
+        await deliverWork(msg.escrowId);
+        return;
       } else {
         console.warn(`[WorkerAgent] ⚠️  ESCROW_MANAGER_ADDRESS not set, cannot check on-chain escrow`);
       }
@@ -305,6 +459,10 @@ async function deliverWork(escrowId: string): Promise<void> {
       console.error('[WorkerAgent] Work not found');
       return;
     }
+    if (work.status === 'cancelled') {
+      console.log(`[WorkerAgent] ⏭️  Job ${work.jobId} was withdrawn, not delivering escrow ${escrowId}`);
+      return;
+    }
     
     // Generate deliverable using DataAgent
     let deliveryCID: string;
@@ -356,6 +514,10 @@ async function deliverWork(escrowId: string): Promise<void> {
     
     // Submit delivery on-chain (only if escrow is funded)
     try {
+      if (!process.env.ESCROW_MANAGER_ADDRESS) {
+        throw new Error('ESCROW_MANAGER_ADDRESS not set');
+      }
+      
       // First check if escrow exists and is funded
       const escrowAbi = [
         'function escrows(bytes32) view returns (address client, address payable freelancer, uint256 amount, uint8 status, address verifier, uint256 createdAt)',
@@ -490,13 +652,15 @@ async function deliverWork(escrowId: string): Promise<void> {
       deliveryCID,
       workType: work.job.requiredSkills?.[0] || 'general',
       checks: ['plagiarism', 'quality', 'deadline', 'completeness'],
-      clientAccountId: work.job.clientAddress || process.env.CLIENT_AGENT_ACCOUNT_ID, // For VerificationAgent to forward to ClientAgent
+      clientAccountId: work.job.fromAccountId || process.env.CLIENT_AGENT_ACCOUNT_ID, // The ClientAgent that posted the job, for VerificationAgent to forward to
+      fromDid: process.env.AGENT_DID,
       timestamp: Date.now(),
       to: process.env.VERIFICATION_AGENT_ACCOUNT_ID, // Target VerificationAgent only
     };
     try {
-      if (process.env.AGENT_PRIVATE_KEY_BASE64) {
-        verificationRequest.signature = signJSON(verificationRequest, process.env.AGENT_PRIVATE_KEY_BASE64);
+      const signer = getAgentSigner();
+      if (signer) {
+        verificationRequest.signature = await signer.sign(verificationRequest);
       }
     } catch (signError: any) {
       console.warn('[WorkerAgent] Could not sign verification request:', signError.message);
@@ -529,10 +693,34 @@ app.get(['/available-jobs', '/api/worker/available-jobs'], (req: Request, res: R
   res.json({ count: jobs.length, jobs });
 });
 
+/**
+ * GET /negotiations
+ * List price negotiations
+ */
+app.get('/negotiations', (req: Request, res: Response) => {
+  const list = Array.from(negotiations.values())
+    .filter((record) => !req.query.jobId || record.jobId === req.query.jobId);
+  res.json({ count: list.length, negotiations: list });
+});
+
+/**
+ * GET /negotiations/:id
+ * A negotiation with its signed transcript and the result of checking it
+ */
+app.get('/negotiations/:id', async (req: Request, res: Response) => {
+  const record = negotiations.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Negotiation not found' });
+  }
+  const current = await expireIfDue(record, getAgentSigner(), process.env.AGENT_DID);
+  if (current !== record) saveNegotiation(current);
+  res.json({ negotiation: current, verification: verifyTranscript(current) });
+});
+
 /**
  * Initialize WorkerAgent
  */
-export async function init(): Promise<void> {
+export async function init(): Promise<Server> {
   // Connect to A2A message bus
   await initA2A(undefined, { agentName: 'WorkerAgent' });
   
@@ -540,13 +728,22 @@ export async function init(): Promise<void> {
   subscribe('aexowork.jobs', handleJobPost);
   console.log('[WorkerAgent] ✅ Subscribed to aexowork.jobs for JobOfferRequest messages');
   
+  // Edited and withdrawn jobs (JobUpdated / JobCancelled) and private job invites on the same subject
+  subscribe('aexowork.jobs', handleJobChange);
+  subscribe('aexowork.jobs', handleJobInvite);
+  
   // Subscribe to offer acceptances
   subscribe('aexowork.offers.accepted', handleOfferAccepted);
   console.log('[WorkerAgent] ✅ Subscribed to aexowork.offers.accepted for OfferAccepted messages');
   
+  // Counter-offers and answers from ClientAgents negotiating our offers
+  subscribe(NEGOTIATION_SUBJECT, async (msg: any) => {
+    await negotiator.handle(msg);
+  });
+  
   // Start HTTP server
   const port = process.env.WORKER_AGENT_PORT || 3002;
-  app.listen(port, () => {
+  return app.listen(port, () => {
     console.log(`[WorkerAgent] Running on port ${port}`);
   });
 }
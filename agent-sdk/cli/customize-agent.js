@@ -110,6 +110,17 @@ async function customizeTemplate(template) {
     const autoApprove = await question(`Auto-approve work? (yes/no, default: ${template.config.autoApprove ? 'yes' : 'no'}): `);
     customConfig.autoApprove = autoApprove.toLowerCase() === 'yes';
 
+    const autoAcceptOffers = await question(`Auto-accept the best offer? (yes/no, default: ${template.config.autoAcceptOffers ? 'yes' : 'no'}): `);
+    customConfig.autoAcceptOffers = autoAcceptOffers.toLowerCase() === 'yes';
+
+    if (customConfig.autoAcceptOffers) {
+      const afterMinutes = await question(`...after how many minutes? (0 = never, default: ${template.config.autoAcceptAfterMinutes}): `);
+      customConfig.autoAcceptAfterMinutes = afterMinutes ? parseInt(afterMinutes) : template.config.autoAcceptAfterMinutes;
+
+      const minOffers = await question(`...or after how many offers? (0 = never, default: ${template.config.autoAcceptMinOffers}): `);
+      customConfig.autoAcceptMinOffers = minOffers ? parseInt(minOffers) : template.config.autoAcceptMinOffers;
+    }
+
     const verificationRequired = await question(`Require verification? (yes/no, default: ${template.config.verificationRequired ? 'yes' : 'no'}): `);
     customConfig.verificationRequired = verificationRequired.toLowerCase() === 'yes';
 
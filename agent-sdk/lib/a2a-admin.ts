@@ -0,0 +1,170 @@
+/**
+ * A2A Admin Endpoints
+ *
+ * Express router mounted by every A2A agent to inspect the outbox and replay
+ * dead-lettered messages:
+ *   GET    /admin/a2a/outbox                          - pending messages + stats
+ *   GET    /admin/a2a/dead-letters                    - messages that exhausted their retries
+ *   POST   /admin/a2a/dead-letters/replay             - replay all dead letters
+ *   POST   /admin/a2a/dead-letters/:id/replay         - replay one dead letter
+ *   DELETE /admin/a2a/dead-letters/:id                - discard a dead letter
+ *   GET    /admin/a2a/keys                            - signer kind and current public key
+ *   POST   /admin/a2a/keys/rotate                     - rotate the signing key and publish it
+ *   POST   /admin/a2a/did                             - publish this agent's DID document to HCS
+ *
+ * Admin routes (these and the agents' own) go through requireAdmin(): with A2A_ADMIN_TOKEN
+ * set they need "Authorization: Bearer <token>", without it they only answer direct local
+ * requests (no proxy headers, no browser Origin). requireAdminToken() refuses every request
+ * until a token is set. Their responses never carry CORS headers.
+ */
+
+import * as crypto from 'crypto';
+import { Router, Request, Response, NextFunction, RequestHandler } from 'express';
+import { getOutbox, getMessageGuard, getConnectionStatus } from './a2a';
+import { getAgentSigner, KeystoreError } from './keystore';
+import { rotateAgentKey } from './key-rotation';
+import { buildDidDocument, publishDidDocument, resolveDid } from './did-resolver';
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function tokenMatches(header: string | undefined, token: string): boolean {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * A request made on this machine directly (not through a proxy, not from a web page)
+ */
+function isLocalRequest(req: Request): boolean {
+  if (req.headers.origin || req.headers['x-forwarded-for'] || req.headers.forwarded) return false;
+  return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress || '');
+}
+
+function adminGuard(tokenEnvVars: string[], allowLocalWithoutToken: boolean): RequestHandler {
+  const envVars = tokenEnvVars.length ? tokenEnvVars : ['A2A_ADMIN_TOKEN'];
+  return (req: Request, res: Response, next: NextFunction) => {
+    // Admin responses are never readable cross-origin
+    res.removeHeader('Access-Control-Allow-Origin');
+    const token = envVars.map((name) => process.env[name]).find(Boolean);
+    if (!token && !allowLocalWithoutToken) {
+      res.status(401).json({ error: `Unauthorized (admin routes are disabled until ${envVars[0]} is set)` });
+      return;
+    }
+    if (token ? !tokenMatches(req.headers.authorization, token) : !isLocalRequest(req)) {
+      res.status(401).json({ error: token ? 'Unauthorized' : `Unauthorized (set ${envVars[0]} to allow remote admin requests)` });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware guarding admin routes. The token is read from the first of tokenEnvVars that is
+ * set (default A2A_ADMIN_TOKEN); with none set, only local requests get through.
+ */
+export function requireAdmin(...tokenEnvVars: string[]): RequestHandler {
+  return adminGuard(tokenEnvVars, true);
+}
+
+/**
+ * Like requireAdmin(), but with none of tokenEnvVars set every request is refused
+ */
+export function requireAdminToken(...tokenEnvVars: string[]): RequestHandler {
+  return adminGuard(tokenEnvVars, false);
+}
+
+/**
+ * Create the admin router
+ */
+export function createA2AAdminRouter(): Router {
+  const router = Router();
+
+  router.use('/admin/a2a', requireAdmin());
+
+  router.get('/admin/a2a/keys', async (req: Request, res: Response) => {
+    try {
+      const signer = getAgentSigner();
+      res.json({ signer: signer?.kind || null, publicKey: signer ? await signer.getPublicKey() : null, canRotate: !!signer?.rotate });
+    } catch (error: any) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/admin/a2a/keys/rotate', async (req: Request, res: Response) => {
+    try {
+      const { name, did, profileTopicId, announce, updateRegistry } = req.body || {};
+      const result = await rotateAgentKey({ name, did, profileTopicId, announce, updateRegistry });
+      res.json({ ok: true, ...result });
+    } catch (error: any) {
+      const status = error instanceof KeystoreError ? 409 : 500;
+      res.status(status).json({ error: error.message, code: error.code });
+    }
+  });
+
+  router.post('/admin/a2a/did', async (req: Request, res: Response) => {
+    try {
+      const signer = getAgentSigner();
+      const did = req.body?.did || process.env.AGENT_DID;
+      if (!signer || !did) {
+        return res.status(409).json({ error: 'Publishing a DID document needs an agent signer and AGENT_DID' });
+      }
+      const document = buildDidDocument({
+        did,
+        publicKey: (await signer.getPublicKey())!,
+        inboundTopicId: req.body?.inboundTopicId || null,
+        accountId: getConnectionStatus().agentAccountId,
+      });
+      const { didDocument } = await resolveDid(did, { noCache: true });
+      const submitted = await publishDidDocument(document, signer, { operation: didDocument ? 'update' : 'create', topicId: req.body?.topicId });
+      res.json({ ok: true, document, topicId: submitted.topicId, sequenceNumber: submitted.sequenceNumber });
+    } catch (error: any) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.use(['/admin/a2a/outbox', '/admin/a2a/dead-letters'], (req: Request, res: Response, next: NextFunction) => {
+    if (!getOutbox()) {
+      return res.status(503).json({ error: 'A2A outbox not enabled (A2A_OUTBOX=false or A2A not initialized)' });
+    }
+    next();
+  });
+
+  router.get('/admin/a2a/outbox', (req: Request, res: Response) => {
+    const outbox = getOutbox()!;
+    const guard = getMessageGuard();
+    res.json({
+      transport: getConnectionStatus().transport,
+      stats: outbox.getStats(),
+      guard: guard ? guard.getStats() : null,
+      pending: outbox.getPending(),
+    });
+  });
+
+  router.get('/admin/a2a/dead-letters', (req: Request, res: Response) => {
+    const deadLetters = getOutbox()!.getDeadLetters();
+    res.json({ count: deadLetters.length, deadLetters });
+  });
+
+  router.post('/admin/a2a/dead-letters/replay', (req: Request, res: Response) => {
+    const replayed = getOutbox()!.replay();
+    res.json({ ok: true, replayed: replayed.map(e => e.id) });
+  });
+
+  router.post('/admin/a2a/dead-letters/:id/replay', (req: Request, res: Response) => {
+    const replayed = getOutbox()!.replay(req.params.id);
+    if (replayed.length === 0) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ ok: true, replayed: replayed.map(e => e.id) });
+  });
+
+  router.delete('/admin/a2a/dead-letters/:id', (req: Request, res: Response) => {
+    if (!getOutbox()!.discard(req.params.id)) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ ok: true, discarded: req.params.id });
+  });
+
+  return router;
+}
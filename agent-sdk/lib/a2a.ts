@@ -1,61 +1,138 @@
 import 'dotenv/config';
-// This file now uses HCS-10 instead of NATS for backward compatibility
-import { 
-  init as initHCS10, 
-  sendA2A as sendHCS10, 
-  subscribe as subscribeHCS10, 
-  isConnected as isHCS10Connected, 
-  close as closeHCS10, 
-  getConnection as getHCS10Client 
-} from './hcs10';
+// A2A messaging facade - delegates to a pluggable transport (HCS-10 by default)
+import * as crypto from 'crypto';
+import {
+  A2ATransport,
+  MessageHandler,
+  TransportStatus,
+  createTransport,
+} from './transport';
+import { MessageGuard } from './message-guard';
+import { resolvePublicKey, resolveAgent } from './directory';
+import { resolveDidKey, resolveDidAccounts } from './did-resolver';
+import { Outbox } from './outbox';
+import { getAgentSigner } from './keystore';
 
 // Type definitions
 interface InitOptions {
   agentName?: string;
   agentDescription?: string;
   capabilities?: any[];
+  transport?: string; // Transport backend name (overrides A2A_TRANSPORT)
+  verifyMessages?: boolean; // Signature/freshness/replay checks on subscribe (default: on)
+  outbox?: boolean; // Durable outbox with retries for sendA2A (default: on)
 }
 
-type MessageHandler = (message: any, metadata?: any) => Promise<void> | void;
+interface SubscribeOptions {
+  verify?: boolean; // Set false to receive raw messages for this subscription
+}
+
+interface RequestOptions {
+  timeout?: number; // ms before the request fails (default A2A_REQUEST_TIMEOUT_MS or 10s)
+  collect?: boolean; // Resolve with every reply received before the timeout (for broadcasts)
+  to?: string; // Target account ID (defaults to payload.to)
+}
+
+interface PendingRequest {
+  subject: string;
+  collect: boolean;
+  replies: any[];
+  timer: NodeJS.Timeout;
+  resolve: (value: any) => void;
+  reject: (error: Error) => void;
+}
+
+export type RequestHandler = (message: any, metadata?: any) => Promise<any> | any;
+
+/**
+ * Error raised by requestA2A (timeouts and error replies)
+ */
+export class A2ARequestError extends Error {
+  code: string;
+  correlationId: string;
+
+  constructor(message: string, code: string, correlationId: string) {
+    super(message);
+    this.name = 'A2ARequestError';
+    this.code = code;
+    this.correlationId = correlationId;
+  }
+}
+
+// Replies to requestA2A are routed back on this subject, targeted at the requester
+export const RPC_REPLY_SUBJECT = 'aexowork.rpc.replies';
+
+/**
+ * Whether a requester-supplied replySubject is inside the reply namespace (aexowork.rpc.replies[.*])
+ */
+export function isReplySubject(subject: any): boolean {
+  return typeof subject === 'string' && (subject === RPC_REPLY_SUBJECT || /^aexowork\.rpc\.replies\.[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/.test(subject));
+}
 
 let initialized = false;
+let transport: A2ATransport | null = null;
+let guard: MessageGuard | null = null;
+let outbox: Outbox | null = null;
+let subscriptionCount = 0;
+let replySubscribed = false;
+const pendingRequests = new Map<string, PendingRequest>(); // correlationId -> pending request
 
 /**
- * Initialize HCS-10 connection (replaces NATS)
+ * Initialize the A2A transport
  * @param url - Ignored (kept for backward compatibility)
  * @param options - Optional agent configuration
  */
 export async function init(url?: string | null, options: InitOptions = {}): Promise<void> {
   if (initialized) return;
-  
+
   try {
     // Try to detect agent name from calling file or use provided name
     const agentName = options.agentName || process.env.AGENT_NAME || 'A2A Agent';
-    
-    await initHCS10({
-      network: (process.env.HEDERA_NETWORK || 'testnet') as 'testnet' | 'mainnet',
+
+    transport = await createTransport(options.transport);
+    await transport.init({
       agentName: agentName,
       agentDescription: options.agentDescription || process.env.AGENT_DESCRIPTION || 'A2A-compliant agent using HCS-10',
       capabilities: options.capabilities,
     });
+    const verifyMessages = options.verifyMessages ?? process.env.A2A_VERIFY_MESSAGES !== 'false';
+    // Directory keys first, then the sender's DID document (A2A_RESOLVE_DIDS=false to skip)
+    const resolveDids = process.env.A2A_RESOLVE_DIDS !== 'false';
+    const resolveKey = async (senderId: string) => resolvePublicKey(senderId) || (resolveDids ? await resolveDidKey(senderId) : null);
+    // A DID speaks for an account when the directory entry or the DID document names it
+    const resolveAccounts = async (did: string) => [
+      resolveAgent(did)?.accountId,
+      ...(resolveDids ? await resolveDidAccounts(did) : []),
+    ].filter(Boolean) as string[];
+    guard = verifyMessages ? new MessageGuard({ name: agentName, resolveKey, resolveAccounts }) : null;
+    const useOutbox = options.outbox ?? process.env.A2A_OUTBOX !== 'false';
+    const activeTransport = transport;
+    outbox = useOutbox
+      ? new Outbox({ name: agentName, deliver: (subject, message) => activeTransport.sendA2A(subject, message) })
+      : null;
     initialized = true;
-    console.log(`[A2A] ✅ Connected to HCS-10 network (replacing NATS)`);
+    console.log(`[A2A] ✅ Connected via ${transport.name} transport`);
   } catch (error: any) {
-    console.error(`[A2A] ❌ Failed to connect to HCS-10: ${error.message}`);
+    console.error(`[A2A] ❌ Failed to connect: ${error.message}`);
+    transport = null;
     throw error;
   }
 }
 
 /**
- * Send A2A message to a subject/topic (maps to HCS-10)
+ * Send A2A message to a subject/topic
+ * With the outbox enabled, failed sends resolve to { queued: true } and are retried in the background
  */
-export async function sendA2A(subject: string, message: any): Promise<void> {
+export async function sendA2A(subject: string, message: any): Promise<any> {
   if (!initialized) {
     await init();
   }
-  
+
   try {
-    await sendHCS10(subject, message);
+    if (outbox) {
+      return await outbox.send(subject, message);
+    }
+    return await transport!.sendA2A(subject, message);
   } catch (error: any) {
     console.error(`[A2A] Failed to publish to ${subject}:`, error.message);
     throw error;
@@ -63,39 +140,226 @@ export async function sendA2A(subject: string, message: any): Promise<void> {
 }
 
 /**
- * Subscribe to A2A messages on a subject (maps to HCS-10)
+ * Subscribe to A2A messages on a subject
+ * Messages with a bad signature, a stale timestamp or an already-seen ID are dropped
  */
-export function subscribe(subject: string, handler: MessageHandler): void {
+export function subscribe(subject: string, handler: MessageHandler, options: SubscribeOptions = {}): void {
   if (!initialized) {
     throw new Error('Not connected. Call init() first.');
   }
-  
-  subscribeHCS10(subject, handler);
+
+  if (guard && options.verify !== false) {
+    // Each subscription keeps its own seen-set scope so two handlers on one subject both fire
+    const scope = `${subject}#${++subscriptionCount}`;
+    transport!.subscribe(subject, guard.wrap(scope, subject, handler));
+  } else {
+    transport!.subscribe(subject, handler);
+  }
+}
+
+/**
+ * Sign an outgoing message with the agent signer, if one is configured
+ */
+async function sign(message: any): Promise<any> {
+  try {
+    const signer = getAgentSigner();
+    if (signer) {
+      const { signature, ...unsigned } = message;
+      return { ...unsigned, signature: await signer.sign(unsigned) };
+    }
+  } catch (signError: any) {
+    console.warn('[A2A] Could not sign message:', signError.message);
+  }
+  return message;
+}
+
+/**
+ * Route replies to pending requests by correlation ID
+ */
+function ensureReplySubscription(): void {
+  if (replySubscribed) return;
+  replySubscribed = true;
+
+  subscribe(RPC_REPLY_SUBJECT, async (reply: any) => {
+    const pending = pendingRequests.get(reply.correlationId);
+    if (!pending) return; // Late reply or addressed to another requester
+
+    if (reply.error && !pending.collect) {
+      clearTimeout(pending.timer);
+      pendingRequests.delete(reply.correlationId);
+      pending.reject(new A2ARequestError(reply.error.message || 'Request failed', reply.error.code || 'REMOTE_ERROR', reply.correlationId));
+      return;
+    }
+
+    if (pending.collect) {
+      pending.replies.push(reply);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    pendingRequests.delete(reply.correlationId);
+    pending.resolve(reply);
+  });
 }
 
 /**
- * Close HCS-10 connection
+ * Send a request and wait for the reply (or, with collect, every reply until the timeout)
+ * The request carries a correlationId and replyTo; responders answer with replyA2A()
+ */
+export async function requestA2A(subject: string, payload: any, options: RequestOptions = {}): Promise<any> {
+  if (!initialized) {
+    await init();
+  }
+  ensureReplySubscription();
+
+  const correlationId = crypto.randomUUID();
+  const timeout = options.timeout || parseInt(process.env.A2A_REQUEST_TIMEOUT_MS || '', 10) || 10000;
+  const collect = options.collect === true;
+
+  const request = await sign({
+    ...payload,
+    correlationId,
+    replyTo: getConnectionStatus().agentAccountId,
+    replySubject: RPC_REPLY_SUBJECT,
+    to: options.to ?? payload.to,
+    timestamp: payload.timestamp || Date.now(),
+  });
+  if (!request.to) delete request.to;
+
+  const response = new Promise<any>((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const pending = pendingRequests.get(correlationId);
+      pendingRequests.delete(correlationId);
+      if (collect) {
+        resolve(pending ? pending.replies : []);
+      } else {
+        reject(new A2ARequestError(`Request to ${subject} timed out after ${timeout}ms`, 'TIMEOUT', correlationId));
+      }
+    }, timeout);
+    pendingRequests.set(correlationId, { subject, collect, replies: [], timer, resolve, reject });
+  });
+
+  try {
+    await sendA2A(subject, request);
+  } catch (error: any) {
+    const pending = pendingRequests.get(correlationId);
+    if (pending) clearTimeout(pending.timer);
+    pendingRequests.delete(correlationId);
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Answer a request received on a subscription. Returns false for messages that were
+ * not sent with requestA2A (no correlationId), so callers can fall back to legacy replies.
+ */
+export async function replyA2A(request: any, payload: any, error?: { message: string; code?: string }): Promise<boolean> {
+  if (!request?.correlationId) return false;
+
+  // A request must not make us publish on an arbitrary subject (e.g. aexowork.jobs)
+  let subject = RPC_REPLY_SUBJECT;
+  if (request.replySubject && !isReplySubject(request.replySubject)) {
+    console.warn(`[A2A] ⚠️  Ignoring replySubject ${request.replySubject} outside ${RPC_REPLY_SUBJECT}, replying on ${RPC_REPLY_SUBJECT}`);
+  } else if (request.replySubject) {
+    subject = request.replySubject;
+  }
+
+  const target = request.replyTo || request.fromAccountId;
+  const reply = await sign({
+    ...payload,
+    correlationId: request.correlationId,
+    ...(error ? { error } : {}),
+    timestamp: Date.now(),
+    ...(target ? { to: target } : {}),
+  });
+  await sendA2A(subject, reply);
+  return true;
+}
+
+/**
+ * Subscribe a request handler: its return value (or thrown error) is sent back to the requester
+ */
+export function handleRequests(subject: string, handler: RequestHandler): void {
+  subscribe(subject, async (message: any, metadata?: any) => {
+    try {
+      const result = await handler(message, metadata);
+      if (result !== undefined) {
+        await replyA2A(message, result);
+      }
+    } catch (error: any) {
+      console.error(`[A2A] Request handler error for ${subject}:`, error.message);
+      await replyA2A(message, { type: 'rpc.error' }, { message: error.message, code: error.code || 'HANDLER_ERROR' });
+    }
+  });
+}
+
+/**
+ * Close the A2A transport
  */
 export async function close(): Promise<void> {
   if (initialized) {
-    await closeHCS10();
+    await transport!.close();
+    if (guard) guard.flush();
+    if (outbox) outbox.close();
+    for (const [correlationId, pending] of pendingRequests.entries()) {
+      clearTimeout(pending.timer);
+      pending.reject(new A2ARequestError('A2A connection closed', 'CLOSED', correlationId));
+    }
+    pendingRequests.clear();
+    replySubscribed = false;
     initialized = false;
+    transport = null;
+    guard = null;
+    outbox = null;
+    subscriptionCount = 0;
     console.log('[A2A] Connection closed');
   }
 }
 
 /**
- * Check if HCS-10 connection is active
+ * Check if the A2A transport is connected
  */
 export function isConnected(): boolean {
-  return initialized && isHCS10Connected();
+  return initialized && transport !== null && transport.isConnected();
 }
 
 /**
- * Get HCS-10 client (replaces NATS connection object)
+ * Get the underlying transport connection (HCS-10 client, loopback bus, ...)
  */
 export function getConnection(): any {
-  return getHCS10Client();
+  return transport ? transport.getConnection() : null;
+}
+
+/**
+ * Get the name of the active transport
+ */
+export function getTransportName(): string | null {
+  return transport ? transport.name : null;
+}
+
+/**
+ * Get connection status of the active transport
+ */
+export function getConnectionStatus(): TransportStatus {
+  if (!transport) {
+    return { transport: 'none', isInitialized: false, agentAccountId: null, subscriptions: [] };
+  }
+  return transport.getStatus();
+}
+
+/**
+ * Get the inbound message guard (null when verification is disabled)
+ */
+export function getMessageGuard(): MessageGuard | null {
+  return guard;
+}
+
+/**
+ * Get the durable outbox (null when disabled)
+ */
+export function getOutbox(): Outbox | null {
+  return outbox;
 }
 
 // Export for backward compatibility
@@ -0,0 +1,244 @@
+/**
+ * Batched HCS Anchoring with Merkle Roots
+ *
+ * Instead of one HCS message per off-chain message, hashes are collected over a short
+ * window, a Merkle tree is built over them and only the root is posted:
+ *   { type: 'anchor_batch', root, count, timestamp, fromAccountId, signature }
+ * Each message gets an inclusion proof (sibling path from its leaf to the root) that the
+ * recipient checks locally before looking up the root on the topic.
+ *
+ * Tree layout: leaf = sha256(0x00 || "<hash>:<timestamp>"), node = sha256(0x01 || left || right).
+ * An odd node at the end of a level is promoted unchanged (no duplication).
+ */
+
+import * as crypto from 'crypto';
+import { submitTopicMessage, SubmitResult } from './consensus';
+
+// Type definitions
+export interface MerkleStep {
+  position: 'left' | 'right'; // Side the sibling sits on
+  hash: string;
+}
+
+export interface AnchorProof {
+  version: '1.0';
+  topicId: string;
+  root: string;
+  leafIndex: number;
+  path: MerkleStep[];
+  transactionId: string;
+  sequenceNumber: number | null; // Batch message sequence number, when known at submit time
+}
+
+export interface AnchorEntry {
+  hash: string;
+  timestamp: number;
+  messageId: string;
+}
+
+export interface AnchorBatchMessage {
+  type: 'anchor_batch';
+  version: '1.0';
+  root: string;
+  count: number;
+  timestamp: number;
+  fromAccountId: string | null;
+  signature: string | null;
+}
+
+export interface AnchorBatcherOptions {
+  topicId: string; // Topic the batch roots are posted to
+  fromAccountId?: string | null;
+  windowMs?: number;
+  maxBatchSize?: number;
+  sign?: (data: string) => string; // Signs root + timestamp
+  submit?: (topicId: string, message: string) => Promise<SubmitResult>;
+}
+
+interface PendingEntry {
+  entry: AnchorEntry;
+  resolve: (proof: AnchorProof) => void;
+  reject: (error: Error) => void;
+}
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...parts: Buffer[]): Buffer {
+  const h = crypto.createHash('sha256');
+  for (const part of parts) h.update(part);
+  return h.digest();
+}
+
+/**
+ * Leaf hash for a message hash and its timestamp
+ */
+export function merkleLeaf(hash: string, timestamp: number): string {
+  return sha256(LEAF_PREFIX, Buffer.from(`${hash}:${timestamp}`)).toString('hex');
+}
+
+function merkleNode(left: string, right: string): string {
+  return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')).toString('hex');
+}
+
+/**
+ * Build every level of the tree, leaves first and the root last
+ */
+export function buildMerkleTree(leaves: string[]): string[][] {
+  if (leaves.length === 0) throw new Error('Cannot build a Merkle tree without leaves');
+  const levels: string[][] = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next: string[] = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? merkleNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+export function merkleRoot(levels: string[][]): string {
+  return levels[levels.length - 1][0];
+}
+
+/**
+ * Sibling path from leaf `index` to the root
+ */
+export function getMerkleProof(levels: string[][], index: number): MerkleStep[] {
+  const path: MerkleStep[] = [];
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) {
+      path.push({ position: index % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+    }
+    index = Math.floor(index / 2);
+  }
+  return path;
+}
+
+/**
+ * Recompute the root from a leaf and its sibling path
+ */
+export function verifyMerkleProof(leaf: string, path: MerkleStep[], root: string): boolean {
+  let current = leaf;
+  for (const step of path) {
+    if (!step || !/^[0-9a-f]{64}$/.test(step.hash)) return false;
+    current = step.position === 'left' ? merkleNode(step.hash, current) : merkleNode(current, step.hash);
+  }
+  return current === root;
+}
+
+/**
+ * Collects message hashes and anchors them as one Merkle root per window
+ */
+export class AnchorBatcher {
+  readonly topicId: string;
+  readonly windowMs: number;
+  readonly maxBatchSize: number;
+  private fromAccountId: string | null;
+  private sign: ((data: string) => string) | null;
+  private submit: (topicId: string, message: string) => Promise<SubmitResult>;
+  private pending: PendingEntry[] = [];
+  private timer: NodeJS.Timeout | null = null;
+  private stats = { batches: 0, anchored: 0, failed: 0 };
+
+  constructor(options: AnchorBatcherOptions) {
+    this.topicId = options.topicId;
+    this.fromAccountId = options.fromAccountId || null;
+    this.windowMs = options.windowMs ?? (parseInt(process.env.ANCHOR_BATCH_WINDOW_MS || '', 10) || 2000);
+    this.maxBatchSize = options.maxBatchSize || parseInt(process.env.ANCHOR_BATCH_MAX_SIZE || '', 10) || 256;
+    this.sign = options.sign || null;
+    this.submit = options.submit || ((topicId, message) => submitTopicMessage(topicId, message));
+  }
+
+  /**
+   * Queue a hash for the current batch; resolves with its inclusion proof once the root is on HCS
+   */
+  add(entry: AnchorEntry): Promise<AnchorProof> {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ entry, resolve, reject });
+      if (this.pending.length >= this.maxBatchSize) {
+        this.flush().catch(() => {}); // Errors reach each entry's promise
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => {
+          this.flush().catch(() => {});
+        }, this.windowMs);
+      }
+    });
+  }
+
+  /**
+   * Anchor everything queued so far
+   */
+  async flush(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const batch = this.pending.splice(0, this.maxBatchSize);
+    if (batch.length === 0) return;
+    if (this.pending.length > 0) {
+      this.timer = setTimeout(() => {
+        this.flush().catch(() => {});
+      }, this.windowMs);
+    }
+
+    const levels = buildMerkleTree(batch.map(({ entry }) => merkleLeaf(entry.hash, entry.timestamp)));
+    const root = merkleRoot(levels);
+    const timestamp = Date.now();
+    const message: AnchorBatchMessage = {
+      type: 'anchor_batch',
+      version: '1.0',
+      root,
+      count: batch.length,
+      timestamp,
+      fromAccountId: this.fromAccountId,
+      signature: null,
+    };
+    try {
+      if (this.sign) message.signature = this.sign(root + timestamp);
+    } catch (error: any) {
+      console.warn(`[AnchorBatcher] Could not sign batch root: ${error.message}`);
+    }
+
+    let result: SubmitResult;
+    try {
+      result = await this.submit(this.topicId, JSON.stringify(message));
+    } catch (error: any) {
+      this.stats.failed += batch.length;
+      for (const { reject } of batch) reject(error);
+      throw error;
+    }
+
+    this.stats.batches++;
+    this.stats.anchored += batch.length;
+    console.log(`[AnchorBatcher] ⚓ Anchored ${batch.length} message(s) under root ${root.substring(0, 16)}... on ${this.topicId} (TX: ${result.transactionId})`);
+
+    batch.forEach(({ resolve }, leafIndex) => {
+      resolve({
+        version: '1.0',
+        topicId: this.topicId,
+        root,
+        leafIndex,
+        path: getMerkleProof(levels, leafIndex),
+        transactionId: result.transactionId,
+        sequenceNumber: result.sequenceNumber,
+      });
+    });
+  }
+
+  getStats(): { batches: number; anchored: number; failed: number; pending: number } {
+    return { ...this.stats, pending: this.pending.length };
+  }
+
+  /**
+   * Flush outstanding hashes and stop the timer
+   */
+  async close(): Promise<void> {
+    while (this.pending.length > 0) {
+      await this.flush().catch(() => {});
+    }
+  }
+}
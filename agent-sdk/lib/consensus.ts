@@ -0,0 +1,102 @@
+/**
+ * HCS Topic Submissions
+ *
+ * Single entry point for submitting topic messages. Submissions go to Hedera with
+ * TopicMessageSubmitTransaction, or to the local simulator (mirror-node-sim.js) when
+ * HCS_SIMULATOR_URL is set - the simulator also serves the mirror node API, so
+ * anchoring, verification and topic subscriptions all work offline.
+ */
+
+import axios from 'axios';
+import { Client, AccountId, PrivateKey, TopicMessageSubmitTransaction, TopicId } from '@hashgraph/sdk';
+import { readSecret } from './keystore';
+
+// Type definitions
+export interface SubmitResult {
+  transactionId: string;
+  topicId: string;
+  sequenceNumber: number | null;
+  consensusTimestamp: string | null; // Only known up front when simulated
+  simulated: boolean;
+}
+
+let operatorClient: Client | null = null;
+
+/**
+ * Local simulator URL (HCS_SIMULATOR_URL), or null when talking to Hedera
+ */
+export function getSimulatorUrl(): string | null {
+  const url = process.env.HCS_SIMULATOR_URL?.trim();
+  return url ? url.replace(/\/+$/, '') : null;
+}
+
+export function isSimulated(): boolean {
+  return getSimulatorUrl() !== null;
+}
+
+/**
+ * Client paying for submissions (HEDERA_ACCOUNT_ID / HEDERA_PRIVATE_KEY)
+ */
+function getOperatorClient(): Client {
+  if (operatorClient) return operatorClient;
+
+  const mainAccountId = process.env.HEDERA_ACCOUNT_ID;
+  const mainPrivateKey = readSecret('HEDERA_PRIVATE_KEY');
+  if (!mainAccountId || !mainPrivateKey) {
+    throw new Error('HEDERA_ACCOUNT_ID and HEDERA_PRIVATE_KEY must be set');
+  }
+
+  const network = process.env.HEDERA_NETWORK || 'testnet';
+  operatorClient = network === 'mainnet' ? Client.forMainnet() : Client.forTestnet();
+  operatorClient.setOperator(
+    AccountId.fromString(mainAccountId),
+    PrivateKey.fromStringECDSA(mainPrivateKey)
+  );
+  return operatorClient;
+}
+
+/**
+ * Submit a message to an HCS topic and wait for consensus
+ */
+export async function submitTopicMessage(topicId: string, message: string, client?: Client): Promise<SubmitResult> {
+  const simulatorUrl = getSimulatorUrl();
+
+  if (simulatorUrl) {
+    const response = await axios.post(`${simulatorUrl}/simulator/topics/${topicId}/messages`, {
+      message,
+      payer_account_id: process.env.HEDERA_ACCOUNT_ID,
+    }, { timeout: 10000 });
+    return {
+      transactionId: response.data.transaction_id,
+      topicId,
+      sequenceNumber: response.data.sequence_number,
+      consensusTimestamp: response.data.consensus_timestamp,
+      simulated: true,
+    };
+  }
+
+  const payer = client || getOperatorClient();
+  const txResponse = await new TopicMessageSubmitTransaction()
+    .setTopicId(TopicId.fromString(topicId))
+    .setMessage(message)
+    .execute(payer);
+  const receipt = await txResponse.getReceipt(payer);
+
+  return {
+    transactionId: txResponse.transactionId.toString(),
+    topicId,
+    sequenceNumber: receipt.topicSequenceNumber ? receipt.topicSequenceNumber.toNumber() : null,
+    consensusTimestamp: null,
+    simulated: false,
+  };
+}
+
+/**
+ * Publish an account's public key to the simulator's /api/v1/accounts endpoint so
+ * peers can look it up (on Hedera the mirror node already serves account keys)
+ */
+export async function publishAccountKey(accountId: string, publicKeyHex: string): Promise<void> {
+  const simulatorUrl = getSimulatorUrl();
+  if (!simulatorUrl) return;
+  await axios.post(`${simulatorUrl}/simulator/accounts`, { account_id: accountId, key: publicKeyHex }, { timeout: 10000 });
+}
@@ -0,0 +1,398 @@
+/**
+ * W3C Verifiable Credentials
+ *
+ * Issues the agent's statements (verification attestations, achievement badges) as
+ * Verifiable Credentials (VC Data Model 2.0, JSON-LD) with the agent's DID as issuer, so a
+ * client, another marketplace or the frontend can check them without trusting this service:
+ *   - proof: a DataIntegrityProof whose proofValue is an ed25519 signature (multibase
+ *     base64url, 'u' prefix) over the canonical JSON (sorted keys, see signer.ts) of the
+ *     credential with proof.proofValue removed. The cryptosuite 'aexowork-ed25519-jcs-2024'
+ *     is this project's own - JSON-LD tooling that only knows eddsa-rdfc-2022 will not
+ *     check it, verifyCredential (and frontend/src/utils/credentials.js) will.
+ *   - revocation: every credential gets a BitstringStatusListEntry pointing at a status
+ *     list credential (W3C Bitstring Status List: GZIP'd 131072-bit list, 'u' base64url),
+ *     signed the same way and served by the issuing agent. Revoking flips the bit.
+ * Verification is offline when the issuer key is known (self-certifying did:hedera:...:z
+ * DIDs, or issuerPublicKey passed in) and the status list credential is supplied; otherwise
+ * the DID is resolved (did-resolver.ts) and the status list fetched over HTTP.
+ * Status lists are persisted in the data directory (credential-status-<listId>.json).
+ */
+
+import axios from 'axios';
+import * as crypto from 'crypto';
+import * as zlib from 'zlib';
+import { verifyJSON } from './signer';
+import { AgentSigner, getAgentSigner } from './keystore';
+import { resolveDid, getDidKeys } from './did-resolver';
+import { publicKeyFromDid } from './message-guard';
+import { readJSON, writeJSON, safeFileName } from './json-store';
+
+// Type definitions
+export interface StatusListEntry {
+  id: string;
+  type: 'BitstringStatusListEntry';
+  statusPurpose: 'revocation';
+  statusListIndex: string;
+  statusListCredential: string;
+}
+
+export interface CredentialProof {
+  type: 'DataIntegrityProof';
+  cryptosuite: string;
+  created: string;
+  verificationMethod: string;
+  proofPurpose: 'assertionMethod';
+  proofValue?: string;
+}
+
+export interface VerifiableCredential {
+  '@context': string[];
+  id: string;
+  type: string[];
+  issuer: string;
+  name?: string;
+  description?: string;
+  validFrom: string;
+  validUntil?: string;
+  credentialSubject: any;
+  credentialStatus?: StatusListEntry;
+  proof?: CredentialProof;
+}
+
+export interface IssueOptions {
+  type: string; // Credential type added after 'VerifiableCredential'
+  subject: any; // credentialSubject (should carry an id)
+  name?: string;
+  description?: string;
+  validUntil?: Date | string;
+  issuerDid?: string; // Defaults to AGENT_DID
+  signer?: AgentSigner; // Defaults to the agent signer
+  statusListId?: string; // Default: 'default'
+  statusBaseUrl?: string; // Where status lists are served, defaults to CREDENTIAL_STATUS_BASE_URL
+  revocable?: boolean; // Default: true
+}
+
+export interface VerifyOptions {
+  issuerPublicKey?: string; // Pin the issuer key (skips DID resolution)
+  statusListCredentials?: VerifiableCredential[]; // Status lists the caller already holds
+  fetchStatus?: boolean; // Fetch status lists over HTTP when not supplied (default: true)
+  now?: Date;
+}
+
+export type CredentialStatusResult = 'valid' | 'revoked' | 'unknown' | 'none';
+
+export interface CredentialVerification {
+  verified: boolean;
+  issuer: string | null;
+  keyId?: string;
+  status: CredentialStatusResult;
+  reason?: string;
+}
+
+interface StatusListState {
+  id: string;
+  issuer: string;
+  url: string;
+  nextIndex: number;
+  revoked: number[];
+  credentials: Record<string, number>; // credential id -> status list index
+}
+
+export const CREDENTIALS_V2_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+export const CRYPTOSUITE = 'aexowork-ed25519-jcs-2024';
+export const STATUS_LIST_SIZE = 131072; // 16KB, the spec's minimum for herd privacy
+
+const statusLists = new Map<string, StatusListState>();
+
+/**
+ * Base URL status lists are published under (each agent serves GET <base>/<listId>)
+ */
+function getStatusBaseUrl(override?: string): string {
+  const base = override || process.env.CREDENTIAL_STATUS_BASE_URL;
+  if (!base) {
+    throw new Error('No status list URL configured (CREDENTIAL_STATUS_BASE_URL)');
+  }
+  return base.replace(/\/+$/, '');
+}
+
+function statusFileName(listId: string): string {
+  return `credential-status-${safeFileName(listId)}.json`;
+}
+
+function loadStatusList(listId: string, issuer: string, url: string): StatusListState {
+  let state = statusLists.get(listId);
+  if (!state) {
+    state = readJSON<StatusListState>(statusFileName(listId), { id: listId, issuer, url, nextIndex: 0, revoked: [], credentials: {} });
+    statusLists.set(listId, state);
+  }
+  return state;
+}
+
+function saveStatusList(state: StatusListState): void {
+  writeJSON(statusFileName(state.id), state);
+}
+
+/**
+ * Base64url multibase ('u' prefix) encode / decode
+ */
+function toMultibase(bytes: Buffer): string {
+  return 'u' + bytes.toString('base64url');
+}
+
+function fromMultibase(value: string): Buffer {
+  if (typeof value !== 'string' || !value.startsWith('u')) {
+    throw new Error('Unsupported multibase encoding (expected base64url)');
+  }
+  return Buffer.from(value.substring(1), 'base64url');
+}
+
+/**
+ * Encode the revoked indexes as a GZIP'd bitstring (index 0 is the left-most bit)
+ */
+export function encodeStatusList(revoked: number[], size: number = STATUS_LIST_SIZE): string {
+  const bits = Buffer.alloc(Math.ceil(size / 8));
+  for (const index of revoked) {
+    bits[index >> 3] |= 0x80 >> (index & 7);
+  }
+  return toMultibase(zlib.gzipSync(bits));
+}
+
+/**
+ * Read one bit of an encoded status list
+ */
+export function isStatusSet(encodedList: string, index: number): boolean {
+  const bits = zlib.gunzipSync(fromMultibase(encodedList));
+  if (index < 0 || index >= bits.length * 8) {
+    throw new Error(`Status list index ${index} out of range`);
+  }
+  return (bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+}
+
+/**
+ * Attach a DataIntegrityProof signed by the issuer's DID key
+ */
+async function signCredential(credential: VerifiableCredential, signer: AgentSigner): Promise<VerifiableCredential> {
+  const proof: CredentialProof = {
+    type: 'DataIntegrityProof',
+    cryptosuite: CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: `${credential.issuer}#key-1`,
+    proofPurpose: 'assertionMethod',
+  };
+  const unsigned = { ...credential, proof };
+  const signature = await signer.sign(unsigned);
+  return { ...unsigned, proof: { ...proof, proofValue: toMultibase(Buffer.from(signature, 'base64')) } };
+}
+
+function requireIssuer(options: { issuerDid?: string; signer?: AgentSigner }): { issuer: string; signer: AgentSigner } {
+  const issuer = options.issuerDid || process.env.AGENT_DID;
+  const signer = options.signer || getAgentSigner();
+  if (!issuer) throw new Error('No issuer DID configured (AGENT_DID)');
+  if (!signer) throw new Error('No agent signer configured (AGENT_SIGNER / AGENT_PRIVATE_KEY_BASE64)');
+  return { issuer, signer };
+}
+
+/**
+ * Issue a signed credential, allocating it a revocation index
+ */
+export async function issueCredential(options: IssueOptions): Promise<VerifiableCredential> {
+  const { issuer, signer } = requireIssuer(options);
+
+  const credential: VerifiableCredential = {
+    '@context': [CREDENTIALS_V2_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', options.type],
+    issuer,
+    ...(options.name ? { name: options.name } : {}),
+    ...(options.description ? { description: options.description } : {}),
+    validFrom: new Date().toISOString(),
+    ...(options.validUntil ? { validUntil: new Date(options.validUntil).toISOString() } : {}),
+    credentialSubject: options.subject,
+  };
+
+  if (options.revocable !== false) {
+    const listId = options.statusListId || 'default';
+    const url = `${getStatusBaseUrl(options.statusBaseUrl)}/${encodeURIComponent(listId)}`;
+    const state = loadStatusList(listId, issuer, url);
+    if (state.nextIndex >= STATUS_LIST_SIZE) {
+      throw new Error(`Status list ${listId} is full`);
+    }
+    const index = state.nextIndex++;
+    state.credentials[credential.id] = index;
+    saveStatusList(state);
+    credential.credentialStatus = {
+      id: `${state.url}#${index}`,
+      type: 'BitstringStatusListEntry',
+      statusPurpose: 'revocation',
+      statusListIndex: String(index),
+      statusListCredential: state.url,
+    };
+  }
+
+  return await signCredential(credential, signer);
+}
+
+/**
+ * Revoke a credential this agent issued (returns false if it is unknown)
+ */
+export function revokeCredential(credentialId: string, listId: string = 'default'): boolean {
+  const state = statusLists.get(listId) || readJSON<StatusListState | null>(statusFileName(listId), null);
+  if (!state || state.credentials[credentialId] === undefined) return false;
+  statusLists.set(listId, state);
+  const index = state.credentials[credentialId];
+  if (!state.revoked.includes(index)) {
+    state.revoked.push(index);
+    saveStatusList(state);
+  }
+  return true;
+}
+
+/**
+ * Build the signed BitstringStatusListCredential for a list (null if it was never used)
+ */
+export async function getStatusListCredential(
+  listId: string = 'default',
+  options: { signer?: AgentSigner } = {}
+): Promise<VerifiableCredential | null> {
+  const state = statusLists.get(listId) || readJSON<StatusListState | null>(statusFileName(listId), null);
+  if (!state) return null;
+  statusLists.set(listId, state);
+  const { signer } = requireIssuer({ issuerDid: state.issuer, signer: options.signer });
+
+  return await signCredential({
+    '@context': [CREDENTIALS_V2_CONTEXT],
+    id: state.url,
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    issuer: state.issuer,
+    validFrom: new Date().toISOString(),
+    credentialSubject: {
+      id: `${state.url}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: 'revocation',
+      encodedList: encodeStatusList(state.revoked),
+    },
+  }, signer);
+}
+
+/**
+ * Find the issuer key: pinned, embedded in the DID, or from the resolved DID document
+ */
+async function issuerKeys(issuer: string, verificationMethod: string, pinned?: string): Promise<string[]> {
+  if (pinned) return [pinned];
+  const embedded = publicKeyFromDid(issuer);
+  if (embedded) return [embedded];
+  const { didDocument } = await resolveDid(issuer);
+  if (!didDocument) return [];
+  const keys = getDidKeys(didDocument);
+  const named = keys.filter((method) => method.id === verificationMethod);
+  return (named.length > 0 ? named : keys).map((method) => method.publicKeyBase64);
+}
+
+/**
+ * Check a credential's proof against its issuer's key
+ */
+async function verifyProof(credential: VerifiableCredential, pinnedKey?: string): Promise<{ verified: boolean; keyId?: string; reason?: string }> {
+  const proof = credential?.proof;
+  if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE || !proof.proofValue) {
+    return { verified: false, reason: 'missing or unsupported proof' };
+  }
+  const issuer = typeof credential.issuer === 'string' ? credential.issuer : (credential.issuer as any)?.id;
+  if (!proof.verificationMethod?.startsWith(`${issuer}#`)) {
+    return { verified: false, reason: 'proof was not made with a key of the issuer DID' };
+  }
+
+  const { proofValue, ...proofOptions } = proof;
+  const unsigned = { ...credential, proof: proofOptions };
+  let signature: string;
+  try {
+    signature = fromMultibase(proofValue).toString('base64');
+  } catch (error: any) {
+    return { verified: false, reason: error.message };
+  }
+
+  const keys = await issuerKeys(issuer, proof.verificationMethod, pinnedKey);
+  if (keys.length === 0) {
+    return { verified: false, reason: `no key found for issuer ${issuer}` };
+  }
+  for (const key of keys) {
+    try {
+      if (verifyJSON(unsigned, signature, key)) {
+        return { verified: true, keyId: proof.verificationMethod };
+      }
+    } catch (error) {
+      // Malformed key - try the next one
+    }
+  }
+  return { verified: false, reason: 'proof does not match the issuer key' };
+}
+
+/**
+ * Look up the revocation bit of a credential
+ */
+async function checkStatus(credential: VerifiableCredential, options: VerifyOptions): Promise<{ status: CredentialStatusResult; reason?: string }> {
+  const entry = credential.credentialStatus;
+  if (!entry) return { status: 'none' };
+  if (entry.type !== 'BitstringStatusListEntry' || entry.statusPurpose !== 'revocation') {
+    return { status: 'unknown', reason: `unsupported credentialStatus ${entry.type}/${entry.statusPurpose}` };
+  }
+
+  let list = (options.statusListCredentials || []).find((candidate) => candidate?.id === entry.statusListCredential);
+  if (!list && options.fetchStatus !== false) {
+    try {
+      list = (await axios.get(entry.statusListCredential, { timeout: 10000 })).data;
+    } catch (error: any) {
+      return { status: 'unknown', reason: `status list unavailable: ${error.message}` };
+    }
+  }
+  if (!list) return { status: 'unknown', reason: 'status list not available offline' };
+
+  if (list.issuer !== credential.issuer) {
+    return { status: 'unknown', reason: 'status list was not issued by the credential issuer' };
+  }
+  const proof = await verifyProof(list, options.issuerPublicKey);
+  if (!proof.verified) {
+    return { status: 'unknown', reason: `status list ${proof.reason}` };
+  }
+
+  try {
+    const revoked = isStatusSet(list.credentialSubject.encodedList, parseInt(entry.statusListIndex, 10));
+    return revoked ? { status: 'revoked', reason: 'credential has been revoked' } : { status: 'valid' };
+  } catch (error: any) {
+    return { status: 'unknown', reason: error.message };
+  }
+}
+
+/**
+ * Verify a credential: proof, validity period and revocation status.
+ * A credential whose status could not be checked still verifies (status: 'unknown') -
+ * callers that need a fresh revocation check should require status === 'valid'.
+ */
+export async function verifyCredential(credential: VerifiableCredential, options: VerifyOptions = {}): Promise<CredentialVerification> {
+  const issuer = credential?.issuer ? String(credential.issuer) : null;
+  if (!issuer || !Array.isArray(credential.type) || !credential.type.includes('VerifiableCredential')) {
+    return { verified: false, issuer, status: 'unknown', reason: 'not a verifiable credential' };
+  }
+
+  const proof = await verifyProof(credential, options.issuerPublicKey);
+  if (!proof.verified) {
+    return { verified: false, issuer, status: 'unknown', reason: proof.reason };
+  }
+
+  const now = (options.now || new Date()).getTime();
+  if (credential.validFrom && Date.parse(credential.validFrom) > now) {
+    return { verified: false, issuer, keyId: proof.keyId, status: 'unknown', reason: 'credential is not valid yet' };
+  }
+  if (credential.validUntil && Date.parse(credential.validUntil) < now) {
+    return { verified: false, issuer, keyId: proof.keyId, status: 'unknown', reason: 'credential has expired' };
+  }
+
+  const { status, reason } = await checkStatus(credential, options);
+  return { verified: status !== 'revoked', issuer, keyId: proof.keyId, status, ...(reason ? { reason } : {}) };
+}
+
+/**
+ * Drop cached status lists (tests)
+ */
+export function clearStatusListCache(): void {
+  statusLists.clear();
+}
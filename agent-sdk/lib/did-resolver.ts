@@ -0,0 +1,424 @@
+/**
+ * did:hedera Resolution
+ *
+ * Builds, publishes and resolves DID documents for the did:hedera identifiers agents stamp
+ * on their messages (fromDid), so a signature can be checked against the key the DID
+ * controls instead of a public key shared out of band. Sources, first hit wins:
+ *   1. HCS - DIDs of the form did:hedera:<network>:<id>_<topicId> (or any DID when
+ *      DID_TOPIC_ID is set) are replayed from their topic. Each did_document message must be
+ *      signed by a key of the document it replaces (a create by a key of its own document,
+ *      an update after a key rotation by the new key plus the old key's rotation statement).
+ *      The first valid create wins, so a shared DID_TOPIC_ID should have a submit key.
+ *   2. AIAgentRegistry.getAgentByDID / AgentRegistry.resolveAgentByDID - publicKey,
+ *      inboundTopicId and accountId from the entry's IPFS metadata
+ *   3. Self-certifying did:hedera:<network>:z<base64 ed25519 key> identifiers
+ * Resolutions (including misses) are cached for DID_CACHE_TTL_MS.
+ */
+
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { verifyJSON } from './signer';
+import { getContract } from './hedera';
+import { downloadJSON } from './ipfs';
+import { submitTopicMessage, SubmitResult } from './consensus';
+import { getMirrorNodeUrl } from './mirror-subscription';
+import { publicKeyFromDid, signedPayload } from './message-guard';
+import { AgentSigner, verifyKeyRotation } from './keystore';
+
+// Type definitions
+export interface VerificationMethod {
+  id: string;
+  type: 'Ed25519VerificationKey2018';
+  controller: string;
+  publicKeyBase64: string;
+}
+
+export interface DidService {
+  id: string;
+  type: string;
+  serviceEndpoint: string;
+}
+
+export interface DidDocument {
+  '@context': string[];
+  id: string;
+  controller?: string;
+  alsoKnownAs?: string[];
+  verificationMethod: VerificationMethod[];
+  authentication: string[];
+  assertionMethod: string[];
+  service?: DidService[];
+}
+
+export type DidSource = 'hcs' | 'registry' | 'self-certifying';
+
+export interface DidResolution {
+  didDocument: DidDocument | null;
+  didDocumentMetadata: {
+    source?: DidSource;
+    created?: string;
+    updated?: string;
+    deactivated?: boolean;
+    versionId?: string;
+  };
+  didResolutionMetadata: { error?: 'invalidDid' | 'notFound'; message?: string };
+}
+
+export interface DidDocumentMessage {
+  type: 'did_document';
+  operation: 'create' | 'update' | 'deactivate';
+  did: string;
+  document: DidDocument | null;
+  rotation?: any; // Key rotation statement when the update is signed by a new key
+  timestamp: number;
+  signature?: string;
+}
+
+export interface DidVerification {
+  verified: boolean;
+  did: string;
+  keyId?: string;
+  source?: DidSource;
+  reason?: string;
+}
+
+const DID_PATTERN = /^did:hedera:(mainnet|testnet|previewnet|localnet):([A-Za-z0-9._:+/=-]+)$/;
+const TOPIC_SUFFIX = /_(\d+\.\d+\.\d+)$/;
+const DID_CONTEXT = ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/suites/ed25519-2018/v1'];
+// AIAgentRegistry.AgentStatus: Unregistered, Active, Paused, Retired, Suspended
+const AI_REGISTRY_INACTIVE_STATUSES = [3, 4];
+
+const AI_AGENT_REGISTRY_ABI = [
+  'function getAgentByDID(string did) view returns (tuple(address owner, string did, string name, string metadataURI, uint8 status, uint256 registeredAt, uint256 lastActiveAt, uint256 reputationScore, uint256 totalJobs, uint256 successfulJobs, address walletAddress, bool verified))',
+];
+
+const AGENT_REGISTRY_ABI = [
+  'function resolveAgentByDID(string did) view returns (uint256)',
+  'function agents(uint256) view returns (address owner, string did, string metadataCID, uint8 agentType, uint8 status)',
+];
+
+const cache = new Map<string, { resolution: DidResolution; expiresAt: number }>();
+
+/**
+ * Split a did:hedera identifier into network, method-specific ID and anchoring topic
+ */
+export function parseDid(did: string): { network: string; id: string; topicId: string | null } | null {
+  const match = DID_PATTERN.exec(String(did || '').trim());
+  if (!match) return null;
+  const topic = TOPIC_SUFFIX.exec(match[2]);
+  return { network: match[1], id: match[2], topicId: topic ? topic[1] : null };
+}
+
+/**
+ * Build a DID document for an ed25519 key (plus optional HCS-10 inbound topic and account)
+ */
+export function buildDidDocument(options: {
+  did: string;
+  publicKey: string;
+  inboundTopicId?: string | null;
+  accountId?: string | null;
+}): DidDocument {
+  const keyId = `${options.did}#key-1`;
+  const document: DidDocument = {
+    '@context': DID_CONTEXT,
+    id: options.did,
+    verificationMethod: [{ id: keyId, type: 'Ed25519VerificationKey2018', controller: options.did, publicKeyBase64: options.publicKey }],
+    authentication: [keyId],
+    assertionMethod: [keyId],
+  };
+  const parsed = parseDid(options.did);
+  if (options.accountId) document.alsoKnownAs = [`hedera:${parsed?.network || 'testnet'}:${options.accountId}`];
+  if (options.inboundTopicId) {
+    document.service = [{ id: `${options.did}#hcs10`, type: 'HCS10InboundTopic', serviceEndpoint: options.inboundTopicId }];
+  }
+  return document;
+}
+
+/**
+ * Keys a document authorizes for a purpose (default: assertions, i.e. signing messages)
+ */
+export function getDidKeys(document: DidDocument, purpose: 'authentication' | 'assertionMethod' = 'assertionMethod'): VerificationMethod[] {
+  const refs = document?.[purpose] || [];
+  return (document?.verificationMethod || []).filter((method) => refs.includes(method.id) && method.publicKeyBase64);
+}
+
+/**
+ * Topic a DID's documents live on: its own suffix, else the shared DID_TOPIC_ID
+ */
+export function getDidTopic(did: string): string | null {
+  return parseDid(did)?.topicId || process.env.DID_TOPIC_ID || null;
+}
+
+/**
+ * Sign and submit a DID document message to the DID's topic
+ */
+export async function publishDidDocument(
+  document: DidDocument | null,
+  signer: AgentSigner,
+  options: { did?: string; operation?: DidDocumentMessage['operation']; topicId?: string; rotation?: any } = {}
+): Promise<SubmitResult> {
+  const did = options.did || document?.id;
+  const topicId = options.topicId || getDidTopic(did!);
+  if (!did || !topicId) throw new Error(`No DID topic for ${did} (use a did:hedera:...:<id>_<topicId> DID or set DID_TOPIC_ID)`);
+
+  const message: DidDocumentMessage = {
+    type: 'did_document',
+    operation: options.operation || 'create',
+    did,
+    document,
+    timestamp: Date.now(),
+  };
+  if (options.rotation) message.rotation = options.rotation;
+  message.signature = await signer.sign(message);
+
+  const result = await submitTopicMessage(topicId, JSON.stringify(message));
+  cache.delete(did);
+  console.log(`[DID] 📇 Published ${message.operation} for ${did} on ${topicId} (seq ${result.sequenceNumber ?? '?'})`);
+  return result;
+}
+
+/**
+ * Whether a did_document message may replace the current document
+ */
+function authorizeDidMessage(message: DidDocumentMessage, current: DidDocument | null): boolean {
+  if (!message.signature) return false;
+  const { signature, ...unsigned } = message;
+  const signedBy = (document: DidDocument | null) =>
+    getDidKeys(document, 'authentication').some((method) => {
+      try {
+        return verifyJSON(unsigned, signature, method.publicKeyBase64);
+      } catch (error) {
+        return false;
+      }
+    });
+
+  if (!current) {
+    // A DID that embeds its key can only be created by that key
+    const embeddedKey = publicKeyFromDid(message.did);
+    if (embeddedKey && !getDidKeys(message.document, 'authentication').some((method) => method.publicKeyBase64 === embeddedKey)) return false;
+    return message.operation === 'create' && signedBy(message.document);
+  }
+  if (signedBy(current)) return true;
+
+  // Rotated key: the old key vouches for the new one, the new key signs the update
+  return !!message.rotation
+    && getDidKeys(current, 'authentication').some((method) => verifyKeyRotation(message.rotation, method.publicKeyBase64))
+    && getDidKeys(message.document, 'authentication').some((method) => method.publicKeyBase64 === message.rotation.publicKey)
+    && signedBy(message.document);
+}
+
+function consensusToIso(consensusTimestamp: string): string {
+  return new Date(Math.floor(parseFloat(consensusTimestamp) * 1000)).toISOString();
+}
+
+/**
+ * Replay a DID's document history from its topic
+ */
+async function resolveFromTopic(did: string, topicId: string): Promise<DidResolution | null> {
+  let document: DidDocument | null = null;
+  let deactivated = false;
+  let created: string | undefined;
+  let updated: string | undefined;
+  let versionId: string | undefined;
+
+  let next: string | null = `/api/v1/topics/${topicId}/messages?limit=100&order=asc`;
+  while (next) {
+    const { data } = await axios.get(`${getMirrorNodeUrl()}${next}`, { timeout: 10000 });
+    for (const entry of data.messages || []) {
+      let message: DidDocumentMessage;
+      try {
+        message = JSON.parse(Buffer.from(entry.message, 'base64').toString('utf8'));
+      } catch (error) {
+        continue;
+      }
+      if (message?.type !== 'did_document' || message.did !== did || deactivated) continue;
+      if (message.operation !== 'deactivate' && message.document?.id !== did) continue;
+      if (!authorizeDidMessage(message, document)) {
+        console.warn(`[DID] 🚫 Ignoring unauthorized ${message.operation} for ${did} (seq ${entry.sequence_number})`);
+        continue;
+      }
+
+      const at = consensusToIso(entry.consensus_timestamp);
+      if (message.operation === 'deactivate') {
+        deactivated = true;
+      } else {
+        document = message.document;
+      }
+      created = created || at;
+      updated = at;
+      versionId = String(entry.sequence_number);
+    }
+    next = data.links?.next || null;
+  }
+
+  if (!document) return null;
+  return {
+    didDocument: deactivated ? null : document,
+    didDocumentMetadata: { source: 'hcs', created, updated, versionId, deactivated },
+    didResolutionMetadata: {},
+  };
+}
+
+async function fetchRegistryMetadata(uri: string): Promise<any> {
+  if (!uri || uri.includes('fallback')) return null;
+  try {
+    return await downloadJSON(uri.replace(/^ipfs:\/\//, ''));
+  } catch (error: any) {
+    console.warn(`[DID] Could not download registry metadata ${uri}: ${error.message}`);
+    return null;
+  }
+}
+
+function registryResolution(did: string, metadata: any, deactivated: boolean): DidResolution | null {
+  if (!metadata?.publicKey) return null;
+  return {
+    didDocument: deactivated ? null : buildDidDocument({
+      did,
+      publicKey: metadata.publicKey,
+      inboundTopicId: metadata.inboundTopicId,
+      accountId: metadata.accountId || metadata.hederaAccountId,
+    }),
+    didDocumentMetadata: {
+      source: 'registry',
+      deactivated,
+      updated: metadata.keyRotatedAt ? new Date(metadata.keyRotatedAt).toISOString() : undefined,
+    },
+    didResolutionMetadata: {},
+  };
+}
+
+/**
+ * Look the DID up in AIAgentRegistry, then AgentRegistry
+ */
+async function resolveFromRegistry(did: string): Promise<DidResolution | null> {
+  if (process.env.AI_AGENT_REGISTRY_ADDRESS) {
+    try {
+      const registry = getContract(process.env.AI_AGENT_REGISTRY_ADDRESS, AI_AGENT_REGISTRY_ABI);
+      const agent = await registry.getAgentByDID(did);
+      if (agent.owner !== ethers.constants.AddressZero) {
+        const resolution = registryResolution(did, await fetchRegistryMetadata(agent.metadataURI), AI_REGISTRY_INACTIVE_STATUSES.includes(Number(agent.status)));
+        if (resolution) return resolution;
+      }
+    } catch (error: any) {
+      console.warn(`[DID] AIAgentRegistry lookup failed for ${did}: ${error.message}`);
+    }
+  }
+
+  if (process.env.AGENT_REGISTRY_ADDRESS) {
+    try {
+      const registry = getContract(process.env.AGENT_REGISTRY_ADDRESS, AGENT_REGISTRY_ABI);
+      const id = await registry.resolveAgentByDID(did);
+      if (!id.isZero()) {
+        const agent = await registry.agents(id);
+        const resolution = registryResolution(did, await fetchRegistryMetadata(agent.metadataCID), Number(agent.status) !== 0);
+        if (resolution) return resolution;
+      }
+    } catch (error: any) {
+      console.warn(`[DID] AgentRegistry lookup failed for ${did}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a did:hedera identifier to its DID document
+ */
+export async function resolveDid(did: string, options: { noCache?: boolean } = {}): Promise<DidResolution> {
+  const parsed = parseDid(did);
+  if (!parsed) {
+    return { didDocument: null, didDocumentMetadata: {}, didResolutionMetadata: { error: 'invalidDid', message: `Not a did:hedera identifier: ${did}` } };
+  }
+
+  const cached = cache.get(did);
+  if (!options.noCache && cached && cached.expiresAt > Date.now()) return cached.resolution;
+
+  let resolution: DidResolution | null = null;
+  const topicId = getDidTopic(did);
+  if (topicId) {
+    try {
+      resolution = await resolveFromTopic(did, topicId);
+    } catch (error: any) {
+      console.warn(`[DID] Could not read DID topic ${topicId}: ${error.message}`);
+    }
+  }
+
+  if (!resolution) resolution = await resolveFromRegistry(did);
+
+  if (!resolution) {
+    const embeddedKey = publicKeyFromDid(did);
+    if (embeddedKey) {
+      resolution = {
+        didDocument: buildDidDocument({ did, publicKey: embeddedKey }),
+        didDocumentMetadata: { source: 'self-certifying' },
+        didResolutionMetadata: {},
+      };
+    }
+  }
+
+  if (!resolution) {
+    resolution = { didDocument: null, didDocumentMetadata: {}, didResolutionMetadata: { error: 'notFound', message: `No DID document for ${did}` } };
+  }
+
+  const ttlMs = parseInt(process.env.DID_CACHE_TTL_MS || '60000', 10);
+  cache.set(did, { resolution, expiresAt: Date.now() + ttlMs });
+  return resolution;
+}
+
+/**
+ * Verify a signature over a JSON payload against the keys a DID controls
+ */
+export async function verifyDidSignature(payload: any, signature: string, did: string): Promise<DidVerification> {
+  const resolution = await resolveDid(did);
+  if (!resolution.didDocument) {
+    const reason = resolution.didDocumentMetadata.deactivated ? 'DID deactivated' : resolution.didResolutionMetadata.message || 'DID not resolvable';
+    return { verified: false, did, reason };
+  }
+
+  for (const method of getDidKeys(resolution.didDocument)) {
+    try {
+      if (verifyJSON(payload, signature, method.publicKeyBase64)) {
+        return { verified: true, did, keyId: method.id, source: resolution.didDocumentMetadata.source };
+      }
+    } catch (error) {
+      // Malformed key or signature - try the next key
+    }
+  }
+  return { verified: false, did, source: resolution.didDocumentMetadata.source, reason: 'signature does not match any key of the DID' };
+}
+
+/**
+ * Check that a signed A2A message really came from its fromDid
+ */
+export async function verifyMessageFromDid(message: any): Promise<DidVerification> {
+  if (!message?.fromDid) return { verified: false, did: '', reason: 'message has no fromDid' };
+  if (!message.signature) return { verified: false, did: message.fromDid, reason: 'message is unsigned' };
+  return verifyDidSignature(signedPayload(message), message.signature, message.fromDid);
+}
+
+/**
+ * First signing key of a DID (key resolver for the A2A message guard)
+ */
+export async function resolveDidKey(did: string): Promise<string | null> {
+  if (!parseDid(did)) return null;
+  const { didDocument } = await resolveDid(did);
+  return didDocument ? getDidKeys(didDocument)[0]?.publicKeyBase64 || null : null;
+}
+
+/**
+ * Hedera accounts a DID's document names as its own (alsoKnownAs hedera:<network>:<accountId>)
+ */
+export async function resolveDidAccounts(did: string): Promise<string[]> {
+  if (!parseDid(did)) return [];
+  const { didDocument } = await resolveDid(did);
+  return (didDocument?.alsoKnownAs || [])
+    .map((alias) => /^hedera:[a-z]+:(\d+\.\d+\.\d+)$/.exec(alias)?.[1])
+    .filter((accountId): accountId is string => !!accountId);
+}
+
+/**
+ * Drop cached resolutions (one DID or all)
+ */
+export function clearDidCache(did?: string): void {
+  if (did) cache.delete(did);
+  else cache.clear();
+}
@@ -0,0 +1,439 @@
+/**
+ * Agent Directory
+ *
+ * Maps agent DIDs and Hedera account IDs to inbound topics, public keys and capabilities.
+ * Seeded from the built-in *_ACCOUNT_ID / *_INBOUND_TOPIC env vars, extended with
+ * AgentRegistry / AIAgentRegistry records and kept current by agent.registered /
+ * agent.retired announcements. Entries are cached on disk, so dynamically deployed
+ * agents stay addressable across restarts even before the registry answers.
+ * Announcements must be signed by the agent's key on record or by the directory operator
+ * (DIRECTORY_OPERATOR_PUBLIC_KEY, the MarketplaceAgent's signing key). They cannot replace a
+ * known public key unless they carry a key rotation statement signed by that key (see
+ * keystore.ts), and never retire or re-key env or registry entries.
+ * Env entries keep their topic and key whatever the source. A registry record's key is only
+ * taken when the record's owner or DID is tied to the account, and never replaces a key set
+ * by another source or another record.
+ */
+
+import { ethers } from 'ethers';
+import { getContract } from './hedera';
+import { downloadJSON } from './ipfs';
+import { readJSON, writeJSON } from './json-store';
+import { verifyKeyRotation } from './keystore';
+import { resolveDidAccounts } from './did-resolver';
+import { verifyJSON } from './signer';
+import { signedPayload } from './message-guard';
+
+// Type definitions
+export type DirectorySource = 'env' | 'registry' | 'announcement' | 'local';
+
+export interface DirectoryEntry {
+  name: string;
+  accountId: string;
+  did?: string | null;
+  inboundTopicId: string | null;
+  publicKey?: string | null; // ed25519 message signing key (base64)
+  capabilities: string[];
+  status: 'active' | 'retired';
+  source: DirectorySource;
+  updatedAt: number;
+}
+
+export interface RegistryRecord {
+  owner: string; // Registering EVM address
+  walletAddress?: string | null;
+  did: string;
+  name?: string;
+  metadata: any; // IPFS metadata (accountId, inboundTopicId, publicKey, capabilities)
+  active: boolean;
+}
+
+interface ListOptions {
+  includeRetired?: boolean;
+  capability?: string;
+}
+
+type SubscribeFn = (subject: string, handler: (message: any, metadata?: any) => Promise<void> | void) => void;
+
+// Built-in platform agents and their env key prefixes
+const BUILTIN_AGENTS = [
+  { name: 'ClientAgent', envKey: 'CLIENT_AGENT' },
+  { name: 'WorkerAgent', envKey: 'WORKER_AGENT' },
+  { name: 'VerificationAgent', envKey: 'VERIFICATION_AGENT' },
+  { name: 'ReputeAgent', envKey: 'REPUTE_AGENT' },
+  { name: 'DisputeAgent', envKey: 'DISPUTE_AGENT' },
+  { name: 'DataAgent', envKey: 'DATA_AGENT' },
+  { name: 'EscrowAgent', envKey: 'ESCROW_AGENT' },
+  { name: 'MarketplaceAgent', envKey: 'MARKETPLACE_AGENT' },
+];
+
+// AIAgentRegistry.AgentStatus: Unregistered, Active, Paused, Retired, Suspended
+const AI_REGISTRY_INACTIVE_STATUSES = [0, 3, 4];
+
+const AI_AGENT_REGISTRY_ABI = [
+  'event AgentRegistered(bytes32 indexed agentId, address indexed owner, string did, string name)',
+  'event AgentStatusChanged(bytes32 indexed agentId, uint8 newStatus)',
+  'function getAgent(bytes32 agentId) view returns (tuple(address owner, string did, string name, string metadataURI, uint8 status, uint256 registeredAt, uint256 lastActiveAt, uint256 reputationScore, uint256 totalJobs, uint256 successfulJobs, address walletAddress, bool verified))',
+];
+
+const AGENT_REGISTRY_ABI = [
+  'function agents(uint256) view returns (address owner, string did, string metadataCID, uint8 agentType, uint8 status)',
+  'function nextAgentId() view returns (uint256)',
+];
+
+const CACHE_FILE = 'agent-directory.json';
+
+// Module-level state
+const entries = new Map<string, DirectoryEntry>(); // accountId -> entry
+const didIndex = new Map<string, string>(); // DID -> accountId
+let loaded = false;
+let refreshInterval: NodeJS.Timeout | null = null;
+
+/**
+ * Load the cached directory and seed built-in agents from env (env always wins)
+ */
+export function loadDirectory(): void {
+  const cached = readJSON<{ agents: DirectoryEntry[] }>(CACHE_FILE, { agents: [] });
+  for (const entry of cached.agents || []) {
+    if (entry && entry.accountId) index(entry);
+  }
+
+  for (const agent of BUILTIN_AGENTS) {
+    const accountId = process.env[`${agent.envKey}_ACCOUNT_ID`]?.trim();
+    if (!accountId) continue;
+    const existing = entries.get(accountId);
+    index({
+      capabilities: [],
+      ...existing,
+      name: agent.name,
+      accountId,
+      inboundTopicId: process.env[`${agent.envKey}_INBOUND_TOPIC`] || existing?.inboundTopicId || null,
+      status: 'active',
+      source: 'env',
+      updatedAt: Date.now(),
+    });
+  }
+  loaded = true;
+}
+
+function ensureLoaded(): void {
+  if (!loaded) loadDirectory();
+}
+
+function index(entry: DirectoryEntry): void {
+  entries.set(entry.accountId, entry);
+  if (entry.did) didIndex.set(entry.did, entry.accountId);
+}
+
+function save(): void {
+  try {
+    writeJSON(CACHE_FILE, { agents: Array.from(entries.values()) });
+  } catch (error: any) {
+    console.warn(`[Directory] Could not persist cache: ${error.message}`);
+  }
+}
+
+/**
+ * Add or update an agent. Fields that are not provided keep their previous value.
+ */
+export function upsertAgent(update: Partial<DirectoryEntry> & { accountId: string }, source: DirectorySource = 'local'): DirectoryEntry {
+  ensureLoaded();
+  const accountId = String(update.accountId).trim();
+  const existing = entries.get(accountId);
+
+  // Built-in agents are configured by env - other sources may add a first key and capabilities, but not move topics or keys
+  const envLocked = existing?.source === 'env' && source !== 'env';
+  // A registry record only replaces a key it set itself (same DID)
+  const keyLocked = !!existing?.publicKey && (envLocked
+    || (source === 'registry' && (existing.source !== 'registry' || existing.did !== update.did)));
+
+  const entry: DirectoryEntry = {
+    name: update.name || existing?.name || accountId,
+    accountId,
+    did: update.did ?? existing?.did ?? null,
+    inboundTopicId: envLocked
+      ? existing!.inboundTopicId
+      : update.inboundTopicId ?? existing?.inboundTopicId ?? null,
+    publicKey: keyLocked ? existing!.publicKey : update.publicKey ?? existing?.publicKey ?? null,
+    capabilities: update.capabilities || existing?.capabilities || [],
+    status: update.status || existing?.status || 'active',
+    source: envLocked ? 'env' : source,
+    updatedAt: Date.now(),
+  };
+
+  if (existing?.did && existing.did !== entry.did) didIndex.delete(existing.did);
+  index(entry);
+  save();
+  return entry;
+}
+
+/**
+ * Mark an agent as retired - it stays resolvable but is no longer addressed
+ */
+export function retireAgent(idOrDid: string): boolean {
+  const entry = resolveAgent(idOrDid);
+  if (!entry) return false;
+  entry.status = 'retired';
+  entry.updatedAt = Date.now();
+  save();
+  console.log(`[Directory] 🪦 Retired ${entry.name} (${entry.accountId})`);
+  return true;
+}
+
+/**
+ * Look up an agent by Hedera account ID or DID
+ */
+export function resolveAgent(idOrDid: string): DirectoryEntry | null {
+  ensureLoaded();
+  if (!idOrDid) return null;
+  const key = String(idOrDid).trim();
+  const accountId = entries.has(key) ? key : didIndex.get(key);
+  return accountId ? entries.get(accountId) || null : null;
+}
+
+/**
+ * List known agents (active only unless includeRetired is set)
+ */
+export function listAgents(options: ListOptions = {}): DirectoryEntry[] {
+  ensureLoaded();
+  return Array.from(entries.values()).filter(entry =>
+    (options.includeRetired || entry.status === 'active') &&
+    (!options.capability || entry.capabilities.includes(options.capability))
+  );
+}
+
+/**
+ * Key resolver for the A2A message guard: signing key registered for a DID or account ID
+ */
+export function resolvePublicKey(idOrDid: string): string | null {
+  return resolveAgent(idOrDid)?.publicKey || null;
+}
+
+/**
+ * Fetch registry metadata (IPFS JSON) describing an agent's HCS identity
+ */
+async function fetchMetadata(cid: string): Promise<any> {
+  if (!cid || cid.startsWith('fallback_')) return null;
+  try {
+    return await downloadJSON(cid.replace(/^ipfs:\/\//, ''));
+  } catch (error: any) {
+    console.warn(`[Directory] Could not download metadata ${cid}: ${error.message}`);
+    return null;
+  }
+}
+
+function entryFromMetadata(did: string, name: string, metadata: any, active: boolean): (Partial<DirectoryEntry> & { accountId: string }) | null {
+  const accountId = metadata?.accountId || metadata?.hederaAccountId;
+  if (!accountId) return null; // Not addressable over HCS
+  return {
+    accountId,
+    name: metadata.name || name || accountId,
+    did: did || metadata.did || null,
+    inboundTopicId: metadata.inboundTopicId || null,
+    publicKey: metadata.publicKey || null,
+    capabilities: Array.isArray(metadata.capabilities) ? metadata.capabilities.map(String) : [],
+    status: active ? 'active' : 'retired',
+  };
+}
+
+/**
+ * EVM long-zero address of a Hedera account (shard.realm.num)
+ */
+function accountEvmAddress(accountId: string): string | null {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(accountId);
+  if (!match) return null;
+  const [shard, realm, num] = match.slice(1).map(Number);
+  return '0x' + shard.toString(16).padStart(8, '0') + realm.toString(16).padStart(16, '0') + num.toString(16).padStart(16, '0');
+}
+
+/**
+ * Whether a registry record speaks for an account: its owner or wallet is the account's EVM
+ * address, or the DID document of its on-chain DID names the account
+ */
+async function recordOwnsAccount(record: RegistryRecord, accountId: string): Promise<boolean> {
+  const address = accountEvmAddress(accountId);
+  if (address && [record.owner, record.walletAddress].some(owner => owner?.toLowerCase() === address)) return true;
+  if (!record.did) return false;
+  try {
+    return (await resolveDidAccounts(record.did)).includes(accountId);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Apply one AIAgentRegistry / AgentRegistry record. Returns null when its metadata names no account.
+ */
+export async function applyRegistryRecord(record: RegistryRecord): Promise<DirectoryEntry | null> {
+  ensureLoaded();
+  const update = entryFromMetadata(record.did, record.name, record.metadata, record.active);
+  if (!update) return null;
+  if (update.publicKey && !(await recordOwnsAccount(record, update.accountId))) {
+    console.warn(`[Directory] 🚫 Ignoring registry key for ${update.accountId}: not tied to owner ${record.owner} or ${record.did || 'a DID'}`);
+    delete update.publicKey;
+  }
+  return upsertAgent(update, 'registry');
+}
+
+/**
+ * Refresh the directory from AIAgentRegistry (AI_AGENT_REGISTRY_ADDRESS) and
+ * AgentRegistry (AGENT_REGISTRY_ADDRESS). Returns the number of entries updated.
+ */
+export async function refreshFromRegistry(): Promise<number> {
+  ensureLoaded();
+  let updated = 0;
+
+  if (process.env.AI_AGENT_REGISTRY_ADDRESS) {
+    try {
+      const registry = getContract(process.env.AI_AGENT_REGISTRY_ADDRESS, AI_AGENT_REGISTRY_ABI);
+      const fromBlock = parseInt(process.env.AGENT_REGISTRY_FROM_BLOCK || '0', 10);
+      const events = await registry.queryFilter(registry.filters.AgentRegistered(), fromBlock);
+      for (const event of events) {
+        const agentId = event.args!.agentId as string;
+        const agent = await registry.getAgent(agentId);
+        const metadata = await fetchMetadata(agent.metadataURI);
+        const entry = await applyRegistryRecord({
+          owner: agent.owner,
+          walletAddress: agent.walletAddress,
+          did: agent.did,
+          name: agent.name,
+          metadata,
+          active: !AI_REGISTRY_INACTIVE_STATUSES.includes(Number(agent.status)),
+        });
+        if (entry) updated++;
+      }
+    } catch (error: any) {
+      console.warn(`[Directory] AIAgentRegistry refresh failed: ${error.message}`);
+    }
+  }
+
+  if (process.env.AGENT_REGISTRY_ADDRESS) {
+    try {
+      const registry = getContract(process.env.AGENT_REGISTRY_ADDRESS, AGENT_REGISTRY_ABI);
+      const nextId: ethers.BigNumber = await registry.nextAgentId();
+      for (let i = 1; i < nextId.toNumber(); i++) {
+        const agent = await registry.agents(i);
+        const metadata = await fetchMetadata(agent.metadataCID);
+        const entry = await applyRegistryRecord({
+          owner: agent.owner,
+          did: agent.did,
+          name: metadata?.name,
+          metadata,
+          active: Number(agent.status) === 0,
+        });
+        if (entry) updated++;
+      }
+    } catch (error: any) {
+      console.warn(`[Directory] AgentRegistry refresh failed: ${error.message}`);
+    }
+  }
+
+  if (updated > 0) {
+    console.log(`[Directory] 🔄 Refreshed ${updated} agent(s) from registry`);
+  }
+  return updated;
+}
+
+function signedBy(message: any, publicKey: string | null | undefined): boolean {
+  if (!publicKey || !message?.signature) return false;
+  try {
+    return verifyJSON(signedPayload(message), message.signature, publicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Who signed an announcement: the agent's key on record, the directory operator, or nobody we trust
+ */
+function announcementSigner(message: any, existing: DirectoryEntry | null): 'agent' | 'operator' | null {
+  if (signedBy(message, existing?.publicKey)) return 'agent';
+  if (signedBy(message, process.env.DIRECTORY_OPERATOR_PUBLIC_KEY)) return 'operator';
+  return null;
+}
+
+/**
+ * Apply an agent.registered / agent.updated / agent.retired / agent.key.rotated announcement
+ */
+export function handleDirectoryAnnouncement(message: any): void {
+  ensureLoaded();
+  const accountId = message?.accountId || message?.agentAccountId;
+  if (!accountId && !message?.did) return;
+  const label = accountId || message.did;
+  const existing = accountId ? entries.get(accountId) || null : resolveAgent(message.did);
+
+  const signer = announcementSigner(message, existing);
+  if (!signer) {
+    console.warn(`[Directory] 🚫 Ignoring ${message.type || 'announcement'} for ${label}: not signed by its key on record or the directory operator`);
+    return;
+  }
+  // A DID already bound to another account only moves on the operator's word
+  const didOwner = message.did ? resolveAgent(message.did) : null;
+  if (didOwner && didOwner.accountId !== existing?.accountId && signer !== 'operator') {
+    console.warn(`[Directory] 🚫 Ignoring ${message.type || 'announcement'} for ${label}: ${message.did} belongs to ${didOwner.accountId}`);
+    return;
+  }
+
+  // Env and registry entries are configured out of band - the network cannot retire or re-key them
+  const pinned = existing?.source === 'env' || existing?.source === 'registry';
+  if (message.type === 'agent.retired') {
+    if (pinned) {
+      console.warn(`[Directory] 🚫 Ignoring agent.retired for ${label}: ${existing!.source} entries are not retired by announcements`);
+      return;
+    }
+    retireAgent(label);
+    return;
+  }
+  if (!accountId) return;
+
+  // A known key only changes through a rotation statement signed by that key
+  let publicKey = message.publicKey;
+  if (existing?.publicKey && publicKey && publicKey !== existing.publicKey
+    && (pinned || !verifyKeyRotation(message, existing.publicKey))) {
+    console.warn(`[Directory] 🚫 Ignoring key change for ${accountId}: ${pinned ? `${existing.source} entries are not re-keyed by announcements` : 'not signed by the current key'}`);
+    if (message.type === 'agent.key.rotated') return;
+    publicKey = undefined;
+  }
+
+  const entry = upsertAgent({
+    accountId,
+    name: message.name,
+    did: message.did,
+    inboundTopicId: message.inboundTopicId,
+    publicKey,
+    capabilities: Array.isArray(message.capabilities) ? message.capabilities.map(String) : undefined,
+    status: 'active',
+  }, existing?.source === 'registry' ? 'registry' : 'announcement'); // Env entries stay env (and keep their topic) in upsertAgent
+  console.log(`[Directory] ➕ ${entry.name} (${entry.accountId}) -> ${entry.inboundTopicId || 'no inbound topic'}`);
+}
+
+/**
+ * Keep the directory current: listen for announcements and periodically re-read the registries
+ */
+export function startDirectorySync(subscribe: SubscribeFn): void {
+  ensureLoaded();
+  for (const subject of ['aexowork.agent.registered', 'aexowork.agent.updated', 'aexowork.agent.retired', 'aexowork.keys.rotated']) {
+    subscribe(subject, async (message: any) => handleDirectoryAnnouncement(message));
+  }
+
+  if (!process.env.AI_AGENT_REGISTRY_ADDRESS && !process.env.AGENT_REGISTRY_ADDRESS) return;
+
+  refreshFromRegistry().catch(() => { /* logged in refreshFromRegistry */ });
+  if (!refreshInterval) {
+    const intervalMs = parseInt(process.env.DIRECTORY_REFRESH_MS || '300000', 10);
+    refreshInterval = setInterval(() => {
+      refreshFromRegistry().catch(() => { /* logged in refreshFromRegistry */ });
+    }, intervalMs);
+    refreshInterval.unref();
+  }
+}
+
+/**
+ * Stop periodic registry refreshes
+ */
+export function stopDirectorySync(): void {
+  if (refreshInterval) {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+  }
+}
@@ -2,13 +2,20 @@ import 'dotenv/config';
 import * as path from 'path';
 import axios from 'axios';
 import { HCS10Client, AgentBuilder, AIAgentCapability, ConnectionsManager } from '@hashgraphonline/standards-sdk';
-import { PrivateKey, Client, AccountId, TopicMessageSubmitTransaction, TopicId } from '@hashgraph/sdk';
 import { 
   initMessageServer, 
   sendOffChainMessage, 
   receiveAndVerifyMessage,
-  setMessageHandler
+  setMessageHandler,
+  hasMessage,
+  configureAnchorBatching,
+  getAnchorBatcher
 } from './offchain-messaging';
+import { listAgents, resolveAgent, startDirectorySync, stopDirectorySync, DirectoryEntry } from './directory';
+import { MirrorSubscriber, TopicMessage } from './mirror-subscription';
+import { submitTopicMessage } from './consensus';
+import { AnchorBatcher } from './anchor-batcher';
+import { readSecret } from './keystore';
 
 // Type definitions
 interface InitOptions {
@@ -24,29 +31,12 @@ interface MessageHandler {
   (message: any, metadata?: any): Promise<void> | void;
 }
 
-interface ConnectionSubscriptionInfo {
-  pollInterval: NodeJS.Timeout;
-}
-
-interface AgentInfo {
-  name: string;
-  envKey: string;
-  defaultPort?: number;
-}
-
 interface MessageMetadata {
   fromAccountId?: string | null;
   connectionTopicId?: string;
   verified?: boolean;
 }
 
-interface MirrorNodeMessage {
-  message: string;
-  sequence_number: number;
-  consensus_timestamp: string;
-  payer_account_id: string;
-}
-
 interface SendResult {
   sent?: number;
   success?: boolean;
@@ -63,6 +53,8 @@ interface ConnectionStatus {
   activeConnections: number;
   connectionTopics: Array<{ key: string; topicId: string }>;
   subscriptions: string[];
+  mirror: ReturnType<MirrorSubscriber['getStats']> | null;
+  anchorBatching: ReturnType<AnchorBatcher['getStats']> | null;
 }
 
 // Module-level variables
@@ -74,7 +66,7 @@ let inboundTopicId: string | null = null;
 let outboundTopicId: string | null = null;
 let connectionTopics = new Map<string, string>(); // Map of connectionKey -> connectionTopicId
 let subscriptions = new Map<string, MessageHandler[]>(); // Map of subject -> array of handlers
-let connectionSubscriptions = new Map<string, ConnectionSubscriptionInfo>(); // Map of connectionTopicId -> subscription info
+let mirrorSubscriber: MirrorSubscriber | null = null; // Streams inbound and connection topics from the mirror node
 let isInitialized = false;
 let connectionEstablished = false; // Track if initial connections are established
 let verboseLogging = true; // Enable verbose logging for debugging message delivery
@@ -117,7 +109,7 @@ export async function init(options: InitOptions = {}): Promise<void> {
       || process.env[`${agentEnvPrefix}_ACCOUNT_ID`] || undefined
       || process.env.HCS10_AGENT_ACCOUNT_ID || undefined || null;
     agentPrivateKey = options.privateKey 
-      || process.env[`${agentEnvPrefix}_PRIVATE_KEY`] || undefined
+      || readSecret(`${agentEnvPrefix}_PRIVATE_KEY`) || undefined
       || process.env.HCS10_AGENT_PRIVATE_KEY || undefined || null;
     
     // Also check for inbound/outbound topics
@@ -136,7 +128,7 @@ export async function init(options: InitOptions = {}): Promise<void> {
       
       // Use main Hedera wallet as operator (payer) for creating agents
       const operatorId = process.env.HEDERA_ACCOUNT_ID;
-      const operatorKey = process.env.HEDERA_PRIVATE_KEY;
+      const operatorKey = readSecret('HEDERA_PRIVATE_KEY');
       
       if (!operatorId || !operatorKey) {
         throw new Error('HEDERA_ACCOUNT_ID and HEDERA_PRIVATE_KEY must be set in .env to create agents');
@@ -228,8 +220,11 @@ export async function init(options: InitOptions = {}): Promise<void> {
     // Initialize off-chain messaging via NATS if enabled
     if (useOffChainMessaging && agentAccountId) {
       try {
-        await initMessageServer(agentAccountId);
+        await initMessageServer(agentAccountId, agentPrivateKey);
         console.log(`[OffChain/NATS] ✅ Connected to NATS for off-chain messaging`);
+
+        // Anchor outgoing messages as Merkle roots on our outbound topic (or ANCHOR_TOPIC_ID)
+        configureAnchorBatching(process.env.ANCHOR_TOPIC_ID || outboundTopicId, agentAccountId);
         
         // Set up message handler to process incoming messages
         setMessageHandler(async (messageId: string, fromAccountId: string) => {
@@ -239,35 +234,10 @@ export async function init(options: InitOptions = {}): Promise<void> {
           // Try to verify the message (this will check for HCS anchor)
           try {
             const verified = await receiveAndVerifyMessage(messageId, inboundTopicId!);
-            
-            // Process verified message
-            const subject = verified.message.subject;
-            const handlers = subscriptions.get(subject) || [];
-            const wildcardHandlers = subscriptions.get('*') || [];
-            
-            console.log(`[HCS-10] ✅ Verified off-chain message: ${messageId}, subject: ${subject}`);
-            console.log(`[HCS-10] 📨 Found ${handlers.length} handler(s) for subject '${subject}', ${wildcardHandlers.length} wildcard handler(s)`);
-            
-            for (const handler of handlers) {
-              try {
-                console.log(`[HCS-10] 🔔 Calling handler for subject '${subject}'`);
-                await handler(verified.message, { fromAccountId: verified.fromAccountId, verified: true });
-              } catch (error: any) {
-                console.error(`[HCS-10] Handler error:`, error);
-              }
-            }
-            
-            for (const handler of wildcardHandlers) {
-              try {
-                console.log(`[HCS-10] 🔔 Calling wildcard handler`);
-                await handler(verified.message, { fromAccountId: verified.fromAccountId, verified: true });
-              } catch (error: any) {
-                console.error(`[HCS-10] Wildcard handler error:`, error);
-              }
-            }
+            await dispatchVerified(messageId, verified);
           } catch (verifyError: any) {
-            // Anchor might not be indexed yet - will be processed by polling
-            console.log(`[OffChain/NATS] ⏳ HCS anchor not found yet for ${messageId} (will retry via polling): ${verifyError.message}`);
+            // Anchor might not be indexed yet - will be processed by the mirror subscription
+            console.log(`[OffChain/NATS] ⏳ HCS anchor not found yet for ${messageId} (will retry via mirror subscription): ${verifyError.message}`);
           }
         });
       } catch (error: any) {
@@ -278,6 +248,7 @@ export async function init(options: InitOptions = {}): Promise<void> {
     }
 
     // Start monitoring inbound topic for messages (connection requests and regular messages)
+    mirrorSubscriber = new MirrorSubscriber({ name: agentName, network });
     startInboundMonitoring();
     
     // Note: We don't auto-connect anymore - messages are sent directly to inbound topics
@@ -285,6 +256,9 @@ export async function init(options: InitOptions = {}): Promise<void> {
 
     isInitialized = true;
     console.log(`[HCS-10] ✅ Connected to Hedera network: ${network}`);
+
+    // Keep the agent directory current as agents register or retire
+    startDirectorySync(subscribe);
     
   } catch (error: any) {
     console.error(`[HCS-10] ❌ Failed to initialize: ${error.message}`);
@@ -292,389 +266,233 @@ export async function init(options: InitOptions = {}): Promise<void> {
   }
 }
 
-// Add sequenceTracker as a static property on the function
-declare namespace startInboundMonitoring {
-  let sequenceTracker: Map<string, number>;
-}
-
 /**
- * Start monitoring inbound topic for connection requests
+ * Start monitoring inbound topic for messages (resumes from the persisted cursor)
  */
-async function startInboundMonitoring(): Promise<void> {
+function startInboundMonitoring(): void {
   if (!inboundTopicId) {
     console.log('[HCS-10] ⚠️  Cannot start inbound monitoring - no inbound topic ID');
     return;
   }
+  if (mirrorSubscriber!.isSubscribed(inboundTopicId)) {
+    return; // Already monitoring
+  }
 
-  // Starting inbound monitoring silently
+  mirrorSubscriber!.subscribe(inboundTopicId, processInboundMessage);
+}
 
-  // Poll for messages (reduced frequency to avoid rate limiting)
-  let lastPollTime = 0;
-  let lastProcessedSequence = 0; // Track last processed message sequence (persist across polls)
-  const POLL_INTERVAL = 10000; // Poll every 10 seconds to avoid rate limiting
-  
-  // Store last processed sequence per topic to persist across function calls
-  if (!startInboundMonitoring.sequenceTracker) {
-    startInboundMonitoring.sequenceTracker = new Map<string, number>();
+/**
+ * Dispatch a verified off-chain message to its subject handlers
+ */
+async function dispatchVerified(messageId: string, verified: any): Promise<void> {
+  const subject = verified.message.subject;
+  const handlers = subscriptions.get(subject) || [];
+  const wildcardHandlers = subscriptions.get('*') || [];
+
+  if (verboseLogging) {
+    console.log(`[HCS-10] ✅ Verified off-chain message: ${messageId}, subject: ${subject}`);
+    console.log(`[HCS-10] 📨 Found ${handlers.length} handler(s) for subject '${subject}', ${wildcardHandlers.length} wildcard handler(s)`);
   }
-  const topicKey = inboundTopicId;
-  if (startInboundMonitoring.sequenceTracker.has(topicKey)) {
-    lastProcessedSequence = startInboundMonitoring.sequenceTracker.get(topicKey) || 0;
+
+  for (const handler of handlers) {
+    try {
+      if (verboseLogging) {
+        console.log(`[HCS-10] 🔔 Calling handler for subject '${subject}'`);
+      }
+      await handler(verified.message, { fromAccountId: verified.fromAccountId, verified: true });
+    } catch (error: any) {
+      console.error(`[HCS-10] Handler error:`, error);
+    }
   }
-  
-  setInterval(async () => {
-    const now = Date.now();
-    if (now - lastPollTime < POLL_INTERVAL) {
-      return; // Skip if too soon
+
+  for (const handler of wildcardHandlers) {
+    try {
+      if (verboseLogging) {
+        console.log(`[HCS-10] 🔔 Calling wildcard handler`);
+      }
+      await handler(verified.message, { fromAccountId: verified.fromAccountId, verified: true });
+    } catch (error: any) {
+      console.error(`[HCS-10] Wildcard handler error:`, error);
+    }
+  }
+}
+
+/**
+ * Process one message from the inbound topic (off-chain anchors and direct messages)
+ */
+async function processInboundMessage(msg: TopicMessage): Promise<void> {
+  let content: any;
+  try {
+    content = JSON.parse(msg.contents);
+  } catch (e) {
+    return; // Not JSON, skip this message
+  }
+
+  // Skip if content is not an object
+  if (typeof content !== 'object' || content === null) {
+    return;
+  }
+
+  // Log message type for debugging
+  if (content.type && (verboseLogging || content.type === 'message_anchor')) {
+    console.log(`[HCS-10] 📨 Processing message type: ${content.type} (seq ${msg.sequenceNumber})`);
+  }
+
+  // If it's an off-chain message anchor, fetch and verify the message
+  if (content.type === 'message_anchor' && content.messageId) {
+    // Only process if we have the message in our store (it was sent to us via NATS)
+    // Skip silently if message not in store (might be for another agent)
+    if (!hasMessage(content.messageId)) {
+      return;
+    }
+
+    if (verboseLogging) {
+      console.log(`[HCS-10] 🔍 Detected message_anchor for messageId: ${content.messageId}`);
     }
-    lastPollTime = now;
-    
     try {
-      if (!inboundTopicId) {
+      const verified = await receiveAndVerifyMessage(content.messageId, inboundTopicId!);
+      await dispatchVerified(content.messageId, verified);
+      return; // Skip normal processing
+    } catch (verifyError: any) {
+      // Only log if it's not a "not found" error (which is expected for other agents' messages)
+      if (!verifyError.message || !verifyError.message.includes('not found in store')) {
         if (verboseLogging) {
-          console.error('[HCS-10] ⚠️  Cannot poll inbound topic - topic ID is undefined');
+          console.error(`[HCS-10] ❌ Failed to verify off-chain message ${content.messageId}:`, verifyError.message);
         }
-        return;
       }
-      
-      // Use mirror node REST API to get topic messages
-      // This works for messages sent via TopicMessageSubmitTransaction
-      let messages: MirrorNodeMessage[] = [];
-      
-      try {
-        const network = process.env.HEDERA_NETWORK || 'testnet';
-        const mirrorNodeUrl = network === 'mainnet' 
-          ? 'https://mainnet-public.mirrornode.hedera.com'
-          : 'https://testnet.mirrornode.hedera.com';
-        
-        // Get messages from mirror node
-        const response = await axios.get(`${mirrorNodeUrl}/api/v1/topics/${inboundTopicId}/messages`, {
-          params: {
-            limit: 100,
-            order: 'asc'
-          },
-          timeout: 5000
-        });
-        
-        if (response.data && response.data.messages) {
-          // Convert mirror node format to our format
-          messages = response.data.messages.map((msg: any) => ({
-            message: Buffer.from(msg.message, 'base64').toString('utf8'),
-            sequence_number: parseInt(msg.sequence_number),
-            consensus_timestamp: msg.consensus_timestamp,
-            payer_account_id: msg.payer_account_id,
-          })).filter((msg: MirrorNodeMessage) => msg.sequence_number > lastProcessedSequence);
-          
-          if (messages.length > 0) {
-            const minSeq = Math.min(...messages.map(m => m.sequence_number));
-            const maxSeq = Math.max(...messages.map(m => m.sequence_number));
-            lastProcessedSequence = maxSeq;
-            startInboundMonitoring.sequenceTracker.set(topicKey, maxSeq);
-            console.log(`[HCS-10] 📨 Retrieved ${messages.length} new message(s) from mirror node (seq ${minSeq} to ${maxSeq}, last processed: ${lastProcessedSequence})`);
-          }
-        }
-      } catch (mirrorError: any) {
-        // Fallback to HCS-10 SDK method
-        if (verboseLogging && !mirrorError.message.includes('429') && !mirrorError.message.includes('timeout')) {
-          console.log(`[HCS-10] Mirror node query failed, using HCS-10 SDK: ${mirrorError.message}`);
-        }
-        try {
-          const hcs10Result = await hcs10Client.getMessages(inboundTopicId);
-          messages = (hcs10Result.messages || []) as MirrorNodeMessage[];
-        } catch (hcs10Error: any) {
-          if (verboseLogging && !hcs10Error.message.includes('429')) {
-            console.error(`[HCS-10] HCS-10 SDK getMessages failed:`, hcs10Error.message);
-          }
-          return;
-        }
-      }
-      
-      if (!messages || messages.length === 0) {
-        return; // No messages yet
-      }
-      
-      // Debug: Log message count
-      if (verboseLogging && messages.length > 0) {
-        console.log(`[HCS-10] 📨 Found ${messages.length} message(s) on inbound topic ${inboundTopicId}`);
-      }
-      
-      // Process all messages
-      // Check for off-chain message notifications first
-      for (const msg of messages) {
-        try {
-          // Check if this is an off-chain message notification
-          let content: any = (msg as any).message || (msg as any).data || (msg as any).content || msg;
-          if (typeof content === 'string') {
-            try {
-              content = JSON.parse(content);
-            } catch (e) {
-              // Not JSON, continue with normal processing
-              continue;
-            }
-          }
-          
-          // Log message type for debugging
-          if (content && content.type) {
-            if (verboseLogging || content.type === 'message_anchor') {
-              console.log(`[HCS-10] 📨 Processing message type: ${content.type}`);
-            }
-          }
-          
-          // If it's an off-chain message anchor, fetch and verify the message
-          if (content && content.type === 'message_anchor' && content.messageId) {
-            // Only process if we have the message in our store (it was sent to us via NATS)
-            // Skip silently if message not in store (might be for another agent)
-            const { hasMessage } = await import('./offchain-messaging');
-            if (!hasMessage(content.messageId)) {
-              // Message not in our store - it's for another agent, skip silently
-              continue;
-            }
-            
-            if (verboseLogging) {
-              console.log(`[HCS-10] 🔍 Detected message_anchor for messageId: ${content.messageId}`);
-            }
-            try {
-              const verified = await receiveAndVerifyMessage(content.messageId, inboundTopicId!);
-              
-              // Process verified message
-              const subject = verified.message.subject;
-              const handlers = subscriptions.get(subject) || [];
-              const wildcardHandlers = subscriptions.get('*') || [];
-              
-              if (verboseLogging) {
-                console.log(`[HCS-10] ✅ Verified off-chain message: ${content.messageId}, subject: ${subject}`);
-                console.log(`[HCS-10] 📨 Found ${handlers.length} handler(s) for subject '${subject}', ${wildcardHandlers.length} wildcard handler(s)`);
-              }
-              
-              for (const handler of handlers) {
-                try {
-                  if (verboseLogging) {
-                    console.log(`[HCS-10] 🔔 Calling handler for subject '${subject}'`);
-                  }
-                  await handler(verified.message, { fromAccountId: verified.fromAccountId, verified: true });
-                } catch (error: any) {
-                  console.error(`[HCS-10] Handler error:`, error);
-                }
-              }
-              
-              for (const handler of wildcardHandlers) {
-                try {
-                  if (verboseLogging) {
-                    console.log(`[HCS-10] 🔔 Calling wildcard handler`);
-                  }
-                  await handler(verified.message, { fromAccountId: verified.fromAccountId, verified: true });
-                } catch (error: any) {
-                  console.error(`[HCS-10] Wildcard handler error:`, error);
-                }
-              }
-              
-              continue; // Skip normal processing
-            } catch (verifyError: any) {
-              // Only log if it's not a "not found" error (which is expected for other agents' messages)
-              if (!verifyError.message || !verifyError.message.includes('not found in store')) {
-                if (verboseLogging) {
-                  console.error(`[HCS-10] ❌ Failed to verify off-chain message ${content.messageId}:`, verifyError.message);
-                }
-              }
-              // Continue with normal processing as fallback
-            }
-          }
-        } catch (e) {
-          // Continue with normal processing
-        }
-        
-        // Normal message processing (existing code)
-        
-        try {
-          // Messages from TopicMessageSubmitTransaction are in msg.message field
-          // HCS-10 SDK messages might be in msg.data or msg.content
-          let content: any = (msg as any).message || (msg as any).data || (msg as any).content || msg;
-          
-          // If content is a string, try to parse as JSON
-          if (typeof content === 'string') {
-            try {
-              content = JSON.parse(content);
-            } catch (e) {
-              // Not JSON, skip this message
-              continue;
-            }
-          }
-          
-          // Skip if content is not an object
-          if (typeof content !== 'object' || content === null) {
-            continue;
-          }
-          
-          // Skip HCS-10 protocol messages (connection_request, connection_created, etc.)
-          // These have "p":"hcs-10" and "op" fields
-          if (content.p === 'hcs-10' && (content.op === 'connection_request' || content.op === 'connection_created')) {
-            continue; // Skip HCS-10 protocol messages
-          }
-          
-          // Extract subject from message (required for routing)
-          const subject = content.subject;
-          if (!subject) {
-            // Log all messages without subject to debug
-            console.log(`[HCS-10] ⚠️  Message missing subject field:`, JSON.stringify(content).substring(0, 200));
-            continue; // Skip messages without subject
-          }
-          
-          // Log when we find a message with subject
-          console.log(`[HCS-10] ✅ Found message with subject '${subject}':`, JSON.stringify(content).substring(0, 150));
-          
-          const fromAccountId = content.fromAccountId || (msg as any).payer_account_id || null;
-          const metadata: MessageMetadata = { fromAccountId, connectionTopicId: inboundTopicId || undefined };
-          
-          // Debug: Log subject and handlers
-          if (verboseLogging) {
-            console.log(`[HCS-10] 📨 Message subject: ${subject}, handlers: ${subscriptions.get(subject)?.length || 0}, wildcard: ${subscriptions.get('*')?.length || 0}`);
-          }
-          
-          // Call registered handlers for this subject
-          const handlers = subscriptions.get(subject) || [];
-          const wildcardHandlers = subscriptions.get('*') || [];
-          
-          if (handlers.length > 0 || wildcardHandlers.length > 0) {
-            console.log(`[HCS-10] ✅ Calling ${handlers.length} handler(s) for subject '${subject}'`);
-            for (const handler of handlers) {
-              try {
-                await handler(content, metadata);
-              } catch (error: any) {
-                if (verboseLogging) {
-                  console.error(`[HCS-10] Handler error for ${subject}:`, error);
-                }
-              }
-            }
-            
-            for (const handler of wildcardHandlers) {
-              try {
-                await handler(content, metadata);
-              } catch (error: any) {
-                if (verboseLogging) {
-                  console.error(`[HCS-10] Wildcard handler error:`, error);
-                }
-              }
-            }
-          }
-        } catch (error: any) {
-          if (verboseLogging) {
-            console.error(`[HCS-10] Error processing message from inbound topic:`, error);
-          }
-        }
-      }
-      
-      // Connection requests are ignored - we use direct inbound topic messaging
-      // No connection topics are created, saving HBAR
+      // Continue with normal processing as fallback
+    }
+  }
+
+  // Batched anchor roots are checked through the proofs carried by NATS messages
+  if (content.type === 'anchor_batch') {
+    return;
+  }
+
+  // Skip HCS-10 protocol messages (connection_request, connection_created, etc.)
+  // These have "p":"hcs-10" and "op" fields
+  if (content.p === 'hcs-10' && (content.op === 'connection_request' || content.op === 'connection_created')) {
+    return;
+  }
+
+  // Extract subject from message (required for routing)
+  const subject = content.subject;
+  if (!subject) {
+    if (content.type !== 'message_anchor') {
+      console.log(`[HCS-10] ⚠️  Message missing subject field:`, JSON.stringify(content).substring(0, 200));
+    }
+    return;
+  }
+
+  console.log(`[HCS-10] ✅ Found message with subject '${subject}':`, JSON.stringify(content).substring(0, 150));
+
+  // The payer signed the HCS transaction - a fromAccountId in the content is only a claim
+  const fromAccountId = msg.payerAccountId || null;
+  const metadata: MessageMetadata = { fromAccountId, connectionTopicId: inboundTopicId || undefined };
+
+  // Call registered handlers for this subject
+  const handlers = subscriptions.get(subject) || [];
+  const wildcardHandlers = subscriptions.get('*') || [];
+
+  if (verboseLogging) {
+    console.log(`[HCS-10] 📨 Message subject: ${subject}, handlers: ${handlers.length}, wildcard: ${wildcardHandlers.length}`);
+  }
+
+  for (const handler of handlers) {
+    try {
+      await handler(content, metadata);
     } catch (error: any) {
-      if (error.message && error.message.includes('429')) {
-        // Rate limited - just skip this poll
-        return;
+      if (verboseLogging) {
+        console.error(`[HCS-10] Handler error for ${subject}:`, error);
       }
+    }
+  }
+
+  for (const handler of wildcardHandlers) {
+    try {
+      await handler(content, metadata);
+    } catch (error: any) {
       if (verboseLogging) {
-        console.error('[HCS-10] ❌ Error monitoring inbound topic:', error.message);
+        console.error(`[HCS-10] Wildcard handler error:`, error);
       }
     }
-  }, POLL_INTERVAL);
+  }
 }
 
 /**
  * Start monitoring a connection topic for messages
  */
 function startConnectionMonitoring(connectionTopicId: string): void {
-  if (connectionSubscriptions.has(connectionTopicId)) {
+  if (!connectionTopicId || mirrorSubscriber!.isSubscribed(connectionTopicId)) {
     return; // Already monitoring
   }
 
-  let lastProcessedSequence = 0;
-  let lastPollTime = 0;
-  const POLL_INTERVAL = 15000; // Poll every 15 seconds to avoid rate limiting
+  mirrorSubscriber!.subscribe(connectionTopicId, (msg: TopicMessage) => processConnectionMessage(connectionTopicId, msg));
+}
 
-  const pollInterval = setInterval(async () => {
-    const now = Date.now();
-    if (now - lastPollTime < POLL_INTERVAL) {
-      return; // Skip if too soon
-    }
-    lastPollTime = now;
-    
+/**
+ * Process one HCS-10 message from a connection topic
+ */
+async function processConnectionMessage(connectionTopicId: string, msg: TopicMessage): Promise<void> {
+  let message: any;
+  try {
+    message = JSON.parse(msg.contents);
+  } catch (e) {
+    return;
+  }
+  if (!message || message.op !== 'message') {
+    return; // Connection management traffic
+  }
+
+  // Resolve message content (handles HCS-1 references)
+  let content: any = message.data;
+  if (typeof content === 'string' && content.startsWith('hcs://')) {
     try {
-      if (!connectionTopicId) {
-        if (verboseLogging) {
-          console.error(`[HCS-10] ⚠️  Cannot poll connection topic - topic ID is undefined`);
-        }
-        return;
+      content = await hcs10Client.getMessageContent(content);
+    } catch (error: any) {
+      if (!error.message || !error.message.includes('429')) {
+        console.error('[HCS-10] Error resolving content:', error);
       }
-      const { messages } = await hcs10Client.getMessages(connectionTopicId);
-      
-      // Filter for new messages
-      const newMessages = messages.filter(
-        (msg: any) => msg.op === 'message' && msg.sequence_number > lastProcessedSequence
-      );
+    }
+  }
 
-      for (const message of newMessages) {
-        lastProcessedSequence = Math.max(lastProcessedSequence, message.sequence_number);
+  // Parse JSON if possible
+  if (typeof content === 'string') {
+    try {
+      content = JSON.parse(content);
+    } catch (e) {
+      // Not JSON, keep as string
+    }
+  }
 
-        // Resolve message content (handles HCS-1 references)
-        let content: any = message.data;
-        if (typeof content === 'string' && content.startsWith('hcs://')) {
-          try {
-            content = await hcs10Client.getMessageContent(content);
-          } catch (error: any) {
-            if (!error.message || !error.message.includes('429')) {
-              console.error('[HCS-10] Error resolving content:', error);
-            }
-          }
-        }
+  // Extract subject from message (use 'subject' field or default to connection topic)
+  const subject = content?.subject || `hcs10.${connectionTopicId}`;
 
-        // Parse JSON if possible
-        if (typeof content === 'string') {
-          try {
-            content = JSON.parse(content);
-          } catch (e) {
-            // Not JSON, keep as string
-          }
-        }
+  // Sender is the account that paid for the HCS transaction, not what the content or operator_id claims
+  const fromAccountId = msg.payerAccountId || null;
+  const metadata: MessageMetadata = { fromAccountId, connectionTopicId };
 
-        // Extract subject from message (use 'subject' field or default to connection topic)
-        const subject = content.subject || `hcs10.${connectionTopicId}`;
-        
-        // Extract fromAccountId from message or metadata
-        const fromAccountId = content.fromAccountId || message.operator_id?.split('@')[0] || null;
-        const metadata: MessageMetadata = { fromAccountId, connectionTopicId };
-        
-        // Call registered handlers for this subject
-        const handlers = subscriptions.get(subject) || [];
-        const wildcardHandlers = subscriptions.get('*') || [];
-        
-        // Call subject-specific handlers
-        for (const handler of handlers) {
-          try {
-            await handler(content, metadata);
-          } catch (error: any) {
-            console.error(`[HCS-10] Handler error for ${subject}:`, error);
-          }
-        }
-        
-        // Call wildcard handlers
-        for (const handler of wildcardHandlers) {
-          try {
-            await handler(content, metadata);
-          } catch (error: any) {
-            console.error(`[HCS-10] Wildcard handler error:`, error);
-          }
-        }
-      }
+  // Call registered handlers for this subject
+  const handlers = subscriptions.get(subject) || [];
+  const wildcardHandlers = subscriptions.get('*') || [];
+
+  // Call subject-specific handlers
+  for (const handler of handlers) {
+    try {
+      await handler(content, metadata);
     } catch (error: any) {
-      if (error.message && error.message.includes('429')) {
-        // Rate limited - just skip this poll, will retry later
-        return;
-      }
-      if (verboseLogging) {
-        console.error(`[HCS-10] Error monitoring connection ${connectionTopicId}:`, error.message);
-      }
+      console.error(`[HCS-10] Handler error for ${subject}:`, error);
     }
-  }, POLL_INTERVAL);
+  }
 
-  connectionSubscriptions.set(connectionTopicId, { pollInterval });
+  // Call wildcard handlers
+  for (const handler of wildcardHandlers) {
+    try {
+      await handler(content, metadata);
+    } catch (error: any) {
+      console.error(`[HCS-10] Wildcard handler error:`, error);
+    }
+  }
 }
 
 /**
@@ -713,17 +531,8 @@ async function sendA2AOffChain(subject: string, message: any): Promise<SendResul
     }
   }
   
-  // Get agent URLs from environment
-  const knownAgents: AgentInfo[] = [
-    { name: 'ClientAgent', envKey: 'CLIENT_AGENT', defaultPort: 3001 },
-    { name: 'WorkerAgent', envKey: 'WORKER_AGENT', defaultPort: 3002 },
-    { name: 'VerificationAgent', envKey: 'VERIFICATION_AGENT', defaultPort: 3003 },
-    { name: 'ReputeAgent', envKey: 'REPUTE_AGENT', defaultPort: 3004 },
-    { name: 'DisputeAgent', envKey: 'DISPUTE_AGENT', defaultPort: 3005 },
-    { name: 'DataAgent', envKey: 'DATA_AGENT', defaultPort: 3006 },
-    { name: 'EscrowAgent', envKey: 'ESCROW_AGENT', defaultPort: 3007 },
-    { name: 'MarketplaceAgent', envKey: 'MARKETPLACE_AGENT', defaultPort: 3008 },
-  ];
+  // Recipients come from the agent directory (env + registry + announcements)
+  const knownAgents = listAgents().filter(agent => agent.accountId !== agentAccountId && agent.inboundTopicId);
 
   // Preserve the 'to' field in the message (don't overwrite it)
   const messageWithSubject = { ...message, subject, fromAccountId: agentAccountId };
@@ -743,36 +552,26 @@ async function sendA2AOffChain(subject: string, message: any): Promise<SendResul
     if (verboseLogging) {
       console.log(`[HCS-10] 📢 Broadcasting message to all agents (no 'to' field specified) - Subject: ${subject}`);
     }
-    let sent = 0;
-    for (const agentInfo of knownAgents) {
-      const agentEnvAccountId = process.env[`${agentInfo.envKey}_ACCOUNT_ID`];
-      if (agentEnvAccountId === agentAccountId) continue; // Skip ourselves
-      
-      const agentInboundTopic = process.env[`${agentInfo.envKey}_INBOUND_TOPIC`];
-      
-      if (!agentInboundTopic || !agentEnvAccountId) {
-        if (verboseLogging) {
-          console.warn(`[HCS-10] ⚠️  No inbound topic or account ID for ${agentInfo.name}, skipping`);
-        }
-        continue;
-      }
-      
+    // Sent concurrently so that, with anchor batching, every recipient shares one Merkle root
+    const results = await Promise.all(knownAgents.map(async (agentInfo) => {
       try {
         const result = await sendOffChainMessage(
-          agentEnvAccountId, // Recipient's account ID (used for NATS topic)
+          agentInfo.accountId, // Recipient's account ID (used for NATS topic)
           messageWithSubject,
-          agentInboundTopic, // Post anchor to recipient's inbound topic
+          agentInfo.inboundTopicId!, // Post anchor to recipient's inbound topic
           agentAccountId!,
           agentPrivateKey!
         );
         if (verboseLogging) {
-          console.log(`[HCS-10] ✅ Sent off-chain via NATS to ${agentInfo.name} (${agentEnvAccountId}) - Message ID: ${result.messageId}, Anchor TX: ${result.anchorTxId}`);
+          console.log(`[HCS-10] ✅ Sent off-chain via NATS to ${agentInfo.name} (${agentInfo.accountId}) - Message ID: ${result.messageId}, Anchor TX: ${result.anchorTxId}`);
         }
-        sent++;
+        return true;
       } catch (error: any) {
         console.error(`[HCS-10] ❌ Failed to send off-chain to ${agentInfo.name}:`, error.message);
+        return false;
       }
-    }
+    }));
+    const sent = results.filter(Boolean).length;
     return { sent, method: 'offchain-nats' };
   } else {
     // Send to specific agent ONLY
@@ -780,40 +579,31 @@ async function sendA2AOffChain(subject: string, message: any): Promise<SendResul
       console.log(`[HCS-10] 🎯 Targeting specific agent: ${targetAccountId} - Subject: ${subject}`);
     }
     
-    let targetFound = false;
-    for (const agentInfo of knownAgents) {
-      const agentEnvAccountId = process.env[`${agentInfo.envKey}_ACCOUNT_ID`];
-      
-      // Normalize account IDs for comparison (remove any whitespace, convert to string)
-      const normalizedTarget = String(targetAccountId).trim();
-      const normalizedEnv = agentEnvAccountId ? String(agentEnvAccountId).trim() : '';
-      
-      if (normalizedEnv === normalizedTarget) {
-        targetFound = true;
-        const agentInboundTopic = process.env[`${agentInfo.envKey}_INBOUND_TOPIC`];
-        
-        if (!agentInboundTopic) {
-          throw new Error(`No inbound topic found for ${agentInfo.name}`);
-        }
-        
-        const result = await sendOffChainMessage(
-          agentEnvAccountId, // Recipient's account ID (used for NATS topic)
-          messageWithSubject,
-          agentInboundTopic, // Post anchor to recipient's inbound topic
-          agentAccountId!,
-          agentPrivateKey!
-        );
-        if (verboseLogging) {
-          console.log(`[HCS-10] ✅ Sent off-chain via NATS to ${agentInfo.name} (${agentEnvAccountId}) - Message ID: ${result.messageId}, Anchor TX: ${result.anchorTxId}`);
-        }
-        return { success: true, messageId: result.messageId, anchorTxId: result.anchorTxId, method: 'offchain-nats' };
-      }
+    const agentInfo = resolveAgent(targetAccountId);
+    if (!agentInfo) {
+      // If target not found, log warning but don't broadcast
+      console.warn(`[HCS-10] ⚠️  Target agent ${targetAccountId} not found in agent directory. Message NOT sent.`);
+      console.warn(`[HCS-10]    Available agents: ${knownAgents.map(a => `${a.name}(${a.accountId})`).join(', ')}`);
+      throw new Error(`Target agent ${targetAccountId} not found`);
     }
-    
-    // If target not found, log warning but don't broadcast
-    console.warn(`[HCS-10] ⚠️  Target agent ${targetAccountId} not found in known agents. Message NOT sent.`);
-    console.warn(`[HCS-10]    Available agents: ${knownAgents.map(a => `${a.name}(${process.env[`${a.envKey}_ACCOUNT_ID`] || 'N/A'})`).join(', ')}`);
-    throw new Error(`Target agent ${targetAccountId} not found`);
+    if (agentInfo.status === 'retired') {
+      throw new Error(`Target agent ${agentInfo.name} (${agentInfo.accountId}) is retired`);
+    }
+    if (!agentInfo.inboundTopicId) {
+      throw new Error(`No inbound topic found for ${agentInfo.name}`);
+    }
+
+    const result = await sendOffChainMessage(
+      agentInfo.accountId, // Recipient's account ID (used for NATS topic)
+      messageWithSubject,
+      agentInfo.inboundTopicId, // Post anchor to recipient's inbound topic
+      agentAccountId!,
+      agentPrivateKey!
+    );
+    if (verboseLogging) {
+      console.log(`[HCS-10] ✅ Sent off-chain via NATS to ${agentInfo.name} (${agentInfo.accountId}) - Message ID: ${result.messageId}, Anchor TX: ${result.anchorTxId}`);
+    }
+    return { success: true, messageId: result.messageId, anchorTxId: result.anchorTxId, method: 'offchain-nats' };
   }
 }
 
@@ -823,51 +613,18 @@ async function sendA2AOffChain(subject: string, message: any): Promise<SendResul
 async function sendA2ADirect(subject: string, message: any): Promise<SendResult> {
   // Extract target agent from subject or message
   const targetAccountId = message.to || message.targetAccountId;
+  const messageWithSubject = { ...message, subject, fromAccountId: agentAccountId };
+  const messageJson = JSON.stringify(messageWithSubject);
   
   if (!targetAccountId) {
     // Broadcast message - send directly to all known agents' inbound topics
-    const knownAgents: AgentInfo[] = [
-      { name: 'ClientAgent', envKey: 'CLIENT_AGENT' },
-      { name: 'WorkerAgent', envKey: 'WORKER_AGENT' },
-      { name: 'VerificationAgent', envKey: 'VERIFICATION_AGENT' },
-      { name: 'ReputeAgent', envKey: 'REPUTE_AGENT' },
-      { name: 'DisputeAgent', envKey: 'DISPUTE_AGENT' },
-      { name: 'DataAgent', envKey: 'DATA_AGENT' },
-      { name: 'EscrowAgent', envKey: 'ESCROW_AGENT' },
-      { name: 'MarketplaceAgent', envKey: 'MARKETPLACE_AGENT' },
-    ];
+    const knownAgents = listAgents().filter(agent => agent.accountId !== agentAccountId && agent.inboundTopicId);
     
     let sent = 0;
-    const network = process.env.HEDERA_NETWORK || 'testnet';
-    const mainClient = network === 'mainnet' ? Client.forMainnet() : Client.forTestnet();
-    const mainAccountId = process.env.HEDERA_ACCOUNT_ID;
-    const mainPrivateKey = process.env.HEDERA_PRIVATE_KEY;
-    
-    if (mainAccountId && mainPrivateKey) {
-      mainClient.setOperator(
-        AccountId.fromString(mainAccountId),
-        PrivateKey.fromStringECDSA(mainPrivateKey)
-      );
-    }
-    
-    const messageWithSubject = { ...message, subject, fromAccountId: agentAccountId };
-    const messageJson = JSON.stringify(messageWithSubject);
-    
     for (const agentInfo of knownAgents) {
-      const agentEnvAccountId = process.env[`${agentInfo.envKey}_ACCOUNT_ID`];
-      if (agentEnvAccountId === agentAccountId) continue;
-      
-      const agentInboundTopic = process.env[`${agentInfo.envKey}_INBOUND_TOPIC`];
-      if (!agentInboundTopic) continue;
-      
       try {
-        const tx = new TopicMessageSubmitTransaction()
-          .setTopicId(TopicId.fromString(agentInboundTopic))
-          .setMessage(messageJson);
-        
-        const txResponse = await tx.execute(mainClient);
-        await txResponse.getReceipt(mainClient);
-        console.log(`[HCS-10] ✅ Sent (direct) to ${agentInfo.name} - TX: ${txResponse.transactionId.toString()}`);
+        const result = await submitTopicMessage(agentInfo.inboundTopicId!, messageJson);
+        console.log(`[HCS-10] ✅ Sent (direct) to ${agentInfo.name} - TX: ${result.transactionId}`);
         sent++;
       } catch (error: any) {
         console.error(`[HCS-10] ❌ Failed to send to ${agentInfo.name}:`, error.message);
@@ -878,49 +635,13 @@ async function sendA2ADirect(subject: string, message: any): Promise<SendResult>
   }
 
   // Send to specific agent
-  const knownAgents: AgentInfo[] = [
-    { name: 'ClientAgent', envKey: 'CLIENT_AGENT' },
-    { name: 'WorkerAgent', envKey: 'WORKER_AGENT' },
-    { name: 'VerificationAgent', envKey: 'VERIFICATION_AGENT' },
-    { name: 'ReputeAgent', envKey: 'REPUTE_AGENT' },
-    { name: 'DisputeAgent', envKey: 'DISPUTE_AGENT' },
-    { name: 'DataAgent', envKey: 'DATA_AGENT' },
-    { name: 'EscrowAgent', envKey: 'ESCROW_AGENT' },
-    { name: 'MarketplaceAgent', envKey: 'MARKETPLACE_AGENT' },
-  ];
-  
-  let targetInboundTopic: string | null = null;
-  for (const agentInfo of knownAgents) {
-    const agentEnvAccountId = process.env[`${agentInfo.envKey}_ACCOUNT_ID`];
-    if (agentEnvAccountId === targetAccountId) {
-      targetInboundTopic = process.env[`${agentInfo.envKey}_INBOUND_TOPIC`] || null;
-      break;
-    }
-  }
+  const target: DirectoryEntry | null = resolveAgent(targetAccountId);
+  const targetInboundTopic = target && target.status === 'active' ? target.inboundTopicId : null;
   
   if (targetInboundTopic) {
-    const network = process.env.HEDERA_NETWORK || 'testnet';
-    const mainClient = network === 'mainnet' ? Client.forMainnet() : Client.forTestnet();
-    const mainAccountId = process.env.HEDERA_ACCOUNT_ID;
-    const mainPrivateKey = process.env.HEDERA_PRIVATE_KEY;
-    
-    if (mainAccountId && mainPrivateKey) {
-      mainClient.setOperator(
-        AccountId.fromString(mainAccountId),
-        PrivateKey.fromStringECDSA(mainPrivateKey)
-      );
-      
-      const messageWithSubject = { ...message, subject, fromAccountId: agentAccountId };
-      const messageJson = JSON.stringify(messageWithSubject);
-      
-      const tx = new TopicMessageSubmitTransaction()
-        .setTopicId(TopicId.fromString(targetInboundTopic))
-        .setMessage(messageJson);
-      
-      const txResponse = await tx.execute(mainClient);
-      await txResponse.getReceipt(mainClient);
-      return { success: true, method: 'direct' };
-    }
+    // Paid by HEDERA_ACCOUNT_ID (or ordered by the local simulator)
+    await submitTopicMessage(targetInboundTopic, messageJson);
+    return { success: true, method: 'direct' };
   }
   
   throw new Error(`Target agent ${targetAccountId} not found or no inbound topic available`);
@@ -947,9 +668,7 @@ export function subscribe(subject: string, handler: MessageHandler): void {
 
   // Ensure all existing connection topics are being monitored
   for (const [connectionKey, connectionTopicId] of connectionTopics.entries()) {
-    if (!connectionSubscriptions.has(connectionTopicId)) {
-      startConnectionMonitoring(connectionTopicId);
-    }
+    startConnectionMonitoring(connectionTopicId);
   }
 }
 
@@ -957,17 +676,24 @@ export function subscribe(subject: string, handler: MessageHandler): void {
  * Close HCS-10 connection
  */
 export async function close(): Promise<void> {
-  // Clear all polling intervals
-  for (const [connectionTopicId, subInfo] of connectionSubscriptions.entries()) {
-    if (subInfo.pollInterval) {
-      clearInterval(subInfo.pollInterval);
-    }
+  // Stop topic subscriptions (cursors are flushed to disk)
+  if (mirrorSubscriber) {
+    mirrorSubscriber.close();
+    mirrorSubscriber = null;
   }
+
+  // Anchor anything still waiting for a batch
+  const anchorBatcher = getAnchorBatcher();
+  if (anchorBatcher) {
+    await anchorBatcher.close();
+    configureAnchorBatching(null);
+  }
+  
+  stopDirectorySync();
   
   // Clear subscriptions
   subscriptions.clear();
   connectionTopics.clear();
-  connectionSubscriptions.clear();
   isInitialized = false;
   console.log('[HCS-10] Connection closed');
 }
@@ -1028,7 +754,9 @@ export function getConnectionStatus(): ConnectionStatus {
       key,
       topicId
     })),
-    subscriptions: Array.from(subscriptions.keys())
+    subscriptions: Array.from(subscriptions.keys()),
+    mirror: mirrorSubscriber ? mirrorSubscriber.getStats() : null,
+    anchorBatching: getAnchorBatcher() ? getAnchorBatcher()!.getStats() : null
   };
 }
 
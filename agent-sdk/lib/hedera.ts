@@ -6,6 +6,8 @@ import {
   AccountId,
   TopicMessageSubmitTransaction,
 } from '@hashgraph/sdk';
+import { isSimulated, submitTopicMessage } from './consensus';
+import { readSecret } from './keystore';
 
 // Ethers provider and wallet for EVM interactions
 let provider: ethers.providers.JsonRpcProvider | null = null;
@@ -24,8 +26,9 @@ export function initEVM(): { provider: ethers.providers.JsonRpcProvider; wallet:
     process.env.HEDERA_RPC_URL || process.env.HEDERA_JSON_RPC_RELAY || 'https://testnet.hashio.io/api'
   );
   
-  if (process.env.HEDERA_PRIVATE_KEY) {
-    wallet = new ethers.Wallet(process.env.HEDERA_PRIVATE_KEY, provider);
+  const privateKey = readSecret('HEDERA_PRIVATE_KEY');
+  if (privateKey) {
+    wallet = new ethers.Wallet(privateKey, provider);
     console.log('[Hedera EVM] Initialized with wallet:', wallet.address);
   } else {
     console.warn('[Hedera EVM] No HEDERA_PRIVATE_KEY found. Wallet operations will be limited.');
@@ -45,10 +48,11 @@ export function initHCS(): Client {
   hederaClient =
     network === 'mainnet' ? Client.forMainnet() : Client.forTestnet();
   
-  if (process.env.HEDERA_ACCOUNT_ID && process.env.HEDERA_PRIVATE_KEY) {
+  const privateKey = readSecret('HEDERA_PRIVATE_KEY');
+  if (process.env.HEDERA_ACCOUNT_ID && privateKey) {
     hederaClient.setOperator(
       AccountId.fromString(process.env.HEDERA_ACCOUNT_ID),
-      PrivateKey.fromStringECDSA(process.env.HEDERA_PRIVATE_KEY)
+      PrivateKey.fromStringECDSA(privateKey)
     );
   }
   
@@ -106,6 +110,12 @@ export async function fundEscrow(escrowManagerAddr: string, escrowId: string, am
  * Submit a message to Hedera Consensus Service (HCS)
  */
 export async function submitHCSMessage(topicId: string, message: string): Promise<any> {
+  if (isSimulated()) {
+    const result = await submitTopicMessage(topicId, message);
+    console.log('[Hedera HCS] Message submitted to simulated topic', topicId, `#${result.sequenceNumber}`);
+    return result;
+  }
+
   const client = initHCS();
   const tx = await new TopicMessageSubmitTransaction({
     topicId,
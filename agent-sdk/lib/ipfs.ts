@@ -6,6 +6,9 @@ let ipfs: any = null;
 let ipfsModule: any = null;
 let isPinata = false;
 
+// Content behind fallback CIDs, so they still resolve within this process when IPFS is down
+const fallbackContent = new Map<string, string>();
+
 interface PinataClient {
   isPinata: boolean;
 }
@@ -125,6 +128,7 @@ export async function uploadJSON(obj: any): Promise<string> {
     console.warn('[IPFS] Upload failed, using fallback CID:', error.message);
     // Return a fallback CID if IPFS server is not available
     const fallbackCID = 'ipfs://fallback-' + crypto.createHash('sha256').update(JSON.stringify(obj)).digest('hex');
+    fallbackContent.set(fallbackCID, JSON.stringify(obj));
     console.log('[IPFS] Using fallback CID:', fallbackCID);
     return fallbackCID;
   }
@@ -170,6 +174,11 @@ async function downloadFromPinata(cid: string): Promise<string> {
  * Download content from IPFS by CID (supports Pinata gateway)
  */
 export async function download(cid: string): Promise<string> {
+  if (fallbackContent.has(cid)) {
+    console.log('[IPFS] Resolved fallback CID locally:', cid);
+    return fallbackContent.get(cid)!;
+  }
+  
   try {
     const client = await init();
     
@@ -0,0 +1,128 @@
+/**
+ * Job Lifecycle
+ *
+ * The states a ClientAgent job moves through and the transitions allowed between them:
+ *
+ *   open -> offered -> assigned -> funded -> delivered -> verified -> approved
+ *                                               |            |
+ *                                               +------------+--> disputed -> approved | refunded
+ *   open, offered, assigned -> cancelled        funded, delivered -> refunded
+ *   open, offered -> expired                    offered -> open (offers dropped after an edit)
+ *
+ * Every change goes through transitionJob, which rejects anything not in JOB_TRANSITIONS
+ * (a JobTransitionError, code INVALID_TRANSITION) and appends a timestamped entry to the
+ * job's history in the job repository.
+ */
+
+import { Job, JobRepository } from './job-repository';
+
+// Type definitions
+export type JobState =
+  | 'open'
+  | 'offered'
+  | 'assigned'
+  | 'funded'
+  | 'delivered'
+  | 'verified'
+  | 'approved'
+  | 'disputed'
+  | 'refunded'
+  | 'cancelled'
+  | 'expired';
+
+export interface JobHistoryEntry {
+  jobId: string;
+  from: JobState | null; // null for the entry that created the job
+  to: JobState;
+  at: number;
+  actor?: string; // Who caused it: 'client', an agent name, 'reconciliation'...
+  reason?: string;
+  data?: Record<string, any>;
+}
+
+export interface TransitionDetails {
+  actor?: string;
+  reason?: string;
+  data?: Record<string, any>;
+}
+
+export const JOB_TRANSITIONS: Record<JobState, JobState[]> = {
+  open: ['offered', 'cancelled', 'expired'],
+  offered: ['open', 'assigned', 'cancelled', 'expired'],
+  assigned: ['funded', 'cancelled'],
+  funded: ['delivered', 'disputed', 'refunded'],
+  delivered: ['verified', 'disputed', 'refunded'],
+  verified: ['approved', 'disputed'],
+  disputed: ['approved', 'refunded'],
+  approved: [],
+  refunded: [],
+  cancelled: [],
+  expired: [],
+};
+
+export class JobTransitionError extends Error {
+  code: 'INVALID_TRANSITION' | 'UNKNOWN_STATE';
+  from: string | null;
+  to: string;
+
+  constructor(message: string, code: 'INVALID_TRANSITION' | 'UNKNOWN_STATE', from: string | null, to: string) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.code = code;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check whether a job in state `from` may move to `to`
+ */
+export function canTransition(from: string | null | undefined, to: JobState): boolean {
+  return !!from && (JOB_TRANSITIONS[from as JobState] || []).includes(to);
+}
+
+/**
+ * Terminal states have no outgoing transitions
+ */
+export function isTerminal(state: string | null | undefined): boolean {
+  return !!state && JOB_TRANSITIONS[state as JobState]?.length === 0;
+}
+
+/**
+ * Store a new job in its initial state, with the first history entry
+ */
+export function createJob(repository: JobRepository, job: Job, details: TransitionDetails = {}): Job {
+  const created: Job = { ...job, status: job.status || 'open' };
+  if (!JOB_TRANSITIONS[created.status as JobState]) {
+    throw new JobTransitionError(`Unknown job state ${created.status}`, 'UNKNOWN_STATE', null, created.status!);
+  }
+  repository.saveJob(created);
+  repository.addJobHistory({ jobId: created.jobId!, from: null, to: created.status as JobState, at: Date.now(), ...details });
+  return created;
+}
+
+/**
+ * Move a job to a new state. Moving to the state it is already in is a no-op,
+ * anything not allowed by JOB_TRANSITIONS throws a JobTransitionError.
+ */
+export function transitionJob(repository: JobRepository, job: Job, to: JobState, details: TransitionDetails = {}): Job {
+  const from = (job.status || null) as JobState | null;
+  if (from === to) return job;
+  if (!JOB_TRANSITIONS[to]) {
+    throw new JobTransitionError(`Unknown job state ${to}`, 'UNKNOWN_STATE', from, to);
+  }
+  if (!canTransition(from, to)) {
+    const allowed = from ? JOB_TRANSITIONS[from]?.join(', ') || 'none' : 'none';
+    throw new JobTransitionError(
+      `Job ${job.jobId} cannot go from ${from || 'no state'} to ${to} (allowed: ${allowed})`,
+      'INVALID_TRANSITION',
+      from,
+      to
+    );
+  }
+
+  const updated: Job = { ...job, status: to };
+  repository.saveJob(updated);
+  repository.addJobHistory({ jobId: job.jobId!, from, to, at: Date.now(), ...details });
+  return updated;
+}
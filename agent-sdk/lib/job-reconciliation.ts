@@ -0,0 +1,233 @@
+/**
+ * ClientAgent Startup Reconciliation
+ *
+ * Brings the job repository back in line with the chain after downtime or a lost data
+ * directory:
+ *   - Marketplace JobPosted events from this client (MARKETPLACE_ADDRESS) recreate jobs the
+ *     repository does not know, with details from the job's IPFS document
+ *   - EscrowManager (ESCROW_MANAGER_ADDRESS) EscrowCreated events from this client recreate
+ *     escrow mappings; EscrowFunded / DeliverySubmitted / DisputeOpened / EscrowReleased /
+ *     EscrowRefunded move known escrows to their on-chain status, and their jobs along the
+ *     lifecycle where that is a valid transition
+ * Scanning starts at CLIENT_RECONCILE_FROM_BLOCK (default 0) the first time and at the
+ * block after the last scan afterwards (kept in the repository's meta table).
+ */
+
+import { ethers } from 'ethers';
+import { getContract, initEVM } from './hedera';
+import { downloadJSON } from './ipfs';
+import { JobRepository, EscrowStatus } from './job-repository';
+import { createJob, transitionJob, canTransition, JobState } from './job-lifecycle';
+
+// Type definitions
+export interface ReconcileOptions {
+  clientAddress?: string | null; // Defaults to CLIENT_ADDRESS, then the EVM wallet
+  fromBlock?: number;
+}
+
+export interface ReconcileResult {
+  fromBlock: number;
+  toBlock: number | null;
+  jobsRecovered: number;
+  escrowsRecovered: number;
+  escrowsUpdated: number;
+  conflicts: string[]; // Jobs whose local state cannot follow the chain (left as they are)
+  errors: string[];
+}
+
+const LAST_BLOCK_KEY = 'reconcile.lastBlock';
+
+const MARKETPLACE_ABI = [
+  'event JobPosted(bytes32 indexed jobId, address indexed client, string jobCID, uint256 budget)',
+];
+
+const ESCROW_MANAGER_ABI = [
+  'event EscrowCreated(bytes32 indexed escrowId, address client, address freelancer, uint256 amount)',
+  'event EscrowFunded(bytes32 indexed escrowId, uint256 amount)',
+  'event DeliverySubmitted(bytes32 indexed escrowId, string deliveryCID)',
+  'event EscrowReleased(bytes32 indexed escrowId, address to, uint256 amount, uint256 fee)',
+  'event EscrowRefunded(bytes32 indexed escrowId, address to, uint256 amount)',
+  'event DisputeOpened(bytes32 indexed escrowId, address by, string evidenceCID)',
+];
+
+// Job state an escrow status implies (see job-lifecycle.ts)
+const JOB_STATE_FOR_ESCROW: Partial<Record<EscrowStatus, JobState>> = {
+  funded: 'funded',
+  delivered: 'delivered',
+  disputed: 'disputed',
+  released: 'approved',
+  refunded: 'refunded',
+};
+
+// Later statuses win when several events for one escrow are in the same scan
+const ESCROW_EVENT_STATUS: Record<string, EscrowStatus> = {
+  EscrowFunded: 'funded',
+  DeliverySubmitted: 'delivered',
+  DisputeOpened: 'disputed',
+  EscrowReleased: 'released',
+  EscrowRefunded: 'refunded',
+};
+
+function sameAddress(a?: string | null, b?: string | null): boolean {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Order events as they happened on chain
+ */
+function byChainOrder(a: ethers.Event, b: ethers.Event): number {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+async function loadJobDocument(jobCID: string): Promise<any> {
+  if (!jobCID || jobCID.includes('fallback')) return {};
+  try {
+    return await downloadJSON(jobCID.replace(/^ipfs:\/\//, ''));
+  } catch (error: any) {
+    console.warn(`[Reconcile] Could not download job ${jobCID}: ${error.message}`);
+    return {};
+  }
+}
+
+async function reconcileMarketplace(repository: JobRepository, clientAddress: string, fromBlock: number, toBlock: number, result: ReconcileResult): Promise<void> {
+  const marketplace = getContract(process.env.MARKETPLACE_ADDRESS!, MARKETPLACE_ABI);
+  const events = await marketplace.queryFilter(marketplace.filters.JobPosted(null, clientAddress), fromBlock, toBlock);
+
+  for (const event of events.sort(byChainOrder)) {
+    const jobId = event.args!.jobId as string;
+    if (repository.getJob(jobId)) continue;
+
+    const jobCID = event.args!.jobCID as string;
+    const document = await loadJobDocument(jobCID);
+    createJob(repository, {
+      title: document.title || `Job ${jobId.substring(0, 10)}`,
+      description: document.description || '',
+      budgetHBAR: (event.args!.budget as ethers.BigNumber).toString(),
+      requiredSkills: document.requiredSkills || [],
+      deadline: document.deadline ?? null,
+      createdAt: document.createdAt || Date.now(),
+      clientDID: document.clientDID,
+      jobId,
+      jobCID,
+      status: 'open',
+      recoveredFrom: 'chain',
+    }, { actor: 'reconciliation', reason: 'JobPosted event', data: { transactionHash: event.transactionHash } });
+    result.jobsRecovered++;
+  }
+}
+
+async function reconcileEscrows(repository: JobRepository, clientAddress: string, fromBlock: number, toBlock: number, result: ReconcileResult): Promise<void> {
+  const escrowManager = getContract(process.env.ESCROW_MANAGER_ADDRESS!, ESCROW_MANAGER_ABI);
+
+  // client is not indexed on EscrowCreated, so filter after fetching
+  const created = await escrowManager.queryFilter(escrowManager.filters.EscrowCreated(), fromBlock, toBlock);
+  for (const event of created.sort(byChainOrder)) {
+    if (!sameAddress(event.args!.client, clientAddress)) continue;
+    const escrowId = event.args!.escrowId as string;
+    if (repository.getEscrow(escrowId)) continue;
+    const job = repository.findJobByEscrowId(escrowId);
+    repository.saveEscrow({
+      escrowId,
+      jobId: job?.jobId || null,
+      client: event.args!.client,
+      worker: event.args!.freelancer,
+      createTxHash: event.transactionHash,
+      status: 'created',
+    });
+    result.escrowsRecovered++;
+  }
+
+  const known = new Set(repository.listEscrows().map((escrow) => escrow.escrowId.toLowerCase()));
+  if (known.size === 0) return;
+
+  const updates: ethers.Event[] = [];
+  for (const name of Object.keys(ESCROW_EVENT_STATUS)) {
+    const events = await escrowManager.queryFilter(escrowManager.filters[name](), fromBlock, toBlock);
+    updates.push(...events.filter((event) => known.has(String(event.args!.escrowId).toLowerCase())));
+  }
+
+  for (const event of updates.sort(byChainOrder)) {
+    const escrowId = repository.getEscrow(event.args!.escrowId)?.escrowId || event.args!.escrowId;
+    const status = ESCROW_EVENT_STATUS[event.event!];
+    repository.saveEscrow({
+      escrowId,
+      status,
+      ...(event.event === 'EscrowFunded' ? { amount: event.args!.amount.toString(), fundTxHash: event.transactionHash } : {}),
+      ...(event.event === 'EscrowReleased' ? { releaseTxHash: event.transactionHash } : {}),
+      ...(event.event === 'DeliverySubmitted' ? { deliveryCID: event.args!.deliveryCID } : {}),
+    });
+
+    let job = repository.findJobByEscrowId(escrowId);
+    if (job && event.event === 'DeliverySubmitted' && !job.deliveryCID) {
+      job = { ...job, deliveryCID: event.args!.deliveryCID };
+      repository.saveJob(job);
+    }
+    const jobState = JOB_STATE_FOR_ESCROW[status];
+    if (job && jobState && job.status !== jobState) {
+      if (canTransition(job.status, jobState)) {
+        transitionJob(repository, job, jobState, { actor: 'reconciliation', reason: `${event.event} event`, data: { transactionHash: event.transactionHash } });
+      } else {
+        result.conflicts.push(`job ${job.jobId} is ${job.status}, on-chain escrow is ${status}`);
+      }
+    }
+    result.escrowsUpdated++;
+  }
+}
+
+/**
+ * Replay this client's Marketplace and EscrowManager events into the repository
+ */
+export async function reconcileJobRepository(repository: JobRepository, options: ReconcileOptions = {}): Promise<ReconcileResult> {
+  const lastBlock = repository.getMeta(LAST_BLOCK_KEY);
+  const fromBlock = options.fromBlock
+    ?? (lastBlock !== null ? parseInt(lastBlock, 10) + 1 : parseInt(process.env.CLIENT_RECONCILE_FROM_BLOCK || '0', 10));
+  const result: ReconcileResult = { fromBlock, toBlock: null, jobsRecovered: 0, escrowsRecovered: 0, escrowsUpdated: 0, conflicts: [], errors: [] };
+
+  if (!process.env.MARKETPLACE_ADDRESS && !process.env.ESCROW_MANAGER_ADDRESS) {
+    return result;
+  }
+
+  const { provider, wallet } = initEVM();
+  const clientAddress = options.clientAddress ?? process.env.CLIENT_ADDRESS ?? wallet?.address ?? null;
+  if (!clientAddress) {
+    result.errors.push('no client address (CLIENT_ADDRESS or HEDERA_PRIVATE_KEY)');
+    return result;
+  }
+
+  let toBlock: number;
+  try {
+    toBlock = await provider.getBlockNumber();
+  } catch (error: any) {
+    result.errors.push(`block number: ${error.message}`);
+    return result;
+  }
+  result.toBlock = toBlock;
+
+  if (process.env.MARKETPLACE_ADDRESS) {
+    try {
+      await reconcileMarketplace(repository, clientAddress, fromBlock, toBlock, result);
+    } catch (error: any) {
+      result.errors.push(`Marketplace: ${error.message}`);
+    }
+  }
+
+  if (process.env.ESCROW_MANAGER_ADDRESS) {
+    try {
+      await reconcileEscrows(repository, clientAddress, fromBlock, toBlock, result);
+    } catch (error: any) {
+      result.errors.push(`EscrowManager: ${error.message}`);
+    }
+  }
+
+  // Only move the cursor past blocks that were read completely
+  if (result.errors.length === 0) {
+    repository.setMeta(LAST_BLOCK_KEY, String(toBlock));
+  }
+  for (const message of [...result.errors, ...result.conflicts]) {
+    console.warn(`[Reconcile] ⚠️  ${message}`);
+  }
+  if (result.jobsRecovered || result.escrowsRecovered || result.escrowsUpdated) {
+    console.log(`[Reconcile] 🔄 Blocks ${fromBlock}-${toBlock}: ${result.jobsRecovered} job(s) and ${result.escrowsRecovered} escrow(s) recovered, ${result.escrowsUpdated} escrow update(s)`);
+  }
+  return result;
+}
@@ -0,0 +1,745 @@
+/**
+ * ClientAgent Job Repository
+ *
+ * Durable storage for the jobs a client posted, the offers it received, the escrows it
+ * opened for them and the delivery receipts that came back, so a restart loses nothing.
+ * Job templates and recurring schedules (lib/job-schedules.ts) are kept here too.
+ * Two backends behind one synchronous interface:
+ *   - sqlite (default): node:sqlite (Node >= 22.5), <AGENT_DATA_DIR>/<name>.sqlite
+ *   - file: one JSON document via json-store, <AGENT_DATA_DIR>/<name>.json
+ * CLIENT_STORE_BACKEND picks one; without it sqlite is used when the runtime has it.
+ * Both backends are versioned and upgraded on open by their migration lists below -
+ * append a migration, never edit an applied one.
+ */
+
+import * as fs from 'fs';
+import { dataPath, getDataDir, readJSON, writeJSON, safeFileName } from './json-store';
+import type { JobHistoryEntry } from './job-lifecycle';
+import type { SelectionPolicyOverrides } from './offer-selection';
+import type { NegotiationRecord } from './negotiation';
+import type { JobVisibility, InvitePolicy, JobTeaser } from './private-jobs';
+import type { JobTemplate, JobSchedule, PreferredWorker } from './job-schedules';
+
+// Type definitions
+export interface Job {
+  title: string;
+  description: string;
+  budgetHBAR: string;
+  requiredSkills?: string[];
+  deadline?: number | null;
+  createdAt: number;
+  clientDID?: string;
+  jobId?: string;
+  jobCID?: string;
+  status?: string;
+  assignedWorker?: string;
+  acceptedPriceHBAR?: string; // wei: the accepted offer's price (at most budgetHBAR), funded into escrow
+  escrowId?: string;
+  deliveryCID?: string;
+  verificationScore?: number;
+  verificationPassed?: boolean;
+  deliveryReceivedAt?: number;
+  verificationType?: string;
+  disputeId?: string;
+  selectionPolicy?: SelectionPolicyOverrides; // Per-job changes to the offer ranking / auto-accept policy
+  recoveredFrom?: 'chain'; // Rebuilt from a Marketplace JobPosted event
+  revision?: number; // Bumped by every PATCH /jobs/:id (1 when absent)
+  visibility?: JobVisibility; // public when absent
+  invite?: InvitePolicy; // Private jobs: who may see the terms
+  teaser?: JobTeaser; // Private jobs: what the public broadcast shows
+  invited?: { did: string; accountId: string | null; matchedBy: string; revision: number; invitedAt: number }[];
+  templateId?: string; // Posted from a job template
+  scheduleId?: string; // Posted by a recurring schedule
+  preferredWorker?: PreferredWorker; // Their qualifying offer is accepted right away
+  updatedAt?: number;
+}
+
+export interface Offer {
+  type: string;
+  jobId: string;
+  offerId?: string;
+  workerAddress?: string;
+  price?: string;
+  eta?: string;
+  sla?: any;
+  reputationScore?: number;
+  [key: string]: any;
+}
+
+export type EscrowStatus = 'created' | 'funded' | 'delivered' | 'disputed' | 'released' | 'refunded';
+
+export interface EscrowMapping {
+  escrowId: string;
+  jobId: string | null;
+  worker: string | null;
+  client: string | null;
+  amount: string | null; // wei
+  status: EscrowStatus;
+  createTxHash?: string;
+  fundTxHash?: string;
+  releaseTxHash?: string;
+  refundTxHash?: string;
+  deliveryCID?: string;
+  updatedAt: number;
+}
+
+export interface DeliveryReceiptRecord {
+  escrowId: string;
+  jobId: string | null;
+  deliveryCID: string;
+  verificationScore?: number;
+  verificationPassed?: boolean;
+  verificationCredential?: any;
+  receivedAt: number;
+  message: any; // The DeliveryReceipt as received
+}
+
+export interface JobRepository {
+  readonly backend: 'sqlite' | 'file';
+  readonly schemaVersion: number;
+  getJob(jobId: string): Job | null;
+  listJobs(filter?: { status?: string }): Job[];
+  saveJob(job: Job): void;
+  findJobByEscrowId(escrowId: string): Job | null;
+  addOffer(offer: Offer): boolean; // false when the offerId was already stored for the job
+  getOffers(jobId: string): Offer[];
+  removeOffers(jobId: string): number; // How many were removed
+  countOffers(): number;
+  getEscrow(escrowId: string): EscrowMapping | null;
+  listEscrows(): EscrowMapping[];
+  saveEscrow(update: Partial<EscrowMapping> & { escrowId: string }): EscrowMapping;
+  addReceipt(receipt: DeliveryReceiptRecord): void;
+  getReceipts(jobId?: string): DeliveryReceiptRecord[];
+  addJobHistory(entry: JobHistoryEntry): void;
+  getJobHistory(jobId: string): JobHistoryEntry[];
+  getNegotiation(negotiationId: string): NegotiationRecord | null;
+  listNegotiations(filter?: { jobId?: string; status?: string }): NegotiationRecord[];
+  saveNegotiation(negotiation: NegotiationRecord): void;
+  getTemplate(templateId: string): JobTemplate | null;
+  listTemplates(): JobTemplate[];
+  saveTemplate(template: JobTemplate): void;
+  deleteTemplate(templateId: string): boolean;
+  getSchedule(scheduleId: string): JobSchedule | null;
+  listSchedules(filter?: { status?: string; templateId?: string }): JobSchedule[];
+  saveSchedule(schedule: JobSchedule): void;
+  deleteSchedule(scheduleId: string): boolean;
+  getMeta(key: string): string | null;
+  setMeta(key: string, value: string): void;
+  close(): void;
+}
+
+export interface RepositoryOptions {
+  backend?: 'sqlite' | 'file'; // Defaults to CLIENT_STORE_BACKEND, then sqlite if available
+  name?: string; // File name stem (default: client-store)
+}
+
+interface SqlMigration {
+  version: number;
+  description: string;
+  sql: string;
+}
+
+interface FileMigration {
+  version: number;
+  description: string;
+  up: (data: any) => void;
+}
+
+interface FileStoreData {
+  schemaVersion: number;
+  jobs: Record<string, Job>;
+  offers: Record<string, Offer[]>;
+  escrows: Record<string, EscrowMapping>;
+  receipts: DeliveryReceiptRecord[];
+  history: Record<string, JobHistoryEntry[]>;
+  negotiations: Record<string, NegotiationRecord>;
+  templates: Record<string, JobTemplate>;
+  schedules: Record<string, JobSchedule>;
+  meta: Record<string, string>;
+}
+
+const SQL_MIGRATIONS: SqlMigration[] = [
+  {
+    version: 1,
+    description: 'jobs, offers, escrows, receipts and meta tables',
+    sql: `
+      CREATE TABLE jobs (
+        job_id TEXT PRIMARY KEY,
+        status TEXT,
+        escrow_id TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX jobs_escrow_id ON jobs (escrow_id);
+      CREATE INDEX jobs_status ON jobs (status);
+      CREATE TABLE offers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        offer_id TEXT,
+        worker_address TEXT,
+        received_at INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        UNIQUE (job_id, offer_id)
+      );
+      CREATE INDEX offers_job_id ON offers (job_id);
+      CREATE TABLE escrows (
+        escrow_id TEXT PRIMARY KEY,
+        job_id TEXT,
+        status TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX escrows_job_id ON escrows (job_id);
+      CREATE TABLE receipts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        escrow_id TEXT NOT NULL,
+        job_id TEXT,
+        delivery_cid TEXT NOT NULL,
+        received_at INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        UNIQUE (escrow_id, delivery_cid)
+      );
+      CREATE INDEX receipts_job_id ON receipts (job_id);
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 2,
+    description: 'job state history',
+    sql: `
+      CREATE TABLE job_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        from_state TEXT,
+        to_state TEXT NOT NULL,
+        at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX job_history_job_id ON job_history (job_id);
+    `,
+  },
+  {
+    version: 3,
+    description: 'offer negotiations',
+    sql: `
+      CREATE TABLE negotiations (
+        negotiation_id TEXT PRIMARY KEY,
+        job_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX negotiations_job_id ON negotiations (job_id);
+    `,
+  },
+  {
+    version: 4,
+    description: 'job templates and recurring schedules',
+    sql: `
+      CREATE TABLE job_templates (
+        template_id TEXT PRIMARY KEY,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE job_schedules (
+        schedule_id TEXT PRIMARY KEY,
+        template_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        next_run_at INTEGER,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX job_schedules_template_id ON job_schedules (template_id);
+      CREATE INDEX job_schedules_status ON job_schedules (status);
+    `,
+  },
+];
+
+const FILE_MIGRATIONS: FileMigration[] = [
+  {
+    version: 1,
+    description: 'jobs, offers, escrows, receipts and meta collections',
+    up: (data) => {
+      data.jobs = data.jobs || {};
+      data.offers = data.offers || {};
+      data.escrows = data.escrows || {};
+      data.receipts = data.receipts || [];
+      data.meta = data.meta || {};
+    },
+  },
+  {
+    version: 2,
+    description: 'job state history',
+    up: (data) => {
+      data.history = data.history || {};
+    },
+  },
+  {
+    version: 3,
+    description: 'offer negotiations',
+    up: (data) => {
+      data.negotiations = data.negotiations || {};
+    },
+  },
+  {
+    version: 4,
+    description: 'job templates and recurring schedules',
+    up: (data) => {
+      data.templates = data.templates || {};
+      data.schedules = data.schedules || {};
+    },
+  },
+];
+
+/**
+ * Merge an escrow update into the stored mapping
+ */
+function mergeEscrow(existing: EscrowMapping | null, update: Partial<EscrowMapping> & { escrowId: string }): EscrowMapping {
+  const defined = Object.fromEntries(Object.entries(update).filter(([, value]) => value !== undefined));
+  return {
+    jobId: null,
+    worker: null,
+    client: null,
+    amount: null,
+    status: 'created',
+    ...(existing || {}),
+    ...defined,
+    updatedAt: Date.now(),
+  } as EscrowMapping;
+}
+
+/**
+ * SQLite backend (node:sqlite)
+ */
+class SqliteJobRepository implements JobRepository {
+  readonly backend = 'sqlite' as const;
+  schemaVersion = 0;
+  private db: any;
+
+  constructor(DatabaseSync: any, file: string) {
+    this.db = new DatabaseSync(file);
+    this.db.exec('PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;');
+    this.migrate();
+  }
+
+  private migrate(): void {
+    this.db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, description TEXT NOT NULL, applied_at INTEGER NOT NULL)');
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    this.schemaVersion = row?.version || 0;
+
+    for (const migration of SQL_MIGRATIONS.filter((m) => m.version > this.schemaVersion)) {
+      this.db.exec('BEGIN');
+      try {
+        this.db.exec(migration.sql);
+        this.db.prepare('INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.description, Date.now());
+        this.db.exec('COMMIT');
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+      this.schemaVersion = migration.version;
+      console.log(`[JobStore] 🗄️  Applied migration ${migration.version}: ${migration.description}`);
+    }
+  }
+
+  getJob(jobId: string): Job | null {
+    const row = this.db.prepare('SELECT data FROM jobs WHERE job_id = ?').get(jobId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listJobs(filter: { status?: string } = {}): Job[] {
+    const rows = filter.status
+      ? this.db.prepare('SELECT data FROM jobs WHERE status = ? ORDER BY created_at').all(filter.status)
+      : this.db.prepare('SELECT data FROM jobs ORDER BY created_at').all();
+    return rows.map((row: any) => JSON.parse(row.data));
+  }
+
+  saveJob(job: Job): void {
+    const record = { ...job, updatedAt: Date.now() };
+    this.db.prepare(`
+      INSERT INTO jobs (job_id, status, escrow_id, created_at, updated_at, data) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (job_id) DO UPDATE SET status = excluded.status, escrow_id = excluded.escrow_id,
+        updated_at = excluded.updated_at, data = excluded.data
+    `).run(job.jobId, job.status ?? null, job.escrowId ?? null, job.createdAt || Date.now(), record.updatedAt, JSON.stringify(record));
+  }
+
+  findJobByEscrowId(escrowId: string): Job | null {
+    const row = this.db.prepare('SELECT data FROM jobs WHERE escrow_id = ?').get(String(escrowId));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  addOffer(offer: Offer): boolean {
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO offers (job_id, offer_id, worker_address, received_at, data) VALUES (?, ?, ?, ?, ?)
+    `).run(offer.jobId, offer.offerId ?? null, offer.workerAddress ?? null, Date.now(), JSON.stringify(offer));
+    return result.changes > 0;
+  }
+
+  getOffers(jobId: string): Offer[] {
+    return this.db.prepare('SELECT data FROM offers WHERE job_id = ? ORDER BY id').all(jobId)
+      .map((row: any) => JSON.parse(row.data));
+  }
+
+  removeOffers(jobId: string): number {
+    return Number(this.db.prepare('DELETE FROM offers WHERE job_id = ?').run(jobId).changes);
+  }
+
+  countOffers(): number {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM offers').get().count;
+  }
+
+  getEscrow(escrowId: string): EscrowMapping | null {
+    const row = this.db.prepare('SELECT data FROM escrows WHERE escrow_id = ?').get(String(escrowId));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listEscrows(): EscrowMapping[] {
+    return this.db.prepare('SELECT data FROM escrows ORDER BY updated_at').all().map((row: any) => JSON.parse(row.data));
+  }
+
+  saveEscrow(update: Partial<EscrowMapping> & { escrowId: string }): EscrowMapping {
+    const escrow = mergeEscrow(this.getEscrow(update.escrowId), update);
+    this.db.prepare(`
+      INSERT INTO escrows (escrow_id, job_id, status, updated_at, data) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (escrow_id) DO UPDATE SET job_id = excluded.job_id, status = excluded.status,
+        updated_at = excluded.updated_at, data = excluded.data
+    `).run(escrow.escrowId, escrow.jobId, escrow.status, escrow.updatedAt, JSON.stringify(escrow));
+    return escrow;
+  }
+
+  addReceipt(receipt: DeliveryReceiptRecord): void {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO receipts (escrow_id, job_id, delivery_cid, received_at, data) VALUES (?, ?, ?, ?, ?)
+    `).run(receipt.escrowId, receipt.jobId, receipt.deliveryCID, receipt.receivedAt, JSON.stringify(receipt));
+  }
+
+  getReceipts(jobId?: string): DeliveryReceiptRecord[] {
+    const rows = jobId
+      ? this.db.prepare('SELECT data FROM receipts WHERE job_id = ? ORDER BY received_at').all(jobId)
+      : this.db.prepare('SELECT data FROM receipts ORDER BY received_at').all();
+    return rows.map((row: any) => JSON.parse(row.data));
+  }
+
+  addJobHistory(entry: JobHistoryEntry): void {
+    this.db.prepare('INSERT INTO job_history (job_id, from_state, to_state, at, data) VALUES (?, ?, ?, ?, ?)')
+      .run(entry.jobId, entry.from, entry.to, entry.at, JSON.stringify(entry));
+  }
+
+  getJobHistory(jobId: string): JobHistoryEntry[] {
+    return this.db.prepare('SELECT data FROM job_history WHERE job_id = ? ORDER BY id').all(jobId)
+      .map((row: any) => JSON.parse(row.data));
+  }
+
+  getNegotiation(negotiationId: string): NegotiationRecord | null {
+    const row = this.db.prepare('SELECT data FROM negotiations WHERE negotiation_id = ?').get(negotiationId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listNegotiations(filter: { jobId?: string; status?: string } = {}): NegotiationRecord[] {
+    return this.db.prepare(`
+      SELECT data FROM negotiations WHERE (? IS NULL OR job_id = ?) AND (? IS NULL OR status = ?) ORDER BY started_at
+    `).all(filter.jobId ?? null, filter.jobId ?? null, filter.status ?? null, filter.status ?? null)
+      .map((row: any) => JSON.parse(row.data));
+  }
+
+  saveNegotiation(negotiation: NegotiationRecord): void {
+    const record = { ...negotiation, updatedAt: Date.now() };
+    this.db.prepare(`
+      INSERT INTO negotiations (negotiation_id, job_id, status, started_at, updated_at, data) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (negotiation_id) DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at, data = excluded.data
+    `).run(record.negotiationId, record.jobId, record.status, record.startedAt, record.updatedAt, JSON.stringify(record));
+  }
+
+  getTemplate(templateId: string): JobTemplate | null {
+    const row = this.db.prepare('SELECT data FROM job_templates WHERE template_id = ?').get(templateId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listTemplates(): JobTemplate[] {
+    return this.db.prepare('SELECT data FROM job_templates ORDER BY created_at').all().map((row: any) => JSON.parse(row.data));
+  }
+
+  saveTemplate(template: JobTemplate): void {
+    const record = { ...template, updatedAt: Date.now() };
+    this.db.prepare(`
+      INSERT INTO job_templates (template_id, created_at, updated_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (template_id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+    `).run(record.templateId, record.createdAt, record.updatedAt, JSON.stringify(record));
+  }
+
+  deleteTemplate(templateId: string): boolean {
+    return this.db.prepare('DELETE FROM job_templates WHERE template_id = ?').run(templateId).changes > 0;
+  }
+
+  getSchedule(scheduleId: string): JobSchedule | null {
+    const row = this.db.prepare('SELECT data FROM job_schedules WHERE schedule_id = ?').get(scheduleId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  listSchedules(filter: { status?: string; templateId?: string } = {}): JobSchedule[] {
+    return this.db.prepare(`
+      SELECT data FROM job_schedules WHERE (? IS NULL OR status = ?) AND (? IS NULL OR template_id = ?) ORDER BY created_at
+    `).all(filter.status ?? null, filter.status ?? null, filter.templateId ?? null, filter.templateId ?? null)
+      .map((row: any) => JSON.parse(row.data));
+  }
+
+  saveSchedule(schedule: JobSchedule): void {
+    const record = { ...schedule, updatedAt: Date.now() };
+    this.db.prepare(`
+      INSERT INTO job_schedules (schedule_id, template_id, status, next_run_at, created_at, updated_at, data) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (schedule_id) DO UPDATE SET status = excluded.status, next_run_at = excluded.next_run_at,
+        updated_at = excluded.updated_at, data = excluded.data
+    `).run(record.scheduleId, record.templateId, record.status, record.nextRunAt ?? null, record.createdAt, record.updatedAt, JSON.stringify(record));
+  }
+
+  deleteSchedule(scheduleId: string): boolean {
+    return this.db.prepare('DELETE FROM job_schedules WHERE schedule_id = ?').run(scheduleId).changes > 0;
+  }
+
+  getMeta(key: string): string | null {
+    return this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+  }
+
+  setMeta(key: string, value: string): void {
+    this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, value);
+  }
+
+  close(): void {
+    this.db.close();
+  }
+}
+
+/**
+ * JSON file backend (json-store)
+ */
+class FileJobRepository implements JobRepository {
+  readonly backend = 'file' as const;
+  private data: FileStoreData;
+
+  constructor(private fileName: string) {
+    this.data = readJSON<FileStoreData>(fileName, { schemaVersion: 0 } as FileStoreData);
+    const pending = FILE_MIGRATIONS.filter((m) => m.version > (this.data.schemaVersion || 0));
+    for (const migration of pending) {
+      migration.up(this.data);
+      this.data.schemaVersion = migration.version;
+      console.log(`[JobStore] 🗄️  Applied migration ${migration.version}: ${migration.description}`);
+    }
+    if (pending.length > 0) this.save();
+  }
+
+  get schemaVersion(): number {
+    return this.data.schemaVersion;
+  }
+
+  private save(): void {
+    writeJSON(this.fileName, this.data);
+  }
+
+  getJob(jobId: string): Job | null {
+    return this.data.jobs[jobId] || null;
+  }
+
+  listJobs(filter: { status?: string } = {}): Job[] {
+    return Object.values(this.data.jobs)
+      .filter((job) => !filter.status || job.status === filter.status)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  saveJob(job: Job): void {
+    this.data.jobs[job.jobId!] = { ...job, updatedAt: Date.now() };
+    this.save();
+  }
+
+  findJobByEscrowId(escrowId: string): Job | null {
+    return Object.values(this.data.jobs).find((job) => job.escrowId === String(escrowId)) || null;
+  }
+
+  addOffer(offer: Offer): boolean {
+    const offers = this.data.offers[offer.jobId] || (this.data.offers[offer.jobId] = []);
+    if (offer.offerId && offers.some((existing) => existing.offerId === offer.offerId)) return false;
+    offers.push(offer);
+    this.save();
+    return true;
+  }
+
+  getOffers(jobId: string): Offer[] {
+    return this.data.offers[jobId] || [];
+  }
+
+  removeOffers(jobId: string): number {
+    const removed = (this.data.offers[jobId] || []).length;
+    delete this.data.offers[jobId];
+    this.save();
+    return removed;
+  }
+
+  countOffers(): number {
+    return Object.values(this.data.offers).reduce((sum, offers) => sum + offers.length, 0);
+  }
+
+  getEscrow(escrowId: string): EscrowMapping | null {
+    return this.data.escrows[String(escrowId)] || null;
+  }
+
+  listEscrows(): EscrowMapping[] {
+    return Object.values(this.data.escrows).sort((a, b) => a.updatedAt - b.updatedAt);
+  }
+
+  saveEscrow(update: Partial<EscrowMapping> & { escrowId: string }): EscrowMapping {
+    const escrow = mergeEscrow(this.getEscrow(update.escrowId), update);
+    this.data.escrows[escrow.escrowId] = escrow;
+    this.save();
+    return escrow;
+  }
+
+  addReceipt(receipt: DeliveryReceiptRecord): void {
+    this.data.receipts = this.data.receipts.filter(
+      (existing) => existing.escrowId !== receipt.escrowId || existing.deliveryCID !== receipt.deliveryCID
+    );
+    this.data.receipts.push(receipt);
+    this.save();
+  }
+
+  getReceipts(jobId?: string): DeliveryReceiptRecord[] {
+    return this.data.receipts.filter((receipt) => !jobId || receipt.jobId === jobId);
+  }
+
+  addJobHistory(entry: JobHistoryEntry): void {
+    (this.data.history[entry.jobId] || (this.data.history[entry.jobId] = [])).push(entry);
+    this.save();
+  }
+
+  getJobHistory(jobId: string): JobHistoryEntry[] {
+    return this.data.history[jobId] || [];
+  }
+
+  getNegotiation(negotiationId: string): NegotiationRecord | null {
+    return this.data.negotiations[negotiationId] || null;
+  }
+
+  listNegotiations(filter: { jobId?: string; status?: string } = {}): NegotiationRecord[] {
+    return Object.values(this.data.negotiations)
+      .filter((negotiation) => (!filter.jobId || negotiation.jobId === filter.jobId) && (!filter.status || negotiation.status === filter.status))
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  saveNegotiation(negotiation: NegotiationRecord): void {
+    this.data.negotiations[negotiation.negotiationId] = { ...negotiation, updatedAt: Date.now() };
+    this.save();
+  }
+
+  getTemplate(templateId: string): JobTemplate | null {
+    return this.data.templates[templateId] || null;
+  }
+
+  listTemplates(): JobTemplate[] {
+    return Object.values(this.data.templates).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  saveTemplate(template: JobTemplate): void {
+    this.data.templates[template.templateId] = { ...template, updatedAt: Date.now() };
+    this.save();
+  }
+
+  deleteTemplate(templateId: string): boolean {
+    if (!this.data.templates[templateId]) return false;
+    delete this.data.templates[templateId];
+    this.save();
+    return true;
+  }
+
+  getSchedule(scheduleId: string): JobSchedule | null {
+    return this.data.schedules[scheduleId] || null;
+  }
+
+  listSchedules(filter: { status?: string; templateId?: string } = {}): JobSchedule[] {
+    return Object.values(this.data.schedules)
+      .filter((schedule) => (!filter.status || schedule.status === filter.status) && (!filter.templateId || schedule.templateId === filter.templateId))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  saveSchedule(schedule: JobSchedule): void {
+    this.data.schedules[schedule.scheduleId] = { ...schedule, updatedAt: Date.now() };
+    this.save();
+  }
+
+  deleteSchedule(scheduleId: string): boolean {
+    if (!this.data.schedules[scheduleId]) return false;
+    delete this.data.schedules[scheduleId];
+    this.save();
+    return true;
+  }
+
+  getMeta(key: string): string | null {
+    return this.data.meta[key] ?? null;
+  }
+
+  setMeta(key: string, value: string): void {
+    this.data.meta[key] = value;
+    this.save();
+  }
+
+  close(): void {
+    // Every change is already on disk
+  }
+}
+
+/**
+ * Load node:sqlite if this runtime ships it
+ */
+function loadSqlite(): any | null {
+  try {
+    return require('node:sqlite').DatabaseSync;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Open a repository (migrations run on open)
+ */
+export function createJobRepository(options: RepositoryOptions = {}): JobRepository {
+  const name = safeFileName(options.name || 'client-store');
+  const requested = options.backend || (process.env.CLIENT_STORE_BACKEND as 'sqlite' | 'file' | undefined);
+  const DatabaseSync = requested === 'file' ? null : loadSqlite();
+
+  if (DatabaseSync) {
+    fs.mkdirSync(getDataDir(), { recursive: true });
+    return new SqliteJobRepository(DatabaseSync, dataPath(`${name}.sqlite`));
+  }
+  if (requested === 'sqlite') {
+    throw new Error(`CLIENT_STORE_BACKEND=sqlite needs node:sqlite (Node >= 22.5), running ${process.version}`);
+  }
+  if (!requested) {
+    console.warn(`[JobStore] node:sqlite not available on ${process.version}, using the JSON file backend`);
+  }
+  return new FileJobRepository(`${name}.json`);
+}
+
+let defaultRepository: JobRepository | null = null;
+
+/**
+ * Get the process-wide repository (opened on first use)
+ */
+export function getJobRepository(): JobRepository {
+  if (!defaultRepository) {
+    defaultRepository = createJobRepository();
+    console.log(`[JobStore] Using ${defaultRepository.backend} backend (schema v${defaultRepository.schemaVersion})`);
+  }
+  return defaultRepository;
+}
+
+/**
+ * Replace the process-wide repository (tests, custom backends)
+ */
+export function setJobRepository(repository: JobRepository | null): void {
+  defaultRepository = repository;
+}
@@ -0,0 +1,281 @@
+/**
+ * Job Templates and Schedules
+ *
+ * A template is a job a team posts again and again: the same terms as a POST /post-job body,
+ * with deadlineHours (relative to posting) instead of an absolute deadline. A schedule posts
+ * its template on a cron expression, each run becoming an ordinary JobOfferRequest:
+ *   - cron                 five fields (minute hour day-of-month month day-of-week, in UTC) with
+ *                          *, lists, ranges and steps, or @hourly / @daily / @weekly / @monthly
+ *   - preferPreviousWorker the worker whose job from this schedule was last approved gets the
+ *                          next one: their qualifying offer is accepted as soon as it arrives
+ *                          (and a private template invites them)
+ *   - budgetCapHBAR        most the schedule's jobs may cost in total (wei). Runs that would
+ *                          go over it are skipped; cancelled, expired and refunded jobs free
+ *                          their budget again
+ * Runs missed while the ClientAgent was down are not caught up: the next sweep posts one job
+ * and moves on to the next time after now.
+ */
+
+import type { Job } from './job-repository';
+import type { SelectionPolicyOverrides } from './offer-selection';
+import type { JobVisibility, InvitePolicy } from './private-jobs';
+
+// Type definitions
+export interface JobTemplate {
+  templateId: string;
+  name: string;
+  title: string;
+  description: string;
+  budgetHBAR: string;
+  requiredSkills?: string[];
+  deadlineHours?: number | null; // Deadline of each posted job, counted from posting
+  verificationType?: string;
+  selectionPolicy?: SelectionPolicyOverrides;
+  visibility?: JobVisibility;
+  invite?: InvitePolicy;
+  teaser?: string;
+  createdAt: number;
+  updatedAt?: number;
+}
+
+export type ScheduleStatus = 'active' | 'paused';
+
+export interface PreferredWorker {
+  address: string;
+  did?: string;
+  accountId?: string;
+  fromJobId: string; // The approved job they did
+}
+
+export interface ScheduleRun {
+  at: number;
+  status: 'posted' | 'skipped' | 'failed';
+  jobId?: string;
+  reason?: string;
+  preferredWorker?: string; // DID or address
+}
+
+export interface JobSchedule {
+  scheduleId: string;
+  templateId: string;
+  cron: string;
+  status: ScheduleStatus;
+  preferPreviousWorker: boolean;
+  budgetCapHBAR?: string | null; // wei, no cap when absent
+  nextRunAt: number | null;
+  createdAt: number;
+  pausedAt?: number;
+  pausedReason?: string;
+  runs: ScheduleRun[]; // Most recent last, RECENT_RUNS at most
+  updatedAt?: number;
+}
+
+export interface CronSpec {
+  minutes: Set<number>;
+  hours: Set<number>;
+  daysOfMonth: Set<number>;
+  months: Set<number>;
+  daysOfWeek: Set<number>; // 0 = Sunday
+  anyDayOfMonth: boolean;
+  anyDayOfWeek: boolean;
+}
+
+export const RECENT_RUNS = 20;
+
+const CRON_ALIASES: Record<string, string> = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const CRON_FIELDS: { name: string; min: number; max: number }[] = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Statuses whose budget is no longer committed
+const RELEASED_STATUSES = ['cancelled', 'expired', 'refunded'];
+
+/**
+ * Raised for cron expressions that cannot be parsed
+ */
+export class ScheduleError extends Error {
+  code: 'INVALID_CRON';
+
+  constructor(message: string, code: 'INVALID_CRON') {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code;
+  }
+}
+
+function parseCronField(value: string, field: { name: string; min: number; max: number }): Set<number> {
+  const values = new Set<number>();
+  for (const part of value.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new ScheduleError(`Invalid ${field.name} "${part}"`, 'INVALID_CRON');
+    const from = match[1] === '*' ? field.min : Number(match[2]);
+    const to = match[1] === '*' ? field.max : match[3] !== undefined ? Number(match[3]) : match[4] !== undefined ? field.max : from;
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new ScheduleError(`Invalid ${field.name} "${part}" (${field.min}-${field.max})`, 'INVALID_CRON');
+    }
+    for (let n = from; n <= to; n += step) values.add(n);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (or an @alias)
+ */
+export function parseCron(expression: string): CronSpec {
+  const fields = (CRON_ALIASES[String(expression).trim()] || String(expression)).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new ScheduleError(`Cron expression "${expression}" needs 5 fields (minute hour day-of-month month day-of-week)`, 'INVALID_CRON');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*',
+  };
+}
+
+function matchesDay(spec: CronSpec, date: Date): boolean {
+  if (!spec.months.has(date.getUTCMonth() + 1)) return false;
+  const dayOfMonth = spec.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = spec.daysOfWeek.has(date.getUTCDay());
+  // Like cron: with both day fields restricted, either one matching is enough
+  if (spec.anyDayOfMonth) return dayOfWeek;
+  if (spec.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * First time (ms, whole minute, UTC) strictly after `after` that a cron expression matches
+ */
+export function nextCronRun(cron: string | CronSpec, after: number): number {
+  const spec = typeof cron === 'string' ? parseCron(cron) : cron;
+  const start = new Date(Math.floor(after / 60000) * 60000 + 60000);
+  const hours = [...spec.hours].sort((a, b) => a - b);
+  const minutes = [...spec.minutes].sort((a, b) => a - b);
+
+  // Four years and a day covers every month/day combination, Feb 29 included
+  for (let day = 0; day <= 4 * 366; day++) {
+    const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + day));
+    if (!matchesDay(spec, date)) continue;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const at = date.getTime() + hour * 3600e3 + minute * 60e3;
+        if (at >= start.getTime()) return at;
+      }
+    }
+  }
+  throw new ScheduleError(`Cron expression never matches a date`, 'INVALID_CRON');
+}
+
+function isWei(value: any): boolean {
+  return (typeof value === 'string' || typeof value === 'number') && /^\d+$/.test(String(value));
+}
+
+/**
+ * Problems with the template-only fields (the job terms are checked like a POST /post-job body)
+ */
+export function validateTemplate(input: any): string[] {
+  const problems: string[] = [];
+  if (!input || typeof input !== 'object') return ['template must be an object'];
+  if (input.name !== undefined && (typeof input.name !== 'string' || !input.name.trim())) problems.push('name must be a non-empty string');
+  if (input.deadline !== undefined) problems.push('templates take deadlineHours, not a deadline');
+  if (input.deadlineHours !== undefined && input.deadlineHours !== null && !(Number(input.deadlineHours) > 0)) {
+    problems.push('deadlineHours must be > 0');
+  }
+  if (input.budgetHBAR !== undefined && !isWei(input.budgetHBAR)) problems.push('budgetHBAR must be an amount in wei');
+  return problems;
+}
+
+/**
+ * Problems with a schedule body (empty when usable)
+ */
+export function validateSchedule(input: any): string[] {
+  const problems: string[] = [];
+  if (!input || typeof input !== 'object') return ['schedule must be an object'];
+  if (typeof input.templateId !== 'string' || !input.templateId) problems.push('templateId is required');
+  if (typeof input.cron !== 'string' || !input.cron.trim()) {
+    problems.push('cron is required');
+  } else {
+    try {
+      nextCronRun(input.cron, Date.now());
+    } catch (error: any) {
+      problems.push(error.message);
+    }
+  }
+  if (input.preferPreviousWorker !== undefined && typeof input.preferPreviousWorker !== 'boolean') {
+    problems.push('preferPreviousWorker must be true or false');
+  }
+  if (input.budgetCapHBAR !== undefined && input.budgetCapHBAR !== null && !isWei(input.budgetCapHBAR)) {
+    problems.push('budgetCapHBAR must be an amount in wei');
+  }
+  return problems;
+}
+
+/**
+ * The POST /post-job body for one run of a template
+ */
+export function materializeJobRequest(template: JobTemplate, now = Date.now(), preferred?: PreferredWorker | null): any {
+  const request: any = {
+    title: template.title,
+    description: template.description,
+    budgetHBAR: String(template.budgetHBAR),
+    requiredSkills: template.requiredSkills || [],
+    deadline: template.deadlineHours ? now + template.deadlineHours * 3600e3 : null,
+  };
+  if (template.verificationType) request.verificationType = template.verificationType;
+  if (template.selectionPolicy) request.selectionPolicy = template.selectionPolicy;
+  if (template.visibility === 'private') {
+    request.visibility = 'private';
+    request.teaser = template.teaser;
+    request.invite = { ...template.invite };
+    if (preferred?.did && !(request.invite.dids || []).includes(preferred.did)) {
+      request.invite.dids = [...(request.invite.dids || []), preferred.did];
+    }
+  }
+  return request;
+}
+
+/**
+ * Budget (wei) a schedule's jobs hold or spent: every job not cancelled, expired or refunded,
+ * at its accepted price once an offer was accepted
+ */
+export function committedBudget(jobs: Job[]): bigint {
+  return jobs
+    .filter((job) => !RELEASED_STATUSES.includes(job.status || 'open'))
+    .map((job) => job.acceptedPriceHBAR ?? job.budgetHBAR)
+    .reduce((sum, amount) => sum + (isWei(amount) ? BigInt(amount) : BigInt(0)), BigInt(0));
+}
+
+/**
+ * Why a run would go over the schedule's budget cap (null when it fits or there is no cap)
+ */
+export function budgetCapExceeded(schedule: JobSchedule, jobs: Job[], budgetHBAR: string): string | null {
+  if (schedule.budgetCapHBAR === undefined || schedule.budgetCapHBAR === null) return null;
+  const committed = committedBudget(jobs);
+  if (committed + BigInt(budgetHBAR) <= BigInt(schedule.budgetCapHBAR)) return null;
+  return `budget cap reached: ${committed} committed + ${budgetHBAR} is over ${schedule.budgetCapHBAR}`;
+}
+
+/**
+ * Append a run to a schedule's recent runs
+ */
+export function recordRun(schedule: JobSchedule, run: ScheduleRun): JobSchedule {
+  return { ...schedule, runs: [...(schedule.runs || []), run].slice(-RECENT_RUNS) };
+}
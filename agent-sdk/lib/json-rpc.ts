@@ -0,0 +1,234 @@
+/**
+ * JSON-RPC 2.0 endpoint for AGENT_CARD methods
+ *
+ * Every agent card advertises methods and their params. createJsonRpcRouter() serves
+ * POST /rpc, validates params against the card's schema ('string', 'address',
+ * 'number (optional)', ...) and dispatches each method to a binding:
+ *   - { http: 'POST', path: '/vote' }  forward to an existing route on this agent
+ *   - async (params) => result          call a function directly
+ * Batch requests and notifications (no id) follow the spec.
+ */
+
+import axios from 'axios';
+import { Router, Request, Response, NextFunction } from 'express';
+
+// Type definitions
+export interface RpcMethodSpec {
+  description?: string;
+  params?: Record<string, string>;
+}
+
+export interface RpcCard {
+  name: string;
+  methods: Record<string, RpcMethodSpec>;
+}
+
+export type RpcRouteBinding = { http: 'GET' | 'POST'; path: string };
+export type RpcFunctionBinding = (params: any, req: Request) => Promise<any> | any;
+export type RpcBinding = RpcRouteBinding | RpcFunctionBinding;
+
+interface RpcRequest {
+  jsonrpc: '2.0';
+  method: string;
+  params?: any;
+  id?: string | number | null;
+}
+
+// Standard JSON-RPC 2.0 error codes (-32000 to -32099 are server-defined)
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000, // Route answered with a 4xx
+};
+
+/**
+ * Error carrying a JSON-RPC error code
+ */
+export class JsonRpcError extends Error {
+  code: number;
+  data?: any;
+
+  constructor(code: number, message: string, data?: any) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Parse a card param type such as 'number (optional - for partial release)'
+ */
+function parseParamType(spec: string): { type: string; optional: boolean } {
+  const match = /^\s*(\w+)\s*(\(([^)]*)\))?/.exec(spec || '');
+  const type = match ? match[1].toLowerCase() : 'any';
+  const optional = !!match?.[3] && match[3].trim().toLowerCase().startsWith('optional');
+  return { type, optional };
+}
+
+function checkType(type: string, value: any): boolean {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return (typeof value === 'number' && isFinite(value))
+      || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+    case 'boolean': return typeof value === 'boolean';
+    case 'address': return typeof value === 'string' && ADDRESS_PATTERN.test(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Validate params against a card schema. Returns the named params (positional params
+ * are mapped in schema order) and a list of problems.
+ */
+export function validateParams(schema: Record<string, string> = {}, params: any): { params: Record<string, any>; errors: string[] } {
+  const names = Object.keys(schema);
+  let named: Record<string, any>;
+
+  if (params === undefined || params === null) {
+    named = {};
+  } else if (Array.isArray(params)) {
+    if (params.length > names.length) {
+      return { params: {}, errors: [`expected at most ${names.length} positional params`] };
+    }
+    named = {};
+    params.forEach((value, i) => { named[names[i]] = value; });
+  } else if (typeof params === 'object') {
+    named = params;
+  } else {
+    return { params: {}, errors: ['params must be an object or array'] };
+  }
+
+  const errors: string[] = [];
+  for (const [name, spec] of Object.entries(schema)) {
+    const { type, optional } = parseParamType(spec);
+    const value = named[name];
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`missing required param '${name}' (${type})`);
+    } else if (!checkType(type, value)) {
+      errors.push(`param '${name}' must be ${type === 'address' ? 'an address' : `a ${type}`}`);
+    }
+  }
+  return { params: named, errors };
+}
+
+/**
+ * Forward a call to an existing route on this agent
+ */
+export async function callRoute(binding: RpcRouteBinding, params: Record<string, any>, req: Request): Promise<any> {
+  const remaining = { ...params };
+  const path = binding.path.replace(/:(\w+)/g, (_, name) => {
+    const value = remaining[name];
+    delete remaining[name];
+    if (value === undefined) throw new JsonRpcError(RPC_ERRORS.INVALID_PARAMS, `missing required param '${name}'`);
+    return encodeURIComponent(String(value));
+  });
+
+  const response = await axios({
+    method: binding.http,
+    url: `http://127.0.0.1:${req.socket.localPort}${path}`,
+    params: binding.http === 'GET' ? remaining : undefined,
+    data: binding.http === 'POST' ? remaining : undefined,
+    headers: req.headers.authorization ? { Authorization: req.headers.authorization } : {},
+    validateStatus: () => true,
+  });
+
+  if (response.status >= 200 && response.status < 300) {
+    return response.data;
+  }
+  const message = response.data?.error || `HTTP ${response.status}`;
+  if (response.status === 400) {
+    throw new JsonRpcError(RPC_ERRORS.INVALID_PARAMS, message, { status: response.status });
+  }
+  if (response.status < 500) {
+    throw new JsonRpcError(RPC_ERRORS.SERVER_ERROR, message, { status: response.status });
+  }
+  throw new JsonRpcError(RPC_ERRORS.INTERNAL_ERROR, message, { status: response.status });
+}
+
+function errorResponse(id: any, code: number, message: string, data?: any): any {
+  return { jsonrpc: '2.0', error: data === undefined ? { code, message } : { code, message, data }, id: id ?? null };
+}
+
+/**
+ * Create the POST /rpc router for an agent card
+ */
+export function createJsonRpcRouter(card: RpcCard, bindings: Record<string, RpcBinding>): Router {
+  const router = Router();
+
+  async function handleCall(call: any, req: Request): Promise<any | null> {
+    if (!call || typeof call !== 'object' || Array.isArray(call) || call.jsonrpc !== '2.0' || typeof call.method !== 'string') {
+      return errorResponse(call?.id, RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+    }
+    const { method, id } = call as RpcRequest;
+    const isNotification = !('id' in call);
+
+    let result: any;
+    try {
+      if (method === 'rpc.discover') {
+        result = { name: card.name, methods: card.methods };
+      } else {
+        const spec = card.methods[method];
+        const binding = bindings[method];
+        if (!spec || !binding) {
+          throw new JsonRpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+
+        const { params, errors } = validateParams(spec.params, call.params);
+        if (errors.length > 0) {
+          throw new JsonRpcError(RPC_ERRORS.INVALID_PARAMS, 'Invalid params', errors);
+        }
+
+        result = typeof binding === 'function'
+          ? await binding(params, req)
+          : await callRoute(binding, params, req);
+      }
+    } catch (error: any) {
+      if (isNotification) return null;
+      if (error instanceof JsonRpcError) {
+        return errorResponse(id, error.code, error.message, error.data);
+      }
+      console.error(`[${card.name}] RPC ${method} failed:`, error.message);
+      return errorResponse(id, RPC_ERRORS.INTERNAL_ERROR, error.message || 'Internal error');
+    }
+
+    if (isNotification) return null;
+    return { jsonrpc: '2.0', result: result ?? null, id };
+  }
+
+  router.post('/rpc', async (req: Request, res: Response) => {
+    const body = req.body;
+
+    if (Array.isArray(body)) {
+      if (body.length === 0) {
+        return res.json(errorResponse(null, RPC_ERRORS.INVALID_REQUEST, 'Invalid Request'));
+      }
+      const responses = (await Promise.all(body.map(call => handleCall(call, req)))).filter(r => r !== null);
+      return responses.length > 0 ? res.json(responses) : res.status(204).end();
+    }
+
+    const response = await handleCall(body, req);
+    return response ? res.json(response) : res.status(204).end();
+  });
+
+  return router;
+}
+
+/**
+ * Express error handler turning malformed JSON on /rpc into a JSON-RPC parse error.
+ * Mount after the router (express.json() rejects the body before any route runs).
+ */
+export function jsonRpcErrorHandler(err: any, req: Request, res: Response, next: NextFunction): void {
+  if (req.path === '/rpc' && err?.type === 'entity.parse.failed') {
+    res.status(200).json(errorResponse(null, RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+    return;
+  }
+  next(err);
+}
@@ -0,0 +1,55 @@
+/**
+ * File-backed JSON persistence for agent runtime state
+ *
+ * Files live under AGENT_DATA_DIR (default: ./.aexowork). Writes go to a temp file
+ * first and are renamed into place, so a crash never leaves a half-written file.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * Get the directory agent runtime state is stored in
+ */
+export function getDataDir(): string {
+  return process.env.AGENT_DATA_DIR || path.join(process.cwd(), '.aexowork');
+}
+
+/**
+ * Turn an arbitrary name (agent name, topic ID...) into a safe file name
+ */
+export function safeFileName(name: string): string {
+  return name.replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+/**
+ * Resolve a file name inside the data directory
+ */
+export function dataPath(fileName: string): string {
+  return path.join(getDataDir(), fileName);
+}
+
+/**
+ * Read a JSON file from the data directory, returning the fallback if missing or corrupt
+ */
+export function readJSON<T>(fileName: string, fallback: T): T {
+  const filePath = dataPath(fileName);
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')) as T;
+  } catch (error: any) {
+    console.warn(`[Store] Could not read ${filePath}, starting fresh: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Atomically write a JSON file to the data directory
+ */
+export function writeJSON(fileName: string, data: any): void {
+  const filePath = dataPath(fileName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
@@ -0,0 +1,186 @@
+/**
+ * Agent Key Rotation
+ *
+ * Rotates the agent's A2A signing key and publishes the new public key everywhere peers
+ * look it up:
+ *   1. the local directory entry
+ *   2. an agent.key.rotated announcement on aexowork.keys.rotated (signed by the old key,
+ *      peers' directories only switch keys on a statement the key they know has signed)
+ *   3. the agent's profile topic (AGENT_PROFILE_TOPIC_ID), so the history is on HCS
+ *   4. the registry entry: metadata is re-uploaded to IPFS with the new publicKey and
+ *      written back with AIAgentRegistry.updateAgentMetadata / AgentRegistry.updateAgent
+ *   5. the DID document, when the DID is anchored on an HCS topic (see did-resolver.ts)
+ * Steps 2-5 are best effort - failures are reported, the new key stays in use.
+ */
+
+import { getAgentSigner, KeyRotation, KeystoreError } from './keystore';
+import { sendA2A, getConnectionStatus } from './a2a';
+import { submitTopicMessage } from './consensus';
+import { upsertAgent } from './directory';
+import { uploadJSON, downloadJSON } from './ipfs';
+import { getContract } from './hedera';
+import { buildDidDocument, getDidTopic, publishDidDocument, resolveDid } from './did-resolver';
+
+// Type definitions
+export interface RotationOptions {
+  accountId?: string | null;
+  did?: string | null;
+  name?: string;
+  profileTopicId?: string | null; // Defaults to AGENT_PROFILE_TOPIC_ID
+  announce?: boolean; // Publish on aexowork.keys.rotated (default: true)
+  updateRegistry?: boolean; // Default: true
+}
+
+export interface RegistryUpdate {
+  registry: 'AIAgentRegistry' | 'AgentRegistry';
+  agentId: string;
+  metadataURI: string;
+  transactionHash: string;
+}
+
+export interface RotationResult {
+  rotation: KeyRotation;
+  announced: boolean;
+  profileTopic: { topicId: string; transactionId: string; sequenceNumber: number | null } | null;
+  registry: RegistryUpdate[];
+  didDocument: { topicId: string; sequenceNumber: number | null } | null;
+  errors: string[];
+}
+
+export const KEY_ROTATION_SUBJECT = 'aexowork.keys.rotated';
+
+const AI_AGENT_REGISTRY_ABI = [
+  'function didToAgentId(string) view returns (bytes32)',
+  'function getAgent(bytes32 agentId) view returns (tuple(address owner, string did, string name, string metadataURI, uint8 status, uint256 registeredAt, uint256 lastActiveAt, uint256 reputationScore, uint256 totalJobs, uint256 successfulJobs, address walletAddress, bool verified))',
+  'function updateAgentMetadata(bytes32 agentId, string newMetadataURI)',
+];
+
+const AGENT_REGISTRY_ABI = [
+  'function resolveAgentByDID(string did) view returns (uint256)',
+  'function agents(uint256) view returns (address owner, string did, string metadataCID, uint8 agentType, uint8 status)',
+  'function updateAgent(uint256 id, string metadataCID)',
+];
+
+/**
+ * Rotate the signing key and publish the new public key
+ */
+export async function rotateAgentKey(options: RotationOptions = {}): Promise<RotationResult> {
+  const signer = getAgentSigner();
+  if (!signer) {
+    throw new KeystoreError('No agent signer configured', 'NO_SIGNER');
+  }
+  if (!signer.rotate) {
+    throw new KeystoreError(`The ${signer.kind} signer cannot rotate keys (use AGENT_SIGNER=keystore or remote)`, 'NOT_SUPPORTED');
+  }
+
+  const accountId = options.accountId ?? getConnectionStatus().agentAccountId ?? null;
+  const did = options.did ?? process.env.AGENT_DID ?? null;
+  const rotation = await signer.rotate({ accountId, did, name: options.name });
+  console.log(`[Keys] 🔄 Rotated signing key ${rotation.previousPublicKey.substring(0, 12)}... -> ${rotation.publicKey.substring(0, 12)}...`);
+
+  const result: RotationResult = { rotation, announced: false, profileTopic: null, registry: [], didDocument: null, errors: [] };
+
+  if (accountId) {
+    upsertAgent({ accountId, did, publicKey: rotation.publicKey });
+  }
+
+  if (options.announce !== false) {
+    try {
+      await sendA2A(KEY_ROTATION_SUBJECT, rotation);
+      result.announced = true;
+    } catch (error: any) {
+      result.errors.push(`announce: ${error.message}`);
+    }
+  }
+
+  const profileTopicId = options.profileTopicId ?? process.env.AGENT_PROFILE_TOPIC_ID ?? null;
+  if (profileTopicId) {
+    try {
+      const submitted = await submitTopicMessage(profileTopicId, JSON.stringify(rotation));
+      result.profileTopic = { topicId: profileTopicId, transactionId: submitted.transactionId, sequenceNumber: submitted.sequenceNumber };
+    } catch (error: any) {
+      result.errors.push(`profile topic: ${error.message}`);
+    }
+  }
+
+  if (options.updateRegistry !== false && did) {
+    await updateRegistryEntries(did, rotation, result);
+  }
+
+  if (did && getDidTopic(did)) {
+    try {
+      const { didDocument } = await resolveDid(did, { noCache: true });
+      const document = buildDidDocument({
+        did,
+        publicKey: rotation.publicKey,
+        inboundTopicId: didDocument?.service?.find((service) => service.type === 'HCS10InboundTopic')?.serviceEndpoint,
+        accountId,
+      });
+      const submitted = await publishDidDocument(document, signer, { operation: didDocument ? 'update' : 'create', rotation });
+      result.didDocument = { topicId: submitted.topicId, sequenceNumber: submitted.sequenceNumber };
+    } catch (error: any) {
+      result.errors.push(`DID document: ${error.message}`);
+    }
+  }
+
+  for (const error of result.errors) {
+    console.warn(`[Keys] ⚠️  Key rotation step failed - ${error}`);
+  }
+  return result;
+}
+
+/**
+ * Add the new key to registry metadata (previous keys are kept for verifying old signatures)
+ */
+function rotatedMetadata(metadata: any, rotation: KeyRotation): any {
+  const previous = Array.isArray(metadata?.previousPublicKeys) ? metadata.previousPublicKeys : [];
+  return {
+    ...(metadata || {}),
+    publicKey: rotation.publicKey,
+    previousPublicKeys: [...previous, rotation.previousPublicKey],
+    keyRotatedAt: rotation.rotatedAt,
+  };
+}
+
+async function loadMetadata(uri: string): Promise<any> {
+  if (!uri || uri.includes('fallback')) return {};
+  return await downloadJSON(uri.replace(/^ipfs:\/\//, ''));
+}
+
+async function updateRegistryEntries(did: string, rotation: KeyRotation, result: RotationResult): Promise<void> {
+  if (process.env.AI_AGENT_REGISTRY_ADDRESS) {
+    try {
+      const registry = getContract(process.env.AI_AGENT_REGISTRY_ADDRESS, AI_AGENT_REGISTRY_ABI);
+      const agentId: string = await registry.didToAgentId(did);
+      if (/^0x0+$/.test(agentId)) {
+        result.errors.push(`AIAgentRegistry: ${did} is not registered`);
+      } else {
+        const agent = await registry.getAgent(agentId);
+        const metadataURI = await uploadJSON(rotatedMetadata(await loadMetadata(agent.metadataURI), rotation));
+        const tx = await registry.updateAgentMetadata(agentId, metadataURI);
+        await tx.wait();
+        result.registry.push({ registry: 'AIAgentRegistry', agentId, metadataURI, transactionHash: tx.hash });
+      }
+    } catch (error: any) {
+      result.errors.push(`AIAgentRegistry: ${error.message}`);
+    }
+  }
+
+  if (process.env.AGENT_REGISTRY_ADDRESS) {
+    try {
+      const registry = getContract(process.env.AGENT_REGISTRY_ADDRESS, AGENT_REGISTRY_ABI);
+      const id = await registry.resolveAgentByDID(did);
+      if (id.isZero()) {
+        result.errors.push(`AgentRegistry: ${did} is not registered`);
+      } else {
+        const agent = await registry.agents(id);
+        const metadataCID = await uploadJSON(rotatedMetadata(await loadMetadata(agent.metadataCID), rotation));
+        const tx = await registry.updateAgent(id, metadataCID);
+        await tx.wait();
+        result.registry.push({ registry: 'AgentRegistry', agentId: id.toString(), metadataURI: metadataCID, transactionHash: tx.hash });
+      }
+    } catch (error: any) {
+      result.errors.push(`AgentRegistry: ${error.message}`);
+    }
+  }
+}
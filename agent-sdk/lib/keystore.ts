@@ -0,0 +1,424 @@
+/**
+ * Agent Key Management
+ *
+ * Keeps agent keys out of plain env vars. Secrets are stored in password-encrypted JSON
+ * keystores (scrypt key derivation, AES-256-GCM), and A2A signing goes through a pluggable
+ * signer selected with AGENT_SIGNER:
+ *   env      - AGENT_PRIVATE_KEY_BASE64 (default when that variable is set)
+ *   keystore - ed25519 key in AGENT_KEYSTORE_FILE, unlocked with AGENT_KEYSTORE_PASSWORD(_FILE)
+ *   remote   - an HTTP signer at AGENT_REMOTE_SIGNER_URL (GET /public-key, POST /sign, POST /rotate),
+ *              authenticated with AGENT_REMOTE_SIGNER_TOKEN; the key never reaches the agent
+ *
+ * Other secrets (HEDERA_PRIVATE_KEY, *_PRIVATE_KEY...) are read with readSecret(NAME), which
+ * decrypts NAME_KEYSTORE when it is set and falls back to the plain NAME variable.
+ *
+ * Rotation replaces the signing key and returns an agent.key.rotated statement signed with the
+ * previous key. Peers only accept the new key from a statement the key they know has signed.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import axios from 'axios';
+import nacl from 'tweetnacl';
+import { signJSON, verifyJSON } from './signer';
+import { decryptPayloadWithEd25519 } from './offchain-messaging';
+import { signedPayload } from './message-guard';
+
+// Type definitions
+export type KeyType = 'ed25519' | 'secret';
+export type SignerKind = 'env' | 'keystore' | 'remote';
+
+export interface Keystore {
+  version: 1;
+  id: string;
+  type: KeyType; // ed25519 = base64 nacl secret key, secret = opaque string (e.g. a Hedera key)
+  publicKey: string | null;
+  crypto: {
+    kdf: 'scrypt';
+    kdfparams: { n: number; r: number; p: number; dklen: number; salt: string };
+    cipher: 'aes-256-gcm';
+    iv: string;
+    tag: string;
+    ciphertext: string;
+  };
+  createdAt: number;
+  previousPublicKey?: string; // Set on keystores written by a rotation
+}
+
+export interface KeyRotation {
+  type: 'agent.key.rotated';
+  accountId: string | null;
+  did: string | null;
+  name?: string;
+  publicKey: string;
+  previousPublicKey: string;
+  rotatedAt: number;
+  timestamp: number;
+  signature: string; // By the previous key
+}
+
+export interface RotationClaims {
+  accountId?: string | null;
+  did?: string | null;
+  name?: string;
+}
+
+export interface AgentSigner {
+  readonly kind: SignerKind;
+  getPublicKey(): Promise<string | null>;
+  sign(payload: any): Promise<string>;
+  signSync?(payload: any): string; // Local signers only
+  openSealed?(envelope: string, aad?: string): string; // Local signers only - decrypt a payload encrypted for our key
+  rotate?(claims: RotationClaims): Promise<KeyRotation>;
+}
+
+/**
+ * Error raised for unreadable keystores, wrong passwords and unsupported signer operations
+ */
+export class KeystoreError extends Error {
+  code: string;
+
+  constructor(message: string, code: string) {
+    super(message);
+    this.name = 'KeystoreError';
+    this.code = code;
+  }
+}
+
+const DEFAULT_SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 32;
+
+/**
+ * Encrypt a secret into a keystore object
+ */
+export function encryptKeystore(
+  secret: string,
+  password: string,
+  options: { type?: KeyType; publicKey?: string | null; previousPublicKey?: string; scryptN?: number } = {}
+): Keystore {
+  if (!password) throw new KeystoreError('A password is required to encrypt a keystore', 'NO_PASSWORD');
+  const n = options.scryptN || parseInt(process.env.KEYSTORE_SCRYPT_N || '', 10) || DEFAULT_SCRYPT_N;
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(password, salt, n, SCRYPT_R, SCRYPT_P, KEY_LENGTH);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  const keystore: Keystore = {
+    version: 1,
+    id: crypto.randomUUID(),
+    type: options.type || 'secret',
+    publicKey: options.publicKey ?? null,
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams: { n, r: SCRYPT_R, p: SCRYPT_P, dklen: KEY_LENGTH, salt: salt.toString('hex') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    },
+    createdAt: Date.now(),
+  };
+  if (options.previousPublicKey) keystore.previousPublicKey = options.previousPublicKey;
+  return keystore;
+}
+
+/**
+ * Decrypt a keystore object; throws KeystoreError on a wrong password or tampered file
+ */
+export function decryptKeystore(keystore: Keystore, password: string): string {
+  if (keystore?.version !== 1 || keystore.crypto?.kdf !== 'scrypt' || keystore.crypto?.cipher !== 'aes-256-gcm') {
+    throw new KeystoreError('Unsupported keystore format', 'BAD_FORMAT');
+  }
+  const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+  const key = deriveKey(password || '', Buffer.from(kdfparams.salt, 'hex'), kdfparams.n, kdfparams.r, kdfparams.p, kdfparams.dklen);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new KeystoreError('Wrong password or corrupt keystore', 'DECRYPT_FAILED');
+  }
+}
+
+function deriveKey(password: string, salt: Buffer, n: number, r: number, p: number, dklen: number): Buffer {
+  return crypto.scryptSync(password, salt, dklen, { N: n, r, p, maxmem: 256 * n * r });
+}
+
+/**
+ * Read a keystore file
+ */
+export function readKeystore(filePath: string): Keystore {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')) as Keystore;
+  } catch (error: any) {
+    throw new KeystoreError(`Could not read keystore ${filePath}: ${error.message}`, 'NOT_FOUND');
+  }
+}
+
+/**
+ * Atomically write a keystore file, readable by the owner only
+ */
+export function writeKeystore(filePath: string, keystore: Keystore): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Generate an ed25519 signing key and return it as an encrypted keystore
+ */
+export function createSigningKeystore(password: string, options: { previousPublicKey?: string; scryptN?: number } = {}): Keystore {
+  const keypair = nacl.sign.keyPair();
+  return encryptKeystore(Buffer.from(keypair.secretKey).toString('base64'), password, {
+    ...options,
+    type: 'ed25519',
+    publicKey: Buffer.from(keypair.publicKey).toString('base64'),
+  });
+}
+
+/**
+ * Public key (base64) of a base64 ed25519 secret key
+ */
+export function ed25519PublicKey(privateKeyBase64: string): string {
+  const secretKey = Buffer.from(privateKeyBase64, 'base64');
+  if (secretKey.length !== 64) throw new KeystoreError('Not an ed25519 secret key (expected 64 bytes)', 'BAD_KEY');
+  return secretKey.subarray(32).toString('base64');
+}
+
+/**
+ * Password from NAME, or from the file named by NAME_FILE
+ */
+function readPassword(envName: string): string | null {
+  if (process.env[envName]) return process.env[envName]!;
+  const file = process.env[`${envName}_FILE`];
+  if (!file) return null;
+  return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+}
+
+const secretCache = new Map<string, string>();
+
+/**
+ * Read a secret by env name: NAME_KEYSTORE (unlocked with NAME_KEYSTORE_PASSWORD or
+ * AGENT_KEYSTORE_PASSWORD) takes precedence over the plain NAME variable
+ */
+export function readSecret(name: string): string | null {
+  const keystoreFile = process.env[`${name}_KEYSTORE`];
+  if (!keystoreFile) return process.env[name] || null;
+  if (secretCache.has(name)) return secretCache.get(name)!;
+
+  const password = readPassword(`${name}_KEYSTORE_PASSWORD`) ?? readPassword('AGENT_KEYSTORE_PASSWORD');
+  if (!password) {
+    throw new KeystoreError(`${name}_KEYSTORE is set but no ${name}_KEYSTORE_PASSWORD or AGENT_KEYSTORE_PASSWORD`, 'NO_PASSWORD');
+  }
+  const secret = decryptKeystore(readKeystore(keystoreFile), password);
+  secretCache.set(name, secret);
+  return secret;
+}
+
+/**
+ * Build and sign the statement announcing a key change (signed by the outgoing key)
+ */
+function signRotation(claims: RotationClaims, publicKey: string, previousPrivateKey: string): KeyRotation {
+  const now = Date.now();
+  const rotation: any = {
+    type: 'agent.key.rotated',
+    accountId: claims.accountId ?? null,
+    did: claims.did ?? null,
+    publicKey,
+    previousPublicKey: ed25519PublicKey(previousPrivateKey),
+    rotatedAt: now,
+    timestamp: now,
+  };
+  if (claims.name) rotation.name = claims.name;
+  rotation.signature = signJSON(rotation, previousPrivateKey);
+  return rotation as KeyRotation;
+}
+
+/**
+ * Check a rotation statement against the key currently on record for the agent
+ */
+export function verifyKeyRotation(rotation: any, currentPublicKey: string): boolean {
+  if (rotation?.type !== 'agent.key.rotated' || !rotation.signature || !rotation.publicKey) return false;
+  if (rotation.previousPublicKey !== currentPublicKey) return false;
+  try {
+    return verifyJSON(signedPayload(rotation), rotation.signature, currentPublicKey);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Signs with the raw AGENT_PRIVATE_KEY_BASE64 env var (cannot rotate - there is nowhere to store the new key)
+ */
+export class EnvSigner implements AgentSigner {
+  readonly kind = 'env' as const;
+  private privateKey: string;
+
+  constructor(privateKeyBase64: string) {
+    this.privateKey = privateKeyBase64;
+  }
+
+  async getPublicKey(): Promise<string | null> {
+    return ed25519PublicKey(this.privateKey);
+  }
+
+  async sign(payload: any): Promise<string> {
+    return this.signSync(payload);
+  }
+
+  signSync(payload: any): string {
+    return signJSON(payload, this.privateKey);
+  }
+
+  openSealed(envelope: string, aad?: string): string {
+    return decryptPayloadWithEd25519(envelope, this.privateKey, aad);
+  }
+}
+
+/**
+ * Signs with an ed25519 key held in an encrypted keystore file
+ */
+export class KeystoreSigner implements AgentSigner {
+  readonly kind = 'keystore' as const;
+  readonly filePath: string;
+  private password: string;
+  private privateKey: string;
+  private publicKey: string;
+
+  constructor(filePath: string, password: string) {
+    this.filePath = filePath;
+    this.password = password;
+    const keystore = readKeystore(filePath);
+    if (keystore.type !== 'ed25519') {
+      throw new KeystoreError(`${filePath} does not hold an ed25519 signing key`, 'BAD_KEY');
+    }
+    this.privateKey = decryptKeystore(keystore, password);
+    this.publicKey = ed25519PublicKey(this.privateKey);
+  }
+
+  async getPublicKey(): Promise<string | null> {
+    return this.publicKey;
+  }
+
+  async sign(payload: any): Promise<string> {
+    return this.signSync(payload);
+  }
+
+  signSync(payload: any): string {
+    return signJSON(payload, this.privateKey);
+  }
+
+  openSealed(envelope: string, aad?: string): string {
+    return decryptPayloadWithEd25519(envelope, this.privateKey, aad);
+  }
+
+  /**
+   * Replace the key: the old keystore is kept next to the new one as <file>.<timestamp>.retired
+   */
+  async rotate(claims: RotationClaims): Promise<KeyRotation> {
+    const next = createSigningKeystore(this.password, { previousPublicKey: this.publicKey });
+    const nextPrivateKey = decryptKeystore(next, this.password);
+    const rotation = signRotation(claims, next.publicKey!, this.privateKey);
+
+    fs.copyFileSync(this.filePath, `${this.filePath}.${rotation.rotatedAt}.retired`);
+    writeKeystore(this.filePath, next);
+    this.privateKey = nextPrivateKey;
+    this.publicKey = next.publicKey!;
+    return rotation;
+  }
+}
+
+/**
+ * Delegates signing to an HTTP signing service
+ */
+export class RemoteSigner implements AgentSigner {
+  readonly kind = 'remote' as const;
+  readonly url: string;
+  private token: string | null;
+  private timeoutMs: number;
+
+  constructor(url: string, token?: string | null, timeoutMs?: number) {
+    this.url = url.replace(/\/+$/, '');
+    this.token = token || null;
+    this.timeoutMs = timeoutMs || parseInt(process.env.AGENT_REMOTE_SIGNER_TIMEOUT_MS || '', 10) || 5000;
+  }
+
+  private config(): any {
+    return {
+      timeout: this.timeoutMs,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+    };
+  }
+
+  async getPublicKey(): Promise<string | null> {
+    const { data } = await axios.get(`${this.url}/public-key`, this.config());
+    return data?.publicKey || null;
+  }
+
+  async sign(payload: any): Promise<string> {
+    const { data } = await axios.post(`${this.url}/sign`, { payload }, this.config());
+    if (!data?.signature) throw new KeystoreError('Remote signer returned no signature', 'REMOTE_FAILED');
+    return data.signature;
+  }
+
+  async rotate(claims: RotationClaims): Promise<KeyRotation> {
+    const { data } = await axios.post(`${this.url}/rotate`, claims, this.config());
+    if (data?.type !== 'agent.key.rotated' || !data.signature) {
+      throw new KeystoreError('Remote signer returned no rotation statement', 'REMOTE_FAILED');
+    }
+    return data as KeyRotation;
+  }
+}
+
+let agentSigner: AgentSigner | null | undefined;
+
+/**
+ * Build the signer described by AGENT_SIGNER (or null when no signing key is configured)
+ */
+export function createSignerFromEnv(): AgentSigner | null {
+  const kind = (process.env.AGENT_SIGNER || (process.env.AGENT_KEYSTORE_FILE ? 'keystore' : 'env')).trim();
+  switch (kind) {
+    case 'env':
+      return process.env.AGENT_PRIVATE_KEY_BASE64 ? new EnvSigner(process.env.AGENT_PRIVATE_KEY_BASE64) : null;
+    case 'keystore': {
+      const file = process.env.AGENT_KEYSTORE_FILE;
+      const password = readPassword('AGENT_KEYSTORE_PASSWORD');
+      if (!file || !password) {
+        throw new KeystoreError('AGENT_SIGNER=keystore needs AGENT_KEYSTORE_FILE and AGENT_KEYSTORE_PASSWORD(_FILE)', 'NO_PASSWORD');
+      }
+      return new KeystoreSigner(file, password);
+    }
+    case 'remote': {
+      if (!process.env.AGENT_REMOTE_SIGNER_URL) {
+        throw new KeystoreError('AGENT_SIGNER=remote needs AGENT_REMOTE_SIGNER_URL', 'BAD_CONFIG');
+      }
+      return new RemoteSigner(process.env.AGENT_REMOTE_SIGNER_URL, process.env.AGENT_REMOTE_SIGNER_TOKEN);
+    }
+    default:
+      throw new KeystoreError(`Unknown AGENT_SIGNER "${kind}" (expected env, keystore or remote)`, 'BAD_CONFIG');
+  }
+}
+
+/**
+ * The agent's signer, created from env on first use
+ */
+export function getAgentSigner(): AgentSigner | null {
+  if (agentSigner === undefined) {
+    agentSigner = createSignerFromEnv();
+    if (agentSigner) console.log(`[Keys] 🔑 Signing with ${agentSigner.kind} signer`);
+  }
+  return agentSigner;
+}
+
+/**
+ * Replace the agent's signer (pass undefined to re-read env on next use)
+ */
+export function setAgentSigner(signer: AgentSigner | null | undefined): void {
+  agentSigner = signer;
+}
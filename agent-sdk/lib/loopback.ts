@@ -0,0 +1,187 @@
+/**
+ * Loopback A2A Transport
+ *
+ * In-process message bus implementing the A2ATransport interface. Every agent in the
+ * process attaches an endpoint to the same bus, so a full job -> offer -> delivery ->
+ * verification flow can run inside one test process without Hedera or NATS.
+ */
+
+import { A2ATransport, MessageHandler, TransportInitOptions, TransportStatus } from './transport';
+
+interface Endpoint {
+  accountId: string;
+  subscriptions: Map<string, MessageHandler[]>; // subject -> handlers
+}
+
+interface LoopbackMetadata {
+  fromAccountId: string;
+  verified: boolean;
+  transport: 'loopback';
+}
+
+/**
+ * In-process bus shared by loopback transports
+ */
+export class LoopbackBus {
+  private endpoints = new Map<string, Endpoint>();
+  private pending = 0;
+  private idleWaiters: Array<() => void> = [];
+
+  /**
+   * Attach (or re-use) an endpoint for an agent
+   */
+  attach(accountId: string): Endpoint {
+    let endpoint = this.endpoints.get(accountId);
+    if (!endpoint) {
+      endpoint = { accountId, subscriptions: new Map() };
+      this.endpoints.set(accountId, endpoint);
+    }
+    return endpoint;
+  }
+
+  /**
+   * Detach an endpoint and drop its handlers
+   */
+  detach(accountId: string): void {
+    this.endpoints.delete(accountId);
+  }
+
+  /**
+   * Publish a message. Messages with a 'to' are delivered only to that endpoint, and dropped
+   * when it is not attached; messages without one are broadcast to all endpoints subscribed
+   * to the subject. Returns the number of handlers the message was queued for.
+   */
+  publish(fromAccountId: string, subject: string, message: any): number {
+    // Same envelope shape as HCS-10 messages, serialized so handlers never share references
+    const envelope = JSON.parse(JSON.stringify({ ...message, subject, fromAccountId }));
+    const metadata: LoopbackMetadata = { fromAccountId, verified: false, transport: 'loopback' };
+
+    const target = typeof message.to === 'string' ? message.to.trim() : '';
+    if (target && !this.endpoints.has(target)) {
+      // Never widen a targeted message to everyone
+      console.warn(`[A2A/Loopback] ⚠️  Dropped ${subject} message for ${target}: no such endpoint`);
+      return 0;
+    }
+    const recipients = target ? [this.endpoints.get(target)!] : Array.from(this.endpoints.values());
+
+    let queued = 0;
+    for (const endpoint of recipients) {
+      const handlers = [
+        ...(endpoint.subscriptions.get(subject) || []),
+        ...(endpoint.subscriptions.get('*') || []),
+      ];
+      for (const handler of handlers) {
+        this.dispatch(handler, envelope, metadata, subject);
+        queued++;
+      }
+    }
+    return queued;
+  }
+
+  /**
+   * Resolve once every queued handler (including messages they publish) has finished
+   */
+  idle(): Promise<void> {
+    if (this.pending === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Drop all endpoints (used between tests)
+   */
+  reset(): void {
+    this.endpoints.clear();
+  }
+
+  getSubjects(accountId: string): string[] {
+    const endpoint = this.endpoints.get(accountId);
+    return endpoint ? Array.from(endpoint.subscriptions.keys()) : [];
+  }
+
+  private dispatch(handler: MessageHandler, message: any, metadata: LoopbackMetadata, subject: string): void {
+    this.pending++;
+    // Deliver asynchronously, like a real network hop
+    setImmediate(async () => {
+      try {
+        await handler(message, metadata);
+      } catch (error: any) {
+        console.error(`[A2A/Loopback] Handler error for ${subject}:`, error);
+      } finally {
+        this.pending--;
+        if (this.pending === 0) {
+          const waiters = this.idleWaiters.splice(0);
+          waiters.forEach(resolve => resolve());
+        }
+      }
+    });
+  }
+}
+
+// Process-wide default bus
+const defaultBus = new LoopbackBus();
+
+/**
+ * Get the process-wide loopback bus
+ */
+export function getLoopbackBus(): LoopbackBus {
+  return defaultBus;
+}
+
+/**
+ * Create a loopback transport attached to a bus (defaults to the process-wide bus)
+ */
+export function createLoopbackTransport(bus: LoopbackBus = defaultBus): A2ATransport {
+  let endpoint: Endpoint | null = null;
+
+  return {
+    name: 'loopback',
+
+    async init(options: TransportInitOptions): Promise<void> {
+      const accountId = options.agentName || process.env.AGENT_NAME || 'A2A Agent';
+      endpoint = bus.attach(accountId);
+      console.log(`[A2A/Loopback] ✅ Attached ${accountId} to in-process bus`);
+    },
+
+    async sendA2A(subject: string, message: any): Promise<any> {
+      if (!endpoint) {
+        throw new Error('Loopback transport not initialized');
+      }
+      const delivered = bus.publish(endpoint.accountId, subject, message);
+      return { sent: delivered, method: 'loopback' };
+    },
+
+    subscribe(subject: string, handler: MessageHandler): void {
+      if (!endpoint) {
+        throw new Error('Loopback transport not initialized');
+      }
+      if (!endpoint.subscriptions.has(subject)) {
+        endpoint.subscriptions.set(subject, []);
+      }
+      endpoint.subscriptions.get(subject)!.push(handler);
+    },
+
+    async close(): Promise<void> {
+      if (endpoint) {
+        bus.detach(endpoint.accountId);
+        endpoint = null;
+      }
+    },
+
+    isConnected(): boolean {
+      return endpoint !== null;
+    },
+
+    getConnection(): any {
+      return bus;
+    },
+
+    getStatus(): TransportStatus {
+      return {
+        transport: 'loopback',
+        isInitialized: endpoint !== null,
+        agentAccountId: endpoint ? endpoint.accountId : null,
+        subscriptions: endpoint ? bus.getSubjects(endpoint.accountId) : [],
+      };
+    },
+  };
+}
@@ -0,0 +1,319 @@
+/**
+ * A2A Message Guard - signature, freshness and replay checks for subscribe handlers
+ *
+ * Every inbound message passes through check() before reaching a handler:
+ *   1. Signature is verified against the sender's registered ed25519 key. A fromDid's key
+ *      only vouches for the claimed account when the directory or DID document binds them
+ *   2. Signed messages must carry a timestamp inside the clock-skew window
+ *   3. Message IDs (derived from the signed payload) are recorded in a persistent seen-set so
+ *      duplicates are dropped. An unsigned copy never shadows the signed original, and is
+ *      dropped once the signed one was seen
+ *
+ * Subjects that move money or job state (acceptances, escrow, deliveries, disputes, reputation)
+ * always require a verified signature - see DEFAULT_SIGNED_SUBJECTS. A2A_REQUIRE_SIGNATURES=true
+ * extends that to every subject.
+ */
+
+import * as crypto from 'crypto';
+import { verifyJSON, canonicalize } from './signer';
+import { readJSON, writeJSON, safeFileName } from './json-store';
+import { MessageHandler } from './transport';
+import { matchSubject } from './relay-acl';
+
+// Type definitions
+export type KeyResolver = (senderId: string, message: any, metadata?: any) => Promise<string | null> | string | null;
+export type AccountResolver = (did: string) => Promise<string[]> | string[]; // Accounts a DID is bound to
+
+export interface GuardOptions {
+  name: string; // Agent name - scopes the persistent seen-set file
+  maxClockSkewMs?: number;
+  requireSignature?: boolean; // Require verified signatures on every subject
+  signedSubjects?: string[]; // Subject patterns that always require a verified signature
+  resolveKey?: KeyResolver;
+  resolveAccounts?: AccountResolver;
+  persist?: boolean;
+}
+
+export interface GuardResult {
+  accepted: boolean;
+  reason?: string;
+  messageId: string;
+  sender: string | null;
+  signatureVerified: boolean;
+}
+
+interface GuardStats {
+  accepted: number;
+  duplicate: number;
+  stale: number;
+  badSignature: number;
+  unsigned: number;
+}
+
+// Fields added to a message after it was signed (by transports and relays)
+const UNSIGNED_FIELDS = ['signature', 'subject', 'fromAccountId', 'relayed', 'originalFrom', 'relayedBy', 'relayHops'];
+
+const DEFAULT_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Subjects whose handlers change job, payment or reputation state
+export const DEFAULT_SIGNED_SUBJECTS = [
+  'aexowork.offers.accepted',
+  'aexowork.escrow.>',
+  'aexowork.verification.>',
+  'aexowork.milestone.>',
+  'aexowork.deliveries',
+  'aexowork.disputes',
+  'aexowork.evidence',
+  'aexowork.resolution',
+  'aexowork.reputation.>',
+  'aexowork.job.completed',
+];
+
+// Registered sender keys: DID or account ID -> ed25519 public key (base64)
+const senderKeys = new Map<string, string>();
+
+/**
+ * Register a sender's ed25519 public key under a DID or account ID
+ */
+export function registerSenderKey(senderId: string, publicKeyBase64: string): void {
+  senderKeys.set(senderId, publicKeyBase64);
+}
+
+/**
+ * Remove a registered sender key
+ */
+export function unregisterSenderKey(senderId: string): void {
+  senderKeys.delete(senderId);
+}
+
+/**
+ * Extract the public key embedded in a generated DID (did:hedera:<network>:z<base64 key>)
+ */
+export function publicKeyFromDid(did: string): string | null {
+  const match = /^did:hedera:[a-z]+:z([A-Za-z0-9+/=]+)$/.exec(did);
+  if (!match) return null;
+  const key = Buffer.from(match[1], 'base64');
+  return key.length === 32 ? key.toString('base64') : null;
+}
+
+/**
+ * Strip transport-added fields to recover the payload that was signed
+ */
+export function signedPayload(message: any): any {
+  const payload = { ...message };
+  for (const field of UNSIGNED_FIELDS) {
+    delete payload[field];
+  }
+  return payload;
+}
+
+/**
+ * Verifies and de-duplicates inbound A2A messages
+ */
+export class MessageGuard {
+  readonly maxClockSkewMs: number;
+  readonly requireSignature: boolean;
+  readonly signedSubjects: string[];
+  private resolveKey?: KeyResolver;
+  private resolveAccounts?: AccountResolver;
+  private persist: boolean;
+  private fileName: string;
+  private seen: Record<string, number>; // scope:messageId -> expiresAt
+  private saveTimer: NodeJS.Timeout | null = null;
+  private stats: GuardStats = { accepted: 0, duplicate: 0, stale: 0, badSignature: 0, unsigned: 0 };
+
+  constructor(options: GuardOptions) {
+    this.maxClockSkewMs = options.maxClockSkewMs
+      || parseInt(process.env.A2A_MAX_CLOCK_SKEW_MS || '', 10)
+      || DEFAULT_MAX_CLOCK_SKEW_MS;
+    this.requireSignature = options.requireSignature ?? process.env.A2A_REQUIRE_SIGNATURES === 'true';
+    this.signedSubjects = options.signedSubjects
+      ?? (process.env.A2A_SIGNED_SUBJECTS
+        ? process.env.A2A_SIGNED_SUBJECTS.split(',').map(s => s.trim()).filter(Boolean)
+        : DEFAULT_SIGNED_SUBJECTS);
+    this.resolveKey = options.resolveKey;
+    this.resolveAccounts = options.resolveAccounts;
+    this.persist = options.persist ?? true;
+    this.fileName = `seen-messages-${safeFileName(options.name)}.json`;
+    this.seen = this.persist ? readJSON<Record<string, number>>(this.fileName, {}) : {};
+    this.prune();
+  }
+
+  /**
+   * Check a message for a subscription scope (subject + handler) and record it as seen
+   */
+  async check(scope: string, message: any, metadata?: any, subject?: string): Promise<GuardResult> {
+    const requireSignature = this.requireSignature || (!!subject && this.requiresSignature(subject));
+    const sender = message?.fromDid || metadata?.fromAccountId || message?.fromAccountId || null;
+    const messageId = this.getMessageId(message);
+    const result: GuardResult = { accepted: false, messageId, sender, signatureVerified: false };
+
+    if (!message || typeof message !== 'object') {
+      return { ...result, reason: 'not an object' };
+    }
+
+    // 1. Signature
+    if (message.signature) {
+      const { publicKey, bound } = await this.lookupKey(message, metadata);
+      if (!publicKey) {
+        if (requireSignature) {
+          this.stats.badSignature++;
+          return { ...result, reason: `no registered key for sender ${sender || 'unknown'}` };
+        }
+      } else {
+        let valid = false;
+        try {
+          valid = verifyJSON(signedPayload(message), message.signature, publicKey);
+        } catch (error) {
+          valid = false;
+        }
+        if (!valid) {
+          this.stats.badSignature++;
+          return { ...result, reason: 'invalid signature' };
+        }
+        // Signed by the DID's key, but nothing ties that DID to the claimed account
+        if (!bound && requireSignature) {
+          this.stats.badSignature++;
+          return { ...result, reason: `${message.fromDid} is not bound to sender ${metadata?.fromAccountId || message.fromAccountId}` };
+        }
+        result.signatureVerified = bound;
+      }
+    } else if (requireSignature) {
+      this.stats.unsigned++;
+      return { ...result, reason: 'unsigned message' };
+    }
+
+    // 2. Freshness (mandatory for signed messages - the timestamp is covered by the signature)
+    const now = Date.now();
+    if (typeof message.timestamp === 'number') {
+      if (Math.abs(now - message.timestamp) > this.maxClockSkewMs) {
+        this.stats.stale++;
+        return { ...result, reason: `stale timestamp (${Math.round((now - message.timestamp) / 1000)}s skew)` };
+      }
+    } else if (message.signature) {
+      this.stats.stale++;
+      return { ...result, reason: 'signed message without timestamp' };
+    }
+
+    // 3. Replay - unverified copies are tracked apart so they cannot shadow the signed original
+    const signedKey = `${scope}:${messageId}`;
+    const key = result.signatureVerified ? signedKey : `${signedKey}#unverified`;
+    if (!result.signatureVerified && this.seen[signedKey] > now) {
+      this.stats.duplicate++;
+      return { ...result, reason: 'unverified copy of a signed message' };
+    }
+    if (this.seen[key] && this.seen[key] > now) {
+      this.stats.duplicate++;
+      return { ...result, reason: 'duplicate message' };
+    }
+    // Anything older than the skew window is rejected as stale, so IDs can expire after it
+    this.seen[key] = now + this.maxClockSkewMs * 2;
+    this.scheduleSave();
+
+    this.stats.accepted++;
+    return { ...result, accepted: true };
+  }
+
+  /**
+   * Wrap a subscribe handler so only verified, fresh, first-seen messages reach it
+   */
+  wrap(scope: string, subject: string, handler: MessageHandler): MessageHandler {
+    return async (message: any, metadata?: any) => {
+      const result = await this.check(scope, message, metadata, subject);
+      if (!result.accepted) {
+        console.warn(`[A2A/Guard] 🚫 Dropped ${subject} message ${result.messageId.substring(0, 16)} from ${result.sender || 'unknown'}: ${result.reason}`);
+        return;
+      }
+      await handler(message, { ...metadata, messageId: result.messageId, signatureVerified: result.signatureVerified });
+    };
+  }
+
+  /**
+   * Whether a subject always requires a verified signature
+   */
+  requiresSignature(subject: string): boolean {
+    return this.signedSubjects.some(pattern => matchSubject(pattern, subject));
+  }
+
+  getStats(): GuardStats & { tracked: number } {
+    return { ...this.stats, tracked: Object.keys(this.seen).length };
+  }
+
+  /**
+   * Flush the seen-set to disk
+   */
+  flush(): void {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (this.persist) {
+      this.prune();
+      writeJSON(this.fileName, this.seen);
+    }
+  }
+
+  private getMessageId(message: any): string {
+    if (message?.nonce) return String(message.nonce);
+    if (message?.messageId) return String(message.messageId);
+    // Stripping or swapping the signature must not yield a new ID
+    return crypto.createHash('sha256').update(canonicalize(signedPayload(message || {}))).digest('hex');
+  }
+
+  /**
+   * Key to check a signature with. bound is false for a fromDid key that does not speak for the
+   * claimed account - the signature still has to match, but the message counts as unverified.
+   */
+  private async lookupKey(message: any, metadata?: any): Promise<{ publicKey: string | null; bound: boolean }> {
+    const accountId = metadata?.fromAccountId || message.fromAccountId || null;
+    const didKey = message.fromDid
+      ? await this.keyFor(message.fromDid, message, metadata) || publicKeyFromDid(message.fromDid)
+      : null;
+    if (didKey && (!accountId || await this.isBound(message.fromDid, accountId))) {
+      return { publicKey: didKey, bound: true };
+    }
+    const accountKey = accountId ? await this.keyFor(accountId, message, metadata) : null;
+    if (accountKey) return { publicKey: accountKey, bound: true };
+    return { publicKey: didKey, bound: false };
+  }
+
+  private async keyFor(senderId: string, message: any, metadata?: any): Promise<string | null> {
+    if (this.resolveKey) {
+      const resolved = await this.resolveKey(senderId, message, metadata);
+      if (resolved) return resolved;
+    }
+    return senderKeys.get(senderId) || null;
+  }
+
+  /**
+   * Whether the directory or DID document binds a DID to an account
+   */
+  private async isBound(did: string, accountId: string): Promise<boolean> {
+    if (!this.resolveAccounts) return false;
+    try {
+      return (await this.resolveAccounts(did)).includes(accountId);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  private prune(): void {
+    const now = Date.now();
+    for (const [key, expiresAt] of Object.entries(this.seen)) {
+      if (expiresAt <= now) delete this.seen[key];
+    }
+  }
+
+  private scheduleSave(): void {
+    if (!this.persist || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.flush();
+      } catch (error: any) {
+        console.error('[A2A/Guard] Failed to persist seen-set:', error.message);
+      }
+    }, 1000);
+    this.saveTimer.unref();
+  }
+}
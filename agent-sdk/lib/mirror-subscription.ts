@@ -0,0 +1,570 @@
+/**
+ * Mirror Node Topic Subscriptions
+ *
+ * Streams HCS topic messages to a handler, one topic at a time, in sequence order:
+ *   - rest: pages through /api/v1/topics/:id/messages following links.next, then polls
+ *   - grpc: TopicMessageQuery stream from the mirror node's gRPC endpoint
+ * Each topic has a cursor (last handled sequence number + consensus timestamp) persisted
+ * on disk, so restarts resume where they left off instead of reprocessing or skipping.
+ * Handlers run one message at a time; when the queue fills up, fetching (or the stream)
+ * pauses until it drains. Sequence gaps are backfilled from the REST API.
+ * The cursor only moves past a message once its handler succeeded. A failing message is
+ * retried with backoff (holding back the ones behind it); after the last attempt it goes to
+ * a persisted dead-letter list and the cursor moves on.
+ */
+
+import axios from 'axios';
+import { Client, TopicMessageQuery, TopicId, Timestamp } from '@hashgraph/sdk';
+import { readJSON, writeJSON, safeFileName } from './json-store';
+
+// Type definitions
+export type SubscriptionMode = 'rest' | 'grpc';
+
+export interface TopicMessage {
+  topicId: string;
+  sequenceNumber: number;
+  consensusTimestamp: string; // seconds.nanoseconds
+  payerAccountId: string | null;
+  contents: string; // UTF-8 decoded message body
+}
+
+export type TopicMessageHandler = (message: TopicMessage) => Promise<void> | void;
+
+export interface MirrorSubscriberOptions {
+  name: string; // Agent name - scopes the persistent cursor file
+  mode?: SubscriptionMode;
+  network?: string;
+  mirrorUrl?: string;
+  client?: Client; // gRPC client (defaults to Client.forName(network))
+  pollIntervalMs?: number;
+  pageSize?: number;
+  maxQueue?: number;
+  maxHandlerAttempts?: number;
+  handlerRetryMs?: number;
+  persist?: boolean;
+}
+
+export interface TopicCursor {
+  sequenceNumber: number;
+  consensusTimestamp: string | null;
+  updatedAt: number;
+}
+
+export interface MirrorDeadLetter extends TopicMessage {
+  error: string;
+  attempts: number;
+  deadAt: number;
+}
+
+interface TopicStats {
+  received: number;
+  processed: number;
+  duplicates: number;
+  gaps: number;
+  backfilled: number;
+  missing: number;
+  handlerErrors: number;
+  deadLettered: number;
+  fetchErrors: number;
+  pauses: number;
+}
+
+interface TopicState {
+  topicId: string;
+  handler: TopicMessageHandler;
+  queue: TopicMessage[];
+  lastQueued: TopicMessage | null; // newest message accepted into the queue
+  intake: Promise<void>; // serializes stream callbacks
+  draining: boolean;
+  paused: boolean;
+  timer: NodeJS.Timeout | null;
+  retryTimer: NodeJS.Timeout | null; // pending retry of the queue head
+  attempts: number; // failed handler attempts for the queue head
+  stream: { unsubscribe(): void } | null;
+  backoffMs: number;
+  stats: TopicStats;
+}
+
+const MIRROR_NODE_URLS: Record<string, string> = {
+  mainnet: 'https://mainnet-public.mirrornode.hedera.com',
+  testnet: 'https://testnet.mirrornode.hedera.com',
+  previewnet: 'https://previewnet.mirrornode.hedera.com',
+};
+
+const MAX_BACKOFF_MS = 60 * 1000;
+const MAX_DEAD_LETTERS = 500;
+
+/**
+ * Mirror node REST base URL (MIRROR_NODE_URL, then HCS_SIMULATOR_URL, then the network default)
+ */
+export function getMirrorNodeUrl(network?: string): string {
+  const override = process.env.MIRROR_NODE_URL || process.env.HCS_SIMULATOR_URL;
+  if (override) return override.trim().replace(/\/+$/, '');
+  return MIRROR_NODE_URLS[network || process.env.HEDERA_NETWORK || 'testnet'] || MIRROR_NODE_URLS.testnet;
+}
+
+/**
+ * Subscribes to HCS topics through the mirror node with persistent cursors
+ */
+export class MirrorSubscriber {
+  readonly mode: SubscriptionMode;
+  readonly mirrorUrl: string;
+  readonly pollIntervalMs: number;
+  readonly pageSize: number;
+  readonly maxQueue: number;
+  readonly maxHandlerAttempts: number;
+  readonly handlerRetryMs: number;
+  private network: string;
+  private client: Client | null;
+  private persist: boolean;
+  private fileName: string;
+  private deadLetterFile: string;
+  private cursors: Record<string, TopicCursor>;
+  private deadLetters: MirrorDeadLetter[];
+  private topics = new Map<string, TopicState>();
+  private saveTimer: NodeJS.Timeout | null = null;
+  private closed = false;
+
+  constructor(options: MirrorSubscriberOptions) {
+    this.mode = (options.mode || process.env.MIRROR_SUBSCRIPTION_MODE || 'rest').toLowerCase() as SubscriptionMode;
+    if (this.mode !== 'rest' && this.mode !== 'grpc') {
+      throw new Error(`Unknown mirror subscription mode '${this.mode}' (expected rest or grpc)`);
+    }
+    this.network = options.network || process.env.HEDERA_NETWORK || 'testnet';
+    this.mirrorUrl = options.mirrorUrl || getMirrorNodeUrl(this.network);
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.MIRROR_POLL_INTERVAL_MS || '', 10) || 3000;
+    this.pageSize = options.pageSize || parseInt(process.env.MIRROR_PAGE_SIZE || '', 10) || 100;
+    this.maxQueue = options.maxQueue || parseInt(process.env.MIRROR_MAX_QUEUE || '', 10) || 500;
+    this.maxHandlerAttempts = options.maxHandlerAttempts || parseInt(process.env.MIRROR_HANDLER_MAX_ATTEMPTS || '', 10) || 5;
+    this.handlerRetryMs = options.handlerRetryMs || parseInt(process.env.MIRROR_HANDLER_RETRY_MS || '', 10) || 1000;
+    this.client = options.client || null;
+    this.persist = options.persist ?? true;
+    this.fileName = `mirror-cursors-${safeFileName(options.name)}.json`;
+    this.deadLetterFile = `mirror-dead-letters-${safeFileName(options.name)}.json`;
+    this.cursors = this.persist ? readJSON<Record<string, TopicCursor>>(this.fileName, {}) : {};
+    this.deadLetters = this.persist ? readJSON<MirrorDeadLetter[]>(this.deadLetterFile, []) : [];
+  }
+
+  /**
+   * Start delivering a topic's messages to a handler, resuming from the saved cursor
+   * (or after fromSequence when there is none)
+   */
+  subscribe(topicId: string, handler: TopicMessageHandler, options: { fromSequence?: number } = {}): void {
+    if (this.closed) throw new Error('Mirror subscriber is closed');
+    if (this.topics.has(topicId)) {
+      throw new Error(`Already subscribed to topic ${topicId}`);
+    }
+
+    if (!this.cursors[topicId] && options.fromSequence !== undefined) {
+      this.cursors[topicId] = { sequenceNumber: options.fromSequence, consensusTimestamp: null, updatedAt: Date.now() };
+    }
+    const cursor = this.getCursor(topicId);
+
+    const state: TopicState = {
+      topicId,
+      handler,
+      queue: [],
+      lastQueued: cursor.sequenceNumber > 0
+        ? { topicId, sequenceNumber: cursor.sequenceNumber, consensusTimestamp: cursor.consensusTimestamp, payerAccountId: null, contents: '' }
+        : null,
+      intake: Promise.resolve(),
+      draining: false,
+      paused: false,
+      timer: null,
+      retryTimer: null,
+      attempts: 0,
+      stream: null,
+      backoffMs: 0,
+      stats: { received: 0, processed: 0, duplicates: 0, gaps: 0, backfilled: 0, missing: 0, handlerErrors: 0, deadLettered: 0, fetchErrors: 0, pauses: 0 },
+    };
+    this.topics.set(topicId, state);
+    console.log(`[Mirror] 📡 Subscribed to ${topicId} via ${this.mode} (after seq ${cursor.sequenceNumber})`);
+    this.start(state);
+  }
+
+  /**
+   * Stop a topic subscription (its cursor is kept)
+   */
+  unsubscribe(topicId: string): boolean {
+    const state = this.topics.get(topicId);
+    if (!state) return false;
+    this.stop(state);
+    this.topics.delete(topicId);
+    return true;
+  }
+
+  isSubscribed(topicId: string): boolean {
+    return this.topics.has(topicId);
+  }
+
+  getCursor(topicId: string): TopicCursor {
+    return this.cursors[topicId] || { sequenceNumber: 0, consensusTimestamp: null, updatedAt: 0 };
+  }
+
+  getStats(): { mode: SubscriptionMode; mirrorUrl: string; topics: Record<string, any> } {
+    const topics: Record<string, any> = {};
+    for (const [topicId, state] of this.topics) {
+      topics[topicId] = {
+        cursor: this.getCursor(topicId),
+        queued: state.queue.length,
+        paused: state.paused,
+        ...state.stats,
+      };
+    }
+    return { mode: this.mode, mirrorUrl: this.mirrorUrl, topics };
+  }
+
+  /**
+   * Messages whose handler kept failing (most recent last)
+   */
+  getDeadLetters(topicId?: string): MirrorDeadLetter[] {
+    return this.deadLetters.filter(entry => !topicId || entry.topicId === topicId);
+  }
+
+  /**
+   * Stop all subscriptions and flush cursors to disk
+   */
+  close(): void {
+    this.closed = true;
+    for (const state of this.topics.values()) {
+      this.stop(state);
+    }
+    this.topics.clear();
+    this.flush();
+    if (this.client) {
+      try {
+        this.client.close();
+      } catch (error) {
+        // Already closed
+      }
+      this.client = null;
+    }
+  }
+
+  /**
+   * Write cursors to disk now
+   */
+  flush(): void {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.persist) return;
+    try {
+      writeJSON(this.fileName, this.cursors);
+    } catch (error: any) {
+      console.error('[Mirror] Failed to persist cursors:', error.message);
+    }
+  }
+
+  private start(state: TopicState): void {
+    if (this.mode === 'grpc') {
+      this.openStream(state);
+    } else {
+      this.schedulePoll(state, 0);
+    }
+  }
+
+  private stop(state: TopicState): void {
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    if (state.retryTimer) {
+      clearTimeout(state.retryTimer);
+      state.retryTimer = null;
+    }
+    if (state.stream) {
+      state.stream.unsubscribe();
+      state.stream = null;
+    }
+  }
+
+  private isActive(state: TopicState): boolean {
+    return !this.closed && this.topics.get(state.topicId) === state;
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST polling
+  // ---------------------------------------------------------------------------
+
+  private schedulePoll(state: TopicState, delayMs: number): void {
+    if (!this.isActive(state) || state.timer) return;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.poll(state);
+    }, delayMs);
+    state.timer.unref();
+  }
+
+  /**
+   * Fetch everything after the newest queued message, page by page, until caught up
+   * or the queue is full
+   */
+  private async poll(state: TopicState): Promise<void> {
+    let url: string | null = this.messagesUrl(state.topicId, state.lastQueued?.sequenceNumber || 0);
+    try {
+      while (url && this.isActive(state)) {
+        if (state.queue.length >= this.maxQueue) {
+          this.pause(state); // resumed by drain()
+          return;
+        }
+        const page = await this.fetchPage(url);
+        for (const message of page.messages) {
+          await this.accept(state, message);
+        }
+        url = page.next;
+      }
+      state.backoffMs = 0;
+      this.schedulePoll(state, this.pollIntervalMs);
+    } catch (error: any) {
+      this.onFetchError(state, error);
+      this.schedulePoll(state, state.backoffMs);
+    }
+  }
+
+  private messagesUrl(topicId: string, afterSequence: number, beforeSequence?: number): string {
+    const params = [`sequencenumber=gt:${afterSequence}`];
+    if (beforeSequence !== undefined) params.push(`sequencenumber=lt:${beforeSequence}`);
+    params.push(`limit=${this.pageSize}`, 'order=asc');
+    return `${this.mirrorUrl}/api/v1/topics/${topicId}/messages?${params.join('&')}`;
+  }
+
+  private async fetchPage(url: string): Promise<{ messages: TopicMessage[]; next: string | null }> {
+    const response = await axios.get(url, { timeout: 10000 });
+    const messages = (response.data?.messages || []).map((msg: any) => ({
+      topicId: msg.topic_id,
+      sequenceNumber: parseInt(msg.sequence_number, 10),
+      consensusTimestamp: msg.consensus_timestamp,
+      payerAccountId: msg.payer_account_id || null,
+      contents: Buffer.from(msg.message || '', 'base64').toString('utf8'),
+    }));
+    const next = response.data?.links?.next;
+    return { messages, next: next ? new URL(next, this.mirrorUrl).toString() : null };
+  }
+
+  private onFetchError(state: TopicState, error: any): void {
+    state.stats.fetchErrors++;
+    const rateLimited = error.response?.status === 429;
+    state.backoffMs = Math.min(Math.max(state.backoffMs * 2, this.pollIntervalMs), MAX_BACKOFF_MS);
+    if (!rateLimited || state.backoffMs >= MAX_BACKOFF_MS) {
+      console.warn(`[Mirror] ⚠️  ${state.topicId} fetch failed, retrying in ${Math.round(state.backoffMs / 1000)}s: ${error.message}`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // gRPC streaming
+  // ---------------------------------------------------------------------------
+
+  private getClient(): Client {
+    if (!this.client) {
+      this.client = Client.forName(this.network);
+      if (process.env.MIRROR_NODE_GRPC_URL) {
+        this.client.setMirrorNetwork([process.env.MIRROR_NODE_GRPC_URL]);
+      }
+    }
+    return this.client;
+  }
+
+  private openStream(state: TopicState): void {
+    if (!this.isActive(state) || state.stream) return;
+
+    const query = new TopicMessageQuery().setTopicId(TopicId.fromString(state.topicId));
+    const after = state.lastQueued?.consensusTimestamp;
+    query.setStartTime(after ? timestampAfter(after) : 0);
+
+    state.stream = query.subscribe(
+      this.getClient(),
+      (_message, error) => {
+        // The SDK has given up retrying - reopen from the cursor after a backoff
+        state.stream = null;
+        this.onFetchError(state, error);
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          this.openStream(state);
+        }, state.backoffMs);
+        state.timer.unref();
+      },
+      (message) => {
+        const converted: TopicMessage = {
+          topicId: state.topicId,
+          sequenceNumber: message.sequenceNumber.toNumber(),
+          consensusTimestamp: message.consensusTimestamp.toString(),
+          payerAccountId: message.initialTransactionId?.accountId?.toString() || null,
+          contents: Buffer.from(message.contents).toString('utf8'),
+        };
+        state.intake = state.intake
+          .then(() => this.acceptStreamed(state, converted))
+          .catch((error: any) => console.error(`[Mirror] ${state.topicId} intake error:`, error.message));
+      },
+    );
+    state.backoffMs = 0;
+  }
+
+  private async acceptStreamed(state: TopicState, message: TopicMessage): Promise<void> {
+    if (state.paused || !this.isActive(state)) return; // Re-read from the cursor on resume
+    await this.accept(state, message);
+    if (state.queue.length >= this.maxQueue) {
+      this.pause(state);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queue, gap detection and backpressure
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queue a message in sequence order. Duplicates are dropped; a jump in sequence
+   * numbers is backfilled from the REST API before the message is queued.
+   */
+  private async accept(state: TopicState, message: TopicMessage): Promise<void> {
+    const last = state.lastQueued?.sequenceNumber || 0;
+    if (message.sequenceNumber <= last) {
+      state.stats.duplicates++;
+      return;
+    }
+
+    if (message.sequenceNumber > last + 1) {
+      state.stats.gaps++;
+      console.warn(`[Mirror] 🕳️  Gap on ${state.topicId}: expected seq ${last + 1}, got ${message.sequenceNumber} - backfilling`);
+      await this.backfill(state, last, message.sequenceNumber);
+      const missing = message.sequenceNumber - 1 - (state.lastQueued?.sequenceNumber || 0);
+      if (missing > 0) {
+        state.stats.missing += missing;
+        console.warn(`[Mirror] ⚠️  ${missing} message(s) before seq ${message.sequenceNumber} on ${state.topicId} could not be recovered`);
+      }
+    }
+
+    this.enqueue(state, message);
+  }
+
+  private async backfill(state: TopicState, afterSequence: number, beforeSequence: number): Promise<void> {
+    let url: string | null = this.messagesUrl(state.topicId, afterSequence, beforeSequence);
+    try {
+      while (url) {
+        const page = await this.fetchPage(url);
+        for (const message of page.messages) {
+          if (message.sequenceNumber <= (state.lastQueued?.sequenceNumber || 0) || message.sequenceNumber >= beforeSequence) continue;
+          this.enqueue(state, message);
+          state.stats.backfilled++;
+        }
+        url = page.next;
+      }
+    } catch (error: any) {
+      state.stats.fetchErrors++;
+      console.warn(`[Mirror] Backfill of ${state.topicId} seq ${afterSequence + 1}-${beforeSequence - 1} failed: ${error.message}`);
+    }
+  }
+
+  private enqueue(state: TopicState, message: TopicMessage): void {
+    state.queue.push(message);
+    state.lastQueued = message;
+    state.stats.received++;
+    this.drain(state);
+  }
+
+  /**
+   * Hand queued messages to the handler one at a time, advancing the cursor after each one
+   * that succeeded (or was dead-lettered)
+   */
+  private async drain(state: TopicState): Promise<void> {
+    if (state.draining || state.retryTimer) return;
+    state.draining = true;
+    try {
+      while (state.queue.length > 0 && this.isActive(state)) {
+        const message = state.queue[0];
+        try {
+          await state.handler(message);
+        } catch (error: any) {
+          state.stats.handlerErrors++;
+          state.attempts++;
+          if (state.attempts < this.maxHandlerAttempts) {
+            const delay = Math.min(this.handlerRetryMs * Math.pow(2, state.attempts - 1), MAX_BACKOFF_MS);
+            console.error(`[Mirror] Handler error for ${state.topicId} seq ${message.sequenceNumber} (attempt ${state.attempts}/${this.maxHandlerAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+            this.scheduleRetry(state, delay);
+            return;
+          }
+          this.deadLetter(state, message, error.message);
+        }
+        state.attempts = 0;
+        state.queue.shift();
+        state.stats.processed++;
+        this.commit(state.topicId, message);
+
+        if (state.paused && state.queue.length <= Math.floor(this.maxQueue / 2)) {
+          this.resume(state);
+        }
+      }
+    } finally {
+      state.draining = false;
+    }
+  }
+
+  private scheduleRetry(state: TopicState, delayMs: number): void {
+    state.retryTimer = setTimeout(() => {
+      state.retryTimer = null;
+      this.drain(state);
+    }, delayMs);
+    state.retryTimer.unref();
+  }
+
+  private deadLetter(state: TopicState, message: TopicMessage, error: string): void {
+    state.stats.deadLettered++;
+    this.deadLetters.push({ ...message, error, attempts: state.attempts, deadAt: Date.now() });
+    this.deadLetters = this.deadLetters.slice(-MAX_DEAD_LETTERS);
+    console.error(`[Mirror] ☠️  ${state.topicId} seq ${message.sequenceNumber} dead-lettered after ${state.attempts} attempts: ${error}`);
+    if (!this.persist) return;
+    try {
+      writeJSON(this.deadLetterFile, this.deadLetters);
+    } catch (writeError: any) {
+      console.error('[Mirror] Failed to persist dead letters:', writeError.message);
+    }
+  }
+
+  private pause(state: TopicState): void {
+    if (state.paused) return;
+    state.paused = true;
+    state.stats.pauses++;
+    if (state.stream) {
+      state.stream.unsubscribe();
+      state.stream = null;
+    }
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    console.warn(`[Mirror] ⏸️  ${state.topicId} paused with ${state.queue.length} queued message(s)`);
+  }
+
+  private resume(state: TopicState): void {
+    state.paused = false;
+    console.log(`[Mirror] ▶️  ${state.topicId} resumed after seq ${state.lastQueued?.sequenceNumber || 0}`);
+    this.start(state);
+  }
+
+  private commit(topicId: string, message: TopicMessage): void {
+    this.cursors[topicId] = {
+      sequenceNumber: message.sequenceNumber,
+      consensusTimestamp: message.consensusTimestamp,
+      updatedAt: Date.now(),
+    };
+    this.scheduleSave();
+  }
+
+  private scheduleSave(): void {
+    if (!this.persist || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, 1000);
+    this.saveTimer.unref();
+  }
+}
+
+/**
+ * Start time for a stream that should resume just after a consensus timestamp
+ */
+function timestampAfter(consensusTimestamp: string): Timestamp {
+  const [seconds, nanos = '0'] = consensusTimestamp.split('.');
+  return new Timestamp(parseInt(seconds, 10), parseInt(nanos.padEnd(9, '0'), 10)).plusNanos(1);
+}
@@ -0,0 +1,491 @@
+/**
+ * Offer Negotiation
+ *
+ * A price negotiation between the ClientAgent that posted a job and the WorkerAgent that
+ * offered for it, over the aexowork.negotiation subject:
+ *   - NegotiationCounter  a new price (and ETA) for the other side to answer
+ *   - NegotiationAccept   agree to the other side's last price - the negotiation is over
+ *   - NegotiationReject   walk away (limit not reachable, round limit, expiry)
+ * The worker's OfferMessage is round 0 and each counter adds a round. A counter for the
+ * last round (maxRounds) can only be accepted or rejected, and nothing is answered after
+ * expiresAt. Agreeing on a price does not award the job: the client stores the agreed terms
+ * as a new offer (agreedOfferId) that /accept-offer or auto-accept can pick.
+ *
+ * Each side moves with a NegotiationStrategy: it opens at openingRatio x budget and gives
+ * up concessionRate of the remaining gap to its limit (the worker's floor price, the
+ * client's ceiling) every move. deadlineSensitivity adds pressure as the negotiation nears
+ * its last round or expiry - 0 ignores it, 1 reaches the limit by the end.
+ *
+ * Every message is signed by its sender and kept in the record's transcript as it was
+ * sent or received. When the negotiation closes, the side holding the record signs the
+ * hash of the whole transcript with the outcome.
+ */
+
+import * as crypto from 'crypto';
+import { canonicalize, verifyJSON } from './signer';
+import { publicKeyFromDid, signedPayload } from './message-guard';
+import { AgentSigner } from './keystore';
+
+// Type definitions
+export type NegotiationRole = 'client' | 'worker';
+export type NegotiationStatus = 'open' | 'agreed' | 'rejected' | 'expired';
+export type NegotiationMessageType = 'NegotiationCounter' | 'NegotiationAccept' | 'NegotiationReject';
+
+export interface NegotiationStrategy {
+  openingRatio: number; // First price, as a share of the job budget
+  limitRatio: number; // Worker: floor price, client: the most it pays (share of the budget)
+  limitPrice?: string | null; // Absolute limit, overrides limitRatio
+  concessionRate: number; // Share of the gap to the limit given up per move (0-1)
+  deadlineSensitivity: number; // 0 ignores the round limit and expiry, 1 reaches the limit by the end
+}
+
+export interface TranscriptEntry {
+  direction: 'sent' | 'received';
+  at: number;
+  message: any; // As signed by its sender (transport fields removed)
+  signature: string | null;
+}
+
+export interface NegotiationRecord {
+  negotiationId: string;
+  jobId: string;
+  offerId: string;
+  role: NegotiationRole; // Side that keeps this record
+  counterparty: { did?: string; accountId?: string; address?: string };
+  budget: string; // Job budget the strategy ratios apply to
+  eta?: string;
+  strategy: NegotiationStrategy;
+  status: NegotiationStatus;
+  round: number; // Last round played (the offer is round 0)
+  maxRounds: number;
+  startedAt: number;
+  expiresAt: number;
+  lastPrice: { client: string | null; worker: string | null };
+  agreedPrice?: string;
+  agreedOfferId?: string;
+  closedReason?: string;
+  transcript: TranscriptEntry[];
+  transcriptHash?: string;
+  transcriptSignature?: string | null; // Over { negotiationId, status, agreedPrice, transcriptHash }
+  signedBy?: string;
+  updatedAt?: number;
+}
+
+export type NegotiationMove =
+  | { action: 'counter'; price: string; reason: string }
+  | { action: 'accept'; price: string; reason: string }
+  | { action: 'reject'; reason: string };
+
+export interface TranscriptVerification {
+  verified: boolean;
+  unsigned: number;
+  invalid: number[]; // Transcript indexes whose signature does not match the sender's DID key
+  transcriptHashMatches: boolean;
+  closingSignatureVerified: boolean | null; // null when there is no closing signature or key
+}
+
+export const NEGOTIATION_SUBJECT = 'aexowork.negotiation';
+
+export const DEFAULT_STRATEGIES: Record<NegotiationRole, NegotiationStrategy> = {
+  worker: { openingRatio: 1, limitRatio: 0.7, concessionRate: 0.25, deadlineSensitivity: 1 },
+  client: { openingRatio: 0.6, limitRatio: 1, concessionRate: 0.25, deadlineSensitivity: 1 },
+};
+
+const RATIO_SCALE = 1_000_000;
+
+function envNumber(value: string | undefined, fallback: number): number {
+  const parsed = value !== undefined && value !== '' ? Number(value) : NaN;
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * A side's strategy from the environment: WORKER_NEGOTIATION_OPENING, WORKER_FLOOR_RATIO,
+ * WORKER_FLOOR_PRICE, WORKER_CONCESSION_RATE, WORKER_DEADLINE_SENSITIVITY and the CLIENT_
+ * equivalents (CLIENT_CEILING_RATIO / CLIENT_CEILING_PRICE for the limit)
+ */
+export function strategyFromEnv(role: NegotiationRole, env: NodeJS.ProcessEnv = process.env): NegotiationStrategy {
+  const prefix = role === 'worker' ? 'WORKER' : 'CLIENT';
+  const limit = role === 'worker' ? 'FLOOR' : 'CEILING';
+  const defaults = DEFAULT_STRATEGIES[role];
+  return {
+    openingRatio: envNumber(env[`${prefix}_NEGOTIATION_OPENING`], defaults.openingRatio),
+    limitRatio: envNumber(env[`${prefix}_${limit}_RATIO`], defaults.limitRatio),
+    limitPrice: env[`${prefix}_${limit}_PRICE`] || null,
+    concessionRate: envNumber(env[`${prefix}_CONCESSION_RATE`], defaults.concessionRate),
+    deadlineSensitivity: envNumber(env[`${prefix}_DEADLINE_SENSITIVITY`], defaults.deadlineSensitivity),
+  };
+}
+
+/**
+ * Problems with a strategy (empty when usable)
+ */
+export function validateStrategy(role: NegotiationRole, strategy: NegotiationStrategy): string[] {
+  const problems: string[] = [];
+  if (!(strategy.openingRatio > 0)) problems.push('openingRatio must be > 0');
+  if (!(strategy.limitRatio > 0)) problems.push('limitRatio must be > 0');
+  if (!(strategy.concessionRate >= 0 && strategy.concessionRate <= 1)) problems.push('concessionRate must be between 0 and 1');
+  if (!(strategy.deadlineSensitivity >= 0)) problems.push('deadlineSensitivity must be >= 0');
+  if (strategy.limitPrice && !isPrice(strategy.limitPrice)) problems.push('limitPrice must be a number');
+  if (!strategy.limitPrice && (role === 'worker' ? strategy.limitRatio > strategy.openingRatio : strategy.limitRatio < strategy.openingRatio)) {
+    problems.push(role === 'worker' ? 'the floor is above the opening price' : 'the ceiling is below the opening price');
+  }
+  return problems;
+}
+
+function isPrice(value: any): boolean {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+}
+
+/**
+ * Compare two prices (wei strings compare exactly, anything else as numbers)
+ */
+export function comparePrices(a: string, b: string): number {
+  if (/^\d+$/.test(a) && /^\d+$/.test(b)) {
+    const difference = BigInt(a) - BigInt(b);
+    return difference > BigInt(0) ? 1 : difference < BigInt(0) ? -1 : 0;
+  }
+  return Math.sign(Number(a) - Number(b));
+}
+
+function scalePrice(base: string, ratio: number): string {
+  if (/^\d+$/.test(base)) {
+    return (BigInt(base) * BigInt(Math.round(ratio * RATIO_SCALE)) / BigInt(RATIO_SCALE)).toString();
+  }
+  return String(Number(base) * ratio);
+}
+
+function interpolatePrice(from: string, to: string, fraction: number): string {
+  if (/^\d+$/.test(from) && /^\d+$/.test(to)) {
+    const start = BigInt(from);
+    return (start + (BigInt(to) - start) * BigInt(Math.round(fraction * RATIO_SCALE)) / BigInt(RATIO_SCALE)).toString();
+  }
+  return String(Number(from) + (Number(to) - Number(from)) * fraction);
+}
+
+export function openingPrice(strategy: NegotiationStrategy, budget: string): string {
+  return scalePrice(budget, strategy.openingRatio);
+}
+
+export function limitPrice(strategy: NegotiationStrategy, budget: string): string {
+  return strategy.limitPrice || scalePrice(budget, strategy.limitRatio);
+}
+
+/**
+ * Price a side asks on its move number `move` (0 = opening), `progress` (0-1) through the
+ * negotiation's rounds or time, whichever is further
+ */
+export function priceForMove(strategy: NegotiationStrategy, budget: string, move: number, progress: number): string {
+  const steady = 1 - (1 - strategy.concessionRate) ** Math.max(0, move);
+  const pressure = strategy.deadlineSensitivity * Math.min(1, Math.max(0, progress)) ** 2;
+  const conceded = Math.min(1, steady + (1 - steady) * pressure);
+  return interpolatePrice(openingPrice(strategy, budget), limitPrice(strategy, budget), conceded);
+}
+
+/**
+ * How far through its rounds or its time the negotiation is (0-1) for the move that plays
+ * round record.round + 1: 0 for the first counter, 1 for the last round or at expiry
+ */
+export function negotiationProgress(record: NegotiationRecord, now = Date.now()): number {
+  const byRounds = record.round / Math.max(1, record.maxRounds - 1);
+  const byTime = (now - record.startedAt) / Math.max(1, record.expiresAt - record.startedAt);
+  return Math.min(1, Math.max(byRounds, byTime));
+}
+
+function ownMoves(record: NegotiationRecord): number {
+  return record.transcript.filter((entry) => entry.direction === 'sent'
+    && (entry.message.type === 'NegotiationCounter' || entry.message.type === 'OfferMessage' || entry.message.type === 'Offer')).length;
+}
+
+/**
+ * The record's side answers the other side's price `offered` (received for round record.round)
+ */
+export function decideMove(record: NegotiationRecord, offered: string, now = Date.now()): NegotiationMove {
+  if (now > record.expiresAt) return { action: 'reject', reason: 'negotiation expired' };
+  if (!isPrice(offered)) return { action: 'reject', reason: 'no valid price offered' };
+
+  const better = (a: string, b: string) => record.role === 'worker' ? comparePrices(a, b) >= 0 : comparePrices(a, b) <= 0;
+  const limit = limitPrice(record.strategy, record.budget);
+  const nextRound = record.round + 1;
+  const next = priceForMove(record.strategy, record.budget, ownMoves(record), negotiationProgress(record, now));
+
+  if (better(offered, next)) {
+    return { action: 'accept', price: offered, reason: `${offered} is at least as good as the ${next} this side would ask next` };
+  }
+  if (nextRound > record.maxRounds) {
+    return better(offered, limit)
+      ? { action: 'accept', price: offered, reason: 'last round and within the limit' }
+      : { action: 'reject', reason: `round limit reached, ${offered} is beyond the limit` };
+  }
+  return { action: 'counter', price: next, reason: `round ${nextRound} of ${record.maxRounds}` };
+}
+
+/**
+ * Id of the offer a negotiation agreed on (both sides derive the same one)
+ */
+export function agreedOfferId(record: Pick<NegotiationRecord, 'offerId' | 'negotiationId'>): string {
+  return `${record.offerId}:${record.negotiationId.replace(/^0x/, '').substring(0, 8)}`;
+}
+
+/**
+ * Append a message to the transcript as its sender signed it
+ */
+export function recordMessage(record: NegotiationRecord, direction: 'sent' | 'received', message: any): NegotiationRecord {
+  const entry: TranscriptEntry = {
+    direction,
+    at: Date.now(),
+    message: signedPayload(message),
+    signature: message.signature || null,
+  };
+  return { ...record, transcript: [...record.transcript, entry] };
+}
+
+export function hashTranscript(transcript: TranscriptEntry[]): string {
+  const messages = transcript.map((entry) => ({ message: entry.message, signature: entry.signature }));
+  return '0x' + crypto.createHash('sha256').update(canonicalize(messages)).digest('hex');
+}
+
+function closingClaims(record: NegotiationRecord) {
+  return {
+    negotiationId: record.negotiationId,
+    status: record.status,
+    agreedPrice: record.agreedPrice || null,
+    transcriptHash: record.transcriptHash,
+  };
+}
+
+/**
+ * Close a negotiation: set its outcome, hash the transcript and sign the hash
+ */
+export async function closeNegotiation(
+  record: NegotiationRecord,
+  status: Exclude<NegotiationStatus, 'open'>,
+  details: { reason?: string; agreedPrice?: string; signer?: AgentSigner | null; signerDid?: string } = {}
+): Promise<NegotiationRecord> {
+  const closed: NegotiationRecord = {
+    ...record,
+    status,
+    closedReason: details.reason,
+    ...(status === 'agreed' ? { agreedPrice: details.agreedPrice, agreedOfferId: agreedOfferId(record) } : {}),
+    transcriptHash: hashTranscript(record.transcript),
+  };
+  closed.transcriptSignature = null;
+  if (details.signer) {
+    try {
+      closed.transcriptSignature = await details.signer.sign(closingClaims(closed));
+      closed.signedBy = details.signerDid;
+    } catch (error: any) {
+      console.warn(`[Negotiation] Could not sign transcript of ${record.negotiationId}: ${error.message}`);
+    }
+  }
+  return closed;
+}
+
+/**
+ * Mark an open negotiation expired once expiresAt has passed (returns it unchanged otherwise)
+ */
+export async function expireIfDue(record: NegotiationRecord, signer?: AgentSigner | null, signerDid?: string, now = Date.now()): Promise<NegotiationRecord> {
+  if (record.status !== 'open' || now <= record.expiresAt) return record;
+  return closeNegotiation(record, 'expired', { reason: 'negotiation expired', signer, signerDid });
+}
+
+/**
+ * Check every signed message of a transcript against its sender's DID key, the transcript
+ * hash, and the closing signature (with closingPublicKey, or the signer DID's own key)
+ */
+export function verifyTranscript(record: NegotiationRecord, closingPublicKey?: string | null): TranscriptVerification {
+  let unsigned = 0;
+  const invalid: number[] = [];
+  record.transcript.forEach((entry, index) => {
+    if (!entry.signature) {
+      unsigned++;
+      return;
+    }
+    const key = entry.message.fromDid ? publicKeyFromDid(entry.message.fromDid) : null;
+    if (!key || !verifyJSON(entry.message, entry.signature, key)) invalid.push(index);
+  });
+
+  const transcriptHashMatches = !record.transcriptHash || record.transcriptHash === hashTranscript(record.transcript);
+  const key = closingPublicKey || (record.signedBy ? publicKeyFromDid(record.signedBy) : null);
+  const closingSignatureVerified = record.transcriptSignature && key
+    ? verifyJSON(closingClaims(record), record.transcriptSignature, key)
+    : null;
+
+  return {
+    verified: invalid.length === 0 && transcriptHashMatches && closingSignatureVerified !== false,
+    unsigned,
+    invalid,
+    transcriptHashMatches,
+    closingSignatureVerified,
+  };
+}
+
+export interface NegotiatorOptions {
+  role: NegotiationRole;
+  getRecord: (negotiationId: string) => NegotiationRecord | null;
+  saveRecord: (record: NegotiationRecord) => void;
+  send: (subject: string, message: any) => Promise<any>;
+  createRecord?: (message: any) => NegotiationRecord | null; // First counter of a negotiation this side did not start
+  onClosed?: (record: NegotiationRecord) => void | Promise<void>;
+  signer?: () => AgentSigner | null;
+  did?: () => string | undefined;
+}
+
+/**
+ * Runs one side of the protocol: answers the other side's messages with the record's
+ * strategy, and keeps records and transcripts through the options' callbacks
+ */
+export class Negotiator {
+  readonly role: NegotiationRole;
+  private options: NegotiatorOptions;
+
+  constructor(options: NegotiatorOptions) {
+    this.role = options.role;
+    this.options = options;
+  }
+
+  private get tag(): string {
+    return this.role === 'client' ? '[ClientAgent]' : '[WorkerAgent]';
+  }
+
+  /**
+   * Make the first move of a negotiation this side starts (the record's transcript holds the offer)
+   */
+  async open(record: NegotiationRecord, offered: string): Promise<NegotiationRecord> {
+    this.options.saveRecord(record);
+    return this.respond(record, decideMove(record, offered));
+  }
+
+  /**
+   * Handle a NegotiationCounter / NegotiationAccept / NegotiationReject from the other side.
+   * Returns the updated record, or null when the message is not for this side.
+   */
+  async handle(message: any): Promise<NegotiationRecord | null> {
+    if (!['NegotiationCounter', 'NegotiationAccept', 'NegotiationReject'].includes(message?.type)) return null;
+    if (message.role === this.role) return null; // Our own broadcast coming back
+
+    let record = this.options.getRecord(message.negotiationId);
+    if (!record && message.type === 'NegotiationCounter' && this.options.createRecord) {
+      record = this.options.createRecord(message);
+    }
+    if (!record || record.role !== this.role) return null;
+    if (record.status !== 'open') {
+      console.log(`${this.tag} ⏭️  ${message.type} for ${record.status} negotiation ${record.negotiationId} ignored`);
+      return record;
+    }
+
+    const other = this.role === 'client' ? 'worker' : 'client';
+    record = recordMessage(record, 'received', message);
+
+    if (message.type === 'NegotiationReject') {
+      const closed = await this.close(record, message.reason === 'negotiation expired' ? 'expired' : 'rejected', { reason: `${other} rejected: ${message.reason || 'no reason given'}` });
+      console.log(`${this.tag} 🚫 Negotiation ${record.negotiationId} rejected by the ${other}: ${message.reason || 'no reason given'}`);
+      return closed;
+    }
+
+    if (message.type === 'NegotiationAccept') {
+      const ours = record.lastPrice[this.role];
+      if (!ours || !isPrice(message.price) || comparePrices(message.price, ours) !== 0) {
+        console.warn(`${this.tag} ⚠️  Accept of ${message.price} does not match our last price ${ours} in ${record.negotiationId}`);
+        this.options.saveRecord(record);
+        return record;
+      }
+      console.log(`${this.tag} 🤝 Negotiation ${record.negotiationId} agreed at ${message.price} (accepted by the ${other})`);
+      return this.close(record, 'agreed', { reason: `${other} accepted`, agreedPrice: message.price });
+    }
+
+    if (message.round !== record.round + 1) {
+      console.warn(`${this.tag} ⚠️  Out-of-order counter (round ${message.round}, expected ${record.round + 1}) in ${record.negotiationId}`);
+      this.options.saveRecord(record);
+      return record;
+    }
+    record = {
+      ...record,
+      round: message.round,
+      lastPrice: { ...record.lastPrice, [other]: message.price },
+      eta: message.eta || record.eta,
+    };
+    return this.respond(record, decideMove(record, message.price));
+  }
+
+  /**
+   * Walk away from an open negotiation
+   */
+  async reject(record: NegotiationRecord, reason: string): Promise<NegotiationRecord> {
+    if (record.status !== 'open') return record;
+    return this.respond(record, { action: 'reject', reason });
+  }
+
+  private async respond(record: NegotiationRecord, move: NegotiationMove): Promise<NegotiationRecord> {
+    // The new state is saved before the message goes out - the answer may arrive before send() returns
+    if (move.action === 'counter') {
+      const round = record.round + 1;
+      const { record: sent, message } = await this.prepareMessage(record, 'NegotiationCounter', { round, price: move.price, eta: record.eta });
+      const updated: NegotiationRecord = { ...sent, round, lastPrice: { ...sent.lastPrice, [this.role]: move.price } };
+      this.options.saveRecord(updated);
+      console.log(`${this.tag} ↔️  Countered ${move.price} in ${record.negotiationId} (${move.reason})`);
+      await this.deliver(message);
+      return this.options.getRecord(record.negotiationId) || updated;
+    }
+
+    if (move.action === 'accept') {
+      const { record: sent, message } = await this.prepareMessage(record, 'NegotiationAccept', { round: record.round, price: move.price, agreedOfferId: agreedOfferId(record) });
+      console.log(`${this.tag} 🤝 Negotiation ${record.negotiationId} agreed at ${move.price} (${move.reason})`);
+      const closed = await this.close(sent, 'agreed', { reason: move.reason, agreedPrice: move.price });
+      await this.deliver(message);
+      return closed;
+    }
+
+    const { record: sent, message } = await this.prepareMessage(record, 'NegotiationReject', { round: record.round, reason: move.reason });
+    console.log(`${this.tag} 🚫 Rejected negotiation ${record.negotiationId}: ${move.reason}`);
+    const closed = await this.close(sent, move.reason === 'negotiation expired' ? 'expired' : 'rejected', { reason: move.reason });
+    await this.deliver(message);
+    return closed;
+  }
+
+  /**
+   * Build and sign a message and add it to the transcript (not sent yet)
+   */
+  private async prepareMessage(record: NegotiationRecord, type: NegotiationMessageType, fields: Record<string, any>): Promise<{ record: NegotiationRecord; message: any }> {
+    const message: any = {
+      type,
+      negotiationId: record.negotiationId,
+      jobId: record.jobId,
+      offerId: record.offerId,
+      role: this.role,
+      maxRounds: record.maxRounds,
+      expiresAt: record.expiresAt,
+      ...fields,
+      fromDid: this.options.did?.(),
+      timestamp: Date.now(),
+      to: record.counterparty.accountId,
+    };
+    // Sign what the other side will receive: JSON drops undefined fields on the way
+    for (const key of Object.keys(message)) {
+      if (message[key] === undefined) delete message[key];
+    }
+    try {
+      const signer = this.options.signer?.();
+      if (signer) {
+        message.signature = await signer.sign(message);
+      }
+    } catch (signError: any) {
+      console.warn(`${this.tag} Could not sign ${type}:`, signError.message);
+    }
+    return { record: recordMessage(record, 'sent', message), message };
+  }
+
+  private async deliver(message: any): Promise<void> {
+    try {
+      await this.options.send(NEGOTIATION_SUBJECT, message);
+    } catch (error: any) {
+      console.error(`${this.tag} Could not send ${message.type} for ${message.negotiationId}:`, error.message);
+    }
+  }
+
+  private async close(record: NegotiationRecord, status: Exclude<NegotiationStatus, 'open'>, details: { reason?: string; agreedPrice?: string }): Promise<NegotiationRecord> {
+    const closed = await closeNegotiation(record, status, { ...details, signer: this.options.signer?.(), signerDid: this.options.did?.() });
+    this.options.saveRecord(closed);
+    await this.options.onClosed?.(closed);
+    return closed;
+  }
+}
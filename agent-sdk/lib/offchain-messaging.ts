@@ -2,21 +2,36 @@
  * Off-Chain Messaging with HCS Anchoring (using NATS)
  * 
  * Agents exchange data off-chain (NATS) but post hash/timestamp/signature on HCS for verification.
+ * Payloads are encrypted per recipient: an ephemeral secp256k1 key is agreed (ECDH) with the
+ * recipient's published Hedera account key, and the derived key seals the payload with AES-256-GCM.
+ * The same envelope carries payloads for ed25519 keys (e.g. a DID's signing key, see
+ * encryptPayloadForEd25519), with the key agreement done in X25519 on the converted key.
+ * With anchor batching configured, hashes are anchored as Merkle roots (see anchor-batcher.ts)
+ * and each NATS message carries its inclusion proof.
  */
 
 import 'dotenv/config';
 import * as crypto from 'crypto';
-import { connect, StringCodec, NatsConnection, Subscription } from 'nats';
+import { connect, createInbox, StringCodec, NatsConnection, Subscription, Msg } from 'nats';
 import axios from 'axios';
-import { Client, PrivateKey, AccountId, TopicMessageSubmitTransaction, TopicId } from '@hashgraph/sdk';
+import { PrivateKey, PublicKey } from '@hashgraph/sdk';
+import { x25519, edwardsToMontgomeryPub, edwardsToMontgomeryPriv } from '@noble/curves/ed25519';
+import { getMirrorNodeUrl } from './mirror-subscription';
+import { submitTopicMessage, isSimulated, publishAccountKey } from './consensus';
+import { AnchorBatcher, AnchorProof, merkleLeaf, verifyMerkleProof } from './anchor-batcher';
 
 // NATS connection
 let nc: NatsConnection | null = null;
 const sc = StringCodec();
 const messageStore = new Map<string, any>(); // Store messages temporarily: messageId -> message
-const messageVerificationCache = new Map<string, boolean>(); // Cache verified messages: hash -> true
+const messageVerificationCache = new Map<string, boolean>(); // Cache verified messages: hash (or sender:hash for batched anchors) -> true
+const deliveredMessageIds = new Set<string>(); // Recently delivered message IDs (dedupes replay vs live)
+const MAX_DELIVERED_IDS = 1000;
 let agentAccountId: string | null = null; // Current agent's account ID
+let agentPrivateKey: string | null = null; // Current agent's Hedera key (used to decrypt payloads)
+const recipientKeyCache = new Map<string, string>(); // accountId -> raw compressed secp256k1 public key (hex)
 let messageHandler: ((messageId: string, fromAccountId: string) => Promise<void>) | null = null; // Handler for incoming messages
+let anchorBatcher: AnchorBatcher | null = null; // Batches outgoing anchors into Merkle roots (when configured)
 
 /**
  * Check if a message exists in the store
@@ -31,9 +46,25 @@ interface StoredMessage {
   timestamp: number;
   signature: string;
   fromAccountId: string;
+  anchor: AnchorProof | null; // Merkle inclusion proof for batched anchors
   receivedAt: number;
 }
 
+// Versioned encryption envelope (serialized as the message's encryptedPayload)
+export const ENVELOPE_VERSION = 2;
+export const ENVELOPE_ALG = 'ECDH-ES+secp256k1/HKDF-SHA256/A256GCM';
+export const ENVELOPE_ALG_X25519 = 'ECDH-ES+X25519/HKDF-SHA256/A256GCM';
+
+export interface EncryptedEnvelope {
+  v: number;
+  alg: string;
+  kid: string; // Key ID of the recipient public key the payload was encrypted for
+  epk: string; // Ephemeral sender public key (compressed secp256k1 or X25519, hex)
+  iv: string; // 96-bit GCM nonce (base64)
+  tag: string; // GCM auth tag (base64)
+  ct: string; // Ciphertext (base64)
+}
+
 interface VerifiedMessage {
   message: any;
   hash: string;
@@ -46,7 +77,10 @@ interface VerifiedMessage {
 /**
  * Initialize NATS connection for off-chain messaging
  */
-export async function initMessageServer(accountId: string): Promise<void> {
+export async function initMessageServer(accountId: string, privateKey?: string | null): Promise<void> {
+  if (privateKey) {
+    agentPrivateKey = privateKey;
+  }
   if (nc && !nc.isClosed()) {
     agentAccountId = accountId;
     return;
@@ -63,6 +97,15 @@ export async function initMessageServer(accountId: string): Promise<void> {
       reconnectTimeWait: 2000
     });
     agentAccountId = accountId;
+
+    // Offline mode: make our encryption key discoverable through the simulator
+    if (isSimulated() && agentPrivateKey) {
+      try {
+        await publishAccountKey(accountId, PrivateKey.fromStringECDSA(agentPrivateKey).publicKey.toStringRaw());
+      } catch (error: any) {
+        console.warn(`[OffChain] Could not publish account key to simulator: ${error.message}`);
+      }
+    }
     
     // Subscribe to our agent's off-chain message topic
     const subscriptionTopic = `offchain.${accountId}`;
@@ -74,53 +117,16 @@ export async function initMessageServer(accountId: string): Promise<void> {
     // Process incoming messages
     (async () => {
       for await (const msg of sub) {
-        try {
-          const data = JSON.parse(sc.decode(msg.data));
-          const { messageId, encryptedPayload, hash, timestamp, signature, fromAccountId } = data;
-          
-          if (!messageId || !encryptedPayload || !hash || !timestamp || !signature) {
-            console.error('[OffChain/NATS] Invalid message format');
-            continue;
-          }
-          
-          // Verify hash matches payload
-          const payloadHash = crypto.createHash('sha256').update(encryptedPayload).digest('hex');
-          if (payloadHash !== hash) {
-            console.error('[OffChain/NATS] Hash mismatch for message:', messageId);
-            continue;
-          }
-          
-          // Store message temporarily
-          messageStore.set(messageId, {
-            encryptedPayload,
-            hash,
-            timestamp,
-            signature,
-            fromAccountId,
-            receivedAt: Date.now()
-          } as StoredMessage);
-          
-          console.log(`[OffChain/NATS] ✅ Stored message ${messageId} in messageStore`);
-          
-          // If handler is set, call it (async)
-          if (messageHandler) {
-            console.log(`[OffChain/NATS] 🔔 Calling message handler for ${messageId}`);
-            // Call handler asynchronously (don't block message processing)
-            messageHandler(messageId, fromAccountId).catch(error => {
-              console.error(`[OffChain/NATS] ❌ Error in message handler:`, error);
-              console.error(`[OffChain/NATS] Error stack:`, (error as Error).stack);
-            });
-          } else {
-            console.log(`[OffChain/NATS] ⚠️  No message handler set - message will be processed when HCS anchor is detected`);
-          }
-        } catch (error: any) {
-          console.error('[OffChain/NATS] Error processing message:', error.message);
-          console.error('[OffChain/NATS] Error stack:', error.stack);
-        }
+        handleIncomingMessage(msg);
       }
     })().catch(err => {
       console.error('[OffChain/NATS] Subscription error:', err);
     });
+
+    // Catch up on messages sent while we were offline (dev NATS server stream mode)
+    if (process.env.NATS_REPLAY !== 'false') {
+      await replayMissedMessages(subscriptionTopic);
+    }
     
   } catch (error: any) {
     console.error('[OffChain/NATS] Failed to connect:', error.message);
@@ -128,6 +134,126 @@ export async function initMessageServer(accountId: string): Promise<void> {
   }
 }
 
+/**
+ * Durable consumer name for this agent's replay cursor on the dev NATS server
+ */
+function replayConsumerName(accountId: string): string {
+  return `offchain-${accountId.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+}
+
+/**
+ * Validate and store one off-chain message from NATS, then acknowledge it on the stream
+ */
+function handleIncomingMessage(msg: Msg): void {
+  try {
+    const data = JSON.parse(sc.decode(msg.data));
+    const { messageId, encryptedPayload, hash, timestamp, signature, fromAccountId, anchor } = data;
+    
+    if (!messageId || !encryptedPayload || !hash || !timestamp || !signature) {
+      console.error('[OffChain/NATS] Invalid message format');
+      return;
+    }
+
+    // A replayed message may also have arrived live
+    if (deliveredMessageIds.has(messageId)) {
+      ackStreamMessage(msg);
+      return;
+    }
+    
+    // Verify hash matches payload
+    const payloadHash = crypto.createHash('sha256').update(encryptedPayload).digest('hex');
+    if (payloadHash !== hash) {
+      console.error('[OffChain/NATS] Hash mismatch for message:', messageId);
+      return;
+    }
+    
+    // Store message temporarily
+    messageStore.set(messageId, {
+      encryptedPayload,
+      hash,
+      timestamp,
+      signature,
+      fromAccountId,
+      anchor: anchor || null,
+      receivedAt: Date.now()
+    } as StoredMessage);
+    deliveredMessageIds.add(messageId);
+    if (deliveredMessageIds.size > MAX_DELIVERED_IDS) {
+      deliveredMessageIds.delete(deliveredMessageIds.values().next().value);
+    }
+    ackStreamMessage(msg);
+    
+    console.log(`[OffChain/NATS] ✅ Stored message ${messageId} in messageStore`);
+    
+    // If handler is set, call it (async)
+    if (messageHandler) {
+      console.log(`[OffChain/NATS] 🔔 Calling message handler for ${messageId}`);
+      // Call handler asynchronously (don't block message processing)
+      messageHandler(messageId, fromAccountId).catch(error => {
+        console.error(`[OffChain/NATS] ❌ Error in message handler:`, error);
+        console.error(`[OffChain/NATS] Error stack:`, (error as Error).stack);
+      });
+    } else {
+      console.log(`[OffChain/NATS] ⚠️  No message handler set - message will be processed when HCS anchor is detected`);
+    }
+  } catch (error: any) {
+    console.error('[OffChain/NATS] Error processing message:', error.message);
+    console.error('[OffChain/NATS] Error stack:', error.stack);
+  }
+}
+
+/**
+ * Advance our durable cursor past a stored message. Replayed messages carry the ack
+ * subject as their reply; live ones only carry a Nats-Stream-Seq header.
+ */
+function ackStreamMessage(msg: Msg): void {
+  if (!nc || !agentAccountId) return;
+  if (msg.reply && msg.reply.startsWith('$STREAM.ACK.')) {
+    msg.respond();
+    return;
+  }
+  const seq = msg.headers?.get('Nats-Stream-Seq');
+  if (seq) {
+    nc.publish(`$STREAM.ACK.${replayConsumerName(agentAccountId)}.${seq}`);
+  }
+}
+
+/**
+ * Ask the dev NATS server to re-deliver messages stored since our last ack.
+ * Servers without stream mode (or real NATS without the $STREAM subjects) are skipped quietly.
+ */
+async function replayMissedMessages(subscriptionTopic: string): Promise<void> {
+  if (!nc || !agentAccountId) return;
+  const inbox = createInbox();
+  const replaySub = nc.subscribe(inbox);
+  (async () => {
+    for await (const msg of replaySub) {
+      handleIncomingMessage(msg);
+    }
+  })().catch(err => {
+    console.error('[OffChain/NATS] Replay subscription error:', err);
+  });
+
+  try {
+    const reply = await nc.request('$STREAM.REPLAY', sc.encode(JSON.stringify({
+      filter: subscriptionTopic,
+      durable: replayConsumerName(agentAccountId),
+      deliverTo: inbox,
+    })), { timeout: 2000 });
+    const summary = JSON.parse(sc.decode(reply.data));
+    if (summary.error) {
+      console.log(`[OffChain/NATS] Replay unavailable: ${summary.error}`);
+    } else if (summary.delivered > 0) {
+      console.log(`[OffChain/NATS] 🔁 Replayed ${summary.delivered} message(s) received while offline`);
+    }
+  } catch (error: any) {
+    console.log(`[OffChain/NATS] Replay unavailable: ${error.message}`);
+  } finally {
+    // Replayed messages are written before the summary reply, so they have already arrived
+    replaySub.drain().catch(() => {});
+  }
+}
+
 /**
  * Set handler for incoming messages
  */
@@ -136,20 +262,174 @@ export function setMessageHandler(handler: (messageId: string, fromAccountId: st
 }
 
 /**
- * Encrypt message payload
+ * Normalize a secp256k1 public key (raw or DER hex) to raw compressed hex
+ */
+function normalizePublicKey(publicKey: string): string {
+  return PublicKey.fromStringECDSA(publicKey).toStringRaw();
+}
+
+/**
+ * Key ID for a public key: first 16 hex chars of sha256(raw compressed key)
+ */
+export function getKeyId(publicKey: string): string {
+  const raw = Buffer.from(normalizePublicKey(publicKey), 'hex');
+  return crypto.createHash('sha256').update(raw).digest('hex').substring(0, 16);
+}
+
+/**
+ * Register a recipient's encryption public key (skips the mirror node lookup)
+ */
+export function registerRecipientKey(accountId: string, publicKey: string): void {
+  recipientKeyCache.set(accountId, normalizePublicKey(publicKey));
+}
+
+/**
+ * Resolve an account's published public key (the ECDSA key on its Hedera account).
+ * Used to encrypt for recipients and to check the batch roots senders sign.
+ */
+export async function getRecipientPublicKey(accountId: string): Promise<string> {
+  const cached = recipientKeyCache.get(accountId);
+  if (cached) return cached;
+
+  const response = await axios.get(`${getMirrorNodeUrl()}/api/v1/accounts/${accountId}`, { timeout: 10000 });
+  const key = response.data?.key;
+  if (!key || !key.key) {
+    throw new Error(`No public key published for account ${accountId}`);
+  }
+  if (key._type !== 'ECDSA_SECP256K1') {
+    throw new Error(`Account ${accountId} has a ${key._type} key; off-chain encryption requires ECDSA_SECP256K1`);
+  }
+
+  const publicKey = normalizePublicKey(key.key);
+  recipientKeyCache.set(accountId, publicKey);
+  return publicKey;
+}
+
+/**
+ * Derive the AES-256 content key from an ECDH shared secret
+ */
+function deriveContentKey(sharedSecret: Buffer, ephemeralPublicKey: Buffer): Buffer {
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, ephemeralPublicKey, `aexowork-offchain-v${ENVELOPE_VERSION}`, 32));
+}
+
+/**
+ * Seal a payload with the content key of an ECDH shared secret (AES-256-GCM)
+ */
+function sealEnvelope(payload: string, alg: string, kid: string, epk: Buffer, sharedSecret: Buffer, aad: string): string {
+  const contentKey = deriveContentKey(sharedSecret, epk);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+
+  const envelope: EncryptedEnvelope = {
+    v: ENVELOPE_VERSION,
+    alg,
+    kid,
+    epk: epk.toString('hex'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ct: ct.toString('base64'),
+  };
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Open a sealed envelope for the key `kid`, agreeing the shared secret with `agree(epk)`
+ */
+function openEnvelope(encryptedPayload: string, alg: string, kid: string, agree: (epk: Buffer) => Buffer, aad: string): string {
+  let envelope: EncryptedEnvelope;
+  try {
+    envelope = JSON.parse(encryptedPayload);
+  } catch (error) {
+    throw new Error('Malformed encryption envelope');
+  }
+  if (envelope.v !== ENVELOPE_VERSION || envelope.alg !== alg) {
+    throw new Error(`Unsupported envelope version/algorithm: v${envelope.v} ${envelope.alg}`);
+  }
+  if (envelope.kid !== kid) {
+    throw new Error(`Payload was encrypted for key ${envelope.kid}, not this agent's key`);
+  }
+
+  const epk = Buffer.from(envelope.epk, 'hex');
+  const contentKey = deriveContentKey(agree(epk), epk);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  // final() throws if the ciphertext, nonce or AAD were tampered with
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.ct, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Encrypt message payload for a recipient (ECIES: ephemeral ECDH + AES-256-GCM)
+ * @param payload - Plaintext to encrypt
+ * @param recipientPublicKey - Recipient's secp256k1 public key (raw or DER hex)
+ * @param aad - Additional authenticated data bound to the ciphertext (e.g. sender/recipient IDs)
+ */
+export function encryptPayload(payload: string, recipientPublicKey: string, aad: string = ''): string {
+  const recipientKey = Buffer.from(normalizePublicKey(recipientPublicKey), 'hex');
+
+  const ephemeral = crypto.createECDH('secp256k1');
+  ephemeral.generateKeys();
+  const epk = ephemeral.getPublicKey(null, 'compressed');
+  return sealEnvelope(payload, ENVELOPE_ALG, getKeyId(recipientKey.toString('hex')), epk, ephemeral.computeSecret(recipientKey), aad);
+}
+
+/**
+ * Decrypt message payload with the recipient's Hedera ECDSA private key
+ * @param encryptedPayload - Serialized EncryptedEnvelope
+ * @param privateKey - Recipient's private key (raw or DER hex)
+ * @param aad - Must match the AAD used when encrypting
+ */
+export function decryptPayload(encryptedPayload: string, privateKey: string, aad: string = ''): string {
+  const key = PrivateKey.fromStringECDSA(privateKey);
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(Buffer.from(key.toStringRaw(), 'hex'));
+  return openEnvelope(encryptedPayload, ENVELOPE_ALG, getKeyId(key.publicKey.toStringRaw()), (epk) => ecdh.computeSecret(epk), aad);
+}
+
+/**
+ * Key ID for an ed25519 public key (base64): first 16 hex chars of sha256(raw key)
+ */
+function getEd25519KeyId(publicKeyBase64: string): string {
+  const raw = Buffer.from(publicKeyBase64, 'base64');
+  if (raw.length !== 32) throw new Error('Not an ed25519 public key (expected 32 bytes)');
+  return crypto.createHash('sha256').update(raw).digest('hex').substring(0, 16);
+}
+
+/**
+ * Encrypt a payload for the holder of an ed25519 key, such as a DID's signing key. Same
+ * envelope as encryptPayload; the recipient key is mapped to X25519 for the key agreement.
+ * @param recipientPublicKeyBase64 - Recipient's ed25519 public key (base64)
+ */
+export function encryptPayloadForEd25519(payload: string, recipientPublicKeyBase64: string, aad: string = ''): string {
+  const kid = getEd25519KeyId(recipientPublicKeyBase64);
+  const recipientKey = edwardsToMontgomeryPub(Buffer.from(recipientPublicKeyBase64, 'base64'));
+  const ephemeral = x25519.utils.randomPrivateKey();
+  const epk = Buffer.from(x25519.getPublicKey(ephemeral));
+  return sealEnvelope(payload, ENVELOPE_ALG_X25519, kid, epk, Buffer.from(x25519.getSharedSecret(ephemeral, recipientKey)), aad);
+}
+
+/**
+ * Decrypt an encryptPayloadForEd25519 envelope
+ * @param privateKeyBase64 - Recipient's ed25519 secret key (base64, 64-byte nacl format)
  */
-export function encryptPayload(payload: string): string {
-  // For now, use simple base64 encoding
-  // In production, use proper encryption (AES-256-GCM)
-  return Buffer.from(payload).toString('base64');
+export function decryptPayloadWithEd25519(encryptedPayload: string, privateKeyBase64: string, aad: string = ''): string {
+  const secretKey = Buffer.from(privateKeyBase64, 'base64');
+  if (secretKey.length !== 64) throw new Error('Not an ed25519 secret key (expected 64 bytes)');
+  const privateKey = edwardsToMontgomeryPriv(secretKey.subarray(0, 32));
+  const kid = getEd25519KeyId(secretKey.subarray(32).toString('base64'));
+  return openEnvelope(encryptedPayload, ENVELOPE_ALG_X25519, kid, (epk) => Buffer.from(x25519.getSharedSecret(privateKey, epk)), aad);
 }
 
 /**
- * Decrypt message payload
+ * AAD binding a payload to its sender and recipient
  */
-export function decryptPayload(encryptedPayload: string): string {
-  // For now, simple base64 decode
-  return Buffer.from(encryptedPayload, 'base64').toString('utf8');
+function envelopeAAD(fromAccountId: string, toAccountId: string): string {
+  return `${fromAccountId}->${toAccountId}`;
 }
 
 /**
@@ -159,7 +439,7 @@ export function signMessage(data: string, privateKey: string): string {
   try {
     const key = PrivateKey.fromStringECDSA(privateKey);
     const signature = key.sign(Buffer.from(data));
-    return signature.toString('hex');
+    return Buffer.from(signature).toString('hex');
   } catch (error) {
     // Fallback to simple hash if signing fails
     return crypto.createHash('sha256').update(data + privateKey).digest('hex');
@@ -167,18 +447,46 @@ export function signMessage(data: string, privateKey: string): string {
 }
 
 /**
- * Verify signature
+ * Verify a signMessage() signature against a secp256k1 public key (raw or DER hex)
  */
 export function verifySignature(data: string, signature: string, publicKey: string): boolean {
   try {
-    // TODO: Implement proper signature verification
-    // For now, return true (assume valid)
-    return true;
+    if (typeof signature !== 'string' || !/^[0-9a-f]+$/i.test(signature)) return false;
+    return PublicKey.fromStringECDSA(publicKey).verify(Buffer.from(data), Buffer.from(signature, 'hex'));
   } catch (error) {
     return false;
   }
 }
 
+/**
+ * Anchor outgoing messages in Merkle batches posted to topicId instead of one
+ * HCS message per recipient. ANCHOR_BATCH_WINDOW_MS=0 keeps per-message anchors.
+ */
+export function configureAnchorBatching(topicId: string | null, fromAccountId: string | null = agentAccountId): AnchorBatcher | null {
+  if (anchorBatcher) {
+    anchorBatcher.close().catch(() => {});
+    anchorBatcher = null;
+  }
+  if (!topicId || process.env.ANCHOR_BATCH_WINDOW_MS === '0') {
+    return null;
+  }
+
+  anchorBatcher = new AnchorBatcher({
+    topicId,
+    fromAccountId,
+    sign: (data) => {
+      if (!agentPrivateKey) throw new Error('Agent private key not set');
+      return signMessage(data, agentPrivateKey);
+    },
+  });
+  console.log(`[OffChain] ⚓ Anchor batching enabled: roots posted to ${topicId} every ${anchorBatcher.windowMs}ms (max ${anchorBatcher.maxBatchSize} per batch)`);
+  return anchorBatcher;
+}
+
+export function getAnchorBatcher(): AnchorBatcher | null {
+  return anchorBatcher;
+}
+
 /**
  * Post HCS anchor (hash, timestamp, signature)
  */
@@ -191,21 +499,6 @@ export async function postHCSAnchor(
   fromAccountId: string,
   toAccountId: string | null = null
 ): Promise<string> {
-  const network = process.env.HEDERA_NETWORK || 'testnet';
-  const client = network === 'mainnet' ? Client.forMainnet() : Client.forTestnet();
-  
-  const mainAccountId = process.env.HEDERA_ACCOUNT_ID;
-  const mainPrivateKey = process.env.HEDERA_PRIVATE_KEY;
-  
-  if (!mainAccountId || !mainPrivateKey) {
-    throw new Error('HEDERA_ACCOUNT_ID and HEDERA_PRIVATE_KEY must be set');
-  }
-
-  client.setOperator(
-    AccountId.fromString(mainAccountId),
-    PrivateKey.fromStringECDSA(mainPrivateKey)
-  );
-
   const anchor = {
     type: 'message_anchor',
     messageId,
@@ -218,36 +511,37 @@ export async function postHCSAnchor(
   };
 
   const anchorJson = JSON.stringify(anchor);
-  
-  const tx = new TopicMessageSubmitTransaction()
-    .setTopicId(TopicId.fromString(topicId))
-    .setMessage(anchorJson);
-  
-  const txResponse = await tx.execute(client);
-  const receipt = await txResponse.getReceipt(client);
-  
-  return txResponse.transactionId.toString();
+
+  // Paid by HEDERA_ACCOUNT_ID (or ordered by the local simulator)
+  const result = await submitTopicMessage(topicId, anchorJson);
+
+  return result.transactionId;
 }
 
 /**
- * Verify HCS anchor exists
+ * Verify HCS anchor exists. With a Merkle proof, the proof is checked against its root
+ * and the root is looked up as an anchor_batch on proof.topicId, which must be signed by
+ * fromAccountId's key (and sit on ANCHOR_TOPIC_ID when that is set).
  */
 export async function verifyHCSAnchor(
   topicId: string,
   hash: string,
   timestamp: number,
-  toleranceMs: number = 300000
+  toleranceMs: number = 300000,
+  proof?: AnchorProof | null,
+  fromAccountId?: string | null
 ): Promise<boolean> {
+  if (proof) {
+    return verifyBatchedAnchor(hash, timestamp, proof, toleranceMs, fromAccountId);
+  }
+
   // Check cache first
   if (messageVerificationCache.has(hash)) {
     return true;
   }
 
   try {
-    const network = process.env.HEDERA_NETWORK || 'testnet';
-    const mirrorNodeUrl = network === 'mainnet'
-      ? 'https://mainnet-public.mirrornode.hedera.com'
-      : 'https://testnet.mirrornode.hedera.com';
+    const mirrorNodeUrl = getMirrorNodeUrl();
 
     // Query mirror node for recent messages (last 100)
     const response = await axios.get(`${mirrorNodeUrl}/api/v1/topics/${topicId}/messages`, {
@@ -288,6 +582,81 @@ export async function verifyHCSAnchor(
   }
 }
 
+/**
+ * Check a Merkle inclusion proof and find its root on HCS, signed by the claimed sender.
+ * Anyone can post a root to a topic, so the root alone does not vouch for the message.
+ */
+async function verifyBatchedAnchor(hash: string, timestamp: number, proof: AnchorProof, toleranceMs: number, fromAccountId?: string | null): Promise<boolean> {
+  if (!proof.root || !proof.topicId || !Array.isArray(proof.path)) {
+    return false;
+  }
+  if (!fromAccountId) {
+    console.error(`[OffChain] ❌ Batched anchor for hash ${hash.substring(0, 16)}... has no sender to check the root signature against`);
+    return false;
+  }
+  if (process.env.ANCHOR_TOPIC_ID && proof.topicId !== process.env.ANCHOR_TOPIC_ID) {
+    console.error(`[OffChain] ❌ Batched anchor on ${proof.topicId}, expected ANCHOR_TOPIC_ID ${process.env.ANCHOR_TOPIC_ID}`);
+    return false;
+  }
+  if (!verifyMerkleProof(merkleLeaf(hash, timestamp), proof.path, proof.root)) {
+    console.error(`[OffChain] ❌ Merkle proof does not lead to root ${proof.root.substring(0, 16)}... for hash ${hash.substring(0, 16)}...`);
+    return false;
+  }
+
+  // Cached per sender: a root verified for one account says nothing about another
+  const cacheKey = `${fromAccountId}:${hash}`;
+  if (messageVerificationCache.has(cacheKey)) {
+    return true;
+  }
+
+  try {
+    const senderPublicKey = await getRecipientPublicKey(fromAccountId);
+    const mirrorNodeUrl = getMirrorNodeUrl();
+
+    const matchesRoot = (content: string): boolean => {
+      try {
+        const batch = JSON.parse(content);
+        return batch.type === 'anchor_batch' &&
+          batch.root === proof.root &&
+          Math.abs(batch.timestamp - timestamp) < toleranceMs &&
+          batch.fromAccountId === fromAccountId &&
+          verifySignature(batch.root + batch.timestamp, batch.signature, senderPublicKey);
+      } catch (e) {
+        return false;
+      }
+    };
+    let found = false;
+
+    // Direct lookup when the batch sequence number is known
+    if (proof.sequenceNumber) {
+      try {
+        const response = await axios.get(`${mirrorNodeUrl}/api/v1/topics/${proof.topicId}/messages/${proof.sequenceNumber}`, { timeout: 10000 });
+        found = matchesRoot(Buffer.from(response.data.message, 'base64').toString('utf8'));
+      } catch (e) {
+        // Not indexed yet - fall back to scanning recent messages
+      }
+    }
+
+    if (!found) {
+      const response = await axios.get(`${mirrorNodeUrl}/api/v1/topics/${proof.topicId}/messages`, {
+        params: { limit: 100, order: 'desc' },
+        timeout: 10000
+      });
+      found = (response.data.messages || []).some((msg: any) => matchesRoot(Buffer.from(msg.message, 'base64').toString('utf8')));
+    }
+
+    if (found) {
+      messageVerificationCache.set(cacheKey, true);
+    }
+    return found;
+  } catch (error: any) {
+    if (!error.message.includes('429') && !error.message.includes('timeout')) {
+      console.error('[OffChain] Error verifying batched HCS anchor:', error.message);
+    }
+    return false;
+  }
+}
+
 /**
  * Send message off-chain via NATS with HCS anchoring
  */
@@ -306,8 +675,9 @@ export async function sendOffChainMessage(
   const messageJson = JSON.stringify(message);
   const timestamp = Date.now();
   
-  // Encrypt payload
-  const encryptedPayload = encryptPayload(messageJson);
+  // Encrypt payload for the recipient's published key
+  const recipientPublicKey = await getRecipientPublicKey(toAccountId);
+  const encryptedPayload = encryptPayload(messageJson, recipientPublicKey, envelopeAAD(fromAccountId, toAccountId));
   
   // Calculate hash
   const hash = crypto.createHash('sha256').update(encryptedPayload).digest('hex');
@@ -317,7 +687,7 @@ export async function sendOffChainMessage(
   
   // Publish to NATS topic: offchain.{toAccountId}
   const natsTopic = `offchain.${toAccountId}`;
-  const natsMessage = {
+  const natsMessage: any = {
     messageId,
     encryptedPayload,
     hash,
@@ -327,6 +697,23 @@ export async function sendOffChainMessage(
   };
   
   try {
+    if (anchorBatcher) {
+      // Wait for the batch root to be anchored, then ship the proof with the message
+      try {
+        const proof = await anchorBatcher.add({ hash, timestamp, messageId });
+        natsMessage.anchor = proof;
+        nc.publish(natsTopic, sc.encode(JSON.stringify(natsMessage)));
+        return {
+          success: true,
+          messageId,
+          anchorTxId: proof.transactionId,
+          hash
+        };
+      } catch (error: any) {
+        console.warn(`[OffChain] ⚠️  Batch anchor failed on ${anchorBatcher.topicId} (${error.message}) - anchoring ${messageId} individually`);
+      }
+    }
+
     // Send off-chain message via NATS
     nc.publish(natsTopic, sc.encode(JSON.stringify(natsMessage)));
     
@@ -377,7 +764,7 @@ export async function receiveAndVerifyMessage(
     throw new Error(`Message ${messageId} not found in store (may be from another agent or not received via NATS yet)`);
   }
 
-  const { encryptedPayload, hash, timestamp, signature, fromAccountId } = stored;
+  const { encryptedPayload, hash, timestamp, signature, fromAccountId, anchor } = stored;
 
   // Verify hash matches payload
   const payloadHash = crypto.createHash('sha256').update(encryptedPayload).digest('hex');
@@ -392,7 +779,7 @@ export async function receiveAndVerifyMessage(
   const retryDelays = [2000, 3000, 5000, 5000, 5000]; // 2s, 3s, 5s, 5s, 5s
   
   for (let i = 0; i < maxRetries; i++) {
-    anchorVerified = await verifyHCSAnchor(anchorTopicId, hash, timestamp);
+    anchorVerified = await verifyHCSAnchor(anchor ? anchor.topicId : anchorTopicId, hash, timestamp, undefined, anchor, fromAccountId);
     if (anchorVerified) {
       console.log(`[OffChain] ✅ HCS anchor verified for message ${messageId} (attempt ${i + 1})`);
       break;
@@ -408,8 +795,11 @@ export async function receiveAndVerifyMessage(
     throw new Error(`HCS anchor verification failed - anchor not found on-chain after ${maxRetries} attempts`);
   }
 
-  // Decrypt payload
-  const decrypted = decryptPayload(encryptedPayload);
+  // Decrypt payload with our own key
+  if (!agentPrivateKey || !agentAccountId) {
+    throw new Error('Agent private key not set - call initMessageServer(accountId, privateKey)');
+  }
+  const decrypted = decryptPayload(encryptedPayload, agentPrivateKey, envelopeAAD(fromAccountId, agentAccountId));
   const message = JSON.parse(decrypted);
 
   // Remove from store after successful verification
@@ -426,7 +816,7 @@ export async function receiveAndVerifyMessage(
 }
 
 // Cleanup old messages (older than 1 hour)
-setInterval(() => {
+const cleanupInterval = setInterval(() => {
   const oneHourAgo = Date.now() - 60 * 60 * 1000;
   for (const [messageId, message] of messageStore.entries()) {
     if ((message as StoredMessage).receivedAt < oneHourAgo) {
@@ -434,4 +824,5 @@ setInterval(() => {
     }
   }
 }, 5 * 60 * 1000); // Run every 5 minutes
+cleanupInterval.unref();
 
@@ -0,0 +1,421 @@
+/**
+ * Offer Selection
+ *
+ * Scores the offers a ClientAgent received for a job and decides when one can be accepted
+ * without a human. Each offer gets a 0-1 score per factor, combined with the policy weights
+ * into a 0-100 total:
+ *   - price       price as a share of the job's budgetHBAR (half the budget or less = 1,
+ *                 the full budget = 0.5); above budget * maxPriceRatio disqualifies
+ *   - eta         how much of the time left before the job deadline (or etaHorizonHours
+ *                 without one) the offer leaves unused; finishing after the deadline disqualifies
+ *   - sla         quality guarantee and free revisions promised in the offer's sla
+ *   - reputation  the worker's live score from ReputeAgent (0-100), falling back to the
+ *                 self-reported reputationScore of the offer when ReputeAgent is unreachable
+ *   - stake       REPUTE the worker has staked, relative to stakeTarget
+ * The auto-accept policy accepts the best qualifying offer once autoAccept.afterMinutes have
+ * passed since the job was posted or autoAccept.minOffers offers have arrived, whichever is
+ * first (0 turns that trigger off). A job with a preferredWorker (a recurring job whose last run
+ * they did, see lib/job-schedules.ts) accepts that worker's offer as soon as it qualifies, even
+ * with auto-accept off - provided the offer is for their address and signed with their DID's key.
+ *
+ * Defaults come from the environment (CLIENT_AUTO_ACCEPT, CLIENT_AUTO_ACCEPT_AFTER_MINUTES,
+ * CLIENT_AUTO_ACCEPT_MIN_OFFERS, CLIENT_AUTO_ACCEPT_MIN_SCORE, CLIENT_OFFER_WEIGHTS,
+ * CLIENT_MAX_PRICE_RATIO). The client-agent-basic template's autoAcceptOffers /
+ * autoAcceptAfterMinutes / autoAcceptMinOffers keys work too, since MarketplaceAgent starts
+ * agents with their template config in the environment.
+ */
+
+import axios from 'axios';
+import { Job, Offer } from './job-repository';
+import { verifyMessageFromDid } from './did-resolver';
+
+// Type definitions
+export type SelectionFactor = 'price' | 'eta' | 'sla' | 'reputation' | 'stake';
+
+export interface AutoAcceptPolicy {
+  enabled: boolean;
+  afterMinutes: number; // Accept the best offer this long after posting (0 = never on time)
+  minOffers: number; // ...or as soon as this many offers are in (0 = never on count)
+  minScore: number; // Never auto-accept an offer scoring below this (0-100)
+}
+
+export interface SelectionPolicy {
+  weights: Record<SelectionFactor, number>;
+  maxPriceRatio: number; // Highest acceptable price as a multiple of the budget
+  etaHorizonHours: number; // ETA that scores 0 when the job has no deadline
+  stakeTarget: number; // Staked REPUTE that scores 1
+  autoAccept: AutoAcceptPolicy;
+}
+
+export type SelectionPolicyOverrides = Partial<Omit<SelectionPolicy, 'weights' | 'autoAccept'>> & {
+  weights?: Partial<Record<SelectionFactor, number>>;
+  autoAccept?: Partial<AutoAcceptPolicy>;
+};
+
+export interface WorkerReputation {
+  address: string;
+  reputationScore: number | null; // 0-100
+  staked: number;
+  source: 'repute-agent' | 'offer' | 'none';
+}
+
+export interface FactorScore {
+  score: number; // 0-1
+  weight: number;
+  contribution: number; // Points of the 0-100 total
+  detail: string;
+}
+
+export interface RankedOffer {
+  rank: number | null; // null when disqualified
+  offerId?: string;
+  workerAddress?: string;
+  score: number; // 0-100
+  qualified: boolean;
+  disqualifiedBy: string[];
+  factors: Record<SelectionFactor, FactorScore>;
+  explanation: string;
+  preferred?: boolean; // From the job's preferredWorker (see isPreferredOffer)
+  offer: Offer;
+}
+
+export interface AutoAcceptDecision {
+  accept: boolean;
+  reason: string;
+  offer?: RankedOffer;
+}
+
+const FACTORS: SelectionFactor[] = ['price', 'eta', 'sla', 'reputation', 'stake'];
+
+export const DEFAULT_SELECTION_POLICY: SelectionPolicy = {
+  weights: { price: 0.35, eta: 0.2, sla: 0.1, reputation: 0.25, stake: 0.1 },
+  maxPriceRatio: 1,
+  etaHorizonHours: 168,
+  stakeTarget: 1000,
+  autoAccept: { enabled: false, afterMinutes: 30, minOffers: 3, minScore: 50 },
+};
+
+const REPUTATION_CACHE_MS = 60 * 1000;
+const reputationCache = new Map<string, { value: WorkerReputation; fetchedAt: number }>();
+
+function clamp(value: number): number {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value: number, digits = 1): number {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function envNumber(value: string | undefined, fallback: number): number {
+  const parsed = value !== undefined && value !== '' ? Number(value) : NaN;
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Parse CLIENT_OFFER_WEIGHTS ("price=0.5,reputation=0.3,...")
+ */
+function parseWeights(value: string | undefined): Partial<Record<SelectionFactor, number>> {
+  const weights: Partial<Record<SelectionFactor, number>> = {};
+  for (const pair of (value || '').split(',')) {
+    const [name, raw] = pair.split('=').map((part) => part.trim());
+    if (FACTORS.includes(name as SelectionFactor) && Number.isFinite(Number(raw))) {
+      weights[name as SelectionFactor] = Number(raw);
+    }
+  }
+  return weights;
+}
+
+/**
+ * The selection policy configured through the environment
+ */
+export function loadSelectionPolicy(env: NodeJS.ProcessEnv = process.env): SelectionPolicy {
+  const defaults = DEFAULT_SELECTION_POLICY;
+  const enabled = env.CLIENT_AUTO_ACCEPT ?? env.autoAcceptOffers;
+  return {
+    weights: { ...defaults.weights, ...parseWeights(env.CLIENT_OFFER_WEIGHTS) },
+    maxPriceRatio: envNumber(env.CLIENT_MAX_PRICE_RATIO, defaults.maxPriceRatio),
+    etaHorizonHours: envNumber(env.CLIENT_ETA_HORIZON_HOURS, defaults.etaHorizonHours),
+    stakeTarget: envNumber(env.CLIENT_STAKE_TARGET, defaults.stakeTarget),
+    autoAccept: {
+      enabled: enabled !== undefined ? ['true', '1', 'yes'].includes(enabled.toLowerCase()) : defaults.autoAccept.enabled,
+      afterMinutes: envNumber(env.CLIENT_AUTO_ACCEPT_AFTER_MINUTES ?? env.autoAcceptAfterMinutes, defaults.autoAccept.afterMinutes),
+      minOffers: envNumber(env.CLIENT_AUTO_ACCEPT_MIN_OFFERS ?? env.autoAcceptMinOffers, defaults.autoAccept.minOffers),
+      minScore: envNumber(env.CLIENT_AUTO_ACCEPT_MIN_SCORE, defaults.autoAccept.minScore),
+    },
+  };
+}
+
+/**
+ * Apply overrides (a job's selectionPolicy, a PUT /selection-policy body) to a policy
+ */
+export function mergeSelectionPolicy(base: SelectionPolicy, overrides?: SelectionPolicyOverrides | null): SelectionPolicy {
+  if (!overrides) return base;
+  const weights = { ...base.weights };
+  for (const factor of FACTORS) {
+    if (overrides.weights?.[factor] !== undefined) weights[factor] = overrides.weights[factor]!;
+  }
+  const autoAccept = overrides.autoAccept || {};
+  return {
+    weights,
+    maxPriceRatio: overrides.maxPriceRatio ?? base.maxPriceRatio,
+    etaHorizonHours: overrides.etaHorizonHours ?? base.etaHorizonHours,
+    stakeTarget: overrides.stakeTarget ?? base.stakeTarget,
+    autoAccept: {
+      enabled: autoAccept.enabled ?? base.autoAccept.enabled,
+      afterMinutes: autoAccept.afterMinutes ?? base.autoAccept.afterMinutes,
+      minOffers: autoAccept.minOffers ?? base.autoAccept.minOffers,
+      minScore: autoAccept.minScore ?? base.autoAccept.minScore,
+    },
+  };
+}
+
+/**
+ * Reject policies that would make every score meaningless
+ */
+export function validateSelectionPolicy(policy: SelectionPolicy): string[] {
+  const problems: string[] = [];
+  for (const factor of FACTORS) {
+    const weight = policy.weights[factor];
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      problems.push(`weights.${factor} must be a number >= 0`);
+    }
+  }
+  if (FACTORS.every((factor) => !policy.weights[factor])) problems.push('at least one weight must be > 0');
+  if (!(policy.maxPriceRatio > 0)) problems.push('maxPriceRatio must be > 0');
+  if (!(policy.etaHorizonHours > 0)) problems.push('etaHorizonHours must be > 0');
+  if (!(policy.stakeTarget > 0)) problems.push('stakeTarget must be > 0');
+  if (!(policy.autoAccept.afterMinutes >= 0)) problems.push('autoAccept.afterMinutes must be >= 0');
+  if (!(policy.autoAccept.minOffers >= 0)) problems.push('autoAccept.minOffers must be >= 0');
+  if (!(policy.autoAccept.minScore >= 0 && policy.autoAccept.minScore <= 100)) problems.push('autoAccept.minScore must be between 0 and 100');
+  return problems;
+}
+
+/**
+ * Duration in ms from an ETA like "48h", "2d", "90m", "1w" (a bare number is hours)
+ */
+export function parseEta(eta: string | number | undefined | null): number | null {
+  if (eta === undefined || eta === null || eta === '') return null;
+  if (typeof eta === 'number') return eta * 60 * 60 * 1000;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(m|min|h|d|w)?\s*$/i.exec(eta);
+  if (!match) return null;
+  const unitMs: Record<string, number> = { m: 60e3, min: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 };
+  return Number(match[1]) * unitMs[(match[2] || 'h').toLowerCase()];
+}
+
+/**
+ * A job deadline (timestamp or date string) in ms, null when unset or unreadable
+ */
+export function deadlineMs(deadline: Job['deadline'] | string): number | null {
+  if (deadline === undefined || deadline === null || deadline === '') return null;
+  const value = typeof deadline === 'number' ? deadline : Date.parse(deadline);
+  return Number.isFinite(value) ? value : null;
+}
+
+function offerPrice(offer: Offer): number {
+  return Number(offer.price ?? offer.priceHBAR);
+}
+
+/**
+ * Live reputation and stake of a worker from ReputeAgent (REPUTE_AGENT_URL), cached for a minute
+ */
+export async function fetchWorkerReputation(address: string, fallback?: number): Promise<WorkerReputation> {
+  const key = address.toLowerCase();
+  const cached = reputationCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < REPUTATION_CACHE_MS) return cached.value;
+
+  const baseUrl = process.env.REPUTE_AGENT_URL || `http://localhost:${process.env.REPUTE_AGENT_PORT || '3004'}`;
+  try {
+    const { data } = await axios.get(`${baseUrl.replace(/\/+$/, '')}/reputation/${address}`, { timeout: 5000 });
+    const value: WorkerReputation = {
+      address,
+      reputationScore: Number(data.reputation?.reputationScore) || 0,
+      staked: Number(data.staked ?? data.reputation?.metadata?.stakedRepute) || 0,
+      source: 'repute-agent',
+    };
+    reputationCache.set(key, { value, fetchedAt: Date.now() });
+    return value;
+  } catch (error: any) {
+    console.warn(`[OfferSelection] ReputeAgent unavailable for ${address}: ${error.message}`);
+    return typeof fallback === 'number'
+      ? { address, reputationScore: fallback, staked: 0, source: 'offer' }
+      : { address, reputationScore: null, staked: 0, source: 'none' };
+  }
+}
+
+export function clearReputationCache(): void {
+  reputationCache.clear();
+}
+
+/**
+ * Score one offer for a job. Pure - reputation must already be looked up.
+ */
+export function scoreOffer(job: Job, offer: Offer, reputation: WorkerReputation | null, policy: SelectionPolicy, now = Date.now()): RankedOffer {
+  const disqualifiedBy: string[] = [];
+  const scores = {} as Record<SelectionFactor, { score: number; detail: string }>;
+
+  // Price
+  const budget = Number(job.budgetHBAR);
+  const price = offerPrice(offer);
+  if (!Number.isFinite(price) || price < 0) {
+    scores.price = { score: 0, detail: 'no valid price' };
+    disqualifiedBy.push('no valid price');
+  } else if (!(budget > 0)) {
+    scores.price = { score: 0.5, detail: 'job has no budget to compare with' };
+  } else {
+    const ratio = price / budget;
+    scores.price = { score: clamp(1.5 - ratio), detail: `${round(ratio * 100)}% of budget` };
+    if (ratio > policy.maxPriceRatio) {
+      disqualifiedBy.push(`price is ${round(ratio * 100)}% of budget (max ${round(policy.maxPriceRatio * 100)}%)`);
+    }
+  }
+
+  // ETA
+  const etaMs = parseEta(offer.eta) ?? (offer.proposedDeadline ? Math.max(0, offer.proposedDeadline - now) : null);
+  const deadline = deadlineMs(job.deadline);
+  if (etaMs === null) {
+    scores.eta = { score: 0, detail: 'no ETA given' };
+  } else {
+    const window = deadline !== null ? deadline - now : policy.etaHorizonHours * 3600e3;
+    const hours = round(etaMs / 3600e3);
+    if (deadline !== null && now + etaMs > deadline) {
+      scores.eta = { score: 0, detail: `${hours}h, after the job deadline` };
+      disqualifiedBy.push('ETA is after the job deadline');
+    } else {
+      scores.eta = {
+        score: clamp(1 - etaMs / window),
+        detail: `${hours}h of ${round(window / 3600e3)}h ${deadline !== null ? 'until the deadline' : 'horizon'}`,
+      };
+    }
+  }
+
+  // SLA
+  const sla = offer.sla || {};
+  const revisions = typeof sla.revisions === 'number'
+    ? sla.revisions
+    : parseInt(/(\d+)/.exec(String(sla.revisionPolicy || ''))?.[1] || '0', 10);
+  const slaTerms = [sla.qualityGuarantee ? 'quality guarantee' : null, revisions ? `${revisions} free revision(s)` : null].filter(Boolean);
+  scores.sla = {
+    score: (sla.qualityGuarantee ? 0.5 : 0) + Math.min(revisions, 2) * 0.25,
+    detail: slaTerms.length ? slaTerms.join(', ') : 'no SLA terms',
+  };
+
+  // Reputation and stake
+  if (!reputation || reputation.reputationScore === null) {
+    scores.reputation = { score: 0, detail: 'reputation unknown' };
+  } else {
+    scores.reputation = {
+      score: clamp(reputation.reputationScore / 100),
+      detail: `${reputation.reputationScore}/100 (${reputation.source === 'repute-agent' ? 'ReputeAgent' : 'self-reported'})`,
+    };
+  }
+  const staked = reputation?.staked || 0;
+  scores.stake = { score: clamp(staked / policy.stakeTarget), detail: `${staked} REPUTE staked` };
+
+  const totalWeight = FACTORS.reduce((sum, factor) => sum + policy.weights[factor], 0) || 1;
+  const factors = {} as Record<SelectionFactor, FactorScore>;
+  let total = 0;
+  for (const factor of FACTORS) {
+    const weight = policy.weights[factor];
+    const contribution = (scores[factor].score * weight / totalWeight) * 100;
+    total += contribution;
+    factors[factor] = { score: round(scores[factor].score, 3), weight, contribution: round(contribution), detail: scores[factor].detail };
+  }
+
+  const qualified = disqualifiedBy.length === 0;
+  const strongest = FACTORS
+    .filter((factor) => factors[factor].weight > 0)
+    .sort((a, b) => factors[b].contribution - factors[a].contribution)
+    .slice(0, 2)
+    .map((factor) => `${factor} ${factors[factor].detail}`);
+  return {
+    rank: null,
+    offerId: offer.offerId,
+    workerAddress: offer.workerAddress,
+    score: round(total),
+    qualified,
+    disqualifiedBy,
+    factors,
+    explanation: qualified
+      ? `${round(total)}/100 - strongest: ${strongest.join('; ')}`
+      : `Disqualified: ${disqualifiedBy.join('; ')}`,
+    offer,
+  };
+}
+
+/**
+ * Rank a job's offers best first, looking up each worker's reputation.
+ * Qualified offers come first; ties go to the earlier offer.
+ */
+export async function rankOffers(job: Job, offers: Offer[], policy: SelectionPolicy, now = Date.now()): Promise<RankedOffer[]> {
+  const addresses = [...new Set(offers.map((offer) => offer.workerAddress).filter(Boolean) as string[])];
+  const reputations = new Map<string, WorkerReputation>();
+  await Promise.all(addresses.map(async (address) => {
+    const selfReported = offers.find((offer) => offer.workerAddress === address)?.reputationScore;
+    reputations.set(address, await fetchWorkerReputation(address, selfReported));
+  }));
+  const preferred = new Set<Offer>();
+  await Promise.all(offers.map(async (offer) => {
+    if (await isPreferredOffer(job, offer)) preferred.add(offer);
+  }));
+
+  const ranked = offers
+    .map((offer, index) => {
+      const ranked = scoreOffer(job, offer, offer.workerAddress ? reputations.get(offer.workerAddress) : null, policy, now);
+      if (preferred.has(offer)) ranked.preferred = true;
+      return { index, ranked };
+    })
+    .sort((a, b) =>
+      Number(b.ranked.qualified) - Number(a.ranked.qualified)
+      || b.ranked.score - a.ranked.score
+      || (a.ranked.offer.timestamp || 0) - (b.ranked.offer.timestamp || 0)
+      || a.index - b.index)
+    .map(({ ranked }) => ranked);
+
+  let rank = 0;
+  for (const entry of ranked) {
+    if (entry.qualified) entry.rank = ++rank;
+  }
+  return ranked;
+}
+
+/**
+ * Whether an offer comes from the worker a job prefers: it pays their address and is signed
+ * with a key of their DID. Without a DID to check the signature against, no offer is preferred.
+ */
+export async function isPreferredOffer(job: Job, offer: Offer): Promise<boolean> {
+  const preferred = job.preferredWorker;
+  if (!preferred?.did || offer.fromDid !== preferred.did) return false;
+  if (!offer.workerAddress || offer.workerAddress.toLowerCase() !== preferred.address.toLowerCase()) return false;
+  return (await verifyMessageFromDid(offer)).verified;
+}
+
+/**
+ * Decide whether the best of a job's ranked offers should be accepted now
+ */
+export function shouldAutoAccept(job: Job, ranked: RankedOffer[], policy: SelectionPolicy, now = Date.now()): AutoAcceptDecision {
+  const { enabled, afterMinutes, minOffers, minScore } = policy.autoAccept;
+  if (!enabled && !job.preferredWorker) return { accept: false, reason: 'auto-accept is disabled' };
+  if (job.status !== 'offered') return { accept: false, reason: `job is ${job.status}` };
+
+  const preferred = ranked.find((entry) => entry.qualified && entry.preferred);
+  if (preferred) {
+    return { accept: true, reason: `preferred worker (did job ${job.preferredWorker!.fromJobId})`, offer: preferred };
+  }
+  if (!enabled) return { accept: false, reason: 'auto-accept is disabled' };
+
+  const waitedEnough = afterMinutes > 0 && now - job.createdAt >= afterMinutes * 60 * 1000;
+  const enoughOffers = minOffers > 0 && ranked.length >= minOffers;
+  if (!waitedEnough && !enoughOffers) {
+    return { accept: false, reason: `waiting for ${afterMinutes > 0 ? `${afterMinutes} minute(s)` : ''}${afterMinutes > 0 && minOffers > 0 ? ' or ' : ''}${minOffers > 0 ? `${minOffers} offer(s)` : ''}` };
+  }
+
+  const best = ranked.find((entry) => entry.qualified);
+  if (!best) return { accept: false, reason: 'no qualifying offer' };
+  if (best.score < minScore) return { accept: false, reason: `best offer scores ${best.score}, below ${minScore}`, offer: best };
+  return {
+    accept: true,
+    reason: enoughOffers ? `${ranked.length} offer(s) received` : `${afterMinutes} minute(s) since posting`,
+    offer: best,
+  };
+}
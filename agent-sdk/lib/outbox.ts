@@ -0,0 +1,280 @@
+/**
+ * Durable A2A Outbox
+ *
+ * Every sendA2A goes through a file-backed outbox. Failed sends are retried with
+ * exponential backoff; messages for the same recipient are delivered strictly in
+ * order (a failing head blocks the ones queued behind it). Retries and replays go out
+ * with a fresh timestamp (signed messages are re-signed), so recipients do not drop them
+ * as stale. Messages that exhaust their retries move to a dead-letter store where they can
+ * be inspected and replayed.
+ */
+
+import * as crypto from 'crypto';
+import { readJSON, writeJSON, safeFileName } from './json-store';
+import { getAgentSigner } from './keystore';
+
+// Type definitions
+export interface OutboxEntry {
+  id: string;
+  subject: string;
+  message: any;
+  recipient: string; // message.to, or '*' for broadcasts
+  attempts: number;
+  createdAt: number;
+  nextAttemptAt: number;
+  lastError?: string;
+  deadAt?: number;
+  replayedAt?: number;
+}
+
+export interface OutboxOptions {
+  name: string; // Agent name - scopes the persistent outbox file
+  deliver: (subject: string, message: any) => Promise<any>;
+  maxAttempts?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  persist?: boolean;
+}
+
+interface OutboxState {
+  pending: OutboxEntry[];
+  deadLetters: OutboxEntry[];
+}
+
+type AttemptOutcome = { ok: true; result: any } | { ok: false; error: string };
+
+const BROADCAST = '*';
+
+/**
+ * File-backed outbox with per-recipient ordering and a dead-letter store
+ */
+export class Outbox {
+  readonly maxAttempts: number;
+  readonly baseDelayMs: number;
+  readonly maxDelayMs: number;
+  private deliver: (subject: string, message: any) => Promise<any>;
+  private persist: boolean;
+  private fileName: string;
+  private state: OutboxState;
+  private inFlight = new Set<string>(); // recipients with an attempt in progress
+  private timer: NodeJS.Timeout | null = null;
+  private closed = false;
+  private delivered = 0;
+
+  constructor(options: OutboxOptions) {
+    this.deliver = options.deliver;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.A2A_OUTBOX_MAX_ATTEMPTS || '', 10) || 8;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.A2A_OUTBOX_BASE_DELAY_MS || '', 10) || 1000;
+    this.maxDelayMs = options.maxDelayMs || parseInt(process.env.A2A_OUTBOX_MAX_DELAY_MS || '', 10) || 5 * 60 * 1000;
+    this.persist = options.persist ?? true;
+    this.fileName = `outbox-${safeFileName(options.name)}.json`;
+    this.state = this.persist
+      ? readJSON<OutboxState>(this.fileName, { pending: [], deadLetters: [] })
+      : { pending: [], deadLetters: [] };
+
+    if (this.state.pending.length > 0) {
+      console.log(`[A2A/Outbox] 📬 Resuming ${this.state.pending.length} pending message(s)`);
+      this.schedule();
+    }
+  }
+
+  /**
+   * Queue a message and try to deliver it right away. Resolves with the transport
+   * result, or { queued: true } if it is waiting behind earlier messages or a retry.
+   */
+  async send(subject: string, message: any): Promise<any> {
+    const entry = this.enqueue(subject, message);
+
+    const head = this.state.pending.find(e => e.recipient === entry.recipient);
+    if (head !== entry || this.inFlight.has(entry.recipient)) {
+      return { queued: true, outboxId: entry.id, method: 'outbox' };
+    }
+
+    const outcome = await this.attempt(entry);
+    if (outcome.ok === true) return outcome.result;
+    return { queued: true, outboxId: entry.id, method: 'outbox', error: outcome.error };
+  }
+
+  getPending(): OutboxEntry[] {
+    return [...this.state.pending];
+  }
+
+  getDeadLetters(): OutboxEntry[] {
+    return [...this.state.deadLetters];
+  }
+
+  getStats(): { pending: number; deadLetters: number; delivered: number; recipients: string[] } {
+    return {
+      pending: this.state.pending.length,
+      deadLetters: this.state.deadLetters.length,
+      delivered: this.delivered,
+      recipients: Array.from(new Set(this.state.pending.map(e => e.recipient))),
+    };
+  }
+
+  /**
+   * Move dead letters (one by ID, or all) back into the outbox
+   */
+  replay(id?: string): OutboxEntry[] {
+    const replayed = this.state.deadLetters.filter(e => !id || e.id === id);
+    if (replayed.length === 0) return [];
+
+    this.state.deadLetters = this.state.deadLetters.filter(e => !replayed.includes(e));
+    for (const entry of replayed) {
+      entry.attempts = 0;
+      entry.replayedAt = Date.now();
+      entry.nextAttemptAt = Date.now();
+      delete entry.deadAt;
+      delete entry.lastError;
+      this.state.pending.push(entry);
+      console.log(`[A2A/Outbox] 🔁 Replaying ${entry.subject} message ${entry.id}`);
+    }
+    this.save();
+    this.schedule();
+    return replayed;
+  }
+
+  /**
+   * Drop a dead letter permanently
+   */
+  discard(id: string): boolean {
+    const before = this.state.deadLetters.length;
+    this.state.deadLetters = this.state.deadLetters.filter(e => e.id !== id);
+    if (this.state.deadLetters.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Stop retrying and flush state to disk (pending messages resume on next start)
+   */
+  close(): void {
+    this.closed = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.save();
+  }
+
+  private enqueue(subject: string, message: any): OutboxEntry {
+    const target = typeof message?.to === 'string' ? message.to.trim() : '';
+    const now = Date.now();
+    const entry: OutboxEntry = {
+      id: crypto.randomUUID(),
+      subject,
+      message,
+      recipient: target || BROADCAST,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+    };
+    this.state.pending.push(entry);
+    this.save();
+    return entry;
+  }
+
+  private async attempt(entry: OutboxEntry): Promise<AttemptOutcome> {
+    this.inFlight.add(entry.recipient);
+    entry.attempts++;
+    try {
+      if (entry.attempts > 1 || entry.replayedAt) {
+        entry.message = await this.refresh(entry.message);
+      }
+      const result = await this.deliver(entry.subject, entry.message);
+      this.state.pending = this.state.pending.filter(e => e !== entry);
+      this.delivered++;
+      if (entry.attempts > 1) {
+        console.log(`[A2A/Outbox] ✅ Delivered ${entry.subject} to ${entry.recipient} after ${entry.attempts} attempts`);
+      }
+      return { ok: true, result };
+    } catch (error: any) {
+      entry.lastError = error.message;
+      if (entry.attempts >= this.maxAttempts) {
+        this.state.pending = this.state.pending.filter(e => e !== entry);
+        entry.deadAt = Date.now();
+        this.state.deadLetters.push(entry);
+        console.error(`[A2A/Outbox] ☠️  ${entry.subject} to ${entry.recipient} dead-lettered after ${entry.attempts} attempts: ${error.message}`);
+      } else {
+        const delay = this.backoff(entry.attempts);
+        entry.nextAttemptAt = Date.now() + delay;
+        console.warn(`[A2A/Outbox] ⏳ ${entry.subject} to ${entry.recipient} failed (attempt ${entry.attempts}/${this.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      }
+      return { ok: false, error: error.message };
+    } finally {
+      this.inFlight.delete(entry.recipient);
+      this.save();
+      this.schedule();
+    }
+  }
+
+  private backoff(attempts: number): number {
+    const delay = Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4)); // +/-20% jitter
+  }
+
+  /**
+   * Head of each recipient's queue - only heads are ever attempted
+   */
+  private heads(): OutboxEntry[] {
+    const seen = new Set<string>();
+    const heads: OutboxEntry[] = [];
+    for (const entry of this.state.pending) {
+      if (seen.has(entry.recipient)) continue;
+      seen.add(entry.recipient);
+      if (!this.inFlight.has(entry.recipient)) heads.push(entry);
+    }
+    return heads;
+  }
+
+  private schedule(): void {
+    if (this.closed) return;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const heads = this.heads();
+    if (heads.length === 0) return;
+
+    const next = Math.min(...heads.map(e => e.nextAttemptAt));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, Math.max(0, next - Date.now()));
+    this.timer.unref();
+  }
+
+  private drain(): void {
+    const now = Date.now();
+    const due = this.heads().filter(e => e.nextAttemptAt <= now);
+    for (const entry of due) {
+      this.attempt(entry).catch(() => { /* outcome recorded on the entry */ });
+    }
+    if (due.length === 0) this.schedule();
+  }
+
+  private async refresh(message: any): Promise<any> {
+    if (typeof message?.timestamp !== 'number') return message;
+    const { signature, ...unsigned } = message;
+    const restamped: any = { ...unsigned, timestamp: Date.now() };
+    if (!signature) return restamped;
+    try {
+      const signer = getAgentSigner();
+      if (!signer) return message;
+      restamped.signature = await signer.sign(restamped);
+      return restamped;
+    } catch (error: any) {
+      console.warn(`[A2A/Outbox] Could not re-sign message for retry: ${error.message}`);
+      return message;
+    }
+  }
+
+  private save(): void {
+    if (!this.persist) return;
+    try {
+      writeJSON(this.fileName, this.state);
+    } catch (error: any) {
+      console.error('[A2A/Outbox] Failed to persist outbox:', error.message);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Private Jobs
+ *
+ * Invite-only jobs whose terms only a shortlist of workers can read. The ClientAgent still
+ * broadcasts a JobOfferRequest on aexowork.jobs, but with private: true and a teaser
+ * (summary and deadline) in place of the terms, and stores only the teaser on IPFS. Each
+ * invitee gets a JobInvite on the same subject with the full terms sealed for the ed25519 key
+ * of its DID (encryptPayloadForEd25519 in offchain-messaging.ts, bound to the job and the
+ * invitee), so relays and other agents see nothing but ciphertext.
+ *
+ * Invitees come from an InvitePolicy:
+ *   - dids    a shortlist of worker DIDs chosen by the client
+ *   - filter  directory agents (lib/directory.ts) with every listed capability and, with
+ *             minReputation, a ReputeAgent score at least that high (unknown scores fail)
+ * A DID whose key cannot be resolved (DID document, registry or directory) is skipped and
+ * reported. The ClientAgent only takes offers for a private job from DIDs it invited.
+ */
+
+import { encryptPayloadForEd25519 } from './offchain-messaging';
+import { resolveDidKey } from './did-resolver';
+import { listAgents, resolveAgent, DirectoryEntry } from './directory';
+import { fetchWorkerReputation } from './offer-selection';
+import { AgentSigner } from './keystore';
+
+// Type definitions
+export type JobVisibility = 'public' | 'private';
+
+export interface InviteFilter {
+  capabilities?: string[]; // All of them are required
+  minReputation?: number; // 0-100, from ReputeAgent
+}
+
+export interface InvitePolicy {
+  dids?: string[];
+  filter?: InviteFilter;
+}
+
+export interface Invitee {
+  did: string;
+  accountId: string | null;
+  publicKey: string;
+  matchedBy: 'shortlist' | 'filter';
+}
+
+export interface InviteResolution {
+  invitees: Invitee[];
+  skipped: { did: string; reason: string }[];
+}
+
+export interface JobTeaser {
+  summary: string;
+  deadline?: number | null;
+}
+
+// Sent to one invitee: terms sealed for its DID key
+export interface JobInviteMessage {
+  type: 'JobInvite';
+  jobId: string;
+  revision: number;
+  toDid: string;
+  sealed: string; // Encrypted terms (EncryptedEnvelope JSON)
+  [key: string]: any;
+}
+
+export const JOB_INVITE_TYPE = 'JobInvite';
+export const DEFAULT_TEASER = 'Invite-only job';
+
+/**
+ * Raised when a JobInvite cannot be read
+ */
+export class PrivateJobError extends Error {
+  code: 'NO_DECRYPTION_KEY' | 'NOT_FOR_US' | 'UNREADABLE_INVITE';
+
+  constructor(message: string, code: 'NO_DECRYPTION_KEY' | 'NOT_FOR_US' | 'UNREADABLE_INVITE') {
+    super(message);
+    this.name = 'PrivateJobError';
+    this.code = code;
+  }
+}
+
+/**
+ * Problems with an invite policy (empty when usable)
+ */
+export function validateInvitePolicy(policy: any): string[] {
+  const problems: string[] = [];
+  if (!policy || typeof policy !== 'object') return ['invite must list dids or a filter'];
+  const { dids, filter } = policy;
+  if (dids !== undefined && (!Array.isArray(dids) || dids.some((did: any) => typeof did !== 'string' || !did.startsWith('did:')))) {
+    problems.push('invite.dids must be a list of DIDs');
+  }
+  if (filter !== undefined) {
+    if (typeof filter !== 'object' || filter === null) {
+      problems.push('invite.filter must be an object');
+    } else {
+      if (filter.capabilities !== undefined && (!Array.isArray(filter.capabilities) || filter.capabilities.some((c: any) => typeof c !== 'string'))) {
+        problems.push('invite.filter.capabilities must be a list of strings');
+      }
+      if (filter.minReputation !== undefined && !(filter.minReputation >= 0 && filter.minReputation <= 100)) {
+        problems.push('invite.filter.minReputation must be between 0 and 100');
+      }
+      if (!filter.capabilities?.length && filter.minReputation === undefined) {
+        problems.push('invite.filter needs capabilities or minReputation');
+      }
+    }
+  }
+  if (!dids?.length && !filter) problems.push('invite must list dids or a filter');
+  return problems;
+}
+
+/**
+ * The public part of a private job
+ */
+export function buildTeaser(job: { deadline?: number | null }, summary?: string): JobTeaser {
+  return { summary: summary || DEFAULT_TEASER, deadline: job.deadline ?? null };
+}
+
+async function matchesFilter(entry: DirectoryEntry, filter: InviteFilter): Promise<boolean> {
+  if ((filter.capabilities || []).some((capability) => !entry.capabilities.includes(capability))) return false;
+  if (filter.minReputation === undefined) return true;
+  const reputation = await fetchWorkerReputation(entry.accountId);
+  return reputation.reputationScore !== null && reputation.reputationScore >= filter.minReputation;
+}
+
+async function inviteeKey(did: string): Promise<string | null> {
+  try {
+    return (await resolveDidKey(did)) || resolveAgent(did)?.publicKey || null;
+  } catch (error: any) {
+    return resolveAgent(did)?.publicKey || null;
+  }
+}
+
+/**
+ * Work out who an invite policy reaches and the key to seal their invite for
+ */
+export async function resolveInvitees(policy: InvitePolicy): Promise<InviteResolution> {
+  const resolution: InviteResolution = { invitees: [], skipped: [] };
+  const candidates = new Map<string, Invitee['matchedBy']>();
+  for (const did of policy.dids || []) {
+    candidates.set(did, 'shortlist');
+  }
+  if (policy.filter) {
+    for (const entry of listAgents()) {
+      if (entry.did && !candidates.has(entry.did) && await matchesFilter(entry, policy.filter)) {
+        candidates.set(entry.did, 'filter');
+      }
+    }
+  }
+
+  for (const [did, matchedBy] of candidates) {
+    const publicKey = await inviteeKey(did);
+    if (!publicKey) {
+      resolution.skipped.push({ did, reason: 'no public key found for this DID' });
+      continue;
+    }
+    resolution.invitees.push({ did, accountId: resolveAgent(did)?.accountId || null, publicKey, matchedBy });
+  }
+  return resolution;
+}
+
+/**
+ * AAD binding sealed terms to their job and invitee
+ */
+function inviteAAD(jobId: string, did: string): string {
+  return `${jobId}->${did}`;
+}
+
+/**
+ * An unsigned JobInvite carrying a job's terms for one invitee
+ */
+export function createJobInvite(terms: { jobId: string; revision?: number; [key: string]: any }, invitee: Invitee): JobInviteMessage {
+  const invite: JobInviteMessage = {
+    type: JOB_INVITE_TYPE,
+    jobId: terms.jobId,
+    revision: terms.revision || 1,
+    toDid: invitee.did,
+    sealed: encryptPayloadForEd25519(JSON.stringify(terms), invitee.publicKey, inviteAAD(terms.jobId, invitee.did)),
+  };
+  if (invitee.accountId) invite.to = invitee.accountId;
+  return invite;
+}
+
+/**
+ * Read the terms of a JobInvite addressed to us
+ */
+export function openJobInvite(invite: JobInviteMessage, signer: AgentSigner | null, did: string | undefined): any {
+  if (!did || invite.toDid !== did) {
+    throw new PrivateJobError(`Invite for job ${invite.jobId} is for ${invite.toDid}`, 'NOT_FOR_US');
+  }
+  if (!signer?.openSealed) {
+    throw new PrivateJobError('Reading invites needs a local signing key (AGENT_SIGNER env or keystore)', 'NO_DECRYPTION_KEY');
+  }
+  let terms: any;
+  try {
+    terms = JSON.parse(signer.openSealed(invite.sealed, inviteAAD(invite.jobId, invite.toDid)));
+  } catch (error: any) {
+    throw new PrivateJobError(`Cannot open invite for job ${invite.jobId}: ${error.message}`, 'UNREADABLE_INVITE');
+  }
+  if (terms?.jobId !== invite.jobId) {
+    throw new PrivateJobError(`Invite for job ${invite.jobId} carries terms for ${terms?.jobId}`, 'UNREADABLE_INVITE');
+  }
+  return terms;
+}
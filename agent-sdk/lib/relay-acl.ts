@@ -0,0 +1,151 @@
+/**
+ * Relay Subject ACLs
+ *
+ * Declarative publish/subscribe rules per agent role for the RelayAgent. Rules are
+ * matched in order with NATS-style wildcards (`*` one token, `>` the rest); the first
+ * rule whose subject matches decides. A rule without a publish/subscribe list leaves
+ * that action open, '*' allows every role. Subjects no rule covers fall back to
+ * defaultAction. RELAY_ACL_FILE points at a JSON policy that replaces the default one.
+ *
+ * Roles come from signed registrations. A claimed role must be open (openRoles), assigned
+ * to the account in roleAccounts, or be the name of a built-in agent configured through
+ * *_ACCOUNT_ID env vars - registry names are chosen by their owners and prove nothing.
+ */
+
+import * as fs from 'fs';
+import { signJSON } from './signer';
+
+// Type definitions
+export type AclAction = 'publish' | 'subscribe';
+
+export interface AclRule {
+  subject: string;
+  publish?: string[]; // Roles allowed to publish (omit = any)
+  subscribe?: string[]; // Roles allowed to receive (omit = any)
+}
+
+export interface AclPolicy {
+  defaultAction: 'allow' | 'deny';
+  openRoles: string[]; // Roles any correctly signed registration may claim
+  roleAccounts?: Record<string, string[]>; // role -> account IDs allowed to claim it
+  rules: AclRule[];
+}
+
+export interface AclDecision {
+  allowed: boolean;
+  rule: string | null; // Subject pattern of the deciding rule
+  reason?: string;
+}
+
+export interface RelayRegistration {
+  type: 'aexowork.agent.register';
+  agentAccountId: string;
+  role: string;
+  subjects: string[];
+  fromDid?: string;
+  timestamp: number;
+  nonce: string;
+  signature?: string;
+}
+
+export const UNKNOWN_ROLE = 'unknown';
+
+export const DEFAULT_ACL_POLICY: AclPolicy = {
+  defaultAction: 'allow',
+  openRoles: ['WorkerAgent'],
+  rules: [
+    { subject: 'aexowork.jobs', publish: ['ClientAgent'] },
+    { subject: 'aexowork.offers', publish: ['WorkerAgent'], subscribe: ['ClientAgent'] },
+    { subject: 'aexowork.offers.accepted', publish: ['ClientAgent'] },
+    { subject: 'aexowork.verifications', publish: ['VerificationAgent'] },
+    { subject: 'aexowork.escrow.response', publish: ['EscrowAgent'] },
+    { subject: 'aexowork.escrow.>', publish: ['ClientAgent', 'EscrowAgent'], subscribe: ['EscrowAgent'] },
+    { subject: 'aexowork.agent.>', publish: ['MarketplaceAgent'] },
+  ],
+};
+
+/**
+ * Match a subject against a pattern with `*` (one token) and `>` (one or more trailing tokens)
+ */
+export function matchSubject(pattern: string, subject: string): boolean {
+  const p = pattern.split('.');
+  const s = subject.split('.');
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === '>') return s.length > i;
+    if (i >= s.length) return false;
+    if (p[i] !== '*' && p[i] !== s[i]) return false;
+  }
+  return p.length === s.length;
+}
+
+/**
+ * Load the ACL policy from RELAY_ACL_FILE, or the built-in default
+ */
+export function loadAclPolicy(filePath: string | undefined = process.env.RELAY_ACL_FILE): AclPolicy {
+  const fromEnv = process.env.RELAY_ACL_DEFAULT as AclPolicy['defaultAction'] | undefined;
+  if (!filePath) {
+    return { ...DEFAULT_ACL_POLICY, defaultAction: fromEnv || DEFAULT_ACL_POLICY.defaultAction };
+  }
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(raw.rules) || raw.rules.some((rule: any) => typeof rule?.subject !== 'string')) {
+    throw new Error(`Invalid ACL policy in ${filePath}: rules must be an array of { subject, publish?, subscribe? }`);
+  }
+  const defaultAction = raw.defaultAction || fromEnv || 'allow';
+  if (defaultAction !== 'allow' && defaultAction !== 'deny') {
+    throw new Error(`Invalid ACL policy in ${filePath}: defaultAction must be 'allow' or 'deny'`);
+  }
+  return { defaultAction, openRoles: raw.openRoles || [], roleAccounts: raw.roleAccounts || {}, rules: raw.rules };
+}
+
+/**
+ * Decide whether a role may publish or receive a subject
+ */
+export function checkAcl(policy: AclPolicy, role: string, action: AclAction, subject: string): AclDecision {
+  const rule = policy.rules.find((r) => matchSubject(r.subject, subject));
+  if (!rule) {
+    return policy.defaultAction === 'allow'
+      ? { allowed: true, rule: null }
+      : { allowed: false, rule: null, reason: `no rule covers ${subject} (default deny)` };
+  }
+
+  const roles = rule[action];
+  if (!roles || roles.includes('*') || roles.includes(role)) {
+    return { allowed: true, rule: rule.subject };
+  }
+  return { allowed: false, rule: rule.subject, reason: `${role} may not ${action} ${subject} (allowed: ${roles.join(', ')})` };
+}
+
+/**
+ * Whether an account may claim a role, given its directory entry
+ */
+export function canClaimRole(
+  policy: AclPolicy,
+  role: string,
+  accountId: string,
+  entry: { name?: string; source?: string } | null
+): boolean {
+  if (policy.openRoles.includes(role)) return true;
+  if ((policy.roleAccounts?.[role] || []).includes(accountId)) return true;
+  return !!entry && entry.source === 'env' && entry.name === role;
+}
+
+/**
+ * Build a signed relay registration (signature covers every field but itself)
+ */
+export function createRelayRegistration(
+  options: { agentAccountId: string; role: string; subjects: string[]; fromDid?: string },
+  privateKeyBase64: string
+): RelayRegistration {
+  const registration: RelayRegistration = {
+    type: 'aexowork.agent.register',
+    agentAccountId: options.agentAccountId,
+    role: options.role,
+    subjects: options.subjects,
+    timestamp: Date.now(),
+    nonce: `${options.agentAccountId}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+  };
+  if (options.fromDid) registration.fromDid = options.fromDid;
+  registration.signature = signJSON(registration, privateKeyBase64);
+  return registration;
+}
@@ -0,0 +1,418 @@
+/**
+ * Relay Mesh - federation between RelayAgents
+ *
+ * Relays peer over HTTP and gossip which subjects they can deliver:
+ *   POST /mesh/gossip   { relayId, url, routes: { subject: distance } } -> the receiver's own routes
+ *   POST /mesh/forward  MeshEnvelope
+ * Local subscriptions advertise distance 0; routes learned from a peer are re-advertised
+ * one hop further to the other peers (never back to the peer they came from), up to the TTL.
+ *
+ * Forwarded messages carry an envelope with a TTL and the relay IDs they have visited.
+ * A relay drops envelopes it has already seen (by message ID), never forwards to a relay
+ * on the hop list and stops when the TTL runs out, so rings of relays cannot loop.
+ * Peers authenticate with "Authorization: Bearer <RELAY_MESH_TOKEN>". Without a token the mesh
+ * stays off: the /mesh endpoints refuse every request and nothing is gossiped or forwarded.
+ * Forwards are only taken from known peers (configured, added by an admin, or - with
+ * acceptPeers - relays that gossiped to us with the token).
+ */
+
+import * as crypto from 'crypto';
+import axios from 'axios';
+import { Router, Request, Response, NextFunction } from 'express';
+import { canonicalize } from './signer';
+
+// Type definitions
+export interface MeshEnvelope {
+  id: string; // Message ID used for dedup across the mesh
+  subject: string;
+  message: any;
+  fromAccountId: string | null;
+  senderRole: string; // Role the origin relay authorized the sender under
+  origin: string; // relayId that accepted the message from an agent
+  ttl: number; // Remaining relay-to-relay hops
+  hops: string[]; // relayIds visited so far, origin first
+}
+
+export interface MeshPeer {
+  relayId: string | null; // Learned on first gossip exchange
+  url: string;
+  routes: Record<string, number>; // subject -> distance from that peer
+  status: 'pending' | 'up' | 'down';
+  lastGossipAt: number | null;
+  lastError: string | null;
+  forwarded: number;
+  received: number;
+}
+
+export interface RelayMeshOptions {
+  relayId: string;
+  url?: string | null; // Our externally reachable base URL (sent to peers so they can peer back)
+  peers?: string[]; // Peer base URLs
+  token?: string;
+  ttl?: number;
+  gossipIntervalMs?: number;
+  acceptPeers?: boolean; // Add relays that gossip to us as peers (default false)
+  getLocalSubjects: () => string[];
+  deliverLocal: (envelope: MeshEnvelope) => Promise<number>; // Returns local deliveries
+}
+
+const SEEN_TTL_MS = 10 * 60 * 1000;
+const MAX_SEEN = 10000;
+
+/**
+ * Message ID for mesh dedup: the message's own ID or nonce, else a hash of its content
+ */
+export function meshMessageId(subject: string, message: any): string {
+  if (message?.messageId) return String(message.messageId);
+  if (message?.nonce) return String(message.nonce);
+  return crypto.createHash('sha256').update(subject + canonicalize(message)).digest('hex');
+}
+
+/**
+ * Peers a relay with other relays and forwards messages across them
+ */
+export class RelayMesh {
+  readonly relayId: string;
+  readonly ttl: number;
+  readonly gossipIntervalMs: number;
+  private url: string | null;
+  private token: string | null;
+  private acceptPeers: boolean;
+  private getLocalSubjects: () => string[];
+  private deliverLocal: (envelope: MeshEnvelope) => Promise<number>;
+  private peers = new Map<string, MeshPeer>(); // url -> peer
+  private seen = new Map<string, number>(); // message ID -> expiresAt
+  private timer: NodeJS.Timeout | null = null;
+  private gossipSoon: NodeJS.Timeout | null = null;
+  private stats = { published: 0, forwarded: 0, received: 0, duplicates: 0, expired: 0, delivered: 0 };
+
+  constructor(options: RelayMeshOptions) {
+    this.relayId = options.relayId;
+    this.url = options.url ? options.url.replace(/\/+$/, '') : null;
+    this.token = options.token || null;
+    this.ttl = options.ttl ?? 4;
+    this.gossipIntervalMs = options.gossipIntervalMs || 15000;
+    this.acceptPeers = options.acceptPeers ?? false;
+    this.getLocalSubjects = options.getLocalSubjects;
+    this.deliverLocal = options.deliverLocal;
+    for (const url of options.peers || []) this.addPeer(url);
+  }
+
+  /**
+   * Whether the mesh is on (it needs a shared token)
+   */
+  get enabled(): boolean {
+    return !!this.token;
+  }
+
+  /**
+   * Start periodic gossip (and gossip immediately)
+   */
+  start(): void {
+    if (!this.enabled) {
+      console.warn('[RelayMesh] ⚠️  No mesh token set - relay mesh disabled');
+      return;
+    }
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.gossipAll().catch(() => {});
+    }, this.gossipIntervalMs);
+    this.timer.unref();
+    this.gossipAll().catch(() => {});
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    if (this.gossipSoon) clearTimeout(this.gossipSoon);
+    this.timer = null;
+    this.gossipSoon = null;
+  }
+
+  addPeer(url: string): MeshPeer {
+    const normalized = url.trim().replace(/\/+$/, '');
+    if (!/^https?:\/\//.test(normalized)) {
+      throw new Error(`Peer URL must start with http:// or https:// (got ${url})`);
+    }
+    let peer = this.peers.get(normalized);
+    if (!peer) {
+      peer = { relayId: null, url: normalized, routes: {}, status: 'pending', lastGossipAt: null, lastError: null, forwarded: 0, received: 0 };
+      this.peers.set(normalized, peer);
+      console.log(`[RelayMesh] 🤝 Peering with ${normalized}`);
+    }
+    return peer;
+  }
+
+  /**
+   * Remove a peer by relayId or URL
+   */
+  removePeer(idOrUrl: string): boolean {
+    for (const [url, peer] of this.peers) {
+      if (peer.relayId === idOrUrl || url === idOrUrl.replace(/\/+$/, '')) {
+        this.peers.delete(url);
+        this.notifyChange();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  getPeers(): MeshPeer[] {
+    return Array.from(this.peers.values());
+  }
+
+  getStats(): typeof this.stats & { enabled: boolean; peers: number; seen: number } {
+    return { ...this.stats, enabled: this.enabled, peers: this.peers.size, seen: this.seen.size };
+  }
+
+  /**
+   * Peers (relayIds) that advertise a route for a subject
+   */
+  peersFor(subject: string): Array<{ relayId: string | null; url: string; distance: number }> {
+    return this.getPeers()
+      .filter(peer => peer.status !== 'down' && peer.routes[subject] !== undefined)
+      .map(peer => ({ relayId: peer.relayId, url: peer.url, distance: peer.routes[subject] }));
+  }
+
+  /**
+   * Local subscriptions changed - gossip soon (debounced)
+   */
+  notifyChange(): void {
+    if (this.gossipSoon || this.peers.size === 0) return;
+    this.gossipSoon = setTimeout(() => {
+      this.gossipSoon = null;
+      this.gossipAll().catch(() => {});
+    }, 250);
+    this.gossipSoon.unref();
+  }
+
+  /**
+   * Routes to advertise to a peer: local subjects at 0, other peers' routes one hop further
+   */
+  routesFor(target: MeshPeer | null): Record<string, number> {
+    const routes: Record<string, number> = {};
+    for (const subject of this.getLocalSubjects()) routes[subject] = 0;
+    for (const peer of this.peers.values()) {
+      if (peer === target || peer.status === 'down') continue; // Split horizon
+      for (const [subject, distance] of Object.entries(peer.routes)) {
+        const next = distance + 1;
+        if (next < this.ttl && (routes[subject] === undefined || next < routes[subject])) {
+          routes[subject] = next;
+        }
+      }
+    }
+    return routes;
+  }
+
+  async gossipAll(): Promise<void> {
+    if (!this.enabled) return;
+    await Promise.all(this.getPeers().map(peer => this.gossip(peer)));
+  }
+
+  private async gossip(peer: MeshPeer): Promise<void> {
+    try {
+      const response = await axios.post(`${peer.url}/mesh/gossip`, {
+        relayId: this.relayId,
+        url: this.url,
+        routes: this.routesFor(peer),
+        timestamp: Date.now()
+      }, { timeout: 5000, headers: this.authHeaders() });
+      const wasDown = peer.status !== 'up';
+      this.applyGossip(peer, response.data);
+      if (wasDown) console.log(`[RelayMesh] ✅ Peer ${peer.relayId} (${peer.url}) is up`);
+    } catch (error: any) {
+      if (peer.status !== 'down') {
+        console.warn(`[RelayMesh] ⚠️  Gossip to ${peer.url} failed: ${error.message}`);
+      }
+      peer.status = 'down';
+      peer.lastError = error.message;
+    }
+  }
+
+  private applyGossip(peer: MeshPeer, body: any): void {
+    const routes: Record<string, number> = {};
+    for (const [subject, distance] of Object.entries(body?.routes || {})) {
+      if (typeof distance === 'number' && distance >= 0) routes[subject] = distance;
+    }
+    peer.relayId = body.relayId || peer.relayId;
+    peer.routes = routes;
+    peer.status = 'up';
+    peer.lastGossipAt = Date.now();
+    peer.lastError = null;
+  }
+
+  /**
+   * Forward a message accepted from a local agent to peers that can deliver its subject
+   */
+  async publish(subject: string, message: any, fromAccountId: string | null, senderRole: string): Promise<number> {
+    if (!this.enabled) return 0;
+    const envelope: MeshEnvelope = {
+      id: meshMessageId(subject, message),
+      subject,
+      message,
+      fromAccountId,
+      senderRole,
+      origin: this.relayId,
+      ttl: this.ttl,
+      hops: [this.relayId]
+    };
+    if (!this.markSeen(envelope.id)) {
+      return 0; // Came back to us through the mesh
+    }
+    this.stats.published++;
+    return this.forward(envelope);
+  }
+
+  /**
+   * Handle an envelope from a peer: dedup, deliver locally, pass it on
+   */
+  async receive(envelope: MeshEnvelope, fromPeer: MeshPeer | null): Promise<{ accepted: boolean; reason?: string; delivered: number; forwarded: number }> {
+    if (!envelope || !envelope.id || !envelope.subject || !Array.isArray(envelope.hops) || typeof envelope.ttl !== 'number') {
+      return { accepted: false, reason: 'malformed envelope', delivered: 0, forwarded: 0 };
+    }
+    if (fromPeer) fromPeer.received++;
+    if (envelope.hops.includes(this.relayId)) {
+      this.stats.duplicates++;
+      return { accepted: false, reason: 'loop: already visited this relay', delivered: 0, forwarded: 0 };
+    }
+    if (!this.markSeen(envelope.id)) {
+      this.stats.duplicates++;
+      return { accepted: false, reason: 'duplicate message', delivered: 0, forwarded: 0 };
+    }
+    this.stats.received++;
+
+    const hopped: MeshEnvelope = { ...envelope, ttl: envelope.ttl - 1, hops: [...envelope.hops, this.relayId] };
+    const delivered = await this.deliverLocal(hopped);
+    this.stats.delivered += delivered;
+
+    if (hopped.ttl <= 0) {
+      this.stats.expired++;
+      return { accepted: true, delivered, forwarded: 0 };
+    }
+    const forwarded = await this.forward(hopped);
+    return { accepted: true, delivered, forwarded };
+  }
+
+  private async forward(envelope: MeshEnvelope): Promise<number> {
+    const targets = this.getPeers().filter(peer =>
+      peer.status === 'up' &&
+      peer.routes[envelope.subject] !== undefined &&
+      peer.routes[envelope.subject] < envelope.ttl &&
+      !(peer.relayId && envelope.hops.includes(peer.relayId))
+    );
+
+    const results = await Promise.all(targets.map(async (peer) => {
+      try {
+        await axios.post(`${peer.url}/mesh/forward`, envelope, { timeout: 5000, headers: this.authHeaders() });
+        peer.forwarded++;
+        return true;
+      } catch (error: any) {
+        peer.lastError = error.message;
+        console.warn(`[RelayMesh] ⚠️  Forward of ${envelope.subject} to ${peer.relayId || peer.url} failed: ${error.message}`);
+        return false;
+      }
+    }));
+    const forwarded = results.filter(Boolean).length;
+    this.stats.forwarded += forwarded;
+    if (forwarded > 0) {
+      console.log(`[RelayMesh] ➡️  Forwarded ${envelope.subject} (${envelope.id.substring(0, 12)}) to ${forwarded} peer(s), ttl ${envelope.ttl}`);
+    }
+    return forwarded;
+  }
+
+  /**
+   * Record a message ID; false if it was already seen
+   */
+  private markSeen(id: string): boolean {
+    const now = Date.now();
+    const expiresAt = this.seen.get(id);
+    if (expiresAt && expiresAt > now) return false;
+    this.seen.set(id, now + SEEN_TTL_MS);
+    if (this.seen.size > MAX_SEEN) {
+      for (const [key, expiry] of this.seen) {
+        if (expiry <= now || this.seen.size > MAX_SEEN) this.seen.delete(key);
+        else break;
+      }
+    }
+    return true;
+  }
+
+  private authHeaders(): Record<string, string> {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
+  /**
+   * Express router with the peer-facing /mesh endpoints and peer management
+   */
+  router(requireAdmin: (req: Request, res: Response, next: NextFunction) => void): Router {
+    const router = Router();
+
+    const requirePeer = (req: Request, res: Response, next: NextFunction) => {
+      if (!this.token) {
+        return res.status(401).json({ error: 'Relay mesh is disabled (no mesh token set)' });
+      }
+      const expected = Buffer.from(`Bearer ${this.token}`);
+      const actual = Buffer.from(req.headers.authorization || '');
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      next();
+    };
+
+    router.post('/mesh/gossip', requirePeer, (req: Request, res: Response) => {
+      const { relayId, url } = req.body || {};
+      if (!relayId) {
+        return res.status(400).json({ error: 'relayId is required' });
+      }
+      if (relayId === this.relayId) {
+        return res.status(409).json({ error: `Relay ID ${relayId} is our own - check RELAY_ID on the peer` });
+      }
+
+      let peer = this.getPeers().find(p => p.relayId === relayId) || (url ? this.peers.get(url.replace(/\/+$/, '')) : undefined);
+      if (!peer) {
+        if (!this.acceptPeers || !url) {
+          return res.status(403).json({ error: 'Unknown peer (peering is not accepted here)' });
+        }
+        peer = this.addPeer(url);
+      }
+      this.applyGossip(peer, req.body);
+      res.json({ relayId: this.relayId, url: this.url, routes: this.routesFor(peer), timestamp: Date.now() });
+    });
+
+    router.post('/mesh/forward', requirePeer, async (req: Request, res: Response) => {
+      const envelope = req.body as MeshEnvelope;
+      const fromPeer = this.getPeers().find(p => p.relayId && p.relayId === envelope?.hops?.[envelope.hops.length - 1]) || null;
+      if (!fromPeer) {
+        return res.status(403).json({ error: 'Unknown peer' });
+      }
+      try {
+        const result = await this.receive(envelope, fromPeer);
+        res.status(result.accepted || result.reason !== 'malformed envelope' ? 200 : 400).json(result);
+      } catch (error: any) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get('/mesh/peers', (req: Request, res: Response) => {
+      res.json({ relayId: this.relayId, stats: this.getStats(), peers: this.getPeers() });
+    });
+
+    router.post('/mesh/peers', requireAdmin, (req: Request, res: Response) => {
+      try {
+        const peer = this.addPeer(req.body?.url || '');
+        this.gossip(peer).catch(() => {});
+        res.status(201).json({ ok: true, peer });
+      } catch (error: any) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    router.delete('/mesh/peers/:idOrUrl', requireAdmin, (req: Request, res: Response) => {
+      if (!this.removePeer(decodeURIComponent(req.params.idOrUrl))) {
+        return res.status(404).json({ error: `Unknown peer ${req.params.idOrUrl}` });
+      }
+      res.json({ ok: true });
+    });
+
+    return router;
+  }
+}
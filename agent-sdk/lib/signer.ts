@@ -37,11 +37,12 @@ export function generateKeypair(): { publicKey: string; privateKey: string } {
 
 /**
  * Minimal canonicalizer for deterministic JSON
+ * Undefined fields are skipped, as on the wire, so a signature survives serialization
  */
 export function canonicalize(obj: any): string {
   if (typeof obj !== 'object' || obj === null) return JSON.stringify(obj);
-  if (Array.isArray(obj)) return '[' + obj.map(canonicalize).join(',') + ']';
-  const keys = Object.keys(obj).sort();
+  if (Array.isArray(obj)) return '[' + obj.map((item) => item === undefined ? 'null' : canonicalize(item)).join(',') + ']';
+  const keys = Object.keys(obj).filter((k) => obj[k] !== undefined).sort();
   return (
     '{' +
     keys.map((k) => JSON.stringify(k) + ':' + canonicalize(obj[k])).join(',') +
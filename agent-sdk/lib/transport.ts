@@ -0,0 +1,106 @@
+/**
+ * A2A Transport Abstraction
+ *
+ * lib/a2a.ts delegates to one of these backends instead of talking to HCS-10 directly.
+ * Backends are selected by name (A2A_TRANSPORT env var or init options):
+ *   - hcs10:    off-chain NATS messaging with HCS anchoring (default, needs Hedera credentials)
+ *   - loopback: in-process bus, no network (tests and local development)
+ */
+
+// Type definitions
+export type MessageHandler = (message: any, metadata?: any) => Promise<void> | void;
+
+export interface TransportInitOptions {
+  agentName?: string;
+  agentDescription?: string;
+  capabilities?: any[];
+}
+
+export interface TransportStatus {
+  transport: string;
+  isInitialized: boolean;
+  agentAccountId: string | null;
+  subscriptions: string[];
+  [key: string]: any;
+}
+
+export interface A2ATransport {
+  readonly name: string;
+  init(options: TransportInitOptions): Promise<void>;
+  sendA2A(subject: string, message: any): Promise<any>;
+  subscribe(subject: string, handler: MessageHandler): void;
+  close(): Promise<void>;
+  isConnected(): boolean;
+  getConnection(): any;
+  getStatus(): TransportStatus;
+}
+
+type TransportFactory = () => A2ATransport | Promise<A2ATransport>;
+
+const DEFAULT_TRANSPORT = 'hcs10';
+
+// Registered backends: name -> factory
+const factories = new Map<string, TransportFactory>();
+
+/**
+ * Register a transport backend under a name
+ */
+export function registerTransport(name: string, factory: TransportFactory): void {
+  factories.set(name, factory);
+}
+
+/**
+ * List registered transport names
+ */
+export function getTransportNames(): string[] {
+  return Array.from(factories.keys());
+}
+
+/**
+ * Resolve the transport name to use (explicit name > A2A_TRANSPORT env > default)
+ */
+export function resolveTransportName(name?: string | null): string {
+  return (name || process.env.A2A_TRANSPORT || DEFAULT_TRANSPORT).trim().toLowerCase();
+}
+
+/**
+ * Create a transport instance by name
+ */
+export async function createTransport(name?: string | null): Promise<A2ATransport> {
+  const transportName = resolveTransportName(name);
+  const factory = factories.get(transportName);
+  if (!factory) {
+    throw new Error(`Unknown A2A transport '${transportName}' (available: ${getTransportNames().join(', ')})`);
+  }
+  return await factory();
+}
+
+/**
+ * HCS-10 backend - loaded lazily so other backends never pull in the Hedera SDKs
+ */
+registerTransport('hcs10', async () => {
+  const hcs10 = await import('./hcs10');
+  return {
+    name: 'hcs10',
+    init: (options: TransportInitOptions) => hcs10.init({
+      network: (process.env.HEDERA_NETWORK || 'testnet') as 'testnet' | 'mainnet',
+      agentName: options.agentName,
+      agentDescription: options.agentDescription,
+      capabilities: options.capabilities,
+    }),
+    sendA2A: (subject: string, message: any) => hcs10.sendA2A(subject, message),
+    subscribe: (subject: string, handler: MessageHandler) => hcs10.subscribe(subject, handler),
+    close: () => hcs10.close(),
+    isConnected: () => hcs10.isConnected(),
+    getConnection: () => hcs10.getConnection(),
+    getStatus: () => ({ transport: 'hcs10', ...hcs10.getConnectionStatus() }),
+  };
+});
+
+/**
+ * Loopback backend - in-process bus shared by every agent in this process
+ */
+registerTransport('loopback', async () => {
+  const { createLoopbackTransport } = await import('./loopback');
+  return createLoopbackTransport();
+});
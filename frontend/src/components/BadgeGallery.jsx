@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { verifyCredential } from '../utils/credentials';
 
 const BadgeGallery = ({ wallet }) => {
   const [badges, setBadges] = useState([]);
@@ -7,6 +8,9 @@ const BadgeGallery = ({ wallet }) => {
   const [selectedBadge, setSelectedBadge] = useState(null);
 
   const REPUTE_AGENT_URL = 'http://localhost:3004';
+  const MARKETPLACE_AGENT_URL = import.meta.env.VITE_MARKETPLACE_AGENT_URL || 'http://localhost:3008';
+  // Only ReputeAgent and VerificationAgent issue badge credentials
+  const TRUSTED_ISSUERS = [import.meta.env.VITE_REPUTE_AGENT_DID, import.meta.env.VITE_VERIFICATION_AGENT_DID].filter(Boolean);
 
   // Badge type metadata
   const BADGE_METADATA = {
@@ -30,9 +34,59 @@ const BadgeGallery = ({ wallet }) => {
     }
   }, [wallet]);
 
+  // Status lists are kept in localStorage so badges can be re-verified offline
+  const loadStatusList = async (url) => {
+    const cacheKey = `statusList:${url}`;
+    try {
+      const { data } = await axios.get(url);
+      localStorage.setItem(cacheKey, JSON.stringify(data));
+      return data;
+    } catch (error) {
+      const cached = localStorage.getItem(cacheKey);
+      return cached ? JSON.parse(cached) : null;
+    }
+  };
+
+  // The proof's key, and only if the DID document lists it for assertions (signing credentials)
+  const resolveIssuerKey = async (did, verificationMethodId) => {
+    const { data } = await axios.get(`${MARKETPLACE_AGENT_URL}/identifiers/${encodeURIComponent(did)}`);
+    const document = data.didDocument || {};
+    const assertionRefs = (document.assertionMethod || []).map((ref) => (typeof ref === 'string' ? ref : ref?.id));
+    const method = (document.verificationMethod || []).find((candidate) =>
+      candidate.id === verificationMethodId && assertionRefs.includes(candidate.id)
+    );
+    return method?.publicKeyBase64 || null;
+  };
+
+  // Badges issued as Verifiable Credentials, each checked in the browser
+  const fetchCredentialBadges = async () => {
+    const { data } = await axios.get(`${REPUTE_AGENT_URL}/credentials/${wallet}`);
+    const credentials = data.credentials || [];
+    const statusUrls = [...new Set(credentials.map((vc) => vc.credentialStatus?.statusListCredential).filter(Boolean))];
+    const statusListCredentials = (await Promise.all(statusUrls.map(loadStatusList))).filter(Boolean);
+
+    return await Promise.all(credentials.map(async (credential) => ({
+      badgeType: credential.credentialSubject?.achievement?.badgeType ?? 11,
+      tokenId: null,
+      issuedAt: Date.parse(credential.validFrom),
+      proof: credential.id,
+      credential,
+      verification: await verifyCredential(credential, { trustedIssuers: TRUSTED_ISSUERS, statusListCredentials, resolveIssuerKey })
+    })));
+  };
+
   const fetchBadges = async () => {
     try {
       setLoading(true);
+      const credentialBadges = await fetchCredentialBadges().catch((error) => {
+        console.error('Error fetching badge credentials:', error);
+        return [];
+      });
+      if (credentialBadges.length > 0) {
+        setBadges(credentialBadges.filter((badge) => badge.verification.status !== 'revoked'));
+        return;
+      }
+
       // In a real app, this would query the BadgeNFT contract
       // For now, we'll simulate with ReputeAgent data
       const response = await axios.get(`${REPUTE_AGENT_URL}/reputation/${wallet}`);
@@ -172,8 +226,13 @@ const BadgeGallery = ({ wallet }) => {
                   <p className="text-sm text-gray-600 mb-3">
                     {metadata.description}
                   </p>
+                  {badge.verification && (
+                    <p className={`text-xs font-medium mb-2 ${badge.verification.verified ? 'text-green-600' : 'text-yellow-600'}`}>
+                      {badge.verification.verified ? '✓ Verified credential' : '⚠️ Unverified credential'}
+                    </p>
+                  )}
                   <div className="flex items-center justify-between text-xs text-gray-500">
-                    <span>Token #{badge.tokenId}</span>
+                    <span>{badge.tokenId ? `Token #${badge.tokenId}` : 'Verifiable Credential'}</span>
                     <span>{new Date(badge.issuedAt).toLocaleDateString()}</span>
                   </div>
                 </div>
@@ -243,10 +302,12 @@ const BadgeGallery = ({ wallet }) => {
               </p>
 
               <div className="space-y-3 bg-gray-50 rounded-lg p-4 mb-4">
-                <div>
-                  <p className="text-xs text-gray-500">Token ID</p>
-                  <p className="font-mono font-semibold">#{selectedBadge.tokenId}</p>
-                </div>
+                {selectedBadge.tokenId && (
+                  <div>
+                    <p className="text-xs text-gray-500">Token ID</p>
+                    <p className="font-mono font-semibold">#{selectedBadge.tokenId}</p>
+                  </div>
+                )}
                 <div>
                   <p className="text-xs text-gray-500">Issued Date</p>
                   <p className="font-semibold">
@@ -257,6 +318,17 @@ const BadgeGallery = ({ wallet }) => {
                   <p className="text-xs text-gray-500">Proof</p>
                   <p className="font-mono text-xs truncate">{selectedBadge.proof}</p>
                 </div>
+                {selectedBadge.credential && (
+                  <div>
+                    <p className="text-xs text-gray-500">Issuer</p>
+                    <p className="font-mono text-xs truncate">{selectedBadge.credential.issuer}</p>
+                    <p className={`text-xs font-medium mt-1 ${selectedBadge.verification.verified ? 'text-green-600' : 'text-yellow-600'}`}>
+                      {selectedBadge.verification.verified
+                        ? `✓ Signature valid, revocation status: ${selectedBadge.verification.status}`
+                        : `⚠️ ${selectedBadge.verification.reason}`}
+                    </p>
+                  </div>
+                )}
                 <div>
                   <p className="text-xs text-gray-500">Transferable</p>
                   <p className="font-semibold text-red-600">❌ No (Soulbound)</p>
@@ -19,8 +19,9 @@ function JobDetail({ account }) {
       const foundJob = jobResponse.data.jobs.find((j) => j.jobId === jobId);
       setJob(foundJob);
 
-      const offersResponse = await axios.get(`/api/client/offers/${jobId}`);
-      setOffers(offersResponse.data.offers || []);
+      // Ranked: best first, each with its score and the reasons for it
+      const offersResponse = await axios.get(`/api/client/offers/${jobId}?ranked=true`);
+      setOffers((offersResponse.data.offers || []).map((ranked) => ({ ...ranked.offer, ranking: ranked })));
     } catch (error) {
       console.error('Error fetching job details:', error);
     } finally {
@@ -195,10 +196,17 @@ function JobDetail({ account }) {
                     <div className="text-sm text-white/70 space-y-1">
                       <div>Price: <span className="font-semibold text-white">{parseFloat(offer.priceHBAR) / 1e18} HBAR</span></div>
                       <div>ETA: <span className="font-semibold text-white">{offer.eta}</span></div>
+                      {offer.ranking && (
+                        <div>
+                          {offer.ranking.rank ? `#${offer.ranking.rank} · ` : ''}
+                          Score: <span className="font-semibold text-white">{offer.ranking.score}/100</span>
+                          <div className="text-xs text-white/50">{offer.ranking.explanation}</div>
+                        </div>
+                      )}
                     </div>
                   </div>
                   
-                  {job.status === 'open' && (
+                  {(job.status === 'open' || job.status === 'offered') && (
                     <button
                       onClick={() => handleAcceptOffer(offer)}
                       className="btn-primary whitespace-nowrap"
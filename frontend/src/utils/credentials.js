@@ -0,0 +1,131 @@
+/**
+ * Verify AexoWork Verifiable Credentials in the browser
+ *
+ * Mirrors verifyCredential in agent-sdk/lib/credentials.ts: the proofValue is an ed25519
+ * signature over the canonical JSON (sorted keys) of the credential without proofValue, and
+ * revocation is a GZIP'd Bitstring Status List. Uses WebCrypto Ed25519 and
+ * DecompressionStream, so nothing leaves the browser when the issuer DID is self-certifying
+ * (did:hedera:<network>:z<key>) and the status list credential is already at hand.
+ * A credential only counts as verified when its issuer is one of the trusted issuer DIDs and
+ * its revocation status could be checked (or it has none).
+ */
+
+const CRYPTOSUITE = 'aexowork-ed25519-jcs-2024';
+
+/**
+ * Deterministic JSON (same ordering as agent-sdk/lib/signer.ts)
+ */
+export function canonicalize(obj) {
+  if (typeof obj !== 'object' || obj === null) return JSON.stringify(obj);
+  if (Array.isArray(obj)) return '[' + obj.map(canonicalize).join(',') + ']';
+  return '{' + Object.keys(obj).sort().map((k) => JSON.stringify(k) + ':' + canonicalize(obj[k])).join(',') + '}';
+}
+
+function base64ToBytes(value) {
+  const normalized = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(normalized + '='.repeat((4 - (normalized.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+function fromMultibase(value) {
+  if (typeof value !== 'string' || !value.startsWith('u')) {
+    throw new Error('Unsupported multibase encoding (expected base64url)');
+  }
+  return base64ToBytes(value.substring(1));
+}
+
+/**
+ * Public key embedded in a self-certifying did:hedera identifier (null otherwise)
+ */
+export function publicKeyFromDid(did) {
+  const match = /^did:hedera:[a-z]+:z([A-Za-z0-9+/=]+)$/.exec(did || '');
+  if (!match) return null;
+  return base64ToBytes(match[1]).length === 32 ? match[1] : null;
+}
+
+async function verifyProof(credential, issuerPublicKey) {
+  const proof = credential?.proof;
+  if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE || !proof.proofValue) {
+    return { verified: false, reason: 'missing or unsupported proof' };
+  }
+  if (!proof.verificationMethod?.startsWith(`${credential.issuer}#`)) {
+    return { verified: false, reason: 'proof was not made with a key of the issuer DID' };
+  }
+  if (!issuerPublicKey) {
+    return { verified: false, reason: `no key found for issuer ${credential.issuer}` };
+  }
+
+  const { proofValue, ...proofOptions } = proof;
+  const message = new TextEncoder().encode(canonicalize({ ...credential, proof: proofOptions }));
+  try {
+    const key = await crypto.subtle.importKey('raw', base64ToBytes(issuerPublicKey), { name: 'Ed25519' }, false, ['verify']);
+    const verified = await crypto.subtle.verify({ name: 'Ed25519' }, key, fromMultibase(proofValue), message);
+    return verified ? { verified: true } : { verified: false, reason: 'proof does not match the issuer key' };
+  } catch (error) {
+    return { verified: false, reason: `Ed25519 verification unavailable: ${error.message}` };
+  }
+}
+
+async function isStatusSet(encodedList, index) {
+  const stream = new Blob([fromMultibase(encodedList)]).stream().pipeThrough(new DecompressionStream('gzip'));
+  const bits = new Uint8Array(await new Response(stream).arrayBuffer());
+  if (index < 0 || index >= bits.length * 8) throw new Error(`Status list index ${index} out of range`);
+  return (bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+}
+
+/**
+ * Verify a credential
+ * options.trustedIssuers     issuer DIDs whose credentials are accepted (required)
+ * options.issuerPublicKey    pin the issuer key (base64)
+ * options.resolveIssuerKey   async (did, verificationMethodId) => base64 key, for DIDs that are not self-certifying
+ * options.statusListCredentials  status list credentials already fetched
+ * Returns { verified, status: 'valid' | 'revoked' | 'unknown' | 'none', reason }
+ */
+export async function verifyCredential(credential, options = {}) {
+  if (!credential?.issuer || !Array.isArray(credential.type) || !credential.type.includes('VerifiableCredential')) {
+    return { verified: false, status: 'unknown', reason: 'not a verifiable credential' };
+  }
+  const trustedIssuers = (options.trustedIssuers || []).filter(Boolean);
+  if (trustedIssuers.length === 0) {
+    return { verified: false, status: 'unknown', reason: 'no trusted issuer DIDs configured' };
+  }
+  if (!trustedIssuers.includes(credential.issuer)) {
+    return { verified: false, status: 'unknown', reason: `issuer ${credential.issuer} is not a trusted issuer` };
+  }
+
+  let issuerPublicKey = options.issuerPublicKey || publicKeyFromDid(credential.issuer);
+  if (!issuerPublicKey && options.resolveIssuerKey) {
+    issuerPublicKey = await options.resolveIssuerKey(credential.issuer, credential.proof?.verificationMethod).catch(() => null);
+  }
+
+  const proof = await verifyProof(credential, issuerPublicKey);
+  if (!proof.verified) return { verified: false, status: 'unknown', reason: proof.reason };
+
+  const now = Date.now();
+  if (credential.validFrom && Date.parse(credential.validFrom) > now) {
+    return { verified: false, status: 'unknown', reason: 'credential is not valid yet' };
+  }
+  if (credential.validUntil && Date.parse(credential.validUntil) < now) {
+    return { verified: false, status: 'unknown', reason: 'credential has expired' };
+  }
+
+  const entry = credential.credentialStatus;
+  if (!entry) return { verified: true, status: 'none' };
+  const list = (options.statusListCredentials || []).find((candidate) => candidate?.id === entry.statusListCredential);
+  // Without a checked status list the credential may have been revoked
+  if (!list) return { verified: false, status: 'unknown', reason: 'revocation status unavailable: status list not available' };
+  if (list.issuer !== credential.issuer) {
+    return { verified: false, status: 'unknown', reason: 'revocation status unavailable: status list was not issued by the credential issuer' };
+  }
+  const listProof = await verifyProof(list, issuerPublicKey);
+  if (!listProof.verified) return { verified: false, status: 'unknown', reason: `revocation status unavailable: status list ${listProof.reason}` };
+
+  try {
+    const revoked = await isStatusSet(list.credentialSubject.encodedList, parseInt(entry.statusListIndex, 10));
+    return revoked
+      ? { verified: false, status: 'revoked', reason: 'credential has been revoked' }
+      : { verified: true, status: 'valid' };
+  } catch (error) {
+    return { verified: false, status: 'unknown', reason: `revocation status unavailable: ${error.message}` };
+  }
+}
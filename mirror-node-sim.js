@@ -0,0 +1,370 @@
+/**
+ * Local Hedera Consensus + Mirror Node Simulator for Development
+ * Pure JavaScript - No testnet access needed!
+ *
+ * Consensus side (stands in for TopicMessageSubmitTransaction):
+ *   POST /simulator/topics                       - create a topic ({ memo? }) -> { topic_id }
+ *   POST /simulator/topics/:topicId/messages     - submit { message, encoding?, payer_account_id? }
+ *   POST /simulator/accounts                     - publish { account_id, key } for account lookups
+ *
+ * Mirror node side (same shapes as the public REST API):
+ *   GET /api/v1/topics/:topicId
+ *   GET /api/v1/topics/:topicId/messages         - sequencenumber / timestamp filters, limit, order, links.next
+ *   GET /api/v1/topics/:topicId/messages/:seq
+ *   GET /api/v1/accounts/:accountId
+ *
+ * Point agents at it with HCS_SIMULATOR_URL=http://localhost:5551
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const ENTITY_ID = /^\d+\.\d+\.\d+$/;
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MAX_MESSAGE_BYTES = 20 * 1024; // TopicMessageSubmitTransaction default: 20 chunks of 1024 bytes
+
+class MirrorNodeSimulator extends EventEmitter {
+  constructor(port = 5551, options = {}) {
+    super();
+    this.port = port;
+    this.dataFile = options.dataFile || null;
+    this.server = null;
+    this.topics = new Map(); // topicId -> { memo, createdTimestamp, runningHash, messages: [] }
+    this.accounts = new Map(); // accountId -> { key, _type }
+    this.nextTopicNum = 1000;
+    this.lastTimestampNanos = 0n;
+    this.load();
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((err) => {
+        console.error(`[MirrorSim] Request error: ${err.message}`);
+        this.sendError(res, 500, err.message);
+      });
+    });
+
+    this.server.listen(this.port, () => {
+      console.log(`\n✅ Mirror Node Simulator listening on port ${this.port}`);
+      console.log(`   URL: http://localhost:${this.port}`);
+      console.log(`   Topics loaded: ${this.topics.size}\n`);
+    });
+
+    this.server.on('error', (err) => {
+      console.error(`[MirrorSim] Server error: ${err.message}`);
+    });
+    return this.server;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (req.method === 'POST' && parts[0] === 'simulator') {
+      const body = await readBody(req);
+      if (body === undefined) return this.sendError(res, 400, 'Invalid JSON body');
+
+      // POST /simulator/topics
+      if (parts[1] === 'topics' && parts.length === 2) {
+        return this.sendJSON(res, 200, this.createTopic(body.memo));
+      }
+      // POST /simulator/topics/:topicId/messages
+      if (parts[1] === 'topics' && parts[3] === 'messages' && parts.length === 4) {
+        if (!ENTITY_ID.test(parts[2])) return this.sendError(res, 400, 'Invalid parameter: topic.id');
+        const result = this.submitMessage(parts[2], body);
+        if (result.error) return this.sendError(res, 400, result.error);
+        return this.sendJSON(res, 200, result);
+      }
+      // POST /simulator/accounts
+      if (parts[1] === 'accounts' && parts.length === 2) {
+        if (!ENTITY_ID.test(body.account_id || '') || !body.key) {
+          return this.sendError(res, 400, 'account_id and key are required');
+        }
+        this.accounts.set(body.account_id, {
+          key: String(body.key).replace(/^0x/, ''),
+          _type: body.type || 'ECDSA_SECP256K1',
+        });
+        this.save();
+        return this.sendJSON(res, 200, { account_id: body.account_id });
+      }
+      return this.sendError(res, 404, 'Not found');
+    }
+
+    if (req.method !== 'GET' || parts[0] !== 'api' || parts[1] !== 'v1') {
+      return this.sendError(res, 404, 'Not found');
+    }
+
+    // GET /api/v1/accounts/:accountId
+    if (parts[2] === 'accounts' && parts.length === 4) {
+      const account = this.accounts.get(parts[3]);
+      if (!account) return this.sendError(res, 404, 'Not found');
+      return this.sendJSON(res, 200, { account: parts[3], key: { _type: account._type, key: account.key } });
+    }
+
+    if (parts[2] !== 'topics' || !parts[3]) {
+      return this.sendError(res, 404, 'Not found');
+    }
+    const topicId = parts[3];
+    if (!ENTITY_ID.test(topicId)) return this.sendError(res, 400, 'Invalid parameter: topic.id');
+
+    // GET /api/v1/topics/:topicId
+    if (parts.length === 4) {
+      const topic = this.topics.get(topicId);
+      if (!topic) return this.sendError(res, 404, 'Not found');
+      return this.sendJSON(res, 200, {
+        topic_id: topicId,
+        memo: topic.memo,
+        created_timestamp: topic.createdTimestamp,
+        deleted: false,
+      });
+    }
+
+    // GET /api/v1/topics/:topicId/messages/:sequenceNumber
+    if (parts[4] === 'messages' && parts.length === 6) {
+      const topic = this.topics.get(topicId);
+      const message = topic && topic.messages[parseInt(parts[5], 10) - 1];
+      if (!message) return this.sendError(res, 404, 'Not found');
+      return this.sendJSON(res, 200, message);
+    }
+
+    // GET /api/v1/topics/:topicId/messages
+    if (parts[4] === 'messages' && parts.length === 5) {
+      const result = this.listMessages(topicId, url.searchParams);
+      if (result.error) return this.sendError(res, 400, result.error);
+      return this.sendJSON(res, 200, result);
+    }
+
+    return this.sendError(res, 404, 'Not found');
+  }
+
+  createTopic(memo = '', topicId = null) {
+    const id = topicId || `0.0.${this.nextTopicNum++}`;
+    if (!this.topics.has(id)) {
+      this.topics.set(id, {
+        memo,
+        createdTimestamp: formatTimestamp(this.nextTimestamp()),
+        runningHash: Buffer.alloc(48),
+        messages: [],
+      });
+      console.log(`[MirrorSim] Topic created: ${id}`);
+      this.save();
+    }
+    return { topic_id: id };
+  }
+
+  /**
+   * Order a submission: assign the next sequence number and a strictly increasing consensus timestamp
+   */
+  submitMessage(topicId, body) {
+    if (typeof body.message !== 'string') {
+      return { error: 'message must be a string' };
+    }
+    const bytes = Buffer.from(body.message, body.encoding === 'base64' ? 'base64' : 'utf8');
+    if (bytes.length === 0) return { error: 'message is empty' };
+    if (bytes.length > MAX_MESSAGE_BYTES) return { error: `message exceeds ${MAX_MESSAGE_BYTES} bytes` };
+
+    if (!this.topics.has(topicId)) this.createTopic('', topicId); // Topics are created implicitly
+
+    const topic = this.topics.get(topicId);
+    const payer = ENTITY_ID.test(body.payer_account_id || '') ? body.payer_account_id : '0.0.2';
+    const consensusNanos = this.nextTimestamp();
+    const consensusTimestamp = formatTimestamp(consensusNanos);
+    const sequenceNumber = topic.messages.length + 1;
+
+    topic.runningHash = crypto.createHash('sha384')
+      .update(topic.runningHash)
+      .update(topicId)
+      .update(consensusTimestamp)
+      .update(String(sequenceNumber))
+      .update(bytes)
+      .digest();
+
+    const validStart = formatTimestamp(consensusNanos - 1000000n).replace('.', '-');
+    const message = {
+      chunk_info: null,
+      consensus_timestamp: consensusTimestamp,
+      message: bytes.toString('base64'),
+      payer_account_id: payer,
+      running_hash: topic.runningHash.toString('base64'),
+      running_hash_version: 3,
+      sequence_number: sequenceNumber,
+      topic_id: topicId,
+    };
+    topic.messages.push(message);
+    this.save();
+
+    console.log(`[MirrorSim] ${topicId} #${sequenceNumber} (${bytes.length} bytes) from ${payer}`);
+    this.emit('message', message);
+
+    return {
+      status: 'SUCCESS',
+      topic_id: topicId,
+      sequence_number: sequenceNumber,
+      consensus_timestamp: consensusTimestamp,
+      running_hash: message.running_hash,
+      transaction_id: `${payer}-${validStart}`,
+    };
+  }
+
+  listMessages(topicId, params) {
+    const topic = this.topics.get(topicId);
+    const order = (params.get('order') || 'asc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') return { error: 'Invalid parameter: order' };
+
+    const limit = Math.min(parseInt(params.get('limit') || String(DEFAULT_LIMIT), 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const sequenceFilters = parseFilters(params.getAll('sequencenumber'), (v) => BigInt(parseInt(v, 10)));
+    const timestampFilters = parseFilters(params.getAll('timestamp'), parseTimestamp);
+    if (!sequenceFilters || !timestampFilters) return { error: 'Invalid parameter: sequencenumber or timestamp' };
+
+    let matching = (topic ? topic.messages : []).filter((m) =>
+      sequenceFilters.every((f) => f(BigInt(m.sequence_number))) &&
+      timestampFilters.every((f) => f(parseTimestamp(m.consensus_timestamp)))
+    );
+    if (order === 'desc') matching = matching.reverse();
+
+    const messages = matching.slice(0, limit);
+    let next = null;
+    if (matching.length > limit) {
+      const last = messages[messages.length - 1];
+      const nextParams = new URLSearchParams();
+      for (const value of params.getAll('sequencenumber')) {
+        const op = value.split(':')[0];
+        // Drop the bound the next page moves past, keep the other end of the range
+        if (order === 'asc' && (op === 'gt' || op === 'gte')) continue;
+        if (order === 'desc' && (op === 'lt' || op === 'lte')) continue;
+        nextParams.append('sequencenumber', value);
+      }
+      nextParams.append('sequencenumber', `${order === 'asc' ? 'gt' : 'lt'}:${last.sequence_number}`);
+      for (const value of params.getAll('timestamp')) nextParams.append('timestamp', value);
+      nextParams.set('limit', String(limit));
+      nextParams.set('order', order);
+      next = `/api/v1/topics/${topicId}/messages?${nextParams.toString().replace(/%3A/g, ':')}`;
+    }
+
+    return { messages, links: { next } };
+  }
+
+  nextTimestamp() {
+    const now = BigInt(Date.now()) * 1000000n;
+    this.lastTimestampNanos = now > this.lastTimestampNanos ? now : this.lastTimestampNanos + 1n;
+    return this.lastTimestampNanos;
+  }
+
+  load() {
+    if (!this.dataFile || !fs.existsSync(this.dataFile)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      for (const [topicId, topic] of Object.entries(data.topics || {})) {
+        this.topics.set(topicId, { ...topic, runningHash: Buffer.from(topic.runningHash, 'base64') });
+        const last = topic.messages[topic.messages.length - 1];
+        if (last) {
+          const nanos = parseTimestamp(last.consensus_timestamp);
+          if (nanos > this.lastTimestampNanos) this.lastTimestampNanos = nanos;
+        }
+      }
+      for (const [accountId, account] of Object.entries(data.accounts || {})) {
+        this.accounts.set(accountId, account);
+      }
+      this.nextTopicNum = data.nextTopicNum || this.nextTopicNum;
+    } catch (err) {
+      console.error(`[MirrorSim] Could not load ${this.dataFile}: ${err.message}`);
+    }
+  }
+
+  save() {
+    if (!this.dataFile) return;
+    const topics = {};
+    for (const [topicId, topic] of this.topics) {
+      topics[topicId] = { ...topic, runningHash: topic.runningHash.toString('base64') };
+    }
+    const data = { topics, accounts: Object.fromEntries(this.accounts), nextTopicNum: this.nextTopicNum };
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    const tmp = `${this.dataFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, this.dataFile);
+  }
+
+  sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  sendError(res, status, message) {
+    this.sendJSON(res, status, { _status: { messages: [{ message }] } });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close(() => {
+        console.log('[MirrorSim] Server stopped');
+      });
+    }
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch (err) {
+        resolve(undefined);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function formatTimestamp(nanos) {
+  const seconds = nanos / 1000000000n;
+  const rest = nanos % 1000000000n;
+  return `${seconds}.${String(rest).padStart(9, '0')}`;
+}
+
+function parseTimestamp(value) {
+  const [seconds, nanos = '0'] = String(value).split('.');
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0').substring(0, 9));
+}
+
+/**
+ * Parse mirror node range filters ("gt:5", "lte:10", "5") into predicates; null if malformed
+ */
+function parseFilters(values, parse) {
+  const ops = {
+    eq: (a, b) => a === b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+  };
+  const filters = [];
+  for (const value of values) {
+    const [op, operand] = value.includes(':') ? value.split(':') : ['eq', value];
+    if (!ops[op] || !/^\d+(\.\d+)?$/.test(operand)) return null;
+    const bound = parse(operand);
+    filters.push((v) => ops[op](v, bound));
+  }
+  return filters;
+}
+
+// Start server if run directly
+if (require.main === module) {
+  const port = process.env.MIRROR_SIM_PORT || 5551;
+  const server = new MirrorNodeSimulator(port, { dataFile: process.env.MIRROR_SIM_DATA_FILE });
+  server.start();
+
+  process.on('SIGINT', () => {
+    console.log('\n[MirrorSim] Shutting down...');
+    server.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = MirrorNodeSimulator;
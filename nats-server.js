@@ -1,74 +1,98 @@
 /**
  * Simple NATS Server for Development
  * Pure JavaScript - No external binaries needed!
+ *
+ * Supports the core client protocol: CONNECT, PING/PONG, SUB (with queue groups),
+ * UNSUB (with max_msgs), PUB and HPUB (headers), reply subjects and `*` / `>` wildcards.
+ *
+ * Optional stream mode (NATS_STORE_DIR): published messages are appended to per-subject
+ * log files, so subscribers that were offline can catch up. Control subjects:
+ *   $STREAM.REPLAY          request { filter, deliverTo, durable?, startSeq?, startTime? }
+ *                           -> matching messages are sent to deliverTo, then a summary reply
+ *   $STREAM.ACK.<durable>.<seq>  advance a durable consumer's cursor (reply subject of replayed messages)
+ *   $STREAM.INFO            request -> stream and consumer state
+ * Stored messages carry Nats-Stream-Seq (and, when replayed, Nats-Subject / Nats-Time-Stamp) headers.
  */
 
 const net = require('net');
+const fs = require('fs');
+const path = require('path');
 const EventEmitter = require('events');
 
+const CRLF = '\r\n';
+const STREAM_PREFIX = '$STREAM.';
+const NEVER_STORED = ['_INBOX.>', '$STREAM.>'];
+
 class SimpleNATSServer extends EventEmitter {
-  constructor(port = 4222) {
+  constructor(port = 4222, options = {}) {
     super();
     this.port = port;
-    this.clients = new Map();
-    this.subscriptions = new Map();
+    this.clients = new Map(); // clientId -> { socket, options }
+    this.subscriptions = new Map(); // subject pattern -> [{ clientId, socket, sid, queue, max, delivered }]
+    this.queueCursors = new Map(); // "pattern queue" -> round-robin position
     this.server = null;
     this.clientId = 0;
-    this.pendingPubs = new Map(); // Track pending PUB commands
+
+    // Stream mode
+    this.storeDir = options.storeDir || null;
+    this.streamSubjects = options.streamSubjects || ['>'];
+    this.stream = []; // stored messages in sequence order: { seq, subject, time, reply, headers, data }
+    this.lastSeq = 0;
+    this.consumers = {}; // durable name -> { filter, ackSeq, updatedAt }
+    if (this.storeDir) this.loadStream();
   }
 
   start() {
     this.server = net.createServer((socket) => {
       const clientId = ++this.clientId;
-      this.clients.set(clientId, socket);
-      
+      const client = { socket, options: { verbose: false, headers: false } };
+      this.clients.set(clientId, client);
+
       console.log(`[NATS] Client connected: ${clientId}`);
-      
+
       // Send INFO message
       const info = {
         server_id: 'simple-nats-server',
-        version: '1.0.0',
+        version: '1.1.0',
         proto: 1,
+        headers: true,
         host: '127.0.0.1',
         port: this.port,
         max_payload: 1048576,
       };
-      socket.write(`INFO ${JSON.stringify(info)}\r\n`);
+      socket.write(`INFO ${JSON.stringify(info)}${CRLF}`);
+
+      let buffer = Buffer.alloc(0);
+      let pendingPub = null; // PUB/HPUB waiting for its payload
 
-      let buffer = '';
-      let pendingPub = null; // Track current PUB command being processed
-      
       socket.on('data', (data) => {
-        buffer += data.toString();
-        
-        // Handle pending PUB payload
-        if (pendingPub) {
-          const { subject, payloadSize } = pendingPub;
-          const totalNeeded = payloadSize + 2; // +2 for \r\n
-          
-          if (buffer.length >= totalNeeded) {
-            const payload = buffer.substring(0, payloadSize);
-            buffer = buffer.substring(totalNeeded);
-            
-            // Deliver to subscribers
-            this.deliverMessage(subject, payload);
-            
+        buffer = Buffer.concat([buffer, data]);
+
+        while (buffer.length > 0) {
+          // Payload of a PUB/HPUB (byte counts, not characters)
+          if (pendingPub) {
+            const totalNeeded = pendingPub.totalSize + 2; // +2 for \r\n
+            if (buffer.length < totalNeeded) break;
+
+            const frame = buffer.subarray(0, pendingPub.totalSize);
+            buffer = buffer.subarray(totalNeeded);
+            const headers = pendingPub.headerSize > 0 ? frame.subarray(0, pendingPub.headerSize) : null;
+            const payload = pendingPub.headerSize > 0 ? frame.subarray(pendingPub.headerSize) : frame;
+
+            this.publish(pendingPub.subject, payload, pendingPub.replyTo, headers);
             pendingPub = null;
+            continue;
           }
-        }
-        
-        // Process complete messages
-        while (buffer.length > 0) {
-          const idx = buffer.indexOf('\r\n');
+
+          const idx = buffer.indexOf(CRLF);
           if (idx === -1) break;
-          
-          const line = buffer.substring(0, idx);
-          buffer = buffer.substring(idx + 2);
-          
+
+          const line = buffer.subarray(0, idx).toString();
+          buffer = buffer.subarray(idx + 2);
+
           const result = this.handleMessage(clientId, socket, line);
-          if (result && result.type === 'PUB') {
+          if (result && (result.type === 'PUB' || result.type === 'HPUB')) {
             pendingPub = result;
-            break; // Wait for payload
           }
         }
       });
@@ -76,16 +100,7 @@ class SimpleNATSServer extends EventEmitter {
       socket.on('close', () => {
         console.log(`[NATS] Client disconnected: ${clientId}`);
         this.clients.delete(clientId);
-        
-        // Remove subscriptions for this client
-        for (const [subject, subs] of this.subscriptions.entries()) {
-          const filtered = subs.filter(s => s.clientId !== clientId);
-          if (filtered.length === 0) {
-            this.subscriptions.delete(subject);
-          } else {
-            this.subscriptions.set(subject, filtered);
-          }
-        }
+        this.removeSubscriptions((s) => s.clientId === clientId);
       });
 
       socket.on('error', (err) => {
@@ -95,114 +110,407 @@ class SimpleNATSServer extends EventEmitter {
 
     this.server.listen(this.port, () => {
       console.log(`\n✅ NATS Server listening on port ${this.port}`);
-      console.log(`   URL: nats://localhost:${this.port}\n`);
+      console.log(`   URL: nats://localhost:${this.port}`);
+      if (this.storeDir) {
+        console.log(`   Stream: ${this.storeDir} (${this.stream.length} stored message(s), subjects: ${this.streamSubjects.join(', ')})`);
+      }
+      console.log('');
     });
 
     this.server.on('error', (err) => {
       console.error(`[NATS] Server error: ${err.message}`);
     });
+    return this.server;
   }
 
   handleMessage(clientId, socket, line) {
-    const parts = line.split(' ');
-    const cmd = parts[0];
+    const parts = line.trim().split(/\s+/);
+    const cmd = parts[0].toUpperCase();
+    const client = this.clients.get(clientId);
+    const ok = () => {
+      if (client && client.options.verbose) socket.write(`+OK${CRLF}`);
+    };
 
     switch (cmd) {
-      case 'CONNECT':
-        // Client connection
-        socket.write('+OK\r\n');
+      case 'CONNECT': {
+        // CONNECT {"verbose":false,"headers":true,...}
+        try {
+          const options = JSON.parse(line.substring(line.indexOf('{')));
+          client.options = { ...client.options, ...options };
+        } catch (err) {
+          this.sendError(socket, 'Invalid CONNECT options');
+          return null;
+        }
+        ok();
         return null;
+      }
 
       case 'PING':
-        socket.write('PONG\r\n');
+        socket.write(`PONG${CRLF}`);
         return null;
 
-      case 'SUB':
+      case 'PONG':
+        return null;
+
+      case 'SUB': {
         // SUB <subject> [queue] <sid>
+        if (parts.length !== 3 && parts.length !== 4) {
+          this.sendError(socket, 'Invalid SUB format');
+          return null;
+        }
         const subject = parts[1];
+        const queue = parts.length === 4 ? parts[2] : null;
         const sid = parts[parts.length - 1];
-        
+        if (!isValidSubject(subject, true)) {
+          this.sendError(socket, 'Invalid Subject');
+          return null;
+        }
+
         if (!this.subscriptions.has(subject)) {
           this.subscriptions.set(subject, []);
         }
-        this.subscriptions.get(subject).push({ clientId, socket, sid });
-        
-        console.log(`[NATS] Client ${clientId} subscribed to: ${subject}`);
-        socket.write('+OK\r\n');
+        this.subscriptions.get(subject).push({ clientId, socket, sid, queue, max: 0, delivered: 0 });
+
+        console.log(`[NATS] Client ${clientId} subscribed to: ${subject}${queue ? ` (queue ${queue})` : ''}`);
+        ok();
         return null;
+      }
 
-      case 'UNSUB':
+      case 'UNSUB': {
         // UNSUB <sid> [max_msgs]
         const unsubSid = parts[1];
-        for (const [subj, subs] of this.subscriptions.entries()) {
-          const filtered = subs.filter(s => !(s.clientId === clientId && s.sid === unsubSid));
-          if (filtered.length === 0) {
-            this.subscriptions.delete(subj);
-          } else {
-            this.subscriptions.set(subj, filtered);
+        const max = parts[2] ? parseInt(parts[2], 10) : 0;
+        if (max > 0) {
+          // Auto-unsubscribe once max_msgs have been delivered in total
+          for (const subs of this.subscriptions.values()) {
+            for (const sub of subs) {
+              if (sub.clientId === clientId && sub.sid === unsubSid) sub.max = max;
+            }
           }
+          this.removeSubscriptions((s) => s.clientId === clientId && s.sid === unsubSid && s.delivered >= s.max);
+        } else {
+          this.removeSubscriptions((s) => s.clientId === clientId && s.sid === unsubSid);
         }
-        socket.write('+OK\r\n');
+        ok();
         return null;
+      }
 
       case 'PUB':
+      case 'HPUB': {
         // PUB <subject> [reply-to] <#bytes>
-        // Format: PUB <subject> [reply-to] <#bytes>\r\n<payload>\r\n
-        const pubParts = parts.slice(1);
-        let pubSubject, replyTo, payloadSize;
-        
-        if (pubParts.length === 2) {
-          // PUB <subject> <#bytes>
-          pubSubject = pubParts[0];
-          payloadSize = parseInt(pubParts[1], 10);
-        } else if (pubParts.length === 3) {
-          // PUB <subject> <reply-to> <#bytes>
-          pubSubject = pubParts[0];
-          replyTo = pubParts[1];
-          payloadSize = parseInt(pubParts[2], 10);
-        } else {
-          console.error(`[NATS] Invalid PUB format: ${line}`);
+        // HPUB <subject> [reply-to] <#header bytes> <#total bytes>
+        const sizes = cmd === 'HPUB' ? 2 : 1;
+        const args = parts.slice(1);
+        if (args.length !== sizes + 1 && args.length !== sizes + 2) {
+          console.error(`[NATS] Invalid ${cmd} format: ${line}`);
+          this.sendError(socket, `Invalid ${cmd} format`);
+          return null;
+        }
+        const pubSubject = args[0];
+        const replyTo = args.length === sizes + 2 ? args[1] : null;
+        const totalSize = parseInt(args[args.length - 1], 10);
+        const headerSize = cmd === 'HPUB' ? parseInt(args[args.length - 2], 10) : 0;
+        if (!isValidSubject(pubSubject, false) || isNaN(totalSize) || isNaN(headerSize) || headerSize > totalSize) {
+          this.sendError(socket, `Invalid ${cmd} arguments`);
           return null;
         }
-        
-        console.log(`[NATS] Client ${clientId} publishing to: ${pubSubject} (${payloadSize} bytes)`);
-        
+
+        console.log(`[NATS] Client ${clientId} publishing to: ${pubSubject} (${totalSize} bytes)`);
+        ok();
+
         // Return PUB info so we can read payload
-        return { type: 'PUB', subject: pubSubject, replyTo, payloadSize };
+        return { type: cmd, subject: pubSubject, replyTo, headerSize, totalSize };
+      }
 
       default:
         // Unknown command
         console.warn(`[NATS] Unknown command: ${cmd}`);
+        this.sendError(socket, 'Unknown Protocol Operation');
         return null;
     }
   }
 
-  deliverMessage(subject, payload) {
-    // Find all subscribers for this subject
-    const subscribers = this.subscriptions.get(subject) || [];
-    
-    if (subscribers.length === 0) {
+  /**
+   * Handle a published message: stream control subjects, storage, then delivery
+   */
+  publish(subject, payload, replyTo = null, headers = null) {
+    if (subject.startsWith(STREAM_PREFIX)) {
+      return this.handleStreamControl(subject, payload, replyTo);
+    }
+
+    if (this.isStored(subject)) {
+      const record = this.appendToStream(subject, payload, replyTo, headers);
+      const delivered = this.deliverMessage(subject, payload, replyTo, addHeaders(headers, { 'Nats-Stream-Seq': record.seq }));
+      if (delivered === 0) {
+        console.log(`[NATS] Stored ${subject} as seq ${record.seq} for later replay`);
+      }
+      return delivered;
+    }
+    return this.deliverMessage(subject, payload, replyTo, headers);
+  }
+
+  /**
+   * Deliver to every plain subscriber whose pattern matches, and to one member of each queue group
+   */
+  deliverMessage(subject, payload, replyTo = null, headers = null) {
+    if (typeof payload === 'string') payload = Buffer.from(payload);
+
+    const plain = [];
+    const groups = new Map(); // "pattern queue" -> members
+    for (const [pattern, subs] of this.subscriptions.entries()) {
+      if (!matchSubject(pattern, subject)) continue;
+      for (const sub of subs) {
+        if (!sub.queue) {
+          plain.push(sub);
+          continue;
+        }
+        const key = `${pattern} ${sub.queue}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sub);
+      }
+    }
+
+    const recipients = [...plain];
+    for (const [key, members] of groups.entries()) {
+      const position = this.queueCursors.get(key) || 0;
+      recipients.push(members[position % members.length]);
+      this.queueCursors.set(key, position + 1);
+    }
+
+    if (recipients.length === 0) {
       console.log(`[NATS] No subscribers for: ${subject}`);
-      return;
+      return 0;
+    }
+
+    console.log(`[NATS] Delivering message to ${recipients.length} subscriber(s) of: ${subject}`);
+
+    for (const sub of recipients) {
+      this.writeMessage(sub, subject, payload, replyTo, headers);
+      sub.delivered++;
+    }
+    this.removeSubscriptions((s) => s.max > 0 && s.delivered >= s.max);
+    this.emit('message', { subject, replyTo, payload, headers, recipients: recipients.length });
+    return recipients.length;
+  }
+
+  writeMessage(sub, subject, payload, replyTo, headers) {
+    try {
+      const client = this.clients.get(sub.clientId);
+      const reply = replyTo ? ` ${replyTo}` : '';
+      let frame;
+      if (headers && client && client.options.headers) {
+        // HMSG <subject> <sid> [reply-to] <#header bytes> <#total bytes>\r\n<headers><payload>\r\n
+        frame = Buffer.concat([
+          Buffer.from(`HMSG ${subject} ${sub.sid}${reply} ${headers.length} ${headers.length + payload.length}${CRLF}`),
+          headers,
+          payload,
+          Buffer.from(CRLF),
+        ]);
+      } else {
+        // MSG <subject> <sid> [reply-to] <#bytes>\r\n<payload>\r\n (headers dropped for clients without support)
+        frame = Buffer.concat([
+          Buffer.from(`MSG ${subject} ${sub.sid}${reply} ${payload.length}${CRLF}`),
+          payload,
+          Buffer.from(CRLF),
+        ]);
+      }
+      sub.socket.write(frame);
+    } catch (err) {
+      console.error(`[NATS] Error delivering to subscriber: ${err.message}`);
+    }
+  }
+
+  removeSubscriptions(predicate) {
+    for (const [subject, subs] of this.subscriptions.entries()) {
+      const filtered = subs.filter((s) => !predicate(s));
+      if (filtered.length === 0) {
+        this.subscriptions.delete(subject);
+      } else if (filtered.length !== subs.length) {
+        this.subscriptions.set(subject, filtered);
+      }
     }
-    
-    console.log(`[NATS] Delivering message to ${subscribers.length} subscriber(s) of: ${subject}`);
-    
-    // Deliver to all subscribers
-    subscribers.forEach(({ socket, sid }) => {
+  }
+
+  // ---------------------------------------------------------------------------
+  // Stream mode
+  // ---------------------------------------------------------------------------
+
+  isStored(subject) {
+    if (!this.storeDir) return false;
+    if (NEVER_STORED.some((pattern) => matchSubject(pattern, subject))) return false;
+    return this.streamSubjects.some((pattern) => matchSubject(pattern, subject));
+  }
+
+  appendToStream(subject, payload, replyTo, headers) {
+    const record = {
+      seq: ++this.lastSeq,
+      subject,
+      time: new Date().toISOString(),
+      reply: replyTo || null,
+      headers: headers ? headers.toString('base64') : null,
+      data: payload.toString('base64'),
+    };
+    this.stream.push(record);
+    try {
+      fs.appendFileSync(this.logFile(subject), JSON.stringify(record) + '\n');
+    } catch (err) {
+      console.error(`[NATS] Failed to persist ${subject} seq ${record.seq}: ${err.message}`);
+    }
+    return record;
+  }
+
+  logFile(subject) {
+    return path.join(this.storeDir, 'streams', `${subject.replace(/[^A-Za-z0-9._-]/g, '_')}.log`);
+  }
+
+  loadStream() {
+    fs.mkdirSync(path.join(this.storeDir, 'streams'), { recursive: true });
+    for (const file of fs.readdirSync(path.join(this.storeDir, 'streams'))) {
+      if (!file.endsWith('.log')) continue;
+      const lines = fs.readFileSync(path.join(this.storeDir, 'streams', file), 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          this.stream.push(JSON.parse(line));
+        } catch (err) {
+          console.warn(`[NATS] Skipping corrupt record in ${file}`); // e.g. a torn write at shutdown
+        }
+      }
+    }
+    this.stream.sort((a, b) => a.seq - b.seq);
+    this.lastSeq = this.stream.length > 0 ? this.stream[this.stream.length - 1].seq : 0;
+
+    const consumersFile = path.join(this.storeDir, 'consumers.json');
+    if (fs.existsSync(consumersFile)) {
       try {
-        // NATS message format: MSG <subject> <sid> [reply-to] <#bytes>\r\n<payload>\r\n
-        const msgHeader = `MSG ${subject} ${sid} ${payload.length}\r\n`;
-        socket.write(msgHeader + payload + '\r\n');
+        this.consumers = JSON.parse(fs.readFileSync(consumersFile, 'utf8'));
       } catch (err) {
-        console.error(`[NATS] Error delivering to subscriber: ${err.message}`);
+        console.warn(`[NATS] Could not read consumer cursors: ${err.message}`);
       }
-    });
+    }
+  }
+
+  saveConsumers() {
+    const file = path.join(this.storeDir, 'consumers.json');
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.consumers, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  handleStreamControl(subject, payload, replyTo) {
+    const respond = (body) => {
+      if (replyTo) this.deliverMessage(replyTo, Buffer.from(JSON.stringify(body)));
+    };
+    if (!this.storeDir) {
+      respond({ error: 'stream mode disabled (set NATS_STORE_DIR)' });
+      return 0;
+    }
+
+    const tokens = subject.split('.');
+    switch (tokens[1]) {
+      case 'REPLAY': {
+        let request;
+        try {
+          request = JSON.parse(payload.toString() || '{}');
+        } catch (err) {
+          respond({ error: 'invalid JSON request' });
+          return 0;
+        }
+        const result = this.replay(request);
+        respond(result);
+        return 0;
+      }
+
+      case 'ACK': {
+        // $STREAM.ACK.<durable>.<seq>
+        const durable = tokens[2];
+        const seq = parseInt(tokens[3], 10);
+        const consumer = this.consumers[durable];
+        if (consumer && seq > consumer.ackSeq) {
+          consumer.ackSeq = seq;
+          consumer.updatedAt = Date.now();
+          this.saveConsumers();
+        }
+        respond({ ok: !!consumer, durable, ackSeq: consumer ? consumer.ackSeq : null });
+        return 0;
+      }
+
+      case 'INFO': {
+        const subjects = {};
+        for (const record of this.stream) subjects[record.subject] = (subjects[record.subject] || 0) + 1;
+        respond({
+          messages: this.stream.length,
+          firstSeq: this.stream.length > 0 ? this.stream[0].seq : 0,
+          lastSeq: this.lastSeq,
+          subjects,
+          consumers: this.consumers,
+        });
+        return 0;
+      }
+
+      default:
+        respond({ error: `unknown stream operation ${tokens[1]}` });
+        return 0;
+    }
+  }
+
+  /**
+   * Re-deliver stored messages matching a filter to deliverTo, in sequence order.
+   * Durable consumers resume after their last acknowledged sequence unless a start is given.
+   */
+  replay({ filter, deliverTo, durable, startSeq, startTime }) {
+    if (!filter || !isValidSubject(filter, true)) return { error: 'filter must be a valid subject' };
+    if (!deliverTo || !isValidSubject(deliverTo, false)) return { error: 'deliverTo must be a valid subject' };
+    if (durable !== undefined && !/^[A-Za-z0-9_-]+$/.test(durable)) {
+      return { error: 'durable must contain only letters, digits, - and _' };
+    }
+
+    let fromSeq = 1;
+    if (startSeq !== undefined) {
+      fromSeq = parseInt(startSeq, 10);
+      if (isNaN(fromSeq) || fromSeq < 1) return { error: 'startSeq must be a positive integer' };
+    } else if (startTime !== undefined) {
+      const since = new Date(startTime).getTime();
+      if (isNaN(since)) return { error: 'startTime must be a date or epoch milliseconds' };
+      const first = this.stream.find((r) => new Date(r.time).getTime() >= since);
+      fromSeq = first ? first.seq : this.lastSeq + 1;
+    } else if (durable && this.consumers[durable]) {
+      fromSeq = this.consumers[durable].ackSeq + 1;
+    }
+
+    if (durable) {
+      if (!this.consumers[durable]) {
+        this.consumers[durable] = { filter, ackSeq: fromSeq - 1, updatedAt: Date.now() };
+      }
+      this.consumers[durable].filter = filter;
+      this.saveConsumers();
+    }
+
+    let delivered = 0;
+    let lastSeq = fromSeq - 1;
+    for (const record of this.stream) {
+      if (record.seq < fromSeq || !matchSubject(filter, record.subject)) continue;
+      const headers = addHeaders(record.headers ? Buffer.from(record.headers, 'base64') : null, {
+        'Nats-Stream-Seq': record.seq,
+        'Nats-Subject': record.subject,
+        'Nats-Time-Stamp': record.time,
+      });
+      const reply = durable ? `${STREAM_PREFIX}ACK.${durable}.${record.seq}` : record.reply;
+      this.deliverMessage(deliverTo, Buffer.from(record.data, 'base64'), reply, headers);
+      delivered++;
+      lastSeq = record.seq;
+    }
+
+    console.log(`[NATS] Replayed ${delivered} message(s) matching ${filter} from seq ${fromSeq} to ${deliverTo}${durable ? ` (durable ${durable})` : ''}`);
+    return { ok: true, delivered, fromSeq, lastSeq, streamLastSeq: this.lastSeq };
+  }
+
+  sendError(socket, message) {
+    socket.write(`-ERR '${message}'${CRLF}`);
   }
 
   stop() {
     if (this.server) {
-      this.clients.forEach(client => client.destroy());
+      this.clients.forEach(({ socket }) => socket.destroy());
       this.server.close(() => {
         console.log('[NATS] Server stopped');
       });
@@ -210,10 +518,50 @@ class SimpleNATSServer extends EventEmitter {
   }
 }
 
+/**
+ * Subjects are dot-separated tokens; subscriptions may use `*` (one token) and a trailing `>` (one or more)
+ */
+function isValidSubject(subject, allowWildcards) {
+  if (!subject) return false;
+  const tokens = subject.split('.');
+  return tokens.every((token, i) => {
+    if (token === '') return false;
+    if (token === '*' || token === '>') return allowWildcards && (token === '*' || i === tokens.length - 1);
+    return true;
+  });
+}
+
+/**
+ * Add headers to a NATS header block (NATS/1.0\r\nKey: Value\r\n...\r\n), creating one if needed
+ */
+function addHeaders(headers, extra) {
+  const lines = Object.entries(extra).map(([key, value]) => `${key}: ${value}${CRLF}`).join('');
+  if (!headers) return Buffer.from(`NATS/1.0${CRLF}${lines}${CRLF}`);
+  const existing = headers.toString();
+  const body = existing.endsWith(CRLF + CRLF) ? existing.slice(0, -CRLF.length) : existing;
+  return Buffer.from(`${body}${lines}${CRLF}`);
+}
+
+function matchSubject(pattern, subject) {
+  if (pattern === subject) return true;
+  const patternTokens = pattern.split('.');
+  const subjectTokens = subject.split('.');
+  for (let i = 0; i < patternTokens.length; i++) {
+    const token = patternTokens[i];
+    if (token === '>') return subjectTokens.length > i;
+    if (i >= subjectTokens.length) return false;
+    if (token !== '*' && token !== subjectTokens[i]) return false;
+  }
+  return patternTokens.length === subjectTokens.length;
+}
+
 // Start server if run directly
 if (require.main === module) {
   const port = process.env.NATS_PORT || 4222;
-  const server = new SimpleNATSServer(port);
+  const server = new SimpleNATSServer(port, {
+    storeDir: process.env.NATS_STORE_DIR,
+    streamSubjects: process.env.NATS_STREAM_SUBJECTS ? process.env.NATS_STREAM_SUBJECTS.split(',').map((s) => s.trim()) : undefined,
+  });
   server.start();
 
   process.on('SIGINT', () => {
@@ -224,4 +572,4 @@ if (require.main === module) {
 }
 
 module.exports = SimpleNATSServer;
-
+module.exports.matchSubject = matchSubject;
@@ -0,0 +1,89 @@
+#!/usr/bin/env tsx
+
+/**
+ * Create and inspect encrypted agent keystores
+ * Run:
+ *   npm run keystore -- create <file>              new ed25519 signing key (AGENT_SIGNER=keystore)
+ *   npm run keystore -- import <file> <ENV_NAME>   encrypt the secret currently in ENV_NAME
+ *   npm run keystore -- inspect <file>             show the public part of a keystore
+ * The password comes from AGENT_KEYSTORE_PASSWORD (or AGENT_KEYSTORE_PASSWORD_FILE), or is prompted for.
+ */
+
+import 'dotenv/config';
+import * as fs from 'fs';
+import * as readline from 'readline';
+import {
+  createSigningKeystore,
+  ed25519PublicKey,
+  encryptKeystore,
+  readKeystore,
+  writeKeystore,
+} from '../agent-sdk/lib/keystore';
+
+async function getPassword(): Promise<string> {
+  if (process.env.AGENT_KEYSTORE_PASSWORD) return process.env.AGENT_KEYSTORE_PASSWORD;
+  if (process.env.AGENT_KEYSTORE_PASSWORD_FILE) {
+    return fs.readFileSync(process.env.AGENT_KEYSTORE_PASSWORD_FILE, 'utf8').replace(/\r?\n$/, '');
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const password = await new Promise<string>((resolve) => rl.question('Keystore password: ', resolve));
+  rl.close();
+  return password;
+}
+
+function refuseOverwrite(file: string): void {
+  if (fs.existsSync(file)) {
+    console.error(`${file} already exists - refusing to overwrite a keystore`);
+    process.exit(1);
+  }
+}
+
+async function main(): Promise<void> {
+  const [command, file, envName] = process.argv.slice(2);
+
+  if (command === 'create' && file) {
+    refuseOverwrite(file);
+    const keystore = createSigningKeystore(await getPassword());
+    writeKeystore(file, keystore);
+    console.log(`\n=== Signing keystore written to ${file} ===\n`);
+    console.log(`Public Key (base64): ${keystore.publicKey}`);
+    console.log(`DID: did:hedera:testnet:z${keystore.publicKey}`);
+    console.log('\n=== Add these to your .env file ===\n');
+    console.log('AGENT_SIGNER=keystore');
+    console.log(`AGENT_KEYSTORE_FILE=${file}`);
+    console.log('AGENT_KEYSTORE_PASSWORD_FILE=<file holding the password>\n');
+    return;
+  }
+
+  if (command === 'import' && file && envName) {
+    const secret = process.env[envName];
+    if (!secret) {
+      console.error(`${envName} is not set`);
+      process.exit(1);
+    }
+    refuseOverwrite(file);
+    const isSigningKey = envName === 'AGENT_PRIVATE_KEY_BASE64';
+    const keystore = encryptKeystore(secret, await getPassword(), {
+      type: isSigningKey ? 'ed25519' : 'secret',
+      publicKey: isSigningKey ? ed25519PublicKey(secret) : null,
+    });
+    writeKeystore(file, keystore);
+    console.log(`\n${envName} encrypted to ${file}. Remove it from .env and set:`);
+    console.log(isSigningKey ? `AGENT_SIGNER=keystore\nAGENT_KEYSTORE_FILE=${file}\n` : `${envName}_KEYSTORE=${file}\n`);
+    return;
+  }
+
+  if (command === 'inspect' && file) {
+    const { id, type, publicKey, createdAt, previousPublicKey } = readKeystore(file);
+    console.log(JSON.stringify({ id, type, publicKey, previousPublicKey, createdAt: new Date(createdAt).toISOString() }, null, 2));
+    return;
+  }
+
+  console.log('Usage: npm run keystore -- create <file> | import <file> <ENV_NAME> | inspect <file>');
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
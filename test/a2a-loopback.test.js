@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const { startAgents, waitFor } = require("./helpers/agents");
+
+describe("A2A loopback transport", function () {
+  this.timeout(30000);
+
+  let clientUrl, escrowUrl;
+  let a2a;
+
+  before(async function () {
+    ({ a2a, clientUrl, escrowUrl } = await startAgents());
+  });
+
+  it("Should use the loopback transport", async function () {
+    const { data } = await axios.get(clientUrl);
+    expect(data.a2a.transport).to.equal("loopback");
+    expect(data.a2a.subscriptions).to.include("aexowork.offers");
+  });
+
+  it("Should run job -> offer -> delivery -> verification in one process", async function () {
+    // Post job
+    const posted = await axios.post(`${clientUrl}/post-job`, {
+      title: "Landing page",
+      description: "Build a React landing page",
+      budgetHBAR: "1000000000000000000",
+      requiredSkills: ["React"],
+    });
+    const { jobId } = posted.data;
+    expect(jobId).to.match(/^0x[0-9a-f]{64}$/);
+
+    // WorkerAgent answers with an offer
+    const offers = await waitFor(async () => {
+      const { data } = await axios.get(`${clientUrl}/offers/${jobId}`);
+      return data.count > 0 ? data.offers : null;
+    });
+    expect(offers[0].type).to.equal("OfferMessage");
+
+    // Accept the offer (no escrow contract configured - off-chain only)
+    const accepted = await axios.post(`${clientUrl}/accept-offer`, {
+      jobId,
+      offerId: offers[0].offerId,
+      workerAddress: offers[0].workerAddress,
+    });
+    expect(accepted.data.ok).to.equal(true);
+    expect(accepted.data.escrowCreated).to.equal(false);
+
+    // WorkerAgent delivers, VerificationAgent verifies and forwards a DeliveryReceipt
+    const job = await waitFor(async () => {
+      const { data } = await axios.get(`${clientUrl}/jobs`);
+      const found = data.jobs.find((j) => j.jobId === jobId);
+      return found && found.deliveryCID ? found : null;
+    });
+    expect(job.status).to.equal("assigned");
+    expect(job.deliveryCID).to.match(/^ipfs:\/\/fallback-/);
+    expect(job.verificationPassed).to.be.a("boolean");
+    expect(job.verificationScore).to.be.a("number");
+
+    // The lifecycle was recorded, and the unfunded job cannot be approved
+    const { data: history } = await axios.get(`${clientUrl}/jobs/${jobId}/history`);
+    expect(history.history.map((entry) => entry.to)).to.deep.equal(["open", "offered", "assigned"]);
+    const approval = await axios.post(`${clientUrl}/approve-work`, { escrowId: accepted.data.escrowId }, { validateStatus: () => true });
+    expect(approval.status).to.equal(409);
+  });
+
+  it("Should deliver signed escrow notifications to EscrowAgent", async function () {
+    const { getAgentSigner } = require("../agent-sdk/lib/keystore");
+    const created = (escrowId) => ({
+      type: "escrow.created",
+      escrowId,
+      jobId: "0xjob",
+      client: "0x0000000000000000000000000000000000000001",
+      worker: "0x0000000000000000000000000000000000000002",
+      amount: "1.0",
+      autoRelease: true,
+      timestamp: Date.now(),
+    });
+    const signed = created("0xloopback");
+    signed.signature = await getAgentSigner().sign(signed);
+    await a2a.sendA2A("aexowork.escrow.created", signed);
+    await a2a.sendA2A("aexowork.escrow.created", created("0xunsigned"));
+    await a2a.getConnection().idle();
+
+    const { data } = await axios.get(`${escrowUrl}/escrows`);
+    expect(data.escrows.map((e) => e.id)).to.include("0xloopback");
+    expect(data.escrows.map((e) => e.id)).to.not.include("0xunsigned");
+  });
+
+  it("Should deliver targeted messages to their endpoint only and drop unknown targets", async function () {
+    const { LoopbackBus } = require("../agent-sdk/lib/loopback");
+    const bus = new LoopbackBus();
+    const received = [];
+    for (const name of ["Alice", "Bob"]) {
+      bus.attach(name).subscriptions.set("test.targeted", [async (message) => { received.push([name, message.n]); }]);
+    }
+
+    expect(bus.publish("Alice", "test.targeted", { n: 1, to: "Bob" })).to.equal(1);
+    expect(bus.publish("Alice", "test.targeted", { n: 2, to: "Nobody" })).to.equal(0);
+    expect(bus.publish("Alice", "test.targeted", { n: 3 })).to.equal(2);
+    await bus.idle();
+    expect(received).to.have.deep.members([["Bob", 1], ["Alice", 3], ["Bob", 3]]);
+  });
+
+  describe("Outbox", function () {
+    const { Outbox } = require("../agent-sdk/lib/outbox");
+
+    it("Should retry failed sends in per-recipient order and dead-letter exhausted ones", async function () {
+      const delivered = [];
+      let failuresLeft = 2;
+      const outbox = new Outbox({
+        name: "outbox-test",
+        persist: false,
+        maxAttempts: 3,
+        baseDelayMs: 10,
+        deliver: async (subject, message) => {
+          if (message.to === "0.0.dead") throw new Error("unreachable");
+          if (message.seq === 1 && failuresLeft-- > 0) throw new Error("transient");
+          delivered.push(message.seq);
+          return { sent: 1 };
+        },
+      });
+
+      const first = await outbox.send("test.subject", { to: "0.0.1", seq: 1 });
+      const second = await outbox.send("test.subject", { to: "0.0.1", seq: 2 });
+      await outbox.send("test.subject", { to: "0.0.dead", seq: 3 });
+      expect(first.queued).to.equal(true);
+      expect(second.queued).to.equal(true);
+
+      await waitFor(() => outbox.getStats().pending === 0, 5000);
+      expect(delivered).to.deep.equal([1, 2]);
+
+      const deadLetters = outbox.getDeadLetters();
+      expect(deadLetters).to.have.length(1);
+      expect(deadLetters[0].attempts).to.equal(3);
+
+      outbox.replay(deadLetters[0].id);
+      expect(outbox.getDeadLetters()).to.have.length(0);
+      await waitFor(() => outbox.getDeadLetters().length === 1, 5000);
+      outbox.close();
+    });
+
+    it("Should re-stamp and re-sign retried messages", async function () {
+      const { generateKeypair, verifyJSON } = require("../agent-sdk/lib/signer");
+      const { EnvSigner, setAgentSigner } = require("../agent-sdk/lib/keystore");
+      const keys = generateKeypair();
+      setAgentSigner(new EnvSigner(keys.privateKey));
+      const sent = [];
+      const outbox = new Outbox({
+        name: "outbox-restamp-test",
+        persist: false,
+        baseDelayMs: 20,
+        deliver: async (subject, message) => {
+          sent.push(message);
+          if (sent.length === 1) throw new Error("transient");
+          return { sent: 1 };
+        },
+      });
+
+      try {
+        const message = { type: "restamp.test", nonce: "r-1", timestamp: Date.now() - 10 * 60 * 1000 };
+        message.signature = await new EnvSigner(keys.privateKey).sign(message);
+        await outbox.send("test.subject", message);
+        await waitFor(() => sent.length === 2, 5000);
+
+        expect(sent[0].timestamp).to.equal(message.timestamp);
+        expect(sent[1].timestamp).to.be.greaterThan(Date.now() - 5000);
+        expect(sent[1].nonce).to.equal("r-1");
+        const { signature, ...payload } = sent[1];
+        expect(verifyJSON(payload, signature, keys.publicKey)).to.equal(true);
+      } finally {
+        setAgentSigner(undefined);
+        outbox.close();
+      }
+    });
+
+    it("Should expose the outbox on the admin endpoint", async function () {
+      const { data } = await axios.get(`${clientUrl}/admin/a2a/outbox`);
+      expect(data.transport).to.equal("loopback");
+      expect(data.stats.delivered).to.be.greaterThan(0);
+      expect(data.stats.deadLetters).to.equal(0);
+    });
+
+    it("Should only serve admin endpoints locally without a token, and with the token once set", async function () {
+      const get = (headers) => axios.get(`${clientUrl}/admin/a2a/outbox`, { headers, validateStatus: () => true });
+
+      const fromPage = await get({ Origin: "https://evil.example" });
+      expect(fromPage.status).to.equal(401);
+      expect(fromPage.headers["access-control-allow-origin"]).to.equal(undefined);
+      expect((await get({ "X-Forwarded-For": "203.0.113.7" })).status).to.equal(401);
+
+      process.env.A2A_ADMIN_TOKEN = "admin-secret";
+      try {
+        expect((await get({})).status).to.equal(401);
+        expect((await get({ Authorization: "Bearer wrong-secret" })).status).to.equal(401);
+        expect((await get({ Authorization: "Bearer admin-secret" })).status).to.equal(200);
+        const policy = await axios.put(`${clientUrl}/selection-policy`, {}, { validateStatus: () => true });
+        expect(policy.status).to.equal(401);
+      } finally {
+        delete process.env.A2A_ADMIN_TOKEN;
+      }
+    });
+  });
+
+  describe("Request/response", function () {
+    before(function () {
+      a2a.handleRequests("aexowork.rpc.test", async (message) => {
+        if (message.fail) throw new Error("nope");
+        return { type: "rpc.test.reply", doubled: message.value * 2 };
+      });
+    });
+
+    it("Should resolve with the reply matching the correlation ID", async function () {
+      const [first, second] = await Promise.all([
+        a2a.requestA2A("aexowork.rpc.test", { value: 2 }),
+        a2a.requestA2A("aexowork.rpc.test", { value: 5 }),
+      ]);
+      expect(first.doubled).to.equal(4);
+      expect(second.doubled).to.equal(10);
+      expect(first.correlationId).to.not.equal(second.correlationId);
+    });
+
+    it("Should reject with the remote error or a timeout", async function () {
+      const remote = await a2a.requestA2A("aexowork.rpc.test", { fail: true }).catch((e) => e);
+      expect(remote).to.be.instanceOf(a2a.A2ARequestError);
+      expect(remote.message).to.equal("nope");
+
+      const timedOut = await a2a.requestA2A("aexowork.rpc.nobody", {}, { timeout: 50 }).catch((e) => e);
+      expect(timedOut.code).to.equal("TIMEOUT");
+    });
+
+    it("Should only reply inside the reply namespace", async function () {
+      const hijacked = [];
+      const replies = [];
+      a2a.subscribe("aexowork.jobs", (msg) => { if (msg.correlationId === "c-hijack") hijacked.push(msg); });
+      a2a.subscribe(a2a.RPC_REPLY_SUBJECT, (msg) => { if (msg.correlationId === "c-hijack") replies.push(msg); }, { verify: false });
+
+      await a2a.sendA2A("aexowork.rpc.test", { value: 1, correlationId: "c-hijack", replySubject: "aexowork.jobs", timestamp: Date.now() });
+      await a2a.getConnection().idle();
+
+      expect(hijacked).to.have.length(0);
+      expect(replies.map((reply) => reply.doubled)).to.deep.equal([2]);
+      expect(a2a.isReplySubject("aexowork.rpc.replies.client-1")).to.equal(true);
+      expect(a2a.isReplySubject("aexowork.rpc.repliesX")).to.equal(false);
+    });
+  });
+  describe("JSON-RPC", function () {
+    const rpc = (body) => axios.post(`${escrowUrl}/rpc`, body, {
+      headers: { "Content-Type": "application/json" },
+      validateStatus: () => true,
+    });
+
+    it("Should list the agent card methods via rpc.discover", async function () {
+      const { data } = await rpc({ jsonrpc: "2.0", method: "rpc.discover", id: 1 });
+      expect(data.id).to.equal(1);
+      expect(data.result.methods).to.have.property("escrow.release");
+    });
+
+    it("Should return standard error codes", async function () {
+      const missing = await rpc({ jsonrpc: "2.0", method: "escrow.nope", id: 2 });
+      expect(missing.data.error.code).to.equal(-32601);
+
+      const invalid = await rpc({ jsonrpc: "2.0", method: "escrow.release", params: { amount: "x" }, id: 3 });
+      expect(invalid.data.error.code).to.equal(-32602);
+      expect(invalid.data.error.data).to.include("missing required param 'escrowId' (string)");
+
+      const malformed = await rpc("{\"jsonrpc\": \"2.0\",");
+      expect(malformed.data.error.code).to.equal(-32700);
+    });
+
+    it("Should only auto-release on an attestation signed by the VerificationAgent", async function () {
+      const { generateKeypair, signJSON } = require("../agent-sdk/lib/signer");
+      const { upsertAgent } = require("../agent-sdk/lib/directory");
+      const verifier = generateKeypair();
+      upsertAgent({ accountId: "0.0.9301", name: "VerificationAgent", publicKey: verifier.publicKey });
+      const attestation = { type: "VerificationAttestation", escrowId: "77", passed: true, score: 95, timestamp: Date.now() };
+      const autoRelease = (proof, escrowId = "77") => rpc({
+        jsonrpc: "2.0", method: "escrow.auto_release", params: { escrowId, verificationProof: JSON.stringify(proof) }, id: 9,
+      });
+
+      const unconfigured = await autoRelease({ ...attestation, signature: signJSON(attestation, verifier.privateKey) });
+      expect(unconfigured.data.error.message).to.match(/no VerificationAgent key configured/);
+
+      const verifierAccount = process.env.VERIFICATION_AGENT_ACCOUNT_ID;
+      process.env.VERIFICATION_AGENT_ACCOUNT_ID = "0.0.9301";
+      try {
+        expect((await autoRelease(attestation)).data.error.message).to.match(/not signed/);
+        const forged = await autoRelease({ ...attestation, signature: signJSON(attestation, generateKeypair().privateKey) });
+        expect(forged.data.error).to.include({ code: -32602 });
+        expect(forged.data.error.message).to.match(/does not match the VerificationAgent key/);
+        const signed = { ...attestation, signature: signJSON(attestation, verifier.privateKey) };
+        expect((await autoRelease(signed, "78")).data.error.message).to.match(/for escrow 77, not 78/);
+
+        // A genuine attestation gets past the checks (no auto-release is queued for this escrow)
+        expect((await autoRelease(signed)).data.error.message).to.match(/not in auto-release queue/);
+      } finally {
+        process.env.VERIFICATION_AGENT_ACCOUNT_ID = verifierAccount;
+      }
+    });
+
+    it("Should answer batches and skip notifications", async function () {
+      const { data } = await rpc([
+        { jsonrpc: "2.0", method: "rpc.discover", id: "a" },
+        { jsonrpc: "2.0", method: "rpc.discover" },
+        { method: "rpc.discover", id: "b" },
+      ]);
+      expect(data).to.have.length(2);
+      expect(data[0].id).to.equal("a");
+      expect(data[1].error.code).to.equal(-32600);
+
+      const empty = await rpc([]);
+      expect(empty.data.error.code).to.equal(-32600);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const { startAgents, waitFor } = require("./helpers/agents");
+
+describe("Job editing, cancellation and expiry", function () {
+  this.timeout(30000);
+  let clientUrl, workerUrl;
+
+  before(async function () {
+    ({ clientUrl, workerUrl } = await startAgents());
+  });
+
+  const postJob = async (extra = {}) => {
+    const { data } = await axios.post(`${clientUrl}/post-job`, {
+      title: "Editable job",
+      description: "Terms may change",
+      budgetHBAR: "1000000000000000000",
+      requiredSkills: ["React"],
+      ...extra,
+    });
+    return data.jobId;
+  };
+  const offersFor = async (jobId) => (await axios.get(`${clientUrl}/offers/${jobId}`)).data.offers;
+
+  it("Should drop offers on an edit and collect new bids for the new terms", async function () {
+    const jobId = await postJob();
+    await waitFor(async () => (await offersFor(jobId)).length > 0);
+
+    const { data } = await axios.patch(`${clientUrl}/jobs/${jobId}`, { budgetHBAR: "2000000000000000000", title: "Editable job" });
+    expect(data.changed).to.deep.equal(["budgetHBAR"]);
+    expect(data.offersDropped).to.be.at.least(1);
+    expect(data.job).to.include({ revision: 2, status: "open" });
+
+    // The WorkerAgent drops its old bid and bids again on the new budget
+    const offers = await waitFor(async () => {
+      const current = await offersFor(jobId);
+      return current.length > 0 ? current : null;
+    });
+    expect(offers.every((offer) => offer.jobRevision === 2 && offer.price === "2000000000000000000")).to.equal(true);
+    const { data: worker } = await axios.get(`${workerUrl}/available-jobs`);
+    expect(worker.jobs.find((job) => job.jobId === jobId)).to.include({ revision: 2, budgetHBAR: "2000000000000000000" });
+    const { data: history } = await axios.get(`${clientUrl}/jobs/${jobId}/history`);
+    expect(history.history.map((entry) => entry.to)).to.deep.equal(["open", "offered", "open", "offered"]);
+
+    const invalid = await axios.patch(`${clientUrl}/jobs/${jobId}`, { status: "approved", deadline: Date.now() - 1000 }, { validateStatus: () => true });
+    expect(invalid.status).to.equal(400);
+    const past = await axios.patch(`${clientUrl}/jobs/${jobId}`, { deadline: Date.now() - 1000 }, { validateStatus: () => true });
+    expect(past.data.problems).to.deep.equal(["deadline must be in the future"]);
+  });
+
+  it("Should cancel a job and have WorkerAgents forget it", async function () {
+    const jobId = await postJob({ title: "Cancelled job" });
+    await waitFor(async () => (await offersFor(jobId)).length > 0);
+
+    const { data } = await axios.post(`${clientUrl}/jobs/${jobId}/cancel`, { reason: "no longer needed" });
+    expect(data.job.status).to.equal("cancelled");
+    await waitFor(async () => {
+      const { data: worker } = await axios.get(`${workerUrl}/available-jobs`);
+      return !worker.jobs.some((job) => job.jobId === jobId);
+    });
+
+    const again = await axios.post(`${clientUrl}/jobs/${jobId}/cancel`, {}, { validateStatus: () => true });
+    expect(again.status).to.equal(409);
+    const edit = await axios.patch(`${clientUrl}/jobs/${jobId}`, { title: "Too late" }, { validateStatus: () => true });
+    expect(edit.status).to.equal(409);
+    const { data: history } = await axios.get(`${clientUrl}/jobs/${jobId}/history`);
+    expect(history.history.pop()).to.include({ to: "cancelled", actor: "client", reason: "no longer needed" });
+  });
+
+  it("Should expire jobs that get no accepted offer before their deadline", async function () {
+    const jobId = await postJob({ title: "Expiring job", requiredSkills: ["Underwater basket weaving"], deadline: Date.now() + 1000 });
+    const { data } = await waitFor(async () => {
+      const response = await axios.get(`${clientUrl}/jobs/${jobId}`);
+      return response.data.job.status === "expired" ? response : null;
+    });
+    expect(data.offers).to.have.length(0);
+    const { data: history } = await axios.get(`${clientUrl}/jobs/${jobId}/history`);
+    expect(history.history.pop()).to.include({ from: "open", to: "expired", actor: "scheduler" });
+  });
+});
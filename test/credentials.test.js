@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+require("./helpers/agents");
+
+describe("Verifiable credentials", function () {
+  this.timeout(30000);
+
+  const {
+    issueCredential,
+    revokeCredential,
+    getStatusListCredential,
+    verifyCredential,
+    isStatusSet,
+  } = require("../agent-sdk/lib/credentials");
+  const { EnvSigner } = require("../agent-sdk/lib/keystore");
+  const { generateKeypair } = require("../agent-sdk/lib/signer");
+
+  const issuerKeys = generateKeypair();
+  const issuerDid = `did:hedera:testnet:z${issuerKeys.publicKey}`;
+  const signer = new EnvSigner(issuerKeys.privateKey);
+  const statusBaseUrl = "http://localhost:3004/credentials/status";
+
+  const issueBadge = (statusListId) =>
+    issueCredential({
+      type: "AchievementBadgeCredential",
+      name: "First Job Complete",
+      subject: { id: "did:pkh:eip155:296:0xabc", achievement: { type: "Achievement", badgeType: 0 } },
+      issuerDid,
+      signer,
+      statusListId,
+      statusBaseUrl,
+    });
+
+  it("Should verify an issued credential offline and reject tampering", async function () {
+    const credential = await issueBadge("test-offline");
+    expect(credential.issuer).to.equal(issuerDid);
+    expect(credential.proof.verificationMethod).to.equal(`${issuerDid}#key-1`);
+    expect(credential.credentialStatus.statusListCredential).to.equal(`${statusBaseUrl}/test-offline`);
+
+    const statusList = await getStatusListCredential("test-offline", { signer });
+    const offline = { statusListCredentials: [statusList], fetchStatus: false };
+    expect(await verifyCredential(credential, offline)).to.include({ verified: true, status: "valid", keyId: `${issuerDid}#key-1` });
+
+    // Without the status list the proof still checks, revocation is unknown
+    expect(await verifyCredential(credential, { fetchStatus: false })).to.include({ verified: true, status: "unknown" });
+
+    const tampered = JSON.parse(JSON.stringify(credential));
+    tampered.credentialSubject.achievement.badgeType = 3;
+    expect((await verifyCredential(tampered, offline)).verified).to.equal(false);
+
+    const otherIssuer = generateKeypair();
+    expect((await verifyCredential(credential, { ...offline, issuerPublicKey: otherIssuer.publicKey })).verified).to.equal(false);
+  });
+
+  it("Should report revoked credentials through the status list", async function () {
+    const first = await issueBadge("test-revocation");
+    const second = await issueBadge("test-revocation");
+    expect(second.credentialStatus.statusListIndex).to.equal("1");
+
+    expect(revokeCredential(second.id, "test-revocation")).to.equal(true);
+    expect(revokeCredential("urn:uuid:unknown", "test-revocation")).to.equal(false);
+
+    const statusList = await getStatusListCredential("test-revocation", { signer });
+    expect(isStatusSet(statusList.credentialSubject.encodedList, 0)).to.equal(false);
+    expect(isStatusSet(statusList.credentialSubject.encodedList, 1)).to.equal(true);
+
+    const offline = { statusListCredentials: [statusList], fetchStatus: false };
+    expect(await verifyCredential(first, offline)).to.include({ verified: true, status: "valid" });
+    expect(await verifyCredential(second, offline)).to.include({ verified: false, status: "revoked" });
+
+    // A status list signed by someone else is not trusted
+    const forgedSigner = new EnvSigner(generateKeypair().privateKey);
+    const forged = await getStatusListCredential("test-revocation", { signer: forgedSigner });
+    expect(await verifyCredential(second, { statusListCredentials: [forged], fetchStatus: false })).to.include({ status: "unknown" });
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const path = require("path");
+require("./helpers/agents");
+
+describe("DID resolution", function () {
+  this.timeout(30000);
+
+  const MirrorNodeSimulator = require("../mirror-node-sim");
+  const { submitTopicMessage } = require("../agent-sdk/lib/consensus");
+  const { generateKeypair, signJSON } = require("../agent-sdk/lib/signer");
+  const { EnvSigner, createSigningKeystore, writeKeystore, KeystoreSigner } = require("../agent-sdk/lib/keystore");
+  const { buildDidDocument, publishDidDocument, resolveDid, verifyMessageFromDid, parseDid } = require("../agent-sdk/lib/did-resolver");
+  let simulator;
+
+  before(async function () {
+    simulator = new MirrorNodeSimulator(0);
+    const server = simulator.start();
+    await new Promise((resolve) => server.once("listening", resolve));
+    process.env.HCS_SIMULATOR_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    delete process.env.HCS_SIMULATOR_URL;
+    simulator.stop();
+  });
+
+  it("Should verify messages from self-certifying DIDs", async function () {
+    const keypair = generateKeypair();
+    const did = `did:hedera:testnet:z${keypair.publicKey}`;
+    const message = { type: "offer", jobId: "1", fromDid: did, timestamp: Date.now() };
+    message.signature = signJSON(message, keypair.privateKey);
+
+    const result = await verifyMessageFromDid({ ...message, fromAccountId: "0.0.1" });
+    expect(result).to.include({ verified: true, source: "self-certifying", keyId: `${did}#key-1` });
+    expect((await verifyMessageFromDid({ ...message, jobId: "2" })).verified).to.equal(false);
+    expect((await resolveDid("did:web:example.com")).didResolutionMetadata.error).to.equal("invalidDid");
+  });
+
+  it("Should resolve HCS-anchored DID documents and follow key rotations", async function () {
+    const did = "did:hedera:testnet:worker-7_0.0.6001";
+    expect(parseDid(did)).to.deep.equal({ network: "testnet", id: "worker-7_0.0.6001", topicId: "0.0.6001" });
+
+    const file = path.join(process.env.AGENT_DATA_DIR, "keys", "did-signer.json");
+    writeKeystore(file, createSigningKeystore("pw", { scryptN: 1024 }));
+    const signer = new KeystoreSigner(file, "pw");
+    const oldKey = await signer.getPublicKey();
+    await publishDidDocument(buildDidDocument({ did, publicKey: oldKey, inboundTopicId: "0.0.6100" }), signer);
+
+    const created = await resolveDid(did);
+    expect(created.didDocumentMetadata).to.include({ source: "hcs", versionId: "1" });
+    expect(created.didDocument.verificationMethod[0].publicKeyBase64).to.equal(oldKey);
+    expect(created.didDocument.service[0].serviceEndpoint).to.equal("0.0.6100");
+
+    // An update signed by somebody else is ignored
+    const intruder = generateKeypair();
+    const forged = { type: "did_document", operation: "update", did, document: buildDidDocument({ did, publicKey: intruder.publicKey }), timestamp: Date.now() };
+    forged.signature = signJSON(forged, intruder.privateKey);
+    await submitTopicMessage("0.0.6001", JSON.stringify(forged));
+    expect((await resolveDid(did, { noCache: true })).didDocument.verificationMethod[0].publicKeyBase64).to.equal(oldKey);
+
+    // A rotation: the new key signs the update, the old key vouches for it
+    const rotation = await signer.rotate({ did });
+    await publishDidDocument(buildDidDocument({ did, publicKey: rotation.publicKey }), signer, { operation: "update", rotation });
+    const rotated = await resolveDid(did);
+    expect(rotated.didDocument.verificationMethod[0].publicKeyBase64).to.equal(rotation.publicKey);
+    expect(rotated.didDocumentMetadata.versionId).to.equal("3");
+
+    const message = { type: "delivery", fromDid: did, timestamp: Date.now() };
+    message.signature = await signer.sign(message);
+    expect((await verifyMessageFromDid(message)).verified).to.equal(true);
+
+    await publishDidDocument(null, signer, { did, operation: "deactivate" });
+    const deactivated = await verifyMessageFromDid(message);
+    expect(deactivated).to.include({ verified: false, reason: "DID deactivated" });
+  });
+
+  it("Should refuse to create a self-certifying DID with another key", async function () {
+    const owner = generateKeypair();
+    const intruder = generateKeypair();
+    const did = `did:hedera:testnet:z${owner.publicKey}`;
+    process.env.DID_TOPIC_ID = "0.0.6002";
+    try {
+      await publishDidDocument(buildDidDocument({ did, publicKey: intruder.publicKey }), new EnvSigner(intruder.privateKey));
+      const resolution = await resolveDid(did, { noCache: true });
+      expect(resolution.didDocumentMetadata.source).to.equal("self-certifying");
+      expect(resolution.didDocument.verificationMethod[0].publicKeyBase64).to.equal(owner.publicKey);
+    } finally {
+      delete process.env.DID_TOPIC_ID;
+    }
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+require("./helpers/agents");
+
+describe("Agent directory announcements", function () {
+  this.timeout(30000);
+
+  const { generateKeypair, signJSON } = require("../agent-sdk/lib/signer");
+  const { handleDirectoryAnnouncement, upsertAgent, applyRegistryRecord, resolveAgent, resolvePublicKey } = require("../agent-sdk/lib/directory");
+  const operator = generateKeypair();
+  const signed = (message, privateKey) => ({ ...message, signature: signJSON(message, privateKey) });
+
+  before(function () {
+    process.env.DIRECTORY_OPERATOR_PUBLIC_KEY = operator.publicKey;
+  });
+
+  after(function () {
+    delete process.env.DIRECTORY_OPERATOR_PUBLIC_KEY;
+  });
+
+  it("Should only add an agent and its first key on the operator's signature", function () {
+    const agent = generateKeypair();
+    const registered = { type: "agent.registered", accountId: "0.0.9101", name: "NewAgent", publicKey: agent.publicKey, timestamp: Date.now() };
+
+    handleDirectoryAnnouncement(registered);
+    handleDirectoryAnnouncement(signed(registered, agent.privateKey));
+    expect(resolveAgent("0.0.9101")).to.equal(null);
+
+    handleDirectoryAnnouncement(signed(registered, operator.privateKey));
+    expect(resolvePublicKey("0.0.9101")).to.equal(agent.publicKey);
+
+    // A DID listed under another account cannot be claimed by a different agent's key
+    upsertAgent({ accountId: "0.0.9102", did: "did:hedera:testnet:owned", publicKey: generateKeypair().publicKey });
+    handleDirectoryAnnouncement(signed({ type: "agent.updated", accountId: "0.0.9101", did: "did:hedera:testnet:owned", timestamp: Date.now() }, agent.privateKey));
+    expect(resolveAgent("did:hedera:testnet:owned").accountId).to.equal("0.0.9102");
+  });
+
+  it("Should only retire an agent on its own or the operator's signature", function () {
+    const agent = generateKeypair();
+    upsertAgent({ accountId: "0.0.9103", name: "RetiringAgent", publicKey: agent.publicKey });
+    const retired = { type: "agent.retired", accountId: "0.0.9103", timestamp: Date.now() };
+
+    handleDirectoryAnnouncement(retired);
+    handleDirectoryAnnouncement(signed(retired, generateKeypair().privateKey));
+    expect(resolveAgent("0.0.9103").status).to.equal("active");
+
+    handleDirectoryAnnouncement(signed(retired, agent.privateKey));
+    expect(resolveAgent("0.0.9103").status).to.equal("retired");
+  });
+
+  it("Should never retire or re-key env and registry entries from the network", function () {
+    const agent = generateKeypair();
+    upsertAgent({ accountId: "0.0.9104", name: "EscrowAgent", publicKey: agent.publicKey }, "env");
+    upsertAgent({ accountId: "0.0.9105", name: "RegistryAgent", publicKey: agent.publicKey }, "registry");
+
+    for (const accountId of ["0.0.9104", "0.0.9105"]) {
+      handleDirectoryAnnouncement(signed({ type: "agent.retired", accountId, timestamp: Date.now() }, operator.privateKey));
+      handleDirectoryAnnouncement(signed({ type: "agent.updated", accountId, publicKey: generateKeypair().publicKey, timestamp: Date.now() }, operator.privateKey));
+      handleDirectoryAnnouncement(signed({ type: "agent.updated", accountId, publicKey: generateKeypair().publicKey, timestamp: Date.now() }, agent.privateKey));
+      expect(resolveAgent(accountId)).to.include({ status: "active", publicKey: agent.publicKey });
+    }
+
+    // Signed updates that leave the key alone still apply
+    handleDirectoryAnnouncement(signed({ type: "agent.updated", accountId: "0.0.9105", capabilities: ["escrow"], timestamp: Date.now() }, agent.privateKey));
+    expect(resolveAgent("0.0.9105")).to.include({ source: "registry" });
+    expect(resolveAgent("0.0.9105").capabilities).to.deep.equal(["escrow"]);
+  });
+
+  it("Should pin env topics and keys, and only take registry keys tied to the account", async function () {
+    const agent = generateKeypair();
+    const intruder = generateKeypair();
+    const longZero = (num) => `0x${num.toString(16).padStart(40, "0")}`;
+
+    upsertAgent({ accountId: "0.0.9106", name: "DisputeAgent", inboundTopicId: "0.0.9206", publicKey: agent.publicKey }, "env");
+    await applyRegistryRecord({ owner: longZero(9106), did: "did:web:intruder.example", metadata: { accountId: "0.0.9106", inboundTopicId: "0.0.6666", publicKey: intruder.publicKey }, active: true });
+    handleDirectoryAnnouncement(signed({ type: "agent.updated", accountId: "0.0.9106", inboundTopicId: "0.0.6667", timestamp: Date.now() }, operator.privateKey));
+    expect(resolveAgent("0.0.9106")).to.include({ source: "env", inboundTopicId: "0.0.9206", publicKey: agent.publicKey });
+
+    // The record's owner must be the account's address (or its DID document must name the account)
+    const record = { did: "did:web:one.example", metadata: { accountId: "0.0.9107", publicKey: agent.publicKey }, active: true };
+    await applyRegistryRecord({ ...record, owner: longZero(9999) });
+    expect(resolveAgent("0.0.9107")).to.include({ source: "registry", publicKey: null });
+    await applyRegistryRecord({ ...record, owner: longZero(9107) });
+    expect(resolvePublicKey("0.0.9107")).to.equal(agent.publicKey);
+
+    // Another record cannot replace that key
+    await applyRegistryRecord({ owner: longZero(9107), did: "did:web:two.example", metadata: { accountId: "0.0.9107", publicKey: intruder.publicKey }, active: true });
+    expect(resolvePublicKey("0.0.9107")).to.equal(agent.publicKey);
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Agents are TypeScript - compile on the fly
+require("ts-node").register({ transpileOnly: true });
+
+// Everything runs in this process: loopback A2A bus, ephemeral ports, no chain or IPFS
+process.env.A2A_TRANSPORT = "loopback";
+process.env.CLIENT_AGENT_PORT = "0";
+process.env.WORKER_AGENT_PORT = "0";
+process.env.VERIFICATION_AGENT_PORT = "0";
+process.env.ESCROW_AGENT_PORT = "0";
+process.env.HEDERA_RPC_URL = "http://127.0.0.1:1";
+process.env.REPUTE_AGENT_URL = "http://127.0.0.1:1";
+process.env.CLIENT_EXPIRY_INTERVAL_MS = "200";
+process.env.CLIENT_SCHEDULE_INTERVAL_MS = "200";
+process.env.AGENT_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "aexowork-test-"));
+delete process.env.ESCROW_MANAGER_ADDRESS;
+delete process.env.MARKETPLACE_ADDRESS;
+delete process.env.DATA_AGENT_URL;
+delete process.env.X402_URL;
+delete process.env.HCS_TOPIC_ID;
+delete process.env.OPENAI_API_KEY;
+// The agents share the ClientAgent's loopback endpoint, so that is where VerificationAgent and DisputeAgent send from
+process.env.VERIFICATION_AGENT_ACCOUNT_ID = "ClientAgent";
+process.env.DISPUTE_AGENT_ACCOUNT_ID = "ClientAgent";
+delete process.env.VERIFICATION_AGENT_DID;
+delete process.env.DISPUTE_AGENT_DID;
+
+// The agents share one loopback endpoint and sign with one key, registered for that endpoint
+const { generateKeypair } = require("../../agent-sdk/lib/signer");
+const agentKeys = generateKeypair();
+process.env.AGENT_PRIVATE_KEY_BASE64 = agentKeys.privateKey;
+process.env.AGENT_DID = `did:hedera:testnet:z${agentKeys.publicKey}`;
+
+async function waitFor(check, timeoutMs = 15000) {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+const servers = [];
+let running = null;
+
+/**
+ * Start ClientAgent, WorkerAgent, VerificationAgent and EscrowAgent once for every test file
+ */
+function startAgents() {
+  if (!running) {
+    running = (async () => {
+      const a2a = require("../../agent-sdk/lib/a2a");
+      const { registerSenderKey } = require("../../agent-sdk/lib/message-guard");
+      const clientAgent = require("../../agent-sdk/agents/clientAgent");
+      const workerAgent = require("../../agent-sdk/agents/workerAgent");
+      const verificationAgent = require("../../agent-sdk/agents/verificationAgent");
+      const escrowAgent = require("../../agent-sdk/agents/escrowAgent");
+
+      servers.push(await clientAgent.init());
+      servers.push(await workerAgent.init());
+      servers.push(await verificationAgent.init());
+      servers.push(await escrowAgent.start());
+
+      await Promise.all(servers.map((server) => new Promise((resolve) => {
+        if (server.listening) return resolve();
+        server.once("listening", resolve);
+      })));
+
+      registerSenderKey(a2a.getConnectionStatus().agentAccountId, agentKeys.publicKey);
+      return {
+        a2a,
+        clientUrl: `http://127.0.0.1:${servers[0].address().port}`,
+        workerUrl: `http://127.0.0.1:${servers[1].address().port}`,
+        escrowUrl: `http://127.0.0.1:${servers[3].address().port}`,
+      };
+    })();
+  }
+  return running;
+}
+
+/**
+ * Sign as the agents with another keypair (and its DID) - no keys restores the default
+ */
+async function useAgentKey(keys = agentKeys) {
+  const { EnvSigner, setAgentSigner } = require("../../agent-sdk/lib/keystore");
+  const { registerSenderKey } = require("../../agent-sdk/lib/message-guard");
+  const { a2a } = await startAgents();
+  setAgentSigner(new EnvSigner(keys.privateKey));
+  process.env.AGENT_DID = keys.did || `did:hedera:testnet:z${keys.publicKey}`;
+  registerSenderKey(a2a.getConnectionStatus().agentAccountId, keys.publicKey);
+}
+
+// Root hook: stop the agents after the last test file
+after(async function () {
+  if (!running) return;
+  const { a2a } = await running;
+  await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+  await a2a.close();
+});
+
+module.exports = { startAgents, useAgentKey, waitFor };
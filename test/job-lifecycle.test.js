@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { startAgents } = require("./helpers/agents");
+
+describe("Job lifecycle", function () {
+  this.timeout(30000);
+
+  const { createJobRepository } = require("../agent-sdk/lib/job-repository");
+  const { createJob, transitionJob, canTransition, isTerminal } = require("../agent-sdk/lib/job-lifecycle");
+
+  it("Should only allow transitions of the job state machine and keep their history", function () {
+    const repository = createJobRepository({ backend: "file", name: "lifecycle" });
+    let job = createJob(repository, { jobId: "0xlife", title: "t", description: "d", budgetHBAR: "1", createdAt: 1 }, { actor: "client" });
+    expect(job.status).to.equal("open");
+
+    expect(() => transitionJob(repository, job, "approved")).to.throw(/cannot go from open to approved/)
+      .with.property("code", "INVALID_TRANSITION");
+    expect(() => transitionJob(repository, job, "shipped")).to.throw().with.property("code", "UNKNOWN_STATE");
+
+    for (const state of ["offered", "assigned", "funded", "delivered", "verified"]) {
+      job = transitionJob(repository, job, state, { actor: "test" });
+    }
+    expect(transitionJob(repository, job, "verified")).to.equal(job); // already there - no-op
+    job = transitionJob(repository, job, "disputed", { reason: "late" });
+    job = transitionJob(repository, job, "refunded");
+    expect(isTerminal(job.status)).to.equal(true);
+    expect(canTransition("refunded", "approved")).to.equal(false);
+
+    expect(repository.getJob("0xlife").status).to.equal("refunded");
+    const history = repository.getJobHistory("0xlife");
+    expect(history.map((entry) => `${entry.from}->${entry.to}`)).to.deep.equal([
+      "null->open", "open->offered", "offered->assigned", "assigned->funded", "funded->delivered",
+      "delivered->verified", "verified->disputed", "disputed->refunded",
+    ]);
+    expect(history[6]).to.include({ reason: "late" });
+    expect(history.every((entry) => typeof entry.at === "number")).to.equal(true);
+  });
+
+  it("Should only take deliveries and dispute outcomes from the VerificationAgent and DisputeAgent", async function () {
+    const { a2a } = await startAgents();
+    const { getJobRepository } = require("../agent-sdk/lib/job-repository");
+    const { getAgentSigner } = require("../agent-sdk/lib/keystore");
+    const repository = getJobRepository();
+    repository.saveJob({ jobId: "0xsender", title: "t", description: "d", budgetHBAR: "1", createdAt: Date.now(), status: "funded", escrowId: "0xsender-escrow" });
+    const sign = async (message) => ({ ...message, signature: await getAgentSigner().sign(message) });
+    // Signed by this process, sent as if some other account were the platform agent
+    const sendAsStranger = async (envKey, subject, message) => {
+      const configured = process.env[envKey];
+      process.env[envKey] = "0.0.9401";
+      try {
+        await a2a.sendA2A(subject, await sign(message));
+        await a2a.getConnection().idle();
+      } finally {
+        process.env[envKey] = configured;
+      }
+    };
+    const send = async (subject, message) => {
+      await a2a.sendA2A(subject, await sign(message));
+      await a2a.getConnection().idle();
+    };
+
+    const receipt = { type: "DeliveryReceipt", jobId: "0xsender", escrowId: "0xsender-escrow", deliveryCID: "ipfs://sender", verificationPassed: true, verificationScore: 90 };
+    await sendAsStranger("VERIFICATION_AGENT_ACCOUNT_ID", "aexowork.deliveries", { ...receipt, nonce: "d-1", timestamp: Date.now() });
+    expect(repository.getJob("0xsender").status).to.equal("funded");
+    await send("aexowork.deliveries", { ...receipt, nonce: "d-2", timestamp: Date.now() });
+    expect(repository.getJob("0xsender").status).to.equal("verified");
+
+    const dispute = { type: "dispute.created", disputeId: "dispute-sender", escrowId: "0xsender-escrow", initiator: "client", reason: "late" };
+    await sendAsStranger("DISPUTE_AGENT_ACCOUNT_ID", "aexowork.disputes", { ...dispute, nonce: "x-1", timestamp: Date.now() });
+    expect(repository.getJob("0xsender").status).to.equal("verified");
+    await send("aexowork.disputes", { ...dispute, nonce: "x-2", timestamp: Date.now() });
+    expect(repository.getJob("0xsender").status).to.equal("disputed");
+
+    const resolved = { type: "dispute.resolved", disputeId: "dispute-sender", resolution: "favor_client" };
+    await sendAsStranger("DISPUTE_AGENT_ACCOUNT_ID", "aexowork.resolution", { ...resolved, nonce: "s-1", timestamp: Date.now() });
+    expect(repository.getJob("0xsender").status).to.equal("disputed");
+    await send("aexowork.resolution", { ...resolved, nonce: "s-2", timestamp: Date.now() });
+    expect(repository.getJob("0xsender").status).to.equal("refunded");
+  });
+});
@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { startAgents } = require("./helpers/agents");
+
+describe("Job repository", function () {
+  this.timeout(30000);
+
+  const { createJobRepository } = require("../agent-sdk/lib/job-repository");
+
+  const exercise = (backend) => {
+    const options = { backend, name: `jobs-${backend}` };
+    const repository = createJobRepository(options);
+    expect(repository.schemaVersion).to.equal(4);
+
+    repository.saveJob({ jobId: "0xjob1", title: "Logo", description: "d", budgetHBAR: "100", createdAt: 1, status: "open" });
+    expect(repository.addOffer({ type: "OfferMessage", jobId: "0xjob1", offerId: "o1", price: "90" })).to.equal(true);
+    expect(repository.addOffer({ type: "OfferMessage", jobId: "0xjob1", offerId: "o1", price: "80" })).to.equal(false);
+    repository.saveJob({ ...repository.getJob("0xjob1"), status: "assigned", escrowId: "0xescrow1" });
+    repository.saveEscrow({ escrowId: "0xescrow1", jobId: "0xjob1", worker: "0xworker", status: "funded", fundTxHash: "0xf" });
+    repository.saveEscrow({ escrowId: "0xescrow1", status: "released", releaseTxHash: "0xr" });
+    repository.addReceipt({ escrowId: "0xescrow1", jobId: "0xjob1", deliveryCID: "cid1", verificationScore: 90, receivedAt: 2, message: {} });
+    repository.saveNegotiation({ negotiationId: "0xneg1", jobId: "0xjob1", offerId: "o1", status: "open", startedAt: 3, transcript: [] });
+    repository.saveNegotiation({ ...repository.getNegotiation("0xneg1"), status: "agreed", agreedPrice: "85" });
+    repository.saveTemplate({ templateId: "0xtpl1", name: "Weekly report", title: "Report", description: "d", budgetHBAR: "100", createdAt: 4 });
+    repository.saveSchedule({ scheduleId: "0xsch1", templateId: "0xtpl1", cron: "@weekly", status: "active", preferPreviousWorker: true, nextRunAt: 5, createdAt: 4, runs: [] });
+    repository.saveSchedule({ ...repository.getSchedule("0xsch1"), status: "paused" });
+    repository.setMeta("reconcile.lastBlock", "42");
+    repository.close();
+
+    // Everything is still there after reopening
+    const reopened = createJobRepository(options);
+    expect(reopened.schemaVersion).to.equal(4);
+    expect(reopened.getJob("0xjob1")).to.include({ status: "assigned", escrowId: "0xescrow1" });
+    expect(reopened.findJobByEscrowId("0xescrow1").jobId).to.equal("0xjob1");
+    expect(reopened.listJobs({ status: "open" })).to.have.length(0);
+    expect(reopened.getOffers("0xjob1").map((offer) => offer.price)).to.deep.equal(["90"]);
+    expect(reopened.countOffers()).to.equal(1);
+    expect(reopened.removeOffers("0xjob1")).to.equal(1);
+    expect(reopened.getOffers("0xjob1")).to.have.length(0);
+    expect(reopened.getEscrow("0xescrow1")).to.include({ jobId: "0xjob1", worker: "0xworker", status: "released", fundTxHash: "0xf", releaseTxHash: "0xr" });
+    expect(reopened.getReceipts("0xjob1")).to.have.length(1);
+    expect(reopened.listNegotiations({ jobId: "0xjob1", status: "agreed" }).map((n) => n.agreedPrice)).to.deep.equal(["85"]);
+    expect(reopened.listNegotiations({ status: "open" })).to.have.length(0);
+    expect(reopened.listTemplates().map((template) => template.name)).to.deep.equal(["Weekly report"]);
+    expect(reopened.listSchedules({ templateId: "0xtpl1", status: "paused" })).to.have.length(1);
+    expect(reopened.listSchedules({ status: "active" })).to.have.length(0);
+    expect(reopened.deleteSchedule("0xsch1")).to.equal(true);
+    expect(reopened.deleteTemplate("0xtpl1")).to.equal(true);
+    expect(reopened.getTemplate("0xtpl1")).to.equal(null);
+    expect(reopened.getMeta("reconcile.lastBlock")).to.equal("42");
+    reopened.close();
+  };
+
+  it("Should persist jobs, offers, escrows and receipts in the file backend", function () {
+    exercise("file");
+  });
+
+  it("Should persist jobs, offers, escrows and receipts in the SQLite backend", function () {
+    try {
+      require("node:sqlite");
+    } catch (error) {
+      this.skip(); // node:sqlite needs Node >= 22.5
+    }
+    exercise("sqlite");
+  });
+
+  it("Should not store offers for jobs the ClientAgent did not post", async function () {
+    const { a2a } = await startAgents();
+    const { getJobRepository } = require("../agent-sdk/lib/job-repository");
+    const before = getJobRepository().countOffers();
+
+    const offer = { type: "OfferMessage", offerId: "o-stray", price: "1", workerAddress: "0x0000000000000000000000000000000000000001", timestamp: Date.now() };
+    await a2a.sendA2A("aexowork.offers", { ...offer, jobId: "0xnot-ours" });
+    await a2a.sendA2A("aexowork.offers", { ...offer, offerId: "o-no-job" });
+    await a2a.getConnection().idle();
+
+    expect(getJobRepository().getOffers("0xnot-ours")).to.have.length(0);
+    expect(getJobRepository().countOffers()).to.equal(before);
+  });
+});
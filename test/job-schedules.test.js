@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const { startAgents, useAgentKey, waitFor } = require("./helpers/agents");
+
+describe("Recurring jobs", function () {
+  this.timeout(30000);
+  let clientUrl;
+
+  before(async function () {
+    ({ clientUrl } = await startAgents());
+  });
+
+  const { nextCronRun, validateSchedule, materializeJobRequest, budgetCapExceeded } = require("../agent-sdk/lib/job-schedules");
+  const { shouldAutoAccept, isPreferredOffer, DEFAULT_SELECTION_POLICY } = require("../agent-sdk/lib/offer-selection");
+  const { generateKeypair, signJSON } = require("../agent-sdk/lib/signer");
+  const { getJobRepository } = require("../agent-sdk/lib/job-repository");
+  const budget = "1000000000000000000";
+  const template = {
+    name: "Weekly landing page refresh",
+    title: "Landing page refresh",
+    description: "Update the landing page copy",
+    budgetHBAR: budget,
+    requiredSkills: ["React"],
+    deadlineHours: 72, // WorkerAgent bids a 48h ETA
+  };
+
+  it("Should compute cron times, caps and the preferred worker", async function () {
+    const sunday = Date.UTC(2026, 9, 18, 10, 30, 15);
+    expect(new Date(nextCronRun("0 9 * * 1", sunday)).toISOString()).to.equal("2026-10-19T09:00:00.000Z");
+    expect(new Date(nextCronRun("*/15 * * * *", sunday)).toISOString()).to.equal("2026-10-18T10:45:00.000Z");
+    expect(new Date(nextCronRun("0 0 29 2 *", sunday)).toISOString()).to.equal("2028-02-29T00:00:00.000Z");
+    expect(validateSchedule({ templateId: "0xtpl", cron: "0 0 31 2 *", budgetCapHBAR: "1.5" })).to.deep.equal([
+      "Cron expression never matches a date",
+      "budgetCapHBAR must be an amount in wei",
+    ]);
+
+    const schedule = { budgetCapHBAR: "2500" };
+    const jobs = [{ budgetHBAR: "1000", status: "approved" }, { budgetHBAR: "1000", status: "expired" }, { budgetHBAR: "1000", status: "open" }];
+    expect(budgetCapExceeded(schedule, jobs, "500")).to.equal(null);
+    expect(budgetCapExceeded(schedule, jobs, "1000")).to.match(/budget cap reached: 2000 committed/);
+
+    const preferred = { address: "0xA11CE", did: "did:hedera:testnet:alice", fromJobId: "0xprev" };
+    const request = materializeJobRequest({ ...template, visibility: "private", invite: { filter: { capabilities: ["React"] } } }, 1000, preferred);
+    expect(request).to.include({ deadline: 1000 + 72 * 3600e3, visibility: "private" });
+    expect(request.invite.dids).to.deep.equal(["did:hedera:testnet:alice"]);
+
+    // The preferred worker's qualifying offer wins even with auto-accept off and a better offer in
+    const job = { status: "offered", budgetHBAR: "100", createdAt: Date.now(), preferredWorker: preferred };
+    const ranked = [
+      { qualified: true, score: 90, offer: { offerId: "o1", fromDid: "did:hedera:testnet:bob" } },
+      { qualified: true, score: 60, preferred: true, offer: { offerId: "o2", fromDid: "did:hedera:testnet:alice" } },
+    ];
+    expect(shouldAutoAccept(job, ranked, DEFAULT_SELECTION_POLICY).offer.offer.offerId).to.equal("o2");
+    expect(shouldAutoAccept({ ...job, preferredWorker: undefined }, ranked, DEFAULT_SELECTION_POLICY).accept).to.equal(false);
+
+    // An offer is only the preferred worker's when it pays their address and their DID key signed it
+    const keys = generateKeypair();
+    const did = `did:hedera:testnet:z${keys.publicKey}`;
+    const signedJob = { ...job, preferredWorker: { ...preferred, did } };
+    const offer = { offerId: "o3", jobId: "0xjob", fromDid: did, workerAddress: "0xa11ce", price: "100" };
+    expect(await isPreferredOffer(signedJob, { ...offer, signature: signJSON(offer, keys.privateKey) })).to.equal(true);
+    expect(await isPreferredOffer(signedJob, offer)).to.equal(false);
+    expect(await isPreferredOffer(signedJob, { ...offer, signature: signJSON(offer, generateKeypair().privateKey) })).to.equal(false);
+    const elsewhere = { ...offer, workerAddress: "0xb0b" };
+    expect(await isPreferredOffer(signedJob, { ...elsewhere, signature: signJSON(elsewhere, keys.privateKey) })).to.equal(false);
+    const noDid = { ...signedJob, preferredWorker: { address: "0xA11CE", fromJobId: "0xprev" } };
+    expect(await isPreferredOffer(noDid, { ...offer, signature: signJSON(offer, keys.privateKey) })).to.equal(false);
+  });
+
+  it("Should post a schedule's runs, prefer the last worker and stop at the budget cap", async function () {
+    const workerAddress = process.env.WORKER_ADDRESS;
+    process.env.WORKER_ADDRESS = "0x00000000000000000000000000000000000a11ce";
+    // The agents share this process: the worker signs its offers with this DID's key
+    const keys = generateKeypair();
+    await useAgentKey(keys);
+    try {
+      const invalid = await axios.post(`${clientUrl}/templates`, { ...template, deadline: Date.now() }, { validateStatus: () => true });
+      expect(invalid.data.problems).to.deep.equal(["templates take deadlineHours, not a deadline"]);
+      const { data: created } = await axios.post(`${clientUrl}/templates`, template);
+      const { templateId } = created.template;
+
+      const { data: scheduled } = await axios.post(`${clientUrl}/schedules`, {
+        templateId, cron: "0 9 * * 1", preferPreviousWorker: true, budgetCapHBAR: "2000000000000000000",
+      });
+      const { scheduleId } = scheduled.schedule;
+      expect(scheduled.schedule).to.include({ status: "active", nextRunAt: nextCronRun("0 9 * * 1", Date.now()) });
+
+      // First run: an ordinary job, bid on by the WorkerAgent, which we pretend was approved
+      const { data: first } = await axios.post(`${clientUrl}/schedules/${scheduleId}/run`);
+      expect(first.run).to.include({ status: "posted" });
+      const firstJobId = first.run.jobId;
+      await waitFor(async () => (await axios.get(`${clientUrl}/offers/${firstJobId}`)).data.offers.length > 0);
+      const repository = getJobRepository();
+      repository.saveJob({ ...repository.getJob(firstJobId), status: "approved", assignedWorker: process.env.WORKER_ADDRESS });
+
+      // Second run prefers that worker and accepts their offer without waiting
+      const { data: second } = await axios.post(`${clientUrl}/schedules/${scheduleId}/run`);
+      expect(second.run.preferredWorker).to.equal(process.env.AGENT_DID);
+      const secondJobId = second.run.jobId;
+      const accepted = await waitFor(async () => {
+        const { data } = await axios.get(`${clientUrl}/jobs/${secondJobId}/history`);
+        return data.history.find((entry) => entry.to === "assigned");
+      });
+      expect(accepted).to.include({ actor: "auto-accept" });
+      expect(accepted.reason).to.include(`preferred worker (did job ${firstJobId})`);
+
+      // Two budgets are committed: a third run would go over the cap
+      const third = await axios.post(`${clientUrl}/schedules/${scheduleId}/run`, {}, { validateStatus: () => true });
+      expect(third.status).to.equal(409);
+      expect(third.data.run).to.include({ status: "skipped" });
+      const { data: described } = await axios.get(`${clientUrl}/schedules/${scheduleId}`);
+      expect(described.committedHBAR).to.equal("2000000000000000000");
+      expect(described.jobs.map((job) => job.jobId)).to.deep.equal([firstJobId, secondJobId]);
+
+      const inUse = await axios.delete(`${clientUrl}/templates/${templateId}`, { validateStatus: () => true });
+      expect(inUse.status).to.equal(409);
+    } finally {
+      await useAgentKey();
+      if (workerAddress === undefined) delete process.env.WORKER_ADDRESS;
+      else process.env.WORKER_ADDRESS = workerAddress;
+    }
+  });
+
+  it("Should post due schedules on its own and honor pause and resume", async function () {
+    const { data: created } = await axios.post(`${clientUrl}/templates`, { ...template, name: "Monthly report", title: "Monthly report" });
+    const { data: scheduled } = await axios.post(`${clientUrl}/schedules`, { templateId: created.template.templateId, cron: "@monthly" });
+    const { scheduleId } = scheduled.schedule;
+    const repository = getJobRepository();
+    const runs = async () => (await axios.get(`${clientUrl}/schedules/${scheduleId}`)).data.schedule.runs;
+
+    // Pretend the run is due: the sweep posts it and moves on to next month
+    repository.saveSchedule({ ...repository.getSchedule(scheduleId), nextRunAt: Date.now() - 1000 });
+    await waitFor(async () => (await runs()).length === 1);
+    const { data: afterRun } = await axios.get(`${clientUrl}/schedules/${scheduleId}`);
+    expect(afterRun.schedule.runs[0]).to.include({ status: "posted" });
+    expect(afterRun.schedule.nextRunAt).to.equal(nextCronRun("@monthly", Date.now()));
+    expect(afterRun.jobs[0].status).to.be.oneOf(["open", "offered"]);
+
+    const { data: paused } = await axios.post(`${clientUrl}/schedules/${scheduleId}/pause`, { reason: "holiday" });
+    expect(paused.schedule).to.include({ status: "paused", nextRunAt: null, pausedReason: "holiday" });
+    const again = await axios.post(`${clientUrl}/schedules/${scheduleId}/pause`, {}, { validateStatus: () => true });
+    expect(again.status).to.equal(409);
+    const { data: listed } = await axios.get(`${clientUrl}/schedules?status=paused`);
+    expect(listed.schedules.map((schedule) => schedule.scheduleId)).to.include(scheduleId);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(await runs()).to.have.length(1);
+
+    const { data: resumed } = await axios.post(`${clientUrl}/schedules/${scheduleId}/resume`);
+    expect(resumed.schedule).to.include({ status: "active" });
+    expect(resumed.schedule).to.not.have.property("pausedReason");
+    expect(resumed.schedule.nextRunAt).to.be.above(Date.now());
+  });
+});
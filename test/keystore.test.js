@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+require("./helpers/agents");
+
+describe("Key management", function () {
+  this.timeout(30000);
+
+  const express = require("express");
+  const {
+    encryptKeystore,
+    decryptKeystore,
+    createSigningKeystore,
+    writeKeystore,
+    readKeystore,
+    KeystoreSigner,
+    RemoteSigner,
+    verifyKeyRotation,
+  } = require("../agent-sdk/lib/keystore");
+  const { verifyJSON, generateKeypair, signJSON } = require("../agent-sdk/lib/signer");
+  const { handleDirectoryAnnouncement, upsertAgent, resolvePublicKey } = require("../agent-sdk/lib/directory");
+
+  it("Should encrypt secrets and refuse wrong passwords or tampered keystores", function () {
+    const keystore = encryptKeystore("302e0201-secret", "correct horse", { scryptN: 1024 });
+    expect(JSON.stringify(keystore)).to.not.include("302e0201-secret");
+    expect(decryptKeystore(keystore, "correct horse")).to.equal("302e0201-secret");
+
+    expect(() => decryptKeystore(keystore, "wrong")).to.throw(/Wrong password/);
+    const tampered = { ...keystore, crypto: { ...keystore.crypto, ciphertext: "00" + keystore.crypto.ciphertext.slice(2) } };
+    expect(() => decryptKeystore(tampered, "correct horse")).to.throw(/Wrong password or corrupt/);
+  });
+
+  it("Should sign from a keystore and rotate with a statement signed by the old key", async function () {
+    const file = path.join(process.env.AGENT_DATA_DIR, "keys", "signer.json");
+    writeKeystore(file, createSigningKeystore("pw", { scryptN: 1024 }));
+    const signer = new KeystoreSigner(file, "pw");
+    const oldKey = await signer.getPublicKey();
+    expect(verifyJSON({ a: 1 }, await signer.sign({ a: 1 }), oldKey)).to.equal(true);
+
+    const rotation = await signer.rotate({ accountId: "0.0.7001", did: "did:hedera:testnet:rotating" });
+    expect(rotation).to.include({ type: "agent.key.rotated", previousPublicKey: oldKey, accountId: "0.0.7001" });
+    expect(rotation.publicKey).to.equal(await signer.getPublicKey());
+    expect(verifyKeyRotation(rotation, oldKey)).to.equal(true);
+    expect(verifyKeyRotation(rotation, rotation.publicKey)).to.equal(false);
+    expect(verifyKeyRotation({ ...rotation, publicKey: generateKeypair().publicKey }, oldKey)).to.equal(false);
+
+    // The new key is on disk, the old one is kept as a retired keystore
+    expect(readKeystore(file)).to.include({ publicKey: rotation.publicKey, previousPublicKey: oldKey });
+    expect(fs.readdirSync(path.dirname(file)).some((f) => f.endsWith(".retired"))).to.equal(true);
+    expect(await new KeystoreSigner(file, "pw").getPublicKey()).to.equal(rotation.publicKey);
+  });
+
+  it("Should only replace a known directory key with a valid rotation statement", async function () {
+    const file = path.join(process.env.AGENT_DATA_DIR, "keys", "directory-signer.json");
+    writeKeystore(file, createSigningKeystore("pw", { scryptN: 1024 }));
+    const signer = new KeystoreSigner(file, "pw");
+    upsertAgent({ accountId: "0.0.7002", name: "RotatingAgent", publicKey: await signer.getPublicKey() });
+
+    const forged = generateKeypair();
+    const hijack = { type: "agent.updated", accountId: "0.0.7002", publicKey: forged.publicKey, timestamp: Date.now() };
+    hijack.signature = signJSON(hijack, forged.privateKey);
+    handleDirectoryAnnouncement(hijack);
+    expect(resolvePublicKey("0.0.7002")).to.equal(await signer.getPublicKey());
+
+    const rotation = await signer.rotate({ accountId: "0.0.7002" });
+    handleDirectoryAnnouncement({ ...rotation, subject: "aexowork.keys.rotated", fromAccountId: "0.0.7002" });
+    expect(resolvePublicKey("0.0.7002")).to.equal(rotation.publicKey);
+  });
+
+  it("Should delegate signing to a remote signer", async function () {
+    const keypair = generateKeypair();
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => (req.headers.authorization === "Bearer signer-token" ? next() : res.status(401).end()));
+    app.get("/public-key", (req, res) => res.json({ publicKey: keypair.publicKey }));
+    app.post("/sign", (req, res) => res.json({ signature: signJSON(req.body.payload, keypair.privateKey) }));
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const signer = new RemoteSigner(url, "signer-token");
+      expect(await signer.getPublicKey()).to.equal(keypair.publicKey);
+      expect(verifyJSON({ jobId: "9" }, await signer.sign({ jobId: "9" }), keypair.publicKey)).to.equal(true);
+
+      const unauthorized = await new RemoteSigner(url, "wrong").sign({ jobId: "9" }).catch((e) => e);
+      expect(unauthorized.response.status).to.equal(401);
+    } finally {
+      server.close();
+    }
+  });
+});
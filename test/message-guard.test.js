@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { startAgents } = require("./helpers/agents");
+
+describe("Message guard", function () {
+  this.timeout(30000);
+  let a2a;
+
+  before(async function () {
+    ({ a2a } = await startAgents());
+  });
+
+  const nacl = require("tweetnacl");
+  const { signJSON } = require("../agent-sdk/lib/signer");
+  const { MessageGuard } = require("../agent-sdk/lib/message-guard");
+  const { upsertAgent } = require("../agent-sdk/lib/directory");
+
+  const keyPair = nacl.sign.keyPair();
+  const secretKey = Buffer.from(keyPair.secretKey).toString("base64");
+  const fromDid = `did:hedera:testnet:z${Buffer.from(keyPair.publicKey).toString("base64")}`;
+  const received = [];
+
+  function signed(fields) {
+    const message = { type: "guard.test", fromDid, timestamp: Date.now(), ...fields };
+    message.signature = signJSON(message, secretKey);
+    return message;
+  }
+
+  before(function () {
+    a2a.subscribe("aexowork.guard.test", async (message, metadata) => {
+      received.push({ message, metadata });
+    });
+  });
+
+  beforeEach(function () {
+    received.length = 0;
+  });
+
+  it("Should deliver a signed message once and drop its replay", async function () {
+    // The loopback account every agent in this process sends from claims this DID
+    upsertAgent({ accountId: a2a.getConnectionStatus().agentAccountId, did: fromDid });
+    const message = signed({ nonce: "n-1" });
+    await a2a.sendA2A("aexowork.guard.test", message);
+    await a2a.sendA2A("aexowork.guard.test", message);
+    await a2a.getConnection().idle();
+
+    expect(received).to.have.length(1);
+    expect(received[0].metadata.signatureVerified).to.equal(true);
+    expect(a2a.getMessageGuard().getStats().duplicate).to.be.at.least(1);
+  });
+
+  it("Should drop stale and tampered messages", async function () {
+    await a2a.sendA2A("aexowork.guard.test", signed({ nonce: "n-2", timestamp: Date.now() - 60 * 60 * 1000 }));
+    await a2a.sendA2A("aexowork.guard.test", { ...signed({ nonce: "n-3" }), amount: "1000" });
+    await a2a.getConnection().idle();
+
+    expect(received).to.have.length(0);
+  });
+
+  it("Should not let an unbound DID key vouch for the sending account", async function () {
+    const message = signed({ nonce: "n-4" });
+    const bound = new MessageGuard({ name: "guard-bound", persist: false, resolveAccounts: () => ["0.0.4001"] });
+    expect((await bound.check("s", message, { fromAccountId: "0.0.4001" })).signatureVerified).to.equal(true);
+
+    const lenient = new MessageGuard({ name: "guard-lenient", persist: false, resolveAccounts: () => ["0.0.4001"] });
+    const claimed = await lenient.check("s", message, { fromAccountId: "0.0.6666" });
+    expect(claimed).to.include({ accepted: true, signatureVerified: false });
+    // Tampering is still caught with the DID's key
+    expect((await lenient.check("s", { ...message, amount: "1" }, { fromAccountId: "0.0.6666" })).reason).to.equal("invalid signature");
+
+    const strict = new MessageGuard({ name: "guard-strict", persist: false, requireSignature: true });
+    expect((await strict.check("s", message, { fromAccountId: "0.0.6666" })).reason).to.match(/not bound to sender 0\.0\.6666/);
+  });
+
+  it("Should drop unsigned copies of a signed message without letting them shadow it", async function () {
+    const guard = new MessageGuard({ name: "guard-copies", persist: false });
+    const message = signed({ amount: "5" });
+    const { signature, ...stripped } = message;
+
+    // An unsigned copy sent first does not block the signed original
+    expect((await guard.check("s", stripped)).accepted).to.equal(true);
+    const original = await guard.check("s", message);
+    expect(original).to.include({ accepted: true, signatureVerified: true });
+    expect((await guard.check("s", stripped)).messageId).to.equal(original.messageId);
+
+    const after = await guard.check("s", { ...stripped, relayed: true });
+    expect(after).to.include({ accepted: false, reason: "unverified copy of a signed message" });
+    expect((await guard.check("s", message)).reason).to.equal("duplicate message");
+  });
+
+  it("Should require a verified signature on subjects that change state", async function () {
+    const guard = new MessageGuard({ name: "guard-subjects", persist: false, resolveAccounts: () => ["0.0.4001"] });
+    expect(guard.requireSignature).to.equal(false);
+    expect(guard.requiresSignature("aexowork.escrow.released")).to.equal(true);
+    expect(guard.requiresSignature("aexowork.offers.accepted")).to.equal(true);
+    expect(guard.requiresSignature("aexowork.offers")).to.equal(false);
+
+    const message = signed({ nonce: "n-5" });
+    const { signature, ...stripped } = message;
+    expect((await guard.check("s1", { ...stripped, nonce: "n-6" }, undefined, "aexowork.escrow.released")).reason).to.equal("unsigned message");
+    expect((await guard.check("s1", message, { fromAccountId: "0.0.6666" }, "aexowork.escrow.released")).reason).to.match(/not bound to sender 0\.0\.6666/);
+    expect(await guard.check("s1", message, { fromAccountId: "0.0.4001" }, "aexowork.escrow.released")).to.include({ accepted: true, signatureVerified: true });
+
+    // Other subjects still take unsigned messages, marked unverified
+    expect(await guard.check("s2", stripped, undefined, "aexowork.offers")).to.include({ accepted: true, signatureVerified: false });
+  });
+});
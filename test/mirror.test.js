@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const { waitFor } = require("./helpers/agents");
+
+describe("Mirror subscription", function () {
+  this.timeout(30000);
+
+  const http = require("http");
+  const { MirrorSubscriber } = require("../agent-sdk/lib/mirror-subscription");
+  const topicId = "0.0.4242";
+  const stored = [];
+  let mirror, mirrorUrl;
+
+  const publish = (body) => stored.push({
+    topic_id: topicId,
+    sequence_number: stored.length + 1,
+    consensus_timestamp: `${1700000000 + stored.length}.000000001`,
+    payer_account_id: "0.0.7",
+    message: Buffer.from(JSON.stringify(body)).toString("base64"),
+  });
+
+  before(async function () {
+    // Paginated mirror node that hides seq 3 from live queries (only a bounded backfill sees it)
+    mirror = http.createServer((req, res) => {
+      const url = new URL(req.url, "http://localhost");
+      const bounds = url.searchParams.getAll("sequencenumber");
+      const after = parseInt(bounds.find((b) => b.startsWith("gt:")).slice(3), 10);
+      const before = bounds.find((b) => b.startsWith("lt:"));
+      const limit = parseInt(url.searchParams.get("limit"), 10);
+      const matching = stored.filter((m) => m.sequence_number > after
+        && (before ? m.sequence_number < parseInt(before.slice(3), 10) : m.sequence_number !== 3));
+      const page = matching.slice(0, limit);
+      const next = matching.length > limit
+        ? `/api/v1/topics/${topicId}/messages?sequencenumber=gt:${page[page.length - 1].sequence_number}${before ? `&sequencenumber=${before}` : ""}&limit=${limit}&order=asc`
+        : null;
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ messages: page, links: { next } }));
+    });
+    await new Promise((resolve) => mirror.listen(0, "127.0.0.1", resolve));
+    mirrorUrl = `http://127.0.0.1:${mirror.address().port}`;
+  });
+
+  after(function () {
+    mirror.close();
+  });
+
+  it("Should page through links.next, backfill gaps and resume from the saved cursor", async function () {
+    for (let i = 1; i <= 5; i++) publish({ n: i });
+
+    const received = [];
+    const first = new MirrorSubscriber({ name: "MirrorTest", mirrorUrl, pageSize: 2, pollIntervalMs: 50 });
+    first.subscribe(topicId, (msg) => { received.push(JSON.parse(msg.contents).n); });
+    await waitFor(async () => received.length === 5);
+    expect(received).to.deep.equal([1, 2, 3, 4, 5]);
+    const stats = first.getStats().topics[topicId];
+    expect(stats.gaps).to.equal(1);
+    expect(stats.backfilled).to.equal(1);
+    expect(first.getCursor(topicId).sequenceNumber).to.equal(5);
+    first.close();
+
+    publish({ n: 6 });
+    const resumed = [];
+    const second = new MirrorSubscriber({ name: "MirrorTest", mirrorUrl, pageSize: 2, pollIntervalMs: 50 });
+    second.subscribe(topicId, (msg) => { resumed.push(JSON.parse(msg.contents).n); });
+    await waitFor(async () => resumed.length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    second.close();
+    expect(resumed).to.deep.equal([6]);
+  });
+
+  it("Should only move the cursor past a message once its handler succeeded, dead-lettering it in the end", async function () {
+    let failures7 = 2;
+    const handled = [];
+    const cursorAtCall = [];
+    const subscriber = new MirrorSubscriber({ name: "MirrorRetryTest", mirrorUrl, pollIntervalMs: 50, persist: false, maxHandlerAttempts: 3, handlerRetryMs: 50 });
+    subscriber.subscribe(topicId, (msg) => {
+      const { n } = JSON.parse(msg.contents);
+      cursorAtCall.push([n, subscriber.getCursor(topicId).sequenceNumber]);
+      if ((n === 7 && failures7-- > 0) || n === 8) throw new Error(`handler failed on ${n}`);
+      handled.push(n);
+    }, { fromSequence: 6 });
+
+    publish({ n: 7 });
+    publish({ n: 8 });
+    publish({ n: 9 });
+    await waitFor(async () => handled.includes(9));
+    subscriber.close();
+    expect(handled).to.deep.equal([7, 9]);
+    // Retries see the cursor still before the failing message
+    expect(cursorAtCall).to.deep.equal([[7, 6], [7, 6], [7, 6], [8, 7], [8, 7], [8, 7], [9, 8]]);
+    expect(subscriber.getCursor(topicId).sequenceNumber).to.equal(9);
+    const deadLetters = subscriber.getDeadLetters(topicId);
+    expect(deadLetters.map((entry) => [entry.sequenceNumber, entry.attempts, entry.error])).to.deep.equal([[8, 3, "handler failed on 8"]]);
+  });
+});
+
+describe("Mirror node simulator", function () {
+  this.timeout(30000);
+
+  const MirrorNodeSimulator = require("../mirror-node-sim");
+  const { submitTopicMessage } = require("../agent-sdk/lib/consensus");
+  let simulator;
+
+  before(async function () {
+    simulator = new MirrorNodeSimulator(0);
+    const server = simulator.start();
+    await new Promise((resolve) => server.once("listening", resolve));
+    process.env.HCS_SIMULATOR_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    delete process.env.HCS_SIMULATOR_URL;
+    simulator.stop();
+  });
+
+  it("Should order submissions and serve them like the mirror node", async function () {
+    const first = await submitTopicMessage("0.0.5001", JSON.stringify({ n: 1 }));
+    const second = await submitTopicMessage("0.0.5001", JSON.stringify({ n: 2 }));
+    await submitTopicMessage("0.0.5001", JSON.stringify({ n: 3 }));
+    expect(first.simulated).to.equal(true);
+    expect([first.sequenceNumber, second.sequenceNumber]).to.deep.equal([1, 2]);
+    expect(second.consensusTimestamp > first.consensusTimestamp).to.equal(true);
+
+    const url = `${process.env.HCS_SIMULATOR_URL}/api/v1/topics/0.0.5001/messages?limit=2&order=asc`;
+    const page1 = (await axios.get(url)).data;
+    expect(page1.messages.map((m) => m.sequence_number)).to.deep.equal([1, 2]);
+    const page2 = (await axios.get(`${process.env.HCS_SIMULATOR_URL}${page1.links.next}`)).data;
+    expect(page2.messages.map((m) => m.sequence_number)).to.deep.equal([3]);
+    expect(page2.links.next).to.equal(null);
+    expect(JSON.parse(Buffer.from(page2.messages[0].message, "base64").toString()).n).to.equal(3);
+  });
+
+  it("Should anchor and verify off-chain messages without testnet access", async function () {
+    const { postHCSAnchor, verifyHCSAnchor } = require("../agent-sdk/lib/offchain-messaging");
+    const timestamp = Date.now();
+    const txId = await postHCSAnchor("0.0.5002", "abc123", timestamp, "sig", "msg-1", "0.0.10", "0.0.11");
+    expect(txId).to.be.a("string");
+    expect(await verifyHCSAnchor("0.0.5002", "abc123", timestamp)).to.equal(true);
+    expect(await verifyHCSAnchor("0.0.5002", "missing", timestamp)).to.equal(false);
+  });
+
+  it("Should anchor a batch as one Merkle root with per-message proofs", async function () {
+    const { AnchorBatcher, buildMerkleTree, getMerkleProof, merkleRoot, verifyMerkleProof } = require("../agent-sdk/lib/anchor-batcher");
+    const { verifyHCSAnchor, registerRecipientKey, signMessage } = require("../agent-sdk/lib/offchain-messaging");
+    const { PrivateKey } = require("@hashgraph/sdk");
+    const sender = PrivateKey.generateECDSA();
+    registerRecipientKey("0.0.10", sender.publicKey.toStringRaw());
+
+    // Proofs hold for every tree shape, including odd levels
+    for (let size = 1; size <= 7; size++) {
+      const leaves = Array.from({ length: size }, (_, i) => require("crypto").createHash("sha256").update(`leaf-${i}`).digest("hex"));
+      const levels = buildMerkleTree(leaves);
+      leaves.forEach((leaf, i) => expect(verifyMerkleProof(leaf, getMerkleProof(levels, i), merkleRoot(levels))).to.equal(true));
+    }
+
+    const batcher = new AnchorBatcher({ topicId: "0.0.5003", fromAccountId: "0.0.10", windowMs: 50, sign: (data) => signMessage(data, sender.toStringRaw()) });
+    const timestamp = Date.now();
+    const proofs = await Promise.all(["h1", "h2", "h3"].map((hash, i) => batcher.add({ hash, timestamp, messageId: `m${i}` })));
+    expect(new Set(proofs.map((p) => p.root)).size).to.equal(1);
+    expect(batcher.getStats()).to.include({ batches: 1, anchored: 3 });
+
+    const topic = (await axios.get(`${process.env.HCS_SIMULATOR_URL}/api/v1/topics/0.0.5003/messages`)).data;
+    expect(topic.messages).to.have.length(1);
+
+    expect(await verifyHCSAnchor("0.0.9999", "h2", timestamp, undefined, proofs[1], "0.0.10")).to.equal(true);
+    // A proof for one hash does not vouch for another
+    expect(await verifyHCSAnchor("0.0.9999", "h4", timestamp, undefined, proofs[1], "0.0.10")).to.equal(false);
+    // Nor does the root vouch for a message claimed to come from another account
+    expect(await verifyHCSAnchor("0.0.9999", "h2", timestamp, undefined, proofs[1])).to.equal(false);
+    registerRecipientKey("0.0.12", PrivateKey.generateECDSA().publicKey.toStringRaw());
+    expect(await verifyHCSAnchor("0.0.9999", "h2", timestamp, undefined, proofs[1], "0.0.12")).to.equal(false);
+  });
+
+  it("Should refuse a batch root that the claimed sender did not sign", async function () {
+    const { AnchorBatcher } = require("../agent-sdk/lib/anchor-batcher");
+    const { verifyHCSAnchor, registerRecipientKey, signMessage } = require("../agent-sdk/lib/offchain-messaging");
+    const { PrivateKey } = require("@hashgraph/sdk");
+    const sender = PrivateKey.generateECDSA();
+    const forger = PrivateKey.generateECDSA();
+    registerRecipientKey("0.0.13", sender.publicKey.toStringRaw());
+    const timestamp = Date.now();
+
+    // Unsigned, and signed with another key, both naming 0.0.13 as sender
+    const unsigned = new AnchorBatcher({ topicId: "0.0.5004", fromAccountId: "0.0.13", windowMs: 10 });
+    const forged = new AnchorBatcher({ topicId: "0.0.5004", fromAccountId: "0.0.13", windowMs: 10, sign: (data) => signMessage(data, forger.toStringRaw()) });
+    const unsignedProof = await unsigned.add({ hash: "f1", timestamp, messageId: "f1" });
+    const forgedProof = await forged.add({ hash: "f2", timestamp, messageId: "f2" });
+    expect(await verifyHCSAnchor("0.0.5004", "f1", timestamp, undefined, unsignedProof, "0.0.13")).to.equal(false);
+    expect(await verifyHCSAnchor("0.0.5004", "f2", timestamp, undefined, forgedProof, "0.0.13")).to.equal(false);
+
+    // With ANCHOR_TOPIC_ID set, roots on any other topic are ignored
+    const signed = new AnchorBatcher({ topicId: "0.0.5004", fromAccountId: "0.0.13", windowMs: 10, sign: (data) => signMessage(data, sender.toStringRaw()) });
+    const proof = await signed.add({ hash: "f3", timestamp, messageId: "f3" });
+    process.env.ANCHOR_TOPIC_ID = "0.0.5005";
+    try {
+      expect(await verifyHCSAnchor("0.0.5004", "f3", timestamp, undefined, proof, "0.0.13")).to.equal(false);
+    } finally {
+      delete process.env.ANCHOR_TOPIC_ID;
+    }
+    expect(await verifyHCSAnchor("0.0.5004", "f3", timestamp, undefined, proof, "0.0.13")).to.equal(true);
+  });
+});
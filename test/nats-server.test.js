@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { connect, StringCodec, headers } = require("nats");
+const SimpleNATSServer = require("../nats-server");
+
+const sc = StringCodec();
+
+describe("Dev NATS server", function () {
+  this.timeout(10000);
+
+  let server, servers;
+  const connections = [];
+
+  async function client() {
+    const nc = await connect({ servers });
+    connections.push(nc);
+    return nc;
+  }
+
+  async function collect(sub, count, timeoutMs = 500) {
+    const received = [];
+    const timer = setTimeout(() => sub.unsubscribe(), timeoutMs);
+    for await (const msg of sub) {
+      received.push(msg);
+      if (received.length === count) break;
+    }
+    clearTimeout(timer);
+    return received;
+  }
+
+  before(async function () {
+    server = new SimpleNATSServer(0);
+    const listener = server.start();
+    await new Promise((resolve) => listener.once("listening", resolve));
+    servers = `127.0.0.1:${listener.address().port}`;
+  });
+
+  after(async function () {
+    await Promise.all(connections.map((nc) => nc.close()));
+    server.stop();
+  });
+
+  it("Should match * and > wildcards", function () {
+    const { matchSubject } = SimpleNATSServer;
+    expect(matchSubject("aexowork.*", "aexowork.jobs")).to.equal(true);
+    expect(matchSubject("aexowork.*", "aexowork.jobs.new")).to.equal(false);
+    expect(matchSubject("aexowork.>", "aexowork.jobs.new")).to.equal(true);
+    expect(matchSubject("aexowork.>", "aexowork")).to.equal(false);
+    expect(matchSubject("*.jobs.>", "aexowork.jobs.new.urgent")).to.equal(true);
+  });
+
+  it("Should deliver to wildcard subscribers", async function () {
+    const nc = await client();
+    const star = nc.subscribe("offchain.*");
+    const tail = nc.subscribe("offchain.>");
+    await nc.flush();
+
+    nc.publish("offchain.0.0.1", sc.encode("deep"));
+    nc.publish("offchain.agent", sc.encode("shallow"));
+
+    const [starMsgs, tailMsgs] = await Promise.all([collect(star, 1), collect(tail, 2)]);
+    expect(starMsgs.map((m) => sc.decode(m.data))).to.deep.equal(["shallow"]);
+    expect(tailMsgs.map((m) => sc.decode(m.data))).to.deep.equal(["deep", "shallow"]);
+  });
+
+  it("Should load-balance queue groups", async function () {
+    const nc = await client();
+    const workerA = nc.subscribe("aexowork.jobs", { queue: "workers" });
+    const workerB = nc.subscribe("aexowork.jobs", { queue: "workers" });
+    const observer = nc.subscribe("aexowork.jobs");
+    await nc.flush();
+
+    for (let i = 0; i < 4; i++) nc.publish("aexowork.jobs", sc.encode(`job-${i}`));
+
+    const [a, b, all] = await Promise.all([collect(workerA, 2), collect(workerB, 2), collect(observer, 4)]);
+    expect(a.length + b.length).to.equal(4);
+    expect(a.length).to.equal(2);
+    expect(all.length).to.equal(4);
+  });
+
+  it("Should route replies and honor UNSUB max_msgs", async function () {
+    const responder = await client();
+    const requester = await client();
+    const sub = responder.subscribe("aexowork.data.requests", { max: 1 });
+    (async () => {
+      for await (const msg of sub) msg.respond(sc.encode(`echo:${sc.decode(msg.data)}`));
+    })();
+    await responder.flush();
+
+    const reply = await requester.request("aexowork.data.requests", sc.encode("ping"), { timeout: 1000 });
+    expect(sc.decode(reply.data)).to.equal("echo:ping");
+
+    // The responder auto-unsubscribed after one message
+    const second = await requester.request("aexowork.data.requests", sc.encode("again"), { timeout: 300 }).catch((e) => e);
+    expect(second).to.be.instanceOf(Error);
+  });
+
+  it("Should pass HPUB headers through", async function () {
+    const nc = await client();
+    const sub = nc.subscribe("aexowork.headers");
+    await nc.flush();
+
+    const h = headers();
+    h.set("Nats-Msg-Id", "abc-123");
+    nc.publish("aexowork.headers", sc.encode("with headers"), { headers: h });
+
+    const [msg] = await collect(sub, 1);
+    expect(sc.decode(msg.data)).to.equal("with headers");
+    expect(msg.headers.get("Nats-Msg-Id")).to.equal("abc-123");
+  });
+});
+
+describe("Dev NATS server stream mode", function () {
+  this.timeout(10000);
+
+  let storeDir, server, servers;
+  const connections = [];
+
+  async function startServer() {
+    server = new SimpleNATSServer(0, { storeDir, streamSubjects: ["aexowork.>"] });
+    const listener = server.start();
+    await new Promise((resolve) => listener.once("listening", resolve));
+    servers = `127.0.0.1:${listener.address().port}`;
+  }
+
+  async function client() {
+    const nc = await connect({ servers });
+    connections.push(nc);
+    return nc;
+  }
+
+  async function replay(nc, request, expected) {
+    const inbox = `_INBOX.replay.${Date.now()}`;
+    const sub = nc.subscribe(inbox);
+    const received = [];
+    const done = (async () => {
+      for await (const msg of sub) {
+        received.push(msg);
+        if (received.length === expected) break;
+      }
+    })();
+    const reply = await nc.request("$STREAM.REPLAY", sc.encode(JSON.stringify({ ...request, deliverTo: inbox })), { timeout: 1000 });
+    const summary = JSON.parse(sc.decode(reply.data));
+    if (expected > 0) await done;
+    sub.unsubscribe();
+    return { summary, received };
+  }
+
+  before(async function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "nats-store-"));
+    await startServer();
+  });
+
+  after(async function () {
+    await Promise.all(connections.map((nc) => nc.close()));
+    server.stop();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it("Should store messages published with no subscribers and replay them after a restart", async function () {
+    const nc = await client();
+    for (let i = 1; i <= 3; i++) nc.publish("aexowork.jobs", sc.encode(`job-${i}`));
+    nc.publish("other.subject", sc.encode("not stored"));
+    await nc.flush();
+
+    expect(fs.existsSync(path.join(storeDir, "streams", "aexowork.jobs.log"))).to.equal(true);
+
+    await nc.close();
+    server.stop();
+    await startServer();
+
+    const fresh = await client();
+    const { summary, received } = await replay(fresh, { filter: "aexowork.>" }, 3);
+    expect(summary).to.include({ ok: true, delivered: 3, lastSeq: 3 });
+    expect(received.map((m) => sc.decode(m.data))).to.deep.equal(["job-1", "job-2", "job-3"]);
+    expect(received[0].headers.get("Nats-Subject")).to.equal("aexowork.jobs");
+    expect(received[2].headers.get("Nats-Stream-Seq")).to.equal("3");
+  });
+
+  it("Should replay from a sequence or a time", async function () {
+    const nc = await client();
+    const fromSeq = await replay(nc, { filter: "aexowork.jobs", startSeq: 2 }, 2);
+    expect(fromSeq.received.map((m) => sc.decode(m.data))).to.deep.equal(["job-2", "job-3"]);
+
+    const fromFuture = await replay(nc, { filter: "aexowork.jobs", startTime: Date.now() + 60000 }, 0);
+    expect(fromFuture.summary.delivered).to.equal(0);
+  });
+
+  it("Should resume durable consumers after their last ack", async function () {
+    const nc = await client();
+    const first = await replay(nc, { filter: "aexowork.jobs", durable: "worker-1" }, 3);
+    first.received[0].respond();
+    first.received[1].respond();
+    await nc.flush();
+
+    // The live message is stamped with its stream sequence
+    const live = nc.subscribe("aexowork.jobs");
+    await nc.flush();
+    nc.publish("aexowork.jobs", sc.encode("job-4"));
+    for await (const msg of live) {
+      expect(msg.headers.get("Nats-Stream-Seq")).to.equal("4");
+      break;
+    }
+
+    const resumed = await replay(nc, { filter: "aexowork.jobs", durable: "worker-1" }, 2);
+    expect(resumed.summary.fromSeq).to.equal(3);
+    expect(resumed.received.map((m) => sc.decode(m.data))).to.deep.equal(["job-3", "job-4"]);
+
+    const info = JSON.parse(sc.decode((await nc.request("$STREAM.INFO", sc.encode(""), { timeout: 1000 })).data));
+    expect(info.lastSeq).to.equal(4);
+    expect(info.consumers["worker-1"].ackSeq).to.equal(2);
+  });
+
+  it("Should reject invalid replay requests", async function () {
+    const nc = await client();
+    const reply = await nc.request("$STREAM.REPLAY", sc.encode(JSON.stringify({ filter: "aexowork.jobs" })), { timeout: 1000 });
+    expect(JSON.parse(sc.decode(reply.data)).error).to.match(/deliverTo/);
+  });
+});
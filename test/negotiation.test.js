@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const { startAgents, waitFor } = require("./helpers/agents");
+
+describe("Offer negotiation", function () {
+  this.timeout(30000);
+  let clientUrl;
+
+  before(async function () {
+    ({ clientUrl } = await startAgents());
+  });
+
+  const { generateKeypair } = require("../agent-sdk/lib/signer");
+  const { EnvSigner } = require("../agent-sdk/lib/keystore");
+  const { Negotiator, recordMessage, verifyTranscript, decideMove, priceForMove, DEFAULT_STRATEGIES } = require("../agent-sdk/lib/negotiation");
+
+  it("Should concede towards each side's limit and settle in between, with a signed transcript", async function () {
+    // Two negotiators wired back to back, each with its own key and DID
+    const sides = {};
+    let createWorkerRecord;
+    for (const role of ["client", "worker"]) {
+      const keys = generateKeypair();
+      const records = new Map();
+      sides[role] = {
+        keys,
+        records,
+        did: `did:hedera:testnet:z${keys.publicKey}`,
+        negotiator: null,
+      };
+      sides[role].negotiator = new Negotiator({
+        role,
+        getRecord: (id) => records.get(id) || null,
+        saveRecord: (record) => records.set(record.negotiationId, record),
+        send: async (subject, message) => {
+          const other = sides[role === "client" ? "worker" : "client"];
+          await other.negotiator.handle(JSON.parse(JSON.stringify(message)));
+        },
+        signer: () => new EnvSigner(keys.privateKey),
+        did: () => sides[role].did,
+        createRecord: role === "worker" ? (message) => createWorkerRecord(message) : undefined,
+      });
+    }
+
+    const offer = { type: "OfferMessage", jobId: "0xneg", offerId: "offer-1", price: "100", eta: "48h", fromDid: sides.worker.did };
+    offer.signature = await new EnvSigner(sides.worker.keys.privateKey).sign(offer);
+    const now = Date.now();
+    const base = { negotiationId: "0xn1", jobId: "0xneg", offerId: "offer-1", budget: "100", eta: "48h", status: "open", round: 0, maxRounds: 6, startedAt: now, expiresAt: now + 60000 };
+    createWorkerRecord = (message) => recordMessage({
+      ...base, role: "worker", counterparty: { did: message.fromDid }, strategy: DEFAULT_STRATEGIES.worker, lastPrice: { client: null, worker: "100" }, transcript: [],
+    }, "sent", offer);
+
+    const client = await sides.client.negotiator.open(recordMessage({
+      ...base, role: "client", counterparty: { did: sides.worker.did }, strategy: DEFAULT_STRATEGIES.client, lastPrice: { client: null, worker: "100" }, transcript: [],
+    }, "received", offer), "100");
+
+    expect(client.status).to.equal("agreed");
+    const worker = sides.worker.records.get("0xn1");
+    expect(worker.status).to.equal("agreed");
+    expect(worker.agreedPrice).to.equal(client.agreedPrice);
+    expect(Number(client.agreedPrice)).to.be.within(70, 100);
+    expect(client.agreedOfferId).to.equal("offer-1:n1");
+
+    // Prices moved monotonically towards each side's limit
+    const counters = client.transcript.filter((entry) => entry.message.type === "NegotiationCounter");
+    expect(counters.length).to.be.at.least(2);
+    const clientPrices = counters.filter((entry) => entry.direction === "sent").map((entry) => Number(entry.message.price));
+    expect(clientPrices[0]).to.equal(60);
+    expect(clientPrices).to.deep.equal([...clientPrices].sort((a, b) => a - b));
+
+    // Every message is signed by its sender and the closing signature covers the transcript
+    const verification = verifyTranscript(client);
+    expect(verification).to.include({ verified: true, unsigned: 0, transcriptHashMatches: true, closingSignatureVerified: true });
+    expect(verifyTranscript(worker).verified).to.equal(true);
+    const tampered = JSON.parse(JSON.stringify(client));
+    tampered.transcript[1].message.price = "1";
+    expect(verifyTranscript(tampered)).to.include({ verified: false, transcriptHashMatches: false });
+    expect(verifyTranscript(tampered).invalid).to.deep.equal([1]);
+  });
+
+  it("Should stop at the round limit and after expiry", function () {
+    const now = Date.now();
+    const record = {
+      negotiationId: "0xn2", jobId: "0xneg", offerId: "offer-2", role: "worker", budget: "100", strategy: DEFAULT_STRATEGIES.worker,
+      status: "open", round: 3, maxRounds: 3, startedAt: now, expiresAt: now + 60000, lastPrice: { client: "50", worker: "90" }, transcript: [],
+    };
+    expect(decideMove(record, "50", now)).to.deep.include({ action: "reject" });
+    expect(decideMove(record, "75", now)).to.deep.include({ action: "accept", price: "75" });
+    expect(decideMove({ ...record, round: 1 }, "50", now + 120000)).to.deep.equal({ action: "reject", reason: "negotiation expired" });
+    expect(priceForMove(DEFAULT_STRATEGIES.worker, "100", 0, 0)).to.equal("100");
+    expect(priceForMove(DEFAULT_STRATEGIES.worker, "100", 3, 1)).to.equal("70");
+  });
+
+  it("Should negotiate an offer between ClientAgent and WorkerAgent over A2A", async function () {
+    const posted = await axios.post(`${clientUrl}/post-job`, {
+      title: "Negotiated job",
+      description: "Agree on a price first",
+      budgetHBAR: "1000000000000000000",
+      requiredSkills: ["React"],
+    });
+    const { jobId } = posted.data;
+    const offers = await waitFor(async () => {
+      const { data } = await axios.get(`${clientUrl}/offers/${jobId}`);
+      return data.count > 0 ? data.offers : null;
+    });
+    expect(offers[0].negotiable).to.equal(true);
+
+    const started = await axios.post(`${clientUrl}/negotiations`, { jobId, offerId: offers[0].offerId });
+    const { negotiationId } = started.data.negotiation;
+    const { data } = await waitFor(async () => {
+      const response = await axios.get(`${clientUrl}/negotiations/${negotiationId}`);
+      return response.data.negotiation.status !== "open" ? response : null;
+    });
+    expect(data.negotiation.status).to.equal("agreed");
+    expect(data.negotiation.transcript[0].message.type).to.equal("OfferMessage");
+    expect(data.verification.transcriptHashMatches).to.equal(true);
+
+    // The agreed terms are an offer the client can accept
+    const { data: after } = await axios.get(`${clientUrl}/offers/${jobId}`);
+    const agreed = after.offers.find((offer) => offer.offerId === data.negotiation.agreedOfferId);
+    expect(agreed).to.include({ price: data.negotiation.agreedPrice, negotiationId });
+    const again = await axios.post(`${clientUrl}/negotiations/${negotiationId}/reject`, {}, { validateStatus: () => true });
+    expect(again.status).to.equal(409);
+
+    // Accepting it funds the agreed price, not the whole budget
+    expect(BigInt(data.negotiation.agreedPrice) < BigInt("1000000000000000000")).to.equal(true);
+    const accepted = await axios.post(`${clientUrl}/accept-offer`, { jobId, offerId: agreed.offerId, workerAddress: agreed.workerAddress });
+    expect(accepted.data.amount).to.equal(data.negotiation.agreedPrice);
+    const { data: detail } = await axios.get(`${clientUrl}/jobs/${jobId}`);
+    expect(detail.job.acceptedPriceHBAR).to.equal(data.negotiation.agreedPrice);
+    expect(detail.escrow.amount).to.equal(data.negotiation.agreedPrice);
+  });
+});
@@ -0,0 +1,68 @@
+const { expect } = require("chai");
+require("./helpers/agents");
+
+describe("Off-chain message encryption", function () {
+  this.timeout(30000);
+
+  const { PrivateKey } = require("@hashgraph/sdk");
+  const { encryptPayload, decryptPayload, getKeyId, encryptPayloadForEd25519, decryptPayloadWithEd25519 } = require("../agent-sdk/lib/offchain-messaging");
+  const { generateKeypair } = require("../agent-sdk/lib/signer");
+  const recipient = PrivateKey.generateECDSA();
+  const other = PrivateKey.generateECDSA();
+  const aad = "0.0.1001->0.0.1002";
+  const payload = JSON.stringify({ type: "job.terms", budgetHBAR: "5000" });
+
+  it("Should round-trip a payload for the recipient key", function () {
+    const encrypted = encryptPayload(payload, recipient.publicKey.toStringRaw(), aad);
+    expect(encrypted).to.not.include("job.terms");
+    const envelope = JSON.parse(encrypted);
+    expect(envelope.kid).to.equal(getKeyId(recipient.publicKey.toStringRaw()));
+
+    expect(decryptPayload(encrypted, recipient.toStringRaw(), aad)).to.equal(payload);
+    // DER-encoded keys work too
+    const der = encryptPayload(payload, recipient.publicKey.toStringDer(), aad);
+    expect(decryptPayload(der, recipient.toStringDer(), aad)).to.equal(payload);
+  });
+
+  it("Should refuse to decrypt with another recipient's key", function () {
+    const encrypted = encryptPayload(payload, recipient.publicKey.toStringRaw(), aad);
+    expect(() => decryptPayload(encrypted, other.toStringRaw(), aad)).to.throw(/not this agent's key/);
+
+    // Relabelling the envelope for the other key still fails authentication
+    const relabelled = JSON.stringify({ ...JSON.parse(encrypted), kid: getKeyId(other.publicKey.toStringRaw()) });
+    expect(() => decryptPayload(relabelled, other.toStringRaw(), aad)).to.throw(/authenticate/);
+  });
+
+  it("Should refuse a payload whose sender/recipient AAD was changed", function () {
+    const encrypted = encryptPayload(payload, recipient.publicKey.toStringRaw(), aad);
+    expect(() => decryptPayload(encrypted, recipient.toStringRaw(), "0.0.6666->0.0.1002")).to.throw(/authenticate/);
+    expect(() => decryptPayload(encrypted, recipient.toStringRaw())).to.throw(/authenticate/);
+  });
+
+  it("Should refuse a tampered ciphertext, tag or nonce", function () {
+    const envelope = JSON.parse(encryptPayload(payload, recipient.publicKey.toStringRaw(), aad));
+    const flip = (b64) => {
+      const bytes = Buffer.from(b64, "base64");
+      bytes[0] ^= 0x01;
+      return bytes.toString("base64");
+    };
+    for (const field of ["ct", "tag", "iv"]) {
+      const tampered = JSON.stringify({ ...envelope, [field]: flip(envelope[field]) });
+      expect(() => decryptPayload(tampered, recipient.toStringRaw(), aad), field).to.throw(/authenticate/);
+    }
+    expect(() => decryptPayload("not json", recipient.toStringRaw(), aad)).to.throw(/Malformed/);
+    expect(() => decryptPayload(JSON.stringify({ ...envelope, v: 1 }), recipient.toStringRaw(), aad)).to.throw(/Unsupported/);
+  });
+
+  it("Should seal the same envelope for an ed25519 (DID) key", function () {
+    const did = generateKeypair();
+    const encrypted = encryptPayloadForEd25519(payload, did.publicKey, aad);
+    expect(JSON.parse(encrypted)).to.include({ v: 2, alg: "ECDH-ES+X25519/HKDF-SHA256/A256GCM" });
+    expect(decryptPayloadWithEd25519(encrypted, did.privateKey, aad)).to.equal(payload);
+
+    expect(() => decryptPayloadWithEd25519(encrypted, generateKeypair().privateKey, aad)).to.throw(/not this agent's key/);
+    expect(() => decryptPayloadWithEd25519(encrypted, did.privateKey, "0.0.6666->0.0.1002")).to.throw(/authenticate/);
+    // Envelopes are not interchangeable between the two key types
+    expect(() => decryptPayload(encrypted, recipient.toStringRaw(), aad)).to.throw(/Unsupported/);
+  });
+});
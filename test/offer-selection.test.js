@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const { startAgents, waitFor } = require("./helpers/agents");
+
+describe("Offer selection", function () {
+  this.timeout(30000);
+  let clientUrl;
+
+  before(async function () {
+    ({ clientUrl } = await startAgents());
+  });
+
+  const { scoreOffer, rankOffers, shouldAutoAccept, mergeSelectionPolicy, DEFAULT_SELECTION_POLICY } = require("../agent-sdk/lib/offer-selection");
+  const now = Date.UTC(2026, 0, 1);
+  const job = { jobId: "0xrank", title: "t", description: "d", budgetHBAR: "100", createdAt: now - 60 * 1000, deadline: now + 96 * 3600e3, status: "offered" };
+  const offer = (offerId, price, eta, extra = {}) => ({ type: "OfferMessage", jobId: job.jobId, offerId, price, eta, workerAddress: `0x${offerId}`, ...extra });
+
+  it("Should score, disqualify and explain offers", async function () {
+    const reputation = { address: "0xa", reputationScore: 90, staked: 500, source: "repute-agent" };
+    const scored = scoreOffer(job, offer("a", "50", "24h", { sla: { qualityGuarantee: true, revisionPolicy: "2 free revisions" } }), reputation, DEFAULT_SELECTION_POLICY, now);
+    expect(scored.qualified).to.equal(true);
+    expect(scored.factors.price).to.include({ score: 1, detail: "50% of budget" });
+    expect(scored.factors.eta.score).to.equal(0.75);
+    expect(scored.factors.sla.score).to.equal(1);
+    expect(scored.factors.reputation.detail).to.equal("90/100 (ReputeAgent)");
+    expect(scored.factors.stake.score).to.equal(0.5);
+    expect(scored.score).to.equal(87.5);
+    expect(scored.explanation).to.match(/^87.5\/100 - strongest: price 50% of budget; reputation/);
+
+    expect(scoreOffer(job, offer("b", "120", "24h"), null, DEFAULT_SELECTION_POLICY, now).disqualifiedBy)
+      .to.deep.equal(["price is 120% of budget (max 100%)"]);
+    expect(scoreOffer(job, offer("c", "80", "5d"), null, DEFAULT_SELECTION_POLICY, now).disqualifiedBy)
+      .to.deep.equal(["ETA is after the job deadline"]);
+
+    // ReputeAgent is unreachable in tests - self-reported reputation is used and labelled
+    const ranked = await rankOffers(job, [
+      offer("slow", "90", "72h", { reputationScore: 50 }),
+      offer("late", "10", "5d"),
+      offer("good", "60", "12h", { reputationScore: 80 }),
+    ], DEFAULT_SELECTION_POLICY, now);
+    expect(ranked.map((entry) => [entry.offerId, entry.rank])).to.deep.equal([["good", 1], ["slow", 2], ["late", null]]);
+    expect(ranked[0].factors.reputation.detail).to.equal("80/100 (self-reported)");
+
+    const policy = mergeSelectionPolicy(DEFAULT_SELECTION_POLICY, { autoAccept: { enabled: true, minOffers: 4, afterMinutes: 5 } });
+    expect(shouldAutoAccept(job, ranked, DEFAULT_SELECTION_POLICY, now).accept).to.equal(false);
+    expect(shouldAutoAccept(job, ranked, policy, now).reason).to.equal("waiting for 5 minute(s) or 4 offer(s)");
+    const decision = shouldAutoAccept(job, ranked, policy, now + 5 * 60 * 1000);
+    expect(decision.accept).to.equal(true);
+    expect(decision.offer.offerId).to.equal("good");
+    expect(shouldAutoAccept(job, ranked, mergeSelectionPolicy(policy, { autoAccept: { minOffers: 3 } }), now).accept).to.equal(true);
+  });
+
+  it("Should rank offers over HTTP and auto-accept by job policy", async function () {
+    const posted = await axios.post(`${clientUrl}/post-job`, {
+      title: "Auto-accepted job",
+      description: "Accept the first qualifying offer",
+      budgetHBAR: "1000000000000000000",
+      requiredSkills: ["React"],
+      selectionPolicy: { autoAccept: { enabled: true, minOffers: 1, minScore: 0 } },
+    });
+    const { jobId } = posted.data;
+
+    const job = await waitFor(async () => {
+      const { data } = await axios.get(`${clientUrl}/jobs/${jobId}`);
+      return data.job.status === "assigned" ? data.job : null;
+    });
+    expect(job.escrowId).to.be.a("string");
+    const { data: history } = await axios.get(`${clientUrl}/jobs/${jobId}/history`);
+    expect(history.history[2]).to.include({ to: "assigned", actor: "auto-accept", reason: "auto-accepted: 1 offer(s) received" });
+
+    const { data: ranked } = await axios.get(`${clientUrl}/offers/${jobId}?ranked=true`);
+    expect(ranked.offers[0].rank).to.equal(1);
+    expect(ranked.offers[0].explanation).to.be.a("string");
+    expect(Object.keys(ranked.offers[0].factors)).to.deep.equal(["price", "eta", "sla", "reputation", "stake"]);
+    expect(ranked.autoAccept.reason).to.equal("job is assigned");
+
+    const invalid = await axios.put(`${clientUrl}/selection-policy`, { weights: { price: -1 } }, { validateStatus: () => true });
+    expect(invalid.status).to.equal(400);
+  });
+
+  it("Should require admin rights to set auto-accept per job or template", async function () {
+    const body = {
+      title: "Self-approving job",
+      description: "Auto-accept without the admin token",
+      budgetHBAR: "1000000000000000000",
+      requiredSkills: ["Rust"],
+      selectionPolicy: { autoAccept: { enabled: true, minOffers: 1, minScore: 0 } },
+    };
+    const send = (method, path, data, headers = {}) => axios({ method, url: `${clientUrl}${path}`, data, headers, validateStatus: () => true });
+
+    process.env.A2A_ADMIN_TOKEN = "admin-secret";
+    try {
+      expect((await send("post", "/post-job", body)).status).to.equal(401);
+      expect((await send("post", "/templates", { ...body, name: "Self-approving" })).status).to.equal(401);
+
+      const posted = await send("post", "/post-job", { ...body, selectionPolicy: { weights: { price: 2 } } });
+      expect(posted.status).to.equal(200);
+      const { jobId } = posted.data;
+      expect((await send("patch", `/jobs/${jobId}`, { selectionPolicy: body.selectionPolicy })).status).to.equal(401);
+      const { data } = await axios.get(`${clientUrl}/jobs/${jobId}`);
+      expect(data.job.selectionPolicy).to.deep.equal({ weights: { price: 2 } });
+
+      const patched = await send("patch", `/jobs/${jobId}`, { selectionPolicy: body.selectionPolicy }, { Authorization: "Bearer admin-secret" });
+      expect(patched.status).to.equal(200);
+    } finally {
+      delete process.env.A2A_ADMIN_TOKEN;
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const axios = require("axios");
+const { startAgents, useAgentKey, waitFor } = require("./helpers/agents");
+
+describe("Private jobs", function () {
+  this.timeout(30000);
+  let a2a, clientUrl, workerUrl;
+
+  before(async function () {
+    ({ a2a, clientUrl, workerUrl } = await startAgents());
+  });
+
+  const { generateKeypair } = require("../agent-sdk/lib/signer");
+  const { EnvSigner, RemoteSigner } = require("../agent-sdk/lib/keystore");
+  const { upsertAgent } = require("../agent-sdk/lib/directory");
+  const { validateInvitePolicy, resolveInvitees, createJobInvite, openJobInvite } = require("../agent-sdk/lib/private-jobs");
+  const identity = () => {
+    const keys = generateKeypair();
+    return { ...keys, did: `did:hedera:testnet:z${keys.publicKey}` };
+  };
+
+  it("Should resolve invitees and seal job terms for their DID keys only", async function () {
+    expect(validateInvitePolicy({})).to.deep.equal(["invite must list dids or a filter"]);
+    expect(validateInvitePolicy({ filter: {} })).to.deep.equal(["invite.filter needs capabilities or minReputation"]);
+    expect(validateInvitePolicy({ dids: ["0.0.1"] })).to.deep.equal(["invite.dids must be a list of DIDs"]);
+
+    const shortlisted = identity();
+    const matching = identity();
+    upsertAgent({ accountId: "0.0.8101", name: "SealedDesigner", did: matching.did, capabilities: ["design", "sealed-test"] });
+    upsertAgent({ accountId: "0.0.8102", name: "OtherDesigner", did: identity().did, capabilities: ["design"] });
+
+    const resolution = await resolveInvitees({ dids: [shortlisted.did, "did:web:example.com"], filter: { capabilities: ["design", "sealed-test"] } });
+    expect(resolution.invitees.map((invitee) => [invitee.did, invitee.accountId, invitee.matchedBy])).to.deep.equal([
+      [shortlisted.did, null, "shortlist"],
+      [matching.did, "0.0.8101", "filter"],
+    ]);
+    expect(resolution.skipped).to.deep.equal([{ did: "did:web:example.com", reason: "no public key found for this DID" }]);
+    // ReputeAgent is unreachable in tests - an unknown reputation never passes minReputation
+    expect((await resolveInvitees({ filter: { capabilities: ["sealed-test"], minReputation: 10 } })).invitees).to.have.length(0);
+
+    const invite = createJobInvite({ jobId: "0xsealed", title: "Secret redesign", budgetHBAR: "5" }, resolution.invitees[0]);
+    expect(JSON.stringify(invite)).to.not.include("Secret redesign");
+    expect(openJobInvite(invite, new EnvSigner(shortlisted.privateKey), shortlisted.did)).to.include({ jobId: "0xsealed", title: "Secret redesign" });
+    expect(() => openJobInvite(invite, new EnvSigner(matching.privateKey), matching.did)).to.throw().with.property("code", "NOT_FOR_US");
+    expect(() => openJobInvite(invite, new EnvSigner(matching.privateKey), shortlisted.did)).to.throw().with.property("code", "UNREADABLE_INVITE");
+    expect(() => openJobInvite(invite, new RemoteSigner("http://127.0.0.1:1"), shortlisted.did)).to.throw().with.property("code", "NO_DECRYPTION_KEY");
+  });
+
+  it("Should broadcast a teaser and send the terms only to invited workers", async function () {
+    // The agents share this process, so the invited worker's DID is also the client's
+    const worker = identity();
+    await useAgentKey(worker);
+    const broadcasts = [];
+    a2a.subscribe("aexowork.jobs", (msg) => { broadcasts.push(msg); });
+
+    try {
+      const { data } = await axios.post(`${clientUrl}/post-job`, {
+        title: "Confidential audit",
+        description: "Review the unreleased contracts",
+        budgetHBAR: "1000000000000000000",
+        requiredSkills: ["React"],
+        visibility: "private",
+        teaser: "Smart contract review",
+        invite: { dids: [worker.did, "did:web:example.com"] },
+      });
+      expect(data.invited).to.deep.equal([{ did: worker.did, accountId: null, matchedBy: "shortlist" }]);
+      expect(data.skipped).to.have.length(1);
+
+      const offers = await waitFor(async () => {
+        const { data: current } = await axios.get(`${clientUrl}/offers/${data.jobId}`);
+        return current.count > 0 ? current.offers : null;
+      });
+      expect(offers[0].fromDid).to.equal(worker.did);
+      const { data: available } = await axios.get(`${workerUrl}/available-jobs`);
+      expect(available.jobs.find((job) => job.jobId === data.jobId)).to.include({ title: "Confidential audit", invited: true });
+
+      // Nothing on the public subject gives the terms away
+      const published = broadcasts.filter((msg) => msg.jobId === data.jobId);
+      expect(published.map((msg) => msg.type)).to.deep.equal(["JobOfferRequest", "JobInvite"]);
+      expect(published[0]).to.include({ private: true });
+      expect(published[0].teaser.summary).to.equal("Smart contract review");
+      expect(JSON.stringify(published)).to.not.match(/Confidential audit|unreleased contracts|1000000000000000000/);
+
+      // Offers claiming the invited DID count only when signed with its key
+      const { signJSON } = require("../agent-sdk/lib/signer");
+      const forged = { type: "OfferMessage", offerId: "offer-forged", jobId: data.jobId, price: "1", fromDid: worker.did, workerAddress: "0x0000000000000000000000000000000000000001", timestamp: Date.now() };
+      await a2a.sendA2A("aexowork.offers", forged);
+      await a2a.sendA2A("aexowork.offers", { ...forged, offerId: "offer-forged-signed", signature: signJSON({ ...forged, offerId: "offer-forged-signed" }, generateKeypair().privateKey) });
+      const signed = { ...forged, offerId: "offer-signed" };
+      await a2a.sendA2A("aexowork.offers", { ...signed, signature: signJSON(signed, worker.privateKey) });
+      const stored = await waitFor(async () => {
+        const { data: current } = await axios.get(`${clientUrl}/offers/${data.jobId}`);
+        return current.offers.some((offer) => offer.offerId === "offer-signed") ? current.offers : null;
+      });
+      expect(stored.map((offer) => offer.offerId)).to.not.include.members(["offer-forged", "offer-forged-signed"]);
+
+      const invalid = await axios.post(`${clientUrl}/jobs/${data.jobId}/invite`, { dids: ["0.0.1"] }, { validateStatus: () => true });
+      expect(invalid.data.problems).to.deep.equal(["invite.dids must be a list of DIDs"]);
+    } finally {
+      await useAgentKey();
+    }
+  });
+});
@@ -0,0 +1,371 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { waitFor } = require("./helpers/agents");
+
+describe("Relay ACLs", function () {
+  this.timeout(30000);
+
+  const { checkAcl, canClaimRole, matchSubject, DEFAULT_ACL_POLICY, createRelayRegistration } = require("../agent-sdk/lib/relay-acl");
+  const { generateKeypair } = require("../agent-sdk/lib/signer");
+  const { MessageGuard, registerSenderKey } = require("../agent-sdk/lib/message-guard");
+
+  it("Should apply the first matching rule per role and action", function () {
+    expect(matchSubject("aexowork.escrow.>", "aexowork.escrow.created")).to.equal(true);
+    expect(checkAcl(DEFAULT_ACL_POLICY, "ClientAgent", "publish", "aexowork.jobs").allowed).to.equal(true);
+    expect(checkAcl(DEFAULT_ACL_POLICY, "WorkerAgent", "publish", "aexowork.jobs").allowed).to.equal(false);
+    expect(checkAcl(DEFAULT_ACL_POLICY, "WorkerAgent", "subscribe", "aexowork.escrow.created").allowed).to.equal(false);
+    expect(checkAcl(DEFAULT_ACL_POLICY, "WorkerAgent", "subscribe", "aexowork.escrow.response").allowed).to.equal(true);
+    expect(checkAcl(DEFAULT_ACL_POLICY, "unknown", "publish", "aexowork.disputes").allowed).to.equal(true);
+    expect(checkAcl({ ...DEFAULT_ACL_POLICY, defaultAction: "deny" }, "unknown", "publish", "aexowork.disputes").allowed).to.equal(false);
+  });
+
+  it("Should only let accounts claim roles that are open, assigned or built in", function () {
+    const policy = { ...DEFAULT_ACL_POLICY, roleAccounts: { EscrowAgent: ["0.0.7003"] } };
+    expect(canClaimRole(policy, "WorkerAgent", "0.0.7001", null)).to.equal(true);
+    expect(canClaimRole(policy, "EscrowAgent", "0.0.7001", { name: "EscrowAgent", source: "registry" })).to.equal(false);
+    expect(canClaimRole(policy, "EscrowAgent", "0.0.7001", { name: "EscrowAgent", source: "env" })).to.equal(true);
+    expect(canClaimRole(policy, "EscrowAgent", "0.0.7003", null)).to.equal(true);
+  });
+
+  it("Should produce registrations the relay's guard accepts once", async function () {
+    const keys = generateKeypair();
+    registerSenderKey("0.0.7001", keys.publicKey);
+    const guard = new MessageGuard({ name: "relay-acl-test", requireSignature: true, persist: false });
+
+    const registration = createRelayRegistration({ agentAccountId: "0.0.7001", role: "WorkerAgent", subjects: ["aexowork.jobs"] }, keys.privateKey);
+    const first = await guard.check("aexowork.agent.register", { ...registration, subject: "aexowork.agent.register" }, { fromAccountId: "0.0.7001" });
+    expect(first).to.include({ accepted: true, signatureVerified: true });
+    expect((await guard.check("aexowork.agent.register", registration, { fromAccountId: "0.0.7001" })).reason).to.equal("duplicate message");
+
+    const forged = await guard.check("aexowork.agent.register", { ...registration, role: "EscrowAgent", nonce: "other" }, { fromAccountId: "0.0.7001" });
+    expect(forged.reason).to.equal("invalid signature");
+  });
+});
+
+describe("Relay mesh", function () {
+  this.timeout(30000);
+
+  const express = require("express");
+  const { RelayMesh } = require("../agent-sdk/lib/relay-mesh");
+  const relays = {};
+
+  async function startRelay(relayId, localSubjects) {
+    const app = express();
+    app.use(express.json());
+    const relay = { delivered: [], server: null, mesh: null };
+    relay.server = app.listen(0);
+    await new Promise((resolve) => relay.server.once("listening", resolve));
+    relay.url = `http://127.0.0.1:${relay.server.address().port}`;
+    relay.mesh = new RelayMesh({
+      relayId,
+      url: relay.url,
+      token: "mesh-secret",
+      ttl: 3,
+      acceptPeers: true,
+      getLocalSubjects: () => localSubjects,
+      deliverLocal: async (envelope) => {
+        relay.delivered.push(envelope);
+        return localSubjects.includes(envelope.subject) ? 1 : 0;
+      },
+    });
+    app.use(relay.mesh.router((req, res, next) => next()));
+    relays[relayId] = relay;
+    return relay;
+  }
+
+  before(async function () {
+    // Ring: A - B - C - A, only C has subscribers
+    const a = await startRelay("relay-a", []);
+    const b = await startRelay("relay-b", []);
+    const c = await startRelay("relay-c", ["aexowork.jobs"]);
+    a.mesh.addPeer(b.url);
+    b.mesh.addPeer(c.url);
+    c.mesh.addPeer(a.url);
+    // Two rounds let routes propagate one more hop each
+    for (let round = 0; round < 2; round++) {
+      for (const relay of [c, b, a]) await relay.mesh.gossipAll();
+    }
+  });
+
+  after(function () {
+    for (const relay of Object.values(relays)) {
+      relay.mesh.stop();
+      relay.server.close();
+    }
+  });
+
+  it("Should learn remote subjects through gossip and accept gossiping peers", function () {
+    const aPeers = relays["relay-a"].mesh.getPeers();
+    expect(aPeers.map((p) => p.relayId).sort()).to.deep.equal(["relay-b", "relay-c"]);
+    expect(relays["relay-a"].mesh.peersFor("aexowork.jobs").find((p) => p.relayId === "relay-c").distance).to.equal(0);
+    expect(relays["relay-a"].mesh.peersFor("aexowork.jobs").find((p) => p.relayId === "relay-b").distance).to.equal(1);
+  });
+
+  it("Should deliver each message once across a ring of relays", async function () {
+    const forwarded = await relays["relay-a"].mesh.publish("aexowork.jobs", { jobId: "42", nonce: "n-42" }, "0.0.100", "ClientAgent");
+    expect(forwarded).to.be.greaterThan(0);
+    await waitFor(() => relays["relay-c"].delivered.length > 0, 3000);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(relays["relay-c"].delivered).to.have.length(1);
+    expect(relays["relay-c"].delivered[0]).to.include({ origin: "relay-a", senderRole: "ClientAgent" });
+    expect(relays["relay-a"].delivered).to.have.length(0); // Never looped back to the origin
+
+    // Publishing the same message again is a duplicate at the origin
+    expect(await relays["relay-a"].mesh.publish("aexowork.jobs", { jobId: "42", nonce: "n-42" }, "0.0.100", "ClientAgent")).to.equal(0);
+  });
+
+  it("Should reject loops, expired TTLs and unauthenticated peers", async function () {
+    const c = relays["relay-c"];
+    const looped = await c.mesh.receive({ id: "x1", subject: "aexowork.jobs", message: {}, hops: ["relay-a", "relay-c"], ttl: 2, origin: "relay-a" }, null);
+    expect(looped).to.include({ accepted: false });
+    expect(looped.reason).to.match(/loop/);
+
+    const last = await c.mesh.receive({ id: "x2", subject: "aexowork.jobs", message: {}, hops: ["relay-a"], ttl: 1, origin: "relay-a" }, null);
+    expect(last).to.include({ accepted: true, delivered: 1, forwarded: 0 });
+
+    const denied = await axios.post(`${c.url}/mesh/forward`, { id: "x3" }).catch((e) => e.response);
+    expect(denied.status).to.equal(401);
+  });
+
+  it("Should stay off without a mesh token and only take forwards from known peers", async function () {
+    const app = express();
+    app.use(express.json());
+    const delivered = [];
+    const mesh = new RelayMesh({
+      relayId: "relay-open",
+      getLocalSubjects: () => ["aexowork.jobs"],
+      deliverLocal: async (envelope) => delivered.push(envelope),
+    });
+    app.use(mesh.router((req, res, next) => next()));
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const envelope = { id: "x4", subject: "aexowork.jobs", message: {}, fromAccountId: "0.0.100", senderRole: "ClientAgent", hops: ["relay-a"], ttl: 2, origin: "relay-a" };
+      for (const route of ["/mesh/gossip", "/mesh/forward"]) {
+        const refused = await axios.post(`${url}${route}`, { relayId: "relay-a", url: relays["relay-a"].url, ...envelope }).catch((e) => e.response);
+        expect(refused.status, route).to.equal(401);
+      }
+      mesh.addPeer(relays["relay-c"].url);
+      await mesh.gossipAll();
+      expect(mesh.getPeers()[0].status).to.equal("pending");
+      expect(await mesh.publish("aexowork.jobs", { nonce: "n-off" }, "0.0.100", "ClientAgent")).to.equal(0);
+      expect(delivered).to.have.length(0);
+      expect(mesh.getStats()).to.include({ enabled: false });
+    } finally {
+      server.close();
+    }
+
+    // With the token, relays that are not peers can neither join nor forward
+    const closed = new RelayMesh({ relayId: "relay-closed", token: "mesh-secret", getLocalSubjects: () => [], deliverLocal: async () => 0 });
+    const closedApp = express();
+    closedApp.use(express.json());
+    closedApp.use(closed.router((req, res, next) => next()));
+    const closedServer = closedApp.listen(0);
+    await new Promise((resolve) => closedServer.once("listening", resolve));
+    const closedUrl = `http://127.0.0.1:${closedServer.address().port}`;
+    const auth = { headers: { Authorization: "Bearer mesh-secret" } };
+    try {
+      const gossip = await axios.post(`${closedUrl}/mesh/gossip`, { relayId: "relay-x", url: "http://127.0.0.1:1", routes: {} }, auth).catch((e) => e.response);
+      expect(gossip.status).to.equal(403);
+      const forward = await axios.post(`${closedUrl}/mesh/forward`, { id: "x5", subject: "aexowork.jobs", message: {}, hops: ["relay-x"], ttl: 2, origin: "relay-x" }, auth).catch((e) => e.response);
+      expect(forward.status).to.equal(403);
+      expect(closed.getPeers()).to.have.length(0);
+    } finally {
+      closedServer.close();
+    }
+  });
+});
+
+describe("RelayAgent", function () {
+  this.timeout(30000);
+
+  const { generateKeypair, signJSON } = require("../agent-sdk/lib/signer");
+  const { createRelayRegistration } = require("../agent-sdk/lib/relay-acl");
+  const { upsertAgent } = require("../agent-sdk/lib/directory");
+  const remotePeer = "http://127.0.0.1:1";
+  const admin = { headers: { Authorization: "Bearer relay-secret" } };
+  let relay;
+  let server;
+  let relayUrl;
+
+  before(async function () {
+    process.env.RELAY_MESH_TOKEN = "mesh-secret";
+    process.env.RELAY_PEERS = remotePeer;
+    try {
+      relay = require("../agent-sdk/agents/relayAgent");
+    } catch (error) {
+      if (error.code !== "MODULE_NOT_FOUND") throw error;
+      this.skip(); // The HCS-10 transport needs @hashgraphonline/standards-sdk
+    }
+    server = relay.app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    relayUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.RELAY_ADMIN_TOKEN = "relay-secret";
+  });
+
+  after(function () {
+    if (server) server.close();
+    delete process.env.RELAY_ADMIN_TOKEN;
+    delete process.env.RELAY_MESH_TOKEN;
+    delete process.env.RELAY_PEERS;
+  });
+
+  const connection = async (accountId) =>
+    (await axios.get(`${relayUrl}/connections`, admin)).data.connections.find((c) => c.agentAccountId === accountId);
+
+  it("Should only register an account with a key the directory binds to it", async function () {
+    const agent = generateKeypair();
+    const attacker = generateKeypair();
+    upsertAgent({ accountId: "0.0.7101", name: "Worker7101", publicKey: agent.publicKey });
+
+    // Signed with a DID key that nothing binds to 0.0.7101, with or without a transport sender
+    const attackerDid = `did:hedera:testnet:z${attacker.publicKey}`;
+    const forged = createRelayRegistration({ agentAccountId: "0.0.7101", role: "WorkerAgent", subjects: [], fromDid: attackerDid }, attacker.privateKey);
+    await relay.handleAgentRegistration(forged);
+    await relay.handleAgentRegistration({ ...forged, nonce: "forged-2" }, "0.0.7102");
+    expect(await connection("0.0.7101")).to.equal(undefined);
+
+    // A DID listed under another account does not speak for 0.0.7101 either
+    upsertAgent({ accountId: "0.0.7103", did: "did:hedera:testnet:other-agent", publicKey: attacker.publicKey });
+    await relay.handleAgentRegistration(createRelayRegistration({ agentAccountId: "0.0.7101", role: "WorkerAgent", subjects: [], fromDid: "did:hedera:testnet:other-agent" }, attacker.privateKey));
+    expect(await connection("0.0.7101")).to.equal(undefined);
+
+    await relay.handleAgentRegistration(createRelayRegistration({ agentAccountId: "0.0.7101", role: "WorkerAgent", subjects: [] }, agent.privateKey), "0.0.7101");
+    expect(await connection("0.0.7101")).to.include({ role: "WorkerAgent", verifiedBy: "signature" });
+  });
+
+  it("Should refuse the admin routes to everyone while no admin token is set", async function () {
+    delete process.env.RELAY_ADMIN_TOKEN;
+    delete process.env.A2A_ADMIN_TOKEN;
+    const requests = [
+      axios.get(`${relayUrl}/routes`),
+      axios.get(`${relayUrl}/connections`),
+      axios.get(`${relayUrl}/routes/stats`),
+      axios.get(`${relayUrl}/routes/explain?subject=aexowork.jobs`),
+      axios.get(`${relayUrl}/routes/undelivered`),
+      axios.post(`${relayUrl}/subscriptions`, { agentAccountId: "0.0.7201", subject: "aexowork.jobs" }),
+      axios.delete(`${relayUrl}/connections/0.0.7101`),
+      axios.post(`${relayUrl}/mesh/peers`, { url: "http://127.0.0.1:1" }),
+    ];
+    for (const response of await Promise.all(requests.map((request) => request.catch((e) => e.response)))) {
+      expect(response.status, response.config.url).to.equal(401);
+    }
+    expect((await axios.get(`${relayUrl}/acl`)).status).to.equal(200);
+
+    process.env.RELAY_ADMIN_TOKEN = "relay-secret";
+    const wrong = await axios.get(`${relayUrl}/connections`, { headers: { Authorization: "Bearer nope" } }).catch((e) => e.response);
+    expect(wrong.status).to.equal(401);
+    expect((await axios.get(`${relayUrl}/connections`, admin)).status).to.equal(200);
+  });
+
+  describe("admin routes", function () {
+    const routesFile = () => path.join(process.env.AGENT_DATA_DIR, "relay-routes.json");
+    const savedRoutes = () => (fs.existsSync(routesFile()) ? JSON.parse(fs.readFileSync(routesFile(), "utf8")) : {});
+
+    it("Should manage subscriptions and connections and persist the routing table", async function () {
+      await relay.handleNewConnection("0.0.7201", "0.0.8201");
+
+      const missing = await axios.post(`${relayUrl}/subscriptions`, { agentAccountId: "0.0.7201" }, admin).catch((e) => e.response);
+      expect(missing.status).to.equal(400);
+      // WorkerAgent may not receive escrow events
+      const denied = await axios.post(`${relayUrl}/subscriptions`, { agentAccountId: "0.0.7101", subject: "aexowork.escrow.created" }, admin).catch((e) => e.response);
+      expect(denied.status).to.equal(403);
+
+      const created = await axios.post(`${relayUrl}/subscriptions`, { agentAccountId: "0.0.7201", subject: "aexowork.test.events" }, admin);
+      expect(created.status).to.equal(201);
+      expect(created.data).to.include({ subject: "aexowork.test.events", connected: true });
+      await waitFor(() => (savedRoutes().subscribers?.["aexowork.test.events"] || []).includes("0.0.7201"), 3000);
+      expect(savedRoutes().connections["0.0.7201"]).to.equal("0.0.8201");
+
+      // A restarted relay picks the table back up
+      const modulePath = require.resolve("../agent-sdk/agents/relayAgent");
+      delete require.cache[modulePath];
+      const restarted = require(modulePath);
+      const restartedServer = restarted.app.listen(0);
+      await new Promise((resolve) => restartedServer.once("listening", resolve));
+      try {
+        const routes = (await axios.get(`http://127.0.0.1:${restartedServer.address().port}/routes`, admin)).data;
+        expect(routes.subscribers["aexowork.test.events"]).to.include("0.0.7201");
+        expect(routes.connections["0.0.7201"]).to.equal("0.0.8201");
+      } finally {
+        restartedServer.close();
+      }
+
+      expect((await axios.delete(`${relayUrl}/subscriptions/aexowork.test.events/0.0.7201`, admin)).data).to.include({ ok: true });
+      const again = await axios.delete(`${relayUrl}/subscriptions/aexowork.test.events/0.0.7201`, admin).catch((e) => e.response);
+      expect(again.status).to.equal(404);
+
+      const evicted = await axios.delete(`${relayUrl}/connections/0.0.7201`, admin);
+      expect(evicted.data.agentAccountId).to.equal("0.0.7201");
+      expect((await axios.get(`${relayUrl}/connections`, admin)).data.connections.map((c) => c.agentAccountId)).to.not.include("0.0.7201");
+      expect((await axios.delete(`${relayUrl}/connections/0.0.7201`, admin).catch((e) => e.response)).status).to.equal(404);
+      await waitFor(() => !savedRoutes().connections["0.0.7201"], 3000);
+    });
+
+    it("Should explain why a subject reaches nobody and keep the undelivered messages", async function () {
+      // Subscribed, but never opened an HCS-10 connection
+      await axios.post(`${relayUrl}/subscriptions`, { agentAccountId: "0.0.7202", subject: "aexowork.test.orders" }, admin);
+
+      const explained = (await axios.get(`${relayUrl}/routes/explain?subject=aexowork.test.orders&from=0.0.7203`, admin)).data;
+      expect(explained).to.include({ publishAllowed: true, wouldDeliver: 0 });
+      expect(explained.targets).to.deep.equal([{ accountId: "0.0.7202", role: "unknown", status: "no-connection", detail: "no HCS-10 connection topic recorded for this agent" }]);
+      expect(explained.reason).to.equal("every subscriber was excluded: 1 no-connection");
+      expect((await axios.get(`${relayUrl}/routes/explain`, admin).catch((e) => e.response)).status).to.equal(400);
+
+      expect(await relay.handleIncomingMessage({ subject: "aexowork.test.orders", orderId: "1" }, "0.0.7203")).to.equal(0);
+      expect(await relay.handleIncomingMessage({ subject: "aexowork.test.order", orderId: "2" }, "0.0.7203")).to.equal(0);
+      // Only ClientAgent may post jobs
+      expect(await relay.handleIncomingMessage({ subject: "aexowork.jobs", jobId: "3" }, "0.0.7203")).to.equal(0);
+
+      const undelivered = (await axios.get(`${relayUrl}/routes/undelivered?limit=3`, admin)).data.entries;
+      expect(undelivered.map((e) => e.subject)).to.deep.equal(["aexowork.jobs", "aexowork.test.order", "aexowork.test.orders"]);
+      expect(undelivered[0]).to.include({ publishAllowed: false, senderRole: "unknown" });
+      expect(undelivered[0].reason).to.match(/^sender rejected by ACL/);
+      expect(undelivered[1].reason).to.match(/^no agent is subscribed to aexowork\.test\.order \(subscribed subjects nearby: .*aexowork\.test\.orders/);
+      expect(undelivered[2].reason).to.equal("every subscriber was excluded: 1 no-connection");
+      expect(undelivered[2].targets[0]).to.include({ accountId: "0.0.7202", status: "no-connection" });
+
+      const filtered = (await axios.get(`${relayUrl}/routes/undelivered?subject=aexowork.test.orders`, admin)).data;
+      expect(filtered.count).to.equal(1);
+
+      const stats = (await axios.get(`${relayUrl}/routes/stats`, admin)).data.subjects.find((s) => s.subject === "aexowork.test.orders");
+      expect(stats).to.include({ subscribers: 1, received: 1, delivered: 0, undelivered: 1 });
+    });
+  });
+
+  it("Should check forwarded messages against the sender's signature and the role known here", async function () {
+    const sender = generateKeypair();
+    upsertAgent({ accountId: "0.0.7301", name: "RemoteClient", publicKey: sender.publicKey });
+    await axios.post(`${relayUrl}/subscriptions`, { agentAccountId: "0.0.7302", subject: "aexowork.test.mesh" }, admin);
+
+    const mesh = { headers: { Authorization: "Bearer mesh-secret" } };
+    await axios.post(`${relayUrl}/mesh/gossip`, { relayId: "relay-remote", url: remotePeer, routes: {} }, mesh);
+    const signed = (message) => ({ ...message, signature: signJSON(message, sender.privateKey) });
+    const forward = (id, subject, message) =>
+      axios.post(`${relayUrl}/mesh/forward`, { id, subject, message: { ...message, subject }, fromAccountId: "0.0.7301", senderRole: "ClientAgent", origin: "relay-remote", ttl: 2, hops: ["relay-remote"] }, mesh);
+
+    // Unsigned, or signed by someone else: dropped before routing
+    await forward("m1", "aexowork.test.mesh", { type: "test", timestamp: Date.now(), nonce: "m1" });
+    await forward("m2", "aexowork.test.mesh", { ...signed({ type: "test", timestamp: Date.now(), nonce: "m2" }), signature: signJSON({ other: true }, generateKeypair().privateKey) });
+    const rejections = (await axios.get(`${relayUrl}/audit?accountId=0.0.7301`, admin)).data.entries.map((e) => e.reason);
+    expect(rejections).to.include("forwarded by relay-remote: unsigned message");
+    expect(rejections).to.include("forwarded by relay-remote: invalid signature");
+
+    // Signed, but the origin relay's ClientAgent claim does not count here
+    await forward("m3", "aexowork.jobs", signed({ type: "job", timestamp: Date.now(), nonce: "m3" }));
+    await forward("m4", "aexowork.test.mesh", signed({ type: "test", timestamp: Date.now(), nonce: "m4" }));
+    const undelivered = (await axios.get(`${relayUrl}/routes/undelivered?limit=2`, admin)).data.entries;
+    expect(undelivered.map((e) => e.subject)).to.deep.equal(["aexowork.test.mesh", "aexowork.jobs"]);
+    expect(undelivered[1]).to.include({ viaRelay: "relay-remote", senderRole: "unknown", publishAllowed: false });
+    expect(undelivered[0]).to.include({ viaRelay: "relay-remote", publishAllowed: true });
+    expect(undelivered[0].targets[0]).to.include({ accountId: "0.0.7302", status: "no-connection" });
+
+    // Forwards from relays that are not peers are refused
+    const stranger = await axios.post(`${relayUrl}/mesh/forward`, { id: "m5", subject: "aexowork.test.mesh", message: {}, hops: ["relay-stranger"], ttl: 2, origin: "relay-stranger" }, mesh).catch((e) => e.response);
+    expect(stranger.status).to.equal(403);
+  });
+});